@@ -0,0 +1,53 @@
+// Utilisateurs (employés, managers, administrateurs, clients) et clients
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE users (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        email VARCHAR(255) NOT NULL UNIQUE,
+        password VARCHAR(255) NOT NULL,
+        first_name VARCHAR(100) NOT NULL,
+        last_name VARCHAR(100) NOT NULL,
+        role ENUM('admin', 'manager', 'employee', 'client') NOT NULL DEFAULT 'employee',
+        department VARCHAR(100),
+        position VARCHAR(100),
+        phone VARCHAR(50),
+        address TEXT,
+        hire_date DATE,
+        salary DECIMAL(12, 2),
+        avatar VARCHAR(255),
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_users_role (role),
+        INDEX idx_users_department (department)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+      CREATE TABLE clients (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        company_name VARCHAR(255) NOT NULL,
+        contact_person VARCHAR(255) NOT NULL,
+        email VARCHAR(255) NOT NULL UNIQUE,
+        phone VARCHAR(50),
+        address TEXT,
+        city VARCHAR(100),
+        country VARCHAR(100),
+        tax_number VARCHAR(100),
+        website VARCHAR(255),
+        notes TEXT,
+        status ENUM('active', 'inactive', 'suspended') NOT NULL DEFAULT 'active',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_clients_status (status),
+        INDEX idx_clients_country (country)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS clients');
+    await db.query('DROP TABLE IF EXISTS users');
+  }
+};
@@ -0,0 +1,67 @@
+// Projets, tâches et temps de travail
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE projects (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        client_id INT,
+        manager_id INT,
+        start_date DATE,
+        end_date DATE,
+        budget DECIMAL(12, 2),
+        status ENUM('planning', 'in_progress', 'on_hold', 'completed', 'cancelled') NOT NULL DEFAULT 'planning',
+        priority ENUM('low', 'medium', 'high', 'urgent') NOT NULL DEFAULT 'medium',
+        progress INT NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        CONSTRAINT fk_projects_client FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE SET NULL,
+        CONSTRAINT fk_projects_manager FOREIGN KEY (manager_id) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+      CREATE TABLE project_tasks (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        project_id INT NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        description TEXT,
+        assigned_to INT,
+        status ENUM('todo', 'in_progress', 'completed', 'cancelled') NOT NULL DEFAULT 'todo',
+        priority ENUM('low', 'medium', 'high', 'urgent') NOT NULL DEFAULT 'medium',
+        due_date DATE,
+        estimated_hours DECIMAL(8, 2),
+        actual_hours DECIMAL(8, 2) NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        CONSTRAINT fk_project_tasks_project FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+        CONSTRAINT fk_project_tasks_user FOREIGN KEY (assigned_to) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+      CREATE TABLE time_entries (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        project_id INT NOT NULL,
+        task_id INT,
+        date DATE NOT NULL,
+        hours_worked DECIMAL(6, 2) NOT NULL,
+        description TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_time_entries_date (date),
+        CONSTRAINT fk_time_entries_user FOREIGN KEY (user_id) REFERENCES users(id),
+        CONSTRAINT fk_time_entries_project FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+        CONSTRAINT fk_time_entries_task FOREIGN KEY (task_id) REFERENCES project_tasks(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS time_entries');
+    await db.query('DROP TABLE IF EXISTS project_tasks');
+    await db.query('DROP TABLE IF EXISTS projects');
+  }
+};
@@ -0,0 +1,85 @@
+// Abonnements, factures, lignes de facture et paiements
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE subscriptions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        client_id INT NOT NULL,
+        plan_name VARCHAR(255) NOT NULL,
+        description TEXT,
+        price DECIMAL(12, 2) NOT NULL,
+        billing_cycle ENUM('monthly', 'quarterly', 'yearly') NOT NULL DEFAULT 'monthly',
+        start_date DATE NOT NULL,
+        end_date DATE,
+        status ENUM('active', 'suspended', 'cancelled', 'expired') NOT NULL DEFAULT 'active',
+        auto_renew BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_subscriptions_status (status),
+        CONSTRAINT fk_subscriptions_client FOREIGN KEY (client_id) REFERENCES clients(id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+      CREATE TABLE invoices (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        client_id INT NOT NULL,
+        project_id INT,
+        subscription_id INT,
+        invoice_number VARCHAR(50) NOT NULL UNIQUE,
+        issue_date DATE NOT NULL,
+        due_date DATE NOT NULL,
+        subtotal DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        tax_rate DECIMAL(5, 2) NOT NULL DEFAULT 0,
+        tax_amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        total_amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        status ENUM('draft', 'sent', 'paid', 'overdue', 'cancelled') NOT NULL DEFAULT 'draft',
+        payment_method VARCHAR(50),
+        payment_date DATE,
+        notes TEXT,
+        created_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_invoices_status (status),
+        INDEX idx_invoices_issue_date (issue_date),
+        CONSTRAINT fk_invoices_client FOREIGN KEY (client_id) REFERENCES clients(id),
+        CONSTRAINT fk_invoices_project FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE SET NULL,
+        CONSTRAINT fk_invoices_subscription FOREIGN KEY (subscription_id) REFERENCES subscriptions(id) ON DELETE SET NULL,
+        CONSTRAINT fk_invoices_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+      CREATE TABLE invoice_items (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        invoice_id INT NOT NULL,
+        description VARCHAR(500) NOT NULL,
+        quantity DECIMAL(10, 2) NOT NULL DEFAULT 1,
+        unit_price DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        total_price DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        CONSTRAINT fk_invoice_items_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+      CREATE TABLE payments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        invoice_id INT NOT NULL,
+        amount DECIMAL(12, 2) NOT NULL,
+        payment_date DATE NOT NULL,
+        payment_method VARCHAR(50),
+        reference_number VARCHAR(100),
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT fk_payments_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS payments');
+    await db.query('DROP TABLE IF EXISTS invoice_items');
+    await db.query('DROP TABLE IF EXISTS invoices');
+    await db.query('DROP TABLE IF EXISTS subscriptions');
+  }
+};
@@ -0,0 +1,190 @@
+// Catalogue produits, fournisseurs, achats, ventes et mouvements de stock
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE product_categories (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        parent_id INT,
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        CONSTRAINT fk_product_categories_parent FOREIGN KEY (parent_id) REFERENCES product_categories(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+      CREATE TABLE suppliers (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        contact_person VARCHAR(255),
+        email VARCHAR(255),
+        phone VARCHAR(50),
+        address TEXT,
+        city VARCHAR(100),
+        country VARCHAR(100),
+        tax_number VARCHAR(100),
+        website VARCHAR(255),
+        payment_terms VARCHAR(255),
+        delivery_time_days INT NOT NULL DEFAULT 7,
+        rating DECIMAL(3, 2),
+        status ENUM('active', 'inactive') NOT NULL DEFAULT 'active',
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+      CREATE TABLE supplier_ratings (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        supplier_id INT NOT NULL,
+        user_id INT NOT NULL,
+        rating TINYINT NOT NULL,
+        comment TEXT,
+        criteria ENUM('quality', 'delivery', 'price', 'service', 'overall') NOT NULL DEFAULT 'overall',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT fk_supplier_ratings_supplier FOREIGN KEY (supplier_id) REFERENCES suppliers(id) ON DELETE CASCADE,
+        CONSTRAINT fk_supplier_ratings_user FOREIGN KEY (user_id) REFERENCES users(id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+      CREATE TABLE products (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        product_code VARCHAR(50) NOT NULL UNIQUE,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        category_id INT,
+        brand VARCHAR(100),
+        model VARCHAR(100),
+        sku VARCHAR(100),
+        barcode VARCHAR(100),
+        unit_type VARCHAR(50) NOT NULL DEFAULT 'piece',
+        cost_price DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        selling_price DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        current_stock INT NOT NULL DEFAULT 0,
+        min_stock_level INT NOT NULL DEFAULT 0,
+        max_stock_level INT NOT NULL DEFAULT 1000,
+        weight DECIMAL(10, 3),
+        dimensions VARCHAR(100),
+        color VARCHAR(50),
+        size VARCHAR(50),
+        supplier_id INT,
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_products_barcode (barcode),
+        INDEX idx_products_sku (sku),
+        CONSTRAINT fk_products_category FOREIGN KEY (category_id) REFERENCES product_categories(id) ON DELETE SET NULL,
+        CONSTRAINT fk_products_supplier FOREIGN KEY (supplier_id) REFERENCES suppliers(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+      CREATE TABLE purchase_lots (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        lot_number VARCHAR(50) NOT NULL UNIQUE,
+        supplier_id INT NOT NULL,
+        purchase_date DATE NOT NULL,
+        expected_delivery_date DATE,
+        total_amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        status ENUM('pending', 'received', 'cancelled') NOT NULL DEFAULT 'pending',
+        notes TEXT,
+        created_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        CONSTRAINT fk_purchase_lots_supplier FOREIGN KEY (supplier_id) REFERENCES suppliers(id),
+        CONSTRAINT fk_purchase_lots_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+      CREATE TABLE purchase_lot_items (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        lot_id INT NOT NULL,
+        product_id INT NOT NULL,
+        quantity_ordered INT NOT NULL,
+        quantity_received INT NOT NULL DEFAULT 0,
+        unit_cost DECIMAL(12, 2) NOT NULL,
+        total_cost DECIMAL(12, 2) NOT NULL,
+        expiry_date DATE,
+        batch_number VARCHAR(100),
+        notes TEXT,
+        CONSTRAINT fk_purchase_lot_items_lot FOREIGN KEY (lot_id) REFERENCES purchase_lots(id) ON DELETE CASCADE,
+        CONSTRAINT fk_purchase_lot_items_product FOREIGN KEY (product_id) REFERENCES products(id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+      CREATE TABLE sales (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        sale_number VARCHAR(50) NOT NULL UNIQUE,
+        customer_name VARCHAR(255),
+        customer_email VARCHAR(255),
+        customer_phone VARCHAR(50),
+        subtotal DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        tax_rate DECIMAL(5, 2) NOT NULL DEFAULT 0,
+        tax_amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        discount_amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        total_amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        payment_method ENUM('cash', 'card', 'check', 'transfer', 'other') NOT NULL,
+        payment_reference VARCHAR(100),
+        status ENUM('completed', 'cancelled') NOT NULL DEFAULT 'completed',
+        notes TEXT,
+        created_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_sales_created_at (created_at),
+        CONSTRAINT fk_sales_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+      CREATE TABLE sale_items (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        sale_id INT NOT NULL,
+        product_id INT NOT NULL,
+        quantity INT NOT NULL,
+        unit_price DECIMAL(12, 2) NOT NULL,
+        discount_percent DECIMAL(5, 2) NOT NULL DEFAULT 0,
+        discount_amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        total_price DECIMAL(12, 2) NOT NULL,
+        CONSTRAINT fk_sale_items_sale FOREIGN KEY (sale_id) REFERENCES sales(id) ON DELETE CASCADE,
+        CONSTRAINT fk_sale_items_product FOREIGN KEY (product_id) REFERENCES products(id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+      CREATE TABLE stock_movements (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        product_id INT NOT NULL,
+        movement_type ENUM('in', 'out', 'adjustment') NOT NULL,
+        quantity INT NOT NULL,
+        unit_cost DECIMAL(12, 2),
+        total_cost DECIMAL(12, 2),
+        reference_type VARCHAR(50),
+        reference_id INT,
+        notes TEXT,
+        created_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_stock_movements_reference (reference_type, reference_id),
+        CONSTRAINT fk_stock_movements_product FOREIGN KEY (product_id) REFERENCES products(id),
+        CONSTRAINT fk_stock_movements_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS stock_movements');
+    await db.query('DROP TABLE IF EXISTS sale_items');
+    await db.query('DROP TABLE IF EXISTS sales');
+    await db.query('DROP TABLE IF EXISTS purchase_lot_items');
+    await db.query('DROP TABLE IF EXISTS purchase_lots');
+    await db.query('DROP TABLE IF EXISTS products');
+    await db.query('DROP TABLE IF EXISTS supplier_ratings');
+    await db.query('DROP TABLE IF EXISTS suppliers');
+    await db.query('DROP TABLE IF EXISTS product_categories');
+  }
+};
@@ -0,0 +1,59 @@
+const moment = require('moment');
+
+// Mois couverts par chaque cycle de facturation (copie figée pour la migration)
+const CYCLE_MONTHS = {
+  monthly: 1,
+  quarterly: 3,
+  yearly: 12
+};
+
+// Période facturée sur les factures d'abonnement (une seule facture par période)
+// et prochaine période à facturer de chaque abonnement : les périodes déjà commencées
+// à la date de la migration ont été facturées à la main et ne sont pas refacturées
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      ALTER TABLE invoices
+        ADD COLUMN billing_period_start DATE NULL AFTER subscription_id,
+        ADD COLUMN billing_period_end DATE NULL AFTER billing_period_start,
+        ADD UNIQUE KEY uq_invoices_subscription_period (subscription_id, billing_period_start)
+    `);
+
+    await db.query(`
+      ALTER TABLE subscriptions
+        ADD COLUMN next_billing_date DATE NULL AFTER end_date
+    `);
+
+    const today = moment().startOf('day');
+    const [subscriptions] = await db.query('SELECT id, billing_cycle, start_date FROM subscriptions');
+
+    for (const subscription of subscriptions) {
+      const months = CYCLE_MONTHS[subscription.billing_cycle];
+      const start = moment(subscription.start_date).startOf('day');
+      if (!months || start.isAfter(today)) {
+        continue;
+      }
+
+      let index = 1;
+      while (!start.clone().add(index * months, 'months').isAfter(today)) {
+        index++;
+      }
+
+      await db.query(
+        'UPDATE subscriptions SET next_billing_date = ? WHERE id = ?',
+        [start.clone().add(index * months, 'months').format('YYYY-MM-DD'), subscription.id]
+      );
+    }
+  },
+
+  down: async (db) => {
+    await db.query('ALTER TABLE subscriptions DROP COLUMN next_billing_date');
+    await db.query(`
+      ALTER TABLE invoices
+        ADD INDEX idx_invoices_subscription (subscription_id),
+        DROP INDEX uq_invoices_subscription_period,
+        DROP COLUMN billing_period_end,
+        DROP COLUMN billing_period_start
+    `);
+  }
+};
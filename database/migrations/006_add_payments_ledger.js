@@ -0,0 +1,46 @@
+// Registre des paiements partiels et avoirs clients
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      ALTER TABLE invoices
+        MODIFY status ENUM('draft', 'sent', 'partially_paid', 'paid', 'overdue', 'cancelled') NOT NULL DEFAULT 'draft'
+    `);
+
+    await db.query(`
+      ALTER TABLE payments
+        ADD COLUMN created_by INT NULL AFTER notes,
+        ADD CONSTRAINT fk_payments_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    `);
+
+    await db.query(`
+      CREATE TABLE client_credits (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        client_id INT NOT NULL,
+        invoice_id INT,
+        payment_id INT,
+        amount DECIMAL(12, 2) NOT NULL,
+        reason VARCHAR(255),
+        created_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT fk_client_credits_client FOREIGN KEY (client_id) REFERENCES clients(id),
+        CONSTRAINT fk_client_credits_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE SET NULL,
+        CONSTRAINT fk_client_credits_payment FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE CASCADE,
+        CONSTRAINT fk_client_credits_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS client_credits');
+    await db.query(`
+      ALTER TABLE payments
+        DROP FOREIGN KEY fk_payments_created_by,
+        DROP COLUMN created_by
+    `);
+    await db.query("UPDATE invoices SET status = 'sent' WHERE status = 'partially_paid'");
+    await db.query(`
+      ALTER TABLE invoices
+        MODIFY status ENUM('draft', 'sent', 'paid', 'overdue', 'cancelled') NOT NULL DEFAULT 'draft'
+    `);
+  }
+};
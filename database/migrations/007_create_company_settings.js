@@ -0,0 +1,23 @@
+// Paramètres de l'entreprise (coordonnées, logo, pied de page des documents)
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE company_settings (
+        setting_key VARCHAR(100) PRIMARY KEY,
+        setting_value TEXT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+      INSERT INTO company_settings (setting_key, setting_value) VALUES
+        ('company_name', 'CY Systems'),
+        ('invoice_footer', 'Merci pour votre confiance.'),
+        ('currency', 'USD')
+    `);
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS company_settings');
+  }
+};
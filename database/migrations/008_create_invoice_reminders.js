@@ -0,0 +1,22 @@
+// Historique des relances de factures impayées
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE invoice_reminders (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        invoice_id INT NOT NULL,
+        stage_days INT NOT NULL,
+        recipient VARCHAR(255),
+        status ENUM('sent', 'failed') NOT NULL,
+        error TEXT,
+        sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_invoice_reminders_stage (invoice_id, stage_days),
+        CONSTRAINT fk_invoice_reminders_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS invoice_reminders');
+  }
+};
@@ -0,0 +1,37 @@
+// Jetons de rafraîchissement et invalidation des sessions
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      ALTER TABLE users
+        ADD COLUMN password_changed_at DATETIME NULL AFTER is_active,
+        ADD COLUMN deactivated_at DATETIME NULL AFTER password_changed_at
+    `);
+
+    await db.query(`
+      CREATE TABLE refresh_tokens (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        family_id CHAR(36) NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME NULL,
+        replaced_by INT NULL,
+        user_agent VARCHAR(255),
+        ip_address VARCHAR(45),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_refresh_tokens_family (family_id),
+        INDEX idx_refresh_tokens_user (user_id),
+        CONSTRAINT fk_refresh_tokens_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS refresh_tokens');
+    await db.query(`
+      ALTER TABLE users
+        DROP COLUMN deactivated_at,
+        DROP COLUMN password_changed_at
+    `);
+  }
+};
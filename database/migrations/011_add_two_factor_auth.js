@@ -0,0 +1,35 @@
+// Double authentification TOTP et codes de récupération
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      ALTER TABLE users
+        ADD COLUMN two_factor_secret VARCHAR(64) NULL AFTER deactivated_at,
+        ADD COLUMN two_factor_enabled BOOLEAN NOT NULL DEFAULT FALSE AFTER two_factor_secret,
+        ADD COLUMN two_factor_enabled_at DATETIME NULL AFTER two_factor_enabled,
+        ADD COLUMN two_factor_last_step BIGINT NULL AFTER two_factor_enabled_at
+    `);
+
+    await db.query(`
+      CREATE TABLE two_factor_recovery_codes (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        code_hash CHAR(64) NOT NULL,
+        used_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_two_factor_recovery_codes_user (user_id),
+        CONSTRAINT fk_two_factor_recovery_codes_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS two_factor_recovery_codes');
+    await db.query(`
+      ALTER TABLE users
+        DROP COLUMN two_factor_last_step,
+        DROP COLUMN two_factor_enabled_at,
+        DROP COLUMN two_factor_enabled,
+        DROP COLUMN two_factor_secret
+    `);
+  }
+};
@@ -0,0 +1,134 @@
+// Rôles, permissions et attribution des permissions aux rôles
+// Les attributions initiales reproduisent les listes de rôles codées en dur dans les routes
+const PERMISSIONS = {
+  'clients:create': 'Créer des clients',
+  'clients:update': 'Suspendre et réactiver des clients',
+  'clients:delete': 'Supprimer des clients',
+  'clients:read_stats': 'Consulter les statistiques clients',
+  'employees:create': 'Créer des employés',
+  'employees:update': 'Modifier, désactiver et réactiver des employés',
+  'employees:delete': 'Supprimer des employés',
+  'employees:read_stats': 'Consulter les statistiques des employés',
+  'employees:read_salary': 'Consulter les salaires',
+  'employees:update_salary': 'Modifier les salaires',
+  'equipment:manage': 'Gérer catégories, fournisseurs, produits et lots d\'achat',
+  'equipment:read_stats': 'Consulter les statistiques des équipements',
+  'invoices:create': 'Créer des factures',
+  'invoices:read_all': 'Accéder à toutes les factures',
+  'invoices:send': 'Envoyer des factures et lancer les relances',
+  'invoices:record_payment': 'Enregistrer et supprimer des paiements',
+  'invoices:delete': 'Supprimer des factures',
+  'invoices:read_stats': 'Consulter les statistiques et la balance âgée des factures',
+  'projects:create': 'Créer des projets',
+  'projects:delete': 'Supprimer des projets',
+  'projects:read_all': 'Accéder à tous les projets',
+  'projects:read_stats': 'Consulter les statistiques des projets',
+  'settings:update': 'Modifier les paramètres de l\'entreprise',
+  'subscriptions:create': 'Créer des abonnements',
+  'subscriptions:update': 'Modifier, suspendre, réactiver et annuler des abonnements',
+  'subscriptions:delete': 'Supprimer des abonnements',
+  'subscriptions:bill': 'Lancer la facturation des abonnements',
+  'subscriptions:read_stats': 'Consulter les statistiques des abonnements',
+  'users:read': 'Consulter tous les utilisateurs',
+  'users:create': 'Créer des utilisateurs',
+  'users:update': 'Modifier et désactiver d\'autres utilisateurs',
+  'users:delete': 'Supprimer des utilisateurs',
+  'users:assign_role': 'Attribuer un rôle à un utilisateur',
+  'users:read_stats': 'Consulter les statistiques des utilisateurs',
+  'roles:read': 'Consulter les rôles et permissions',
+  'roles:manage': 'Créer et modifier les rôles et leurs permissions'
+};
+
+// Réservées à l'administrateur ; le manager reçoit toutes les autres
+const ADMIN_ONLY = [
+  'employees:delete',
+  'settings:update',
+  'subscriptions:delete',
+  'users:create',
+  'users:update',
+  'users:delete',
+  'users:assign_role',
+  'roles:manage'
+];
+
+const ROLES = {
+  admin: 'Administrateur',
+  manager: 'Manager',
+  employee: 'Employé',
+  client: 'Client'
+};
+
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE roles (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(50) NOT NULL UNIQUE,
+        description VARCHAR(255),
+        is_system BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+      CREATE TABLE permissions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL UNIQUE,
+        description VARCHAR(255)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+      CREATE TABLE role_permissions (
+        role_id INT NOT NULL,
+        permission_id INT NOT NULL,
+        PRIMARY KEY (role_id, permission_id),
+        CONSTRAINT fk_role_permissions_role FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+        CONSTRAINT fk_role_permissions_permission FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    for (const [name, description] of Object.entries(ROLES)) {
+      await db.query('INSERT INTO roles (name, description, is_system) VALUES (?, ?, TRUE)', [name, description]);
+    }
+
+    for (const [name, description] of Object.entries(PERMISSIONS)) {
+      await db.query('INSERT INTO permissions (name, description) VALUES (?, ?)', [name, description]);
+    }
+
+    await db.query(`
+      INSERT INTO role_permissions (role_id, permission_id)
+      SELECT r.id, p.id FROM roles r CROSS JOIN permissions p WHERE r.name = 'admin'
+    `);
+
+    const managerPermissions = Object.keys(PERMISSIONS).filter((name) => !ADMIN_ONLY.includes(name));
+    await db.query(`
+      INSERT INTO role_permissions (role_id, permission_id)
+      SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+      WHERE r.name = 'manager' AND p.name IN (${managerPermissions.map(() => '?').join(', ')})
+    `, managerPermissions);
+
+    // Le rôle de l'utilisateur référence désormais la table des rôles
+    await db.query(`
+      ALTER TABLE users
+        MODIFY role VARCHAR(50) NOT NULL DEFAULT 'employee',
+        ADD CONSTRAINT fk_users_role FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE
+    `);
+  },
+
+  down: async (db) => {
+    await db.query('ALTER TABLE users DROP FOREIGN KEY fk_users_role');
+    await db.query(`
+      UPDATE users SET role = 'employee'
+      WHERE role NOT IN ('admin', 'manager', 'employee', 'client')
+    `);
+    await db.query(`
+      ALTER TABLE users
+        MODIFY role ENUM('admin', 'manager', 'employee', 'client') NOT NULL DEFAULT 'employee'
+    `);
+    await db.query('DROP TABLE IF EXISTS role_permissions');
+    await db.query('DROP TABLE IF EXISTS permissions');
+    await db.query('DROP TABLE IF EXISTS roles');
+  }
+};
@@ -0,0 +1,78 @@
+// Portail client : lien utilisateur/client, demandes sur les abonnements et permissions du personnel
+// Les routes du personnel, jusque-là ouvertes à tout utilisateur connecté, exigent une permission que le client n'a pas
+const PERMISSIONS = {
+  'clients:read': 'Consulter les clients',
+  'clients:edit': 'Modifier les coordonnées des clients',
+  'invoices:read': 'Consulter les factures',
+  'invoices:update': 'Modifier des factures',
+  'subscriptions:read': 'Consulter les abonnements',
+  'employees:read': 'Consulter l\'annuaire des employés',
+  'equipment:read': 'Consulter le catalogue, les fournisseurs, les lots d\'achat et les stocks',
+  'sales:read': 'Consulter les ventes',
+  'sales:create': 'Enregistrer des ventes',
+  'settings:read': 'Consulter les paramètres de l\'entreprise',
+  'portal:access': 'Accéder au portail client'
+};
+
+// Permissions de lecture du personnel (admin, manager, employé) ; le client n'a que le portail
+const STAFF_PERMISSIONS = [
+  'clients:read', 'clients:edit', 'invoices:read', 'invoices:update', 'subscriptions:read',
+  'employees:read', 'equipment:read', 'sales:read', 'sales:create', 'settings:read'
+];
+
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      ALTER TABLE users
+        ADD COLUMN client_id INT NULL AFTER role,
+        ADD CONSTRAINT fk_users_client FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE SET NULL
+    `);
+
+    await db.query(`
+      CREATE TABLE subscription_requests (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        subscription_id INT NOT NULL,
+        client_id INT NOT NULL,
+        request_type ENUM('suspend', 'cancel') NOT NULL,
+        reason TEXT,
+        status ENUM('pending', 'approved', 'rejected') NOT NULL DEFAULT 'pending',
+        requested_by INT,
+        processed_by INT,
+        processed_at DATETIME NULL,
+        response_note TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_subscription_requests_status (status),
+        CONSTRAINT fk_subscription_requests_subscription FOREIGN KEY (subscription_id) REFERENCES subscriptions(id) ON DELETE CASCADE,
+        CONSTRAINT fk_subscription_requests_client FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+        CONSTRAINT fk_subscription_requests_requested_by FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE SET NULL,
+        CONSTRAINT fk_subscription_requests_processed_by FOREIGN KEY (processed_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    for (const [name, description] of Object.entries(PERMISSIONS)) {
+      await db.query('INSERT INTO permissions (name, description) VALUES (?, ?)', [name, description]);
+    }
+
+    await db.query(`
+      INSERT INTO role_permissions (role_id, permission_id)
+      SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+      WHERE r.name IN ('admin', 'manager', 'employee') AND p.name IN (?)
+    `, [STAFF_PERMISSIONS]);
+
+    await db.query(`
+      INSERT INTO role_permissions (role_id, permission_id)
+      SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+      WHERE r.name = 'client' AND p.name = 'portal:access'
+    `);
+  },
+
+  down: async (db) => {
+    await db.query('DELETE FROM permissions WHERE name IN (?)', [Object.keys(PERMISSIONS)]);
+    await db.query('DROP TABLE IF EXISTS subscription_requests');
+    await db.query(`
+      ALTER TABLE users
+        DROP FOREIGN KEY fk_users_client,
+        DROP COLUMN client_id
+    `);
+  }
+};
@@ -0,0 +1,59 @@
+// Réception des lots d'achat : réceptions partielles, quantités endommagées et nouveaux statuts
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      ALTER TABLE purchase_lots
+        MODIFY COLUMN status ENUM('pending', 'partially_received', 'received', 'cancelled') NOT NULL DEFAULT 'pending',
+        ADD COLUMN received_at DATETIME NULL AFTER status,
+        ADD COLUMN cancelled_at DATETIME NULL AFTER received_at
+    `);
+
+    await db.query(`
+      ALTER TABLE purchase_lot_items
+        ADD COLUMN quantity_damaged INT NOT NULL DEFAULT 0 AFTER quantity_received
+    `);
+
+    await db.query(`
+      CREATE TABLE purchase_receipts (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        lot_id INT NOT NULL,
+        received_date DATE NOT NULL,
+        notes TEXT,
+        received_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT fk_purchase_receipts_lot FOREIGN KEY (lot_id) REFERENCES purchase_lots(id) ON DELETE CASCADE,
+        CONSTRAINT fk_purchase_receipts_received_by FOREIGN KEY (received_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+      CREATE TABLE purchase_receipt_items (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        receipt_id INT NOT NULL,
+        lot_item_id INT NOT NULL,
+        product_id INT NOT NULL,
+        quantity_received INT NOT NULL DEFAULT 0,
+        quantity_damaged INT NOT NULL DEFAULT 0,
+        expiry_date DATE,
+        serial_number VARCHAR(100),
+        notes TEXT,
+        CONSTRAINT fk_purchase_receipt_items_receipt FOREIGN KEY (receipt_id) REFERENCES purchase_receipts(id) ON DELETE CASCADE,
+        CONSTRAINT fk_purchase_receipt_items_lot_item FOREIGN KEY (lot_item_id) REFERENCES purchase_lot_items(id) ON DELETE CASCADE,
+        CONSTRAINT fk_purchase_receipt_items_product FOREIGN KEY (product_id) REFERENCES products(id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS purchase_receipt_items');
+    await db.query('DROP TABLE IF EXISTS purchase_receipts');
+    await db.query('ALTER TABLE purchase_lot_items DROP COLUMN quantity_damaged');
+    await db.query("UPDATE purchase_lots SET status = 'pending' WHERE status = 'partially_received'");
+    await db.query(`
+      ALTER TABLE purchase_lots
+        DROP COLUMN cancelled_at,
+        DROP COLUMN received_at,
+        MODIFY COLUMN status ENUM('pending', 'received', 'cancelled') NOT NULL DEFAULT 'pending'
+    `);
+  }
+};
@@ -0,0 +1,87 @@
+// Retours, remboursements et annulation des ventes
+const PERMISSIONS = {
+  'sales:refund': 'Enregistrer des retours, remboursements et annulations de ventes'
+};
+
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      ALTER TABLE sales
+        MODIFY COLUMN status ENUM('completed', 'cancelled', 'voided') NOT NULL DEFAULT 'completed',
+        ADD COLUMN voided_at DATETIME NULL AFTER status,
+        ADD COLUMN voided_by INT NULL AFTER voided_at,
+        ADD CONSTRAINT fk_sales_voided_by FOREIGN KEY (voided_by) REFERENCES users(id) ON DELETE SET NULL
+    `);
+
+    await db.query(`
+      ALTER TABLE sale_items
+        ADD COLUMN quantity_returned INT NOT NULL DEFAULT 0 AFTER quantity
+    `);
+
+    await db.query(`
+      ALTER TABLE stock_movements
+        MODIFY COLUMN movement_type ENUM('in', 'out', 'adjustment', 'return') NOT NULL
+    `);
+
+    await db.query(`
+      CREATE TABLE sale_returns (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        sale_id INT NOT NULL,
+        return_type ENUM('return', 'void') NOT NULL DEFAULT 'return',
+        refund_amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        refund_method ENUM('cash', 'card', 'check', 'transfer', 'other') NOT NULL,
+        refund_reference VARCHAR(100),
+        reason TEXT,
+        created_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_sale_returns_created_at (created_at),
+        CONSTRAINT fk_sale_returns_sale FOREIGN KEY (sale_id) REFERENCES sales(id) ON DELETE CASCADE,
+        CONSTRAINT fk_sale_returns_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+      CREATE TABLE sale_return_items (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        return_id INT NOT NULL,
+        sale_item_id INT NOT NULL,
+        product_id INT NOT NULL,
+        quantity INT NOT NULL,
+        refund_amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        CONSTRAINT fk_sale_return_items_return FOREIGN KEY (return_id) REFERENCES sale_returns(id) ON DELETE CASCADE,
+        CONSTRAINT fk_sale_return_items_sale_item FOREIGN KEY (sale_item_id) REFERENCES sale_items(id) ON DELETE CASCADE,
+        CONSTRAINT fk_sale_return_items_product FOREIGN KEY (product_id) REFERENCES products(id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    for (const [name, description] of Object.entries(PERMISSIONS)) {
+      await db.query('INSERT INTO permissions (name, description) VALUES (?, ?)', [name, description]);
+    }
+
+    await db.query(`
+      INSERT INTO role_permissions (role_id, permission_id)
+      SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+      WHERE r.name IN ('admin', 'manager') AND p.name IN (?)
+    `, [Object.keys(PERMISSIONS)]);
+  },
+
+  down: async (db) => {
+    await db.query('DELETE FROM permissions WHERE name IN (?)', [Object.keys(PERMISSIONS)]);
+    await db.query('DROP TABLE IF EXISTS sale_return_items');
+    await db.query('DROP TABLE IF EXISTS sale_returns');
+    await db.query("DELETE FROM stock_movements WHERE movement_type = 'return'");
+    await db.query(`
+      ALTER TABLE stock_movements
+        MODIFY COLUMN movement_type ENUM('in', 'out', 'adjustment') NOT NULL
+    `);
+    await db.query('ALTER TABLE sale_items DROP COLUMN quantity_returned');
+    await db.query("UPDATE sales SET status = 'cancelled' WHERE status = 'voided'");
+    await db.query(`
+      ALTER TABLE sales
+        DROP FOREIGN KEY fk_sales_voided_by,
+        DROP COLUMN voided_by,
+        DROP COLUMN voided_at,
+        MODIFY COLUMN status ENUM('completed', 'cancelled') NOT NULL DEFAULT 'completed'
+    `);
+  }
+};
@@ -0,0 +1,73 @@
+// Valorisation des stocks : couches de coût (FIFO / coût moyen pondéré) et coût des ventes par ligne
+// Le stock existant est repris au cost_price du produit comme solde d'ouverture
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE stock_cost_layers (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        product_id INT NOT NULL,
+        source_type VARCHAR(50) NOT NULL,
+        source_id INT,
+        unit_cost DECIMAL(14, 4) NOT NULL,
+        quantity_received INT NOT NULL,
+        quantity_remaining INT NOT NULL,
+        received_at DATETIME NOT NULL,
+        INDEX idx_stock_cost_layers_product (product_id, quantity_remaining),
+        CONSTRAINT fk_stock_cost_layers_product FOREIGN KEY (product_id) REFERENCES products(id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+      ALTER TABLE sale_items
+        ADD COLUMN cogs_amount DECIMAL(12, 2) NULL AFTER total_price
+    `);
+
+    // Ventes et retours antérieurs : coût au cost_price du produit
+    await db.query(`
+      UPDATE sale_items si
+      JOIN products p ON si.product_id = p.id
+      SET si.cogs_amount = si.quantity * p.cost_price
+    `);
+
+    await db.query(`
+      UPDATE stock_movements sm
+      JOIN products p ON sm.product_id = p.id
+      SET sm.unit_cost = p.cost_price, sm.total_cost = sm.quantity * p.cost_price
+      WHERE sm.movement_type IN ('out', 'return')
+    `);
+
+    // Solde d'ouverture : aligne la somme des mouvements sur le stock actuel valorisé au cost_price
+    await db.query(`
+      INSERT INTO stock_movements (product_id, movement_type, quantity, unit_cost, total_cost, reference_type, notes)
+      SELECT
+        p.id, 'adjustment',
+        p.current_stock - COALESCE(m.quantity, 0),
+        p.cost_price,
+        p.current_stock * p.cost_price - COALESCE(m.value, 0),
+        'opening_balance', 'Solde d''ouverture de la valorisation des stocks'
+      FROM products p
+      LEFT JOIN (
+        SELECT product_id,
+               SUM(CASE WHEN movement_type = 'out' THEN -quantity ELSE quantity END) as quantity,
+               SUM(CASE WHEN movement_type = 'out' THEN -COALESCE(total_cost, 0) ELSE COALESCE(total_cost, 0) END) as value
+        FROM stock_movements
+        GROUP BY product_id
+      ) m ON m.product_id = p.id
+      WHERE p.current_stock <> COALESCE(m.quantity, 0)
+         OR p.current_stock * p.cost_price <> COALESCE(m.value, 0)
+    `);
+
+    await db.query(`
+      INSERT INTO stock_cost_layers (product_id, source_type, unit_cost, quantity_received, quantity_remaining, received_at)
+      SELECT id, 'opening_balance', cost_price, current_stock, current_stock, NOW()
+      FROM products
+      WHERE current_stock > 0
+    `);
+  },
+
+  down: async (db) => {
+    await db.query("DELETE FROM stock_movements WHERE reference_type = 'opening_balance'");
+    await db.query('ALTER TABLE sale_items DROP COLUMN cogs_amount');
+    await db.query('DROP TABLE IF EXISTS stock_cost_layers');
+  }
+};
@@ -0,0 +1,76 @@
+// Inventaires tournants : sessions de comptage, lignes comptées et ajustements de stock motivés
+const PERMISSIONS = {
+  'inventory:count': 'Saisir des comptages d\'inventaire',
+  'inventory:manage': 'Ouvrir, approuver et annuler des inventaires, ajuster le stock'
+};
+
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      ALTER TABLE stock_movements
+        ADD COLUMN reason_code VARCHAR(50) NULL AFTER reference_id
+    `);
+
+    await db.query(`
+      CREATE TABLE stock_count_sessions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        category_id INT NULL,
+        status ENUM('open', 'submitted', 'approved', 'cancelled') NOT NULL DEFAULT 'open',
+        notes TEXT,
+        variance_quantity INT NOT NULL DEFAULT 0,
+        variance_value DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        opened_by INT,
+        submitted_by INT,
+        submitted_at DATETIME NULL,
+        approved_by INT,
+        approved_at DATETIME NULL,
+        cancelled_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_stock_count_sessions_status (status),
+        CONSTRAINT fk_stock_count_sessions_category FOREIGN KEY (category_id) REFERENCES product_categories(id) ON DELETE SET NULL,
+        CONSTRAINT fk_stock_count_sessions_opened_by FOREIGN KEY (opened_by) REFERENCES users(id) ON DELETE SET NULL,
+        CONSTRAINT fk_stock_count_sessions_submitted_by FOREIGN KEY (submitted_by) REFERENCES users(id) ON DELETE SET NULL,
+        CONSTRAINT fk_stock_count_sessions_approved_by FOREIGN KEY (approved_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+      CREATE TABLE stock_count_lines (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        session_id INT NOT NULL,
+        product_id INT NOT NULL,
+        expected_quantity INT NOT NULL,
+        system_quantity INT NULL,
+        counted_quantity INT NULL,
+        variance_quantity INT NULL,
+        variance_value DECIMAL(12, 2) NULL,
+        reason_code VARCHAR(50),
+        notes TEXT,
+        counted_by INT,
+        counted_at DATETIME NULL,
+        UNIQUE KEY uq_stock_count_lines_product (session_id, product_id),
+        CONSTRAINT fk_stock_count_lines_session FOREIGN KEY (session_id) REFERENCES stock_count_sessions(id) ON DELETE CASCADE,
+        CONSTRAINT fk_stock_count_lines_product FOREIGN KEY (product_id) REFERENCES products(id),
+        CONSTRAINT fk_stock_count_lines_counted_by FOREIGN KEY (counted_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    for (const [name, description] of Object.entries(PERMISSIONS)) {
+      await db.query('INSERT INTO permissions (name, description) VALUES (?, ?)', [name, description]);
+    }
+
+    await db.query(`
+      INSERT INTO role_permissions (role_id, permission_id)
+      SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+      WHERE (r.name IN ('admin', 'manager') AND p.name IN ('inventory:count', 'inventory:manage'))
+         OR (r.name = 'employee' AND p.name = 'inventory:count')
+    `);
+  },
+
+  down: async (db) => {
+    await db.query('DELETE FROM permissions WHERE name IN (?)', [Object.keys(PERMISSIONS)]);
+    await db.query('DROP TABLE IF EXISTS stock_count_lines');
+    await db.query('DROP TABLE IF EXISTS stock_count_sessions');
+    await db.query('ALTER TABLE stock_movements DROP COLUMN reason_code');
+  }
+};
@@ -0,0 +1,136 @@
+// Dépôts, stock par dépôt et transferts entre dépôts
+// Le stock existant est affecté au dépôt principal créé par défaut
+const PERMISSIONS = {
+  'inventory:transfer': 'Expédier et réceptionner des transferts entre dépôts'
+};
+
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE warehouses (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        code VARCHAR(20) NOT NULL UNIQUE,
+        name VARCHAR(255) NOT NULL,
+        address TEXT,
+        city VARCHAR(100),
+        country VARCHAR(100),
+        manager_id INT,
+        is_default BOOLEAN NOT NULL DEFAULT FALSE,
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        CONSTRAINT fk_warehouses_manager FOREIGN KEY (manager_id) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+      INSERT INTO warehouses (code, name, is_default) VALUES ('MAIN', 'Dépôt principal', TRUE)
+    `);
+
+    await db.query(`
+      CREATE TABLE product_stocks (
+        product_id INT NOT NULL,
+        warehouse_id INT NOT NULL,
+        quantity INT NOT NULL DEFAULT 0,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (product_id, warehouse_id),
+        CONSTRAINT fk_product_stocks_product FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+        CONSTRAINT fk_product_stocks_warehouse FOREIGN KEY (warehouse_id) REFERENCES warehouses(id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+      INSERT INTO product_stocks (product_id, warehouse_id, quantity)
+      SELECT p.id, w.id, p.current_stock
+      FROM products p CROSS JOIN warehouses w
+      WHERE w.is_default = TRUE AND p.current_stock <> 0
+    `);
+
+    await db.query(`
+      ALTER TABLE stock_movements
+        MODIFY COLUMN movement_type ENUM('in', 'out', 'adjustment', 'return', 'transfer_out', 'transfer_in') NOT NULL,
+        ADD COLUMN warehouse_id INT NULL AFTER product_id,
+        ADD CONSTRAINT fk_stock_movements_warehouse FOREIGN KEY (warehouse_id) REFERENCES warehouses(id)
+    `);
+
+    // Lots, réceptions, ventes et inventaires se font dans un dépôt
+    for (const table of ['purchase_lots', 'purchase_receipts', 'sales', 'stock_count_sessions']) {
+      await db.query(`
+        ALTER TABLE ${table}
+          ADD COLUMN warehouse_id INT NULL,
+          ADD CONSTRAINT fk_${table}_warehouse FOREIGN KEY (warehouse_id) REFERENCES warehouses(id)
+      `);
+    }
+
+    // Les données existantes sont rattachées au dépôt principal
+    for (const table of ['stock_movements', 'purchase_lots', 'purchase_receipts', 'sales', 'stock_count_sessions']) {
+      await db.query(`UPDATE ${table} SET warehouse_id = (SELECT id FROM warehouses WHERE is_default = TRUE)`);
+    }
+
+    await db.query(`
+      CREATE TABLE stock_transfers (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        transfer_number VARCHAR(50) NOT NULL UNIQUE,
+        from_warehouse_id INT NOT NULL,
+        to_warehouse_id INT NOT NULL,
+        status ENUM('shipped', 'received', 'cancelled') NOT NULL DEFAULT 'shipped',
+        notes TEXT,
+        shipped_by INT,
+        shipped_at DATETIME NOT NULL,
+        received_by INT,
+        received_at DATETIME NULL,
+        cancelled_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_stock_transfers_status (status),
+        CONSTRAINT fk_stock_transfers_from FOREIGN KEY (from_warehouse_id) REFERENCES warehouses(id),
+        CONSTRAINT fk_stock_transfers_to FOREIGN KEY (to_warehouse_id) REFERENCES warehouses(id),
+        CONSTRAINT fk_stock_transfers_shipped_by FOREIGN KEY (shipped_by) REFERENCES users(id) ON DELETE SET NULL,
+        CONSTRAINT fk_stock_transfers_received_by FOREIGN KEY (received_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+      CREATE TABLE stock_transfer_items (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        transfer_id INT NOT NULL,
+        product_id INT NOT NULL,
+        quantity INT NOT NULL,
+        CONSTRAINT fk_stock_transfer_items_transfer FOREIGN KEY (transfer_id) REFERENCES stock_transfers(id) ON DELETE CASCADE,
+        CONSTRAINT fk_stock_transfer_items_product FOREIGN KEY (product_id) REFERENCES products(id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    for (const [name, description] of Object.entries(PERMISSIONS)) {
+      await db.query('INSERT INTO permissions (name, description) VALUES (?, ?)', [name, description]);
+    }
+
+    await db.query(`
+      INSERT INTO role_permissions (role_id, permission_id)
+      SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+      WHERE r.name IN ('admin', 'manager', 'employee') AND p.name IN (?)
+    `, [Object.keys(PERMISSIONS)]);
+  },
+
+  down: async (db) => {
+    await db.query('DELETE FROM permissions WHERE name IN (?)', [Object.keys(PERMISSIONS)]);
+    await db.query('DROP TABLE IF EXISTS stock_transfer_items');
+    await db.query('DROP TABLE IF EXISTS stock_transfers');
+
+    for (const table of ['stock_count_sessions', 'sales', 'purchase_receipts', 'purchase_lots', 'stock_movements']) {
+      await db.query(`
+        ALTER TABLE ${table}
+          DROP FOREIGN KEY fk_${table}_warehouse,
+          DROP COLUMN warehouse_id
+      `);
+    }
+
+    await db.query("DELETE FROM stock_movements WHERE movement_type IN ('transfer_out', 'transfer_in')");
+    await db.query(`
+      ALTER TABLE stock_movements
+        MODIFY COLUMN movement_type ENUM('in', 'out', 'adjustment', 'return') NOT NULL
+    `);
+
+    await db.query('DROP TABLE IF EXISTS product_stocks');
+    await db.query('DROP TABLE IF EXISTS warehouses');
+  }
+};
@@ -0,0 +1,19 @@
+// Lots d'achat en brouillon, proposés par le réapprovisionnement et confirmés avant envoi au fournisseur
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      ALTER TABLE purchase_lots
+        MODIFY COLUMN status ENUM('draft', 'pending', 'partially_received', 'received', 'cancelled') NOT NULL DEFAULT 'pending',
+        ADD COLUMN confirmed_at DATETIME NULL AFTER status
+    `);
+  },
+
+  down: async (db) => {
+    await db.query("UPDATE purchase_lots SET status = 'cancelled' WHERE status = 'draft'");
+    await db.query(`
+      ALTER TABLE purchase_lots
+        DROP COLUMN confirmed_at,
+        MODIFY COLUMN status ENUM('pending', 'partially_received', 'received', 'cancelled') NOT NULL DEFAULT 'pending'
+    `);
+  }
+};
@@ -0,0 +1,63 @@
+// Suivi des unités par numéro de série pour les produits sérialisés, avec l'historique de chaque unité
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      ALTER TABLE products
+        ADD COLUMN is_serialized BOOLEAN NOT NULL DEFAULT FALSE AFTER barcode
+    `);
+
+    await db.query(`
+      CREATE TABLE equipment_units (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        product_id INT NOT NULL,
+        serial_number VARCHAR(100) NOT NULL UNIQUE,
+        status ENUM('in_stock', 'sold', 'assigned', 'in_repair', 'retired') NOT NULL DEFAULT 'in_stock',
+        warehouse_id INT,
+        transfer_id INT NULL,
+        unit_cost DECIMAL(14, 4),
+        purchase_receipt_id INT,
+        sale_id INT NULL,
+        sale_item_id INT NULL,
+        client_id INT NULL,
+        subscription_id INT NULL,
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_equipment_units_status (product_id, status),
+        CONSTRAINT fk_equipment_units_product FOREIGN KEY (product_id) REFERENCES products(id),
+        CONSTRAINT fk_equipment_units_warehouse FOREIGN KEY (warehouse_id) REFERENCES warehouses(id),
+        CONSTRAINT fk_equipment_units_transfer FOREIGN KEY (transfer_id) REFERENCES stock_transfers(id) ON DELETE SET NULL,
+        CONSTRAINT fk_equipment_units_receipt FOREIGN KEY (purchase_receipt_id) REFERENCES purchase_receipts(id) ON DELETE SET NULL,
+        CONSTRAINT fk_equipment_units_sale FOREIGN KEY (sale_id) REFERENCES sales(id) ON DELETE SET NULL,
+        CONSTRAINT fk_equipment_units_sale_item FOREIGN KEY (sale_item_id) REFERENCES sale_items(id) ON DELETE SET NULL,
+        CONSTRAINT fk_equipment_units_client FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE SET NULL,
+        CONSTRAINT fk_equipment_units_subscription FOREIGN KEY (subscription_id) REFERENCES subscriptions(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+      CREATE TABLE equipment_unit_events (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        unit_id INT NOT NULL,
+        event_type VARCHAR(50) NOT NULL,
+        from_status VARCHAR(20),
+        to_status VARCHAR(20),
+        warehouse_id INT,
+        reference_type VARCHAR(50),
+        reference_id INT,
+        notes TEXT,
+        created_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_equipment_unit_events_unit (unit_id, created_at),
+        CONSTRAINT fk_equipment_unit_events_unit FOREIGN KEY (unit_id) REFERENCES equipment_units(id) ON DELETE CASCADE,
+        CONSTRAINT fk_equipment_unit_events_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS equipment_unit_events');
+    await db.query('DROP TABLE IF EXISTS equipment_units');
+    await db.query('ALTER TABLE products DROP COLUMN is_serialized');
+  }
+};
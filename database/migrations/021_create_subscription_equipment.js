@@ -0,0 +1,56 @@
+// Matériel installé chez le client au titre d'un abonnement, et tâches de récupération du matériel
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE subscription_equipment (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        subscription_id INT NOT NULL,
+        product_id INT NOT NULL,
+        unit_id INT NULL,
+        quantity INT NOT NULL DEFAULT 1,
+        warehouse_id INT,
+        status ENUM('installed', 'pending_return', 'returned', 'lost') NOT NULL DEFAULT 'installed',
+        install_date DATE NOT NULL,
+        return_date DATE NULL,
+        deposit_amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        notes TEXT,
+        created_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_subscription_equipment_status (subscription_id, status),
+        CONSTRAINT fk_subscription_equipment_subscription FOREIGN KEY (subscription_id) REFERENCES subscriptions(id) ON DELETE CASCADE,
+        CONSTRAINT fk_subscription_equipment_product FOREIGN KEY (product_id) REFERENCES products(id),
+        CONSTRAINT fk_subscription_equipment_unit FOREIGN KEY (unit_id) REFERENCES equipment_units(id),
+        CONSTRAINT fk_subscription_equipment_warehouse FOREIGN KEY (warehouse_id) REFERENCES warehouses(id),
+        CONSTRAINT fk_subscription_equipment_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+      CREATE TABLE hardware_return_tasks (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        subscription_id INT NOT NULL,
+        client_id INT NOT NULL,
+        status ENUM('open', 'completed', 'cancelled') NOT NULL DEFAULT 'open',
+        due_date DATE,
+        assigned_to INT,
+        notes TEXT,
+        created_by INT,
+        completed_by INT,
+        completed_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_hardware_return_tasks_status (status),
+        CONSTRAINT fk_hardware_return_tasks_subscription FOREIGN KEY (subscription_id) REFERENCES subscriptions(id) ON DELETE CASCADE,
+        CONSTRAINT fk_hardware_return_tasks_client FOREIGN KEY (client_id) REFERENCES clients(id),
+        CONSTRAINT fk_hardware_return_tasks_assigned_to FOREIGN KEY (assigned_to) REFERENCES users(id) ON DELETE SET NULL,
+        CONSTRAINT fk_hardware_return_tasks_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        CONSTRAINT fk_hardware_return_tasks_completed_by FOREIGN KEY (completed_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS hardware_return_tasks');
+    await db.query('DROP TABLE IF EXISTS subscription_equipment');
+  }
+};
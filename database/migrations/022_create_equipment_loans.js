@@ -0,0 +1,77 @@
+// Prêts de matériel interne aux employés (sortie et retour), mouvements de stock loan / loan_return
+const PERMISSIONS = {
+  'inventory:loan': 'Prêter du matériel aux employés et enregistrer les retours'
+};
+
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      ALTER TABLE stock_movements
+        MODIFY COLUMN movement_type ENUM('in', 'out', 'adjustment', 'return', 'transfer_out', 'transfer_in', 'loan', 'loan_return') NOT NULL
+    `);
+
+    await db.query(`
+      ALTER TABLE equipment_units
+        MODIFY COLUMN status ENUM('in_stock', 'sold', 'assigned', 'in_repair', 'retired', 'loaned') NOT NULL DEFAULT 'in_stock'
+    `);
+
+    await db.query(`
+      CREATE TABLE equipment_loans (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        product_id INT NOT NULL,
+        unit_id INT NULL,
+        quantity INT NOT NULL DEFAULT 1,
+        warehouse_id INT NOT NULL,
+        status ENUM('checked_out', 'returned', 'lost') NOT NULL DEFAULT 'checked_out',
+        checked_out_at DATETIME NOT NULL,
+        due_date DATE NULL,
+        checkout_notes TEXT,
+        returned_at DATETIME NULL,
+        return_warehouse_id INT NULL,
+        return_condition ENUM('good', 'damaged', 'lost') NULL,
+        return_notes TEXT,
+        checked_out_by INT,
+        returned_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_equipment_loans_user (user_id, status),
+        INDEX idx_equipment_loans_due (status, due_date),
+        CONSTRAINT fk_equipment_loans_user FOREIGN KEY (user_id) REFERENCES users(id),
+        CONSTRAINT fk_equipment_loans_product FOREIGN KEY (product_id) REFERENCES products(id),
+        CONSTRAINT fk_equipment_loans_unit FOREIGN KEY (unit_id) REFERENCES equipment_units(id),
+        CONSTRAINT fk_equipment_loans_warehouse FOREIGN KEY (warehouse_id) REFERENCES warehouses(id),
+        CONSTRAINT fk_equipment_loans_return_warehouse FOREIGN KEY (return_warehouse_id) REFERENCES warehouses(id),
+        CONSTRAINT fk_equipment_loans_checked_out_by FOREIGN KEY (checked_out_by) REFERENCES users(id) ON DELETE SET NULL,
+        CONSTRAINT fk_equipment_loans_returned_by FOREIGN KEY (returned_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    for (const [name, description] of Object.entries(PERMISSIONS)) {
+      await db.query('INSERT INTO permissions (name, description) VALUES (?, ?)', [name, description]);
+    }
+
+    await db.query(`
+      INSERT INTO role_permissions (role_id, permission_id)
+      SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+      WHERE r.name IN ('admin', 'manager') AND p.name IN (?)
+    `, [Object.keys(PERMISSIONS)]);
+  },
+
+  down: async (db) => {
+    await db.query('DELETE FROM permissions WHERE name IN (?)', [Object.keys(PERMISSIONS)]);
+    await db.query('DROP TABLE IF EXISTS equipment_loans');
+
+    await db.query("UPDATE equipment_units SET status = 'in_stock' WHERE status = 'loaned'");
+    await db.query(`
+      ALTER TABLE equipment_units
+        MODIFY COLUMN status ENUM('in_stock', 'sold', 'assigned', 'in_repair', 'retired') NOT NULL DEFAULT 'in_stock'
+    `);
+
+    await db.query("DELETE FROM stock_movements WHERE movement_type IN ('loan', 'loan_return')");
+    await db.query(`
+      ALTER TABLE stock_movements
+        MODIFY COLUMN movement_type ENUM('in', 'out', 'adjustment', 'return', 'transfer_out', 'transfer_in') NOT NULL
+    `);
+  }
+};
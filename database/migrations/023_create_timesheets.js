@@ -0,0 +1,84 @@
+// Feuilles de temps hebdomadaires (saisie, soumission, approbation) et cumul des heures approuvées
+// Les temps déjà saisis sont regroupés en feuilles approuvées et reportés sur les tâches et projets
+const PERMISSIONS = {
+  'timesheets:approve': 'Consulter, approuver et rejeter les feuilles de temps des employés'
+};
+
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE timesheets (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        week_start DATE NOT NULL,
+        status ENUM('draft', 'submitted', 'approved', 'rejected') NOT NULL DEFAULT 'draft',
+        total_hours DECIMAL(8, 2) NOT NULL DEFAULT 0,
+        submitted_at DATETIME NULL,
+        reviewed_by INT,
+        reviewed_at DATETIME NULL,
+        review_comment TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_timesheets_user_week (user_id, week_start),
+        INDEX idx_timesheets_status (status),
+        CONSTRAINT fk_timesheets_user FOREIGN KEY (user_id) REFERENCES users(id),
+        CONSTRAINT fk_timesheets_reviewed_by FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+      ALTER TABLE time_entries
+        ADD COLUMN timesheet_id INT NULL AFTER user_id,
+        ADD CONSTRAINT fk_time_entries_timesheet FOREIGN KEY (timesheet_id) REFERENCES timesheets(id)
+    `);
+
+    await db.query(`
+      ALTER TABLE projects
+        ADD COLUMN actual_hours DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER budget
+    `);
+
+    await db.query(`
+      INSERT INTO timesheets (user_id, week_start, status, total_hours)
+      SELECT user_id, DATE_SUB(date, INTERVAL WEEKDAY(date) DAY) as week_start, 'approved', SUM(hours_worked)
+      FROM time_entries
+      GROUP BY user_id, week_start
+    `);
+
+    await db.query(`
+      UPDATE time_entries te
+      JOIN timesheets t ON t.user_id = te.user_id AND t.week_start = DATE_SUB(te.date, INTERVAL WEEKDAY(te.date) DAY)
+      SET te.timesheet_id = t.id
+    `);
+
+    await db.query(`
+      UPDATE project_tasks pt
+      SET actual_hours = (SELECT COALESCE(SUM(hours_worked), 0) FROM time_entries WHERE task_id = pt.id)
+    `);
+
+    await db.query(`
+      UPDATE projects p
+      SET actual_hours = (SELECT COALESCE(SUM(hours_worked), 0) FROM time_entries WHERE project_id = p.id)
+    `);
+
+    for (const [name, description] of Object.entries(PERMISSIONS)) {
+      await db.query('INSERT INTO permissions (name, description) VALUES (?, ?)', [name, description]);
+    }
+
+    await db.query(`
+      INSERT INTO role_permissions (role_id, permission_id)
+      SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+      WHERE r.name IN ('admin', 'manager') AND p.name IN (?)
+    `, [Object.keys(PERMISSIONS)]);
+  },
+
+  down: async (db) => {
+    await db.query('DELETE FROM permissions WHERE name IN (?)', [Object.keys(PERMISSIONS)]);
+    await db.query('ALTER TABLE projects DROP COLUMN actual_hours');
+    await db.query(`
+      ALTER TABLE time_entries
+        DROP FOREIGN KEY fk_time_entries_timesheet,
+        DROP COLUMN timesheet_id
+    `);
+    await db.query('DROP TABLE IF EXISTS timesheets');
+  }
+};
@@ -0,0 +1,103 @@
+// Gestion des tâches de projet : flux de statuts, sous-tâches, listes de contrôle, commentaires et mentions
+// Les tâches terminées (completed) passent au statut done
+const PERMISSIONS = {
+  'projects:update': 'Gérer les tâches de tous les projets, suppression comprise'
+};
+
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      ALTER TABLE project_tasks
+        MODIFY COLUMN status ENUM('todo', 'in_progress', 'completed', 'review', 'done', 'blocked', 'cancelled') NOT NULL DEFAULT 'todo'
+    `);
+    await db.query("UPDATE project_tasks SET status = 'done' WHERE status = 'completed'");
+
+    await db.query(`
+      ALTER TABLE project_tasks
+        MODIFY COLUMN status ENUM('todo', 'in_progress', 'review', 'done', 'blocked', 'cancelled') NOT NULL DEFAULT 'todo',
+        ADD COLUMN parent_task_id INT NULL AFTER project_id,
+        ADD COLUMN blocked_reason TEXT AFTER status,
+        ADD COLUMN completed_at DATETIME NULL AFTER actual_hours,
+        ADD COLUMN created_by INT NULL AFTER completed_at,
+        ADD INDEX idx_project_tasks_assigned (assigned_to, status, due_date),
+        ADD CONSTRAINT fk_project_tasks_parent FOREIGN KEY (parent_task_id) REFERENCES project_tasks(id) ON DELETE CASCADE,
+        ADD CONSTRAINT fk_project_tasks_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    `);
+
+    await db.query(`
+      CREATE TABLE task_checklist_items (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        task_id INT NOT NULL,
+        label VARCHAR(255) NOT NULL,
+        is_done BOOLEAN NOT NULL DEFAULT FALSE,
+        position INT NOT NULL DEFAULT 0,
+        done_by INT,
+        done_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_task_checklist_items_task (task_id, position),
+        CONSTRAINT fk_task_checklist_items_task FOREIGN KEY (task_id) REFERENCES project_tasks(id) ON DELETE CASCADE,
+        CONSTRAINT fk_task_checklist_items_done_by FOREIGN KEY (done_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+      CREATE TABLE task_comments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        task_id INT NOT NULL,
+        user_id INT,
+        body TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_task_comments_task (task_id, created_at),
+        CONSTRAINT fk_task_comments_task FOREIGN KEY (task_id) REFERENCES project_tasks(id) ON DELETE CASCADE,
+        CONSTRAINT fk_task_comments_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+      CREATE TABLE task_comment_mentions (
+        comment_id INT NOT NULL,
+        user_id INT NOT NULL,
+        PRIMARY KEY (comment_id, user_id),
+        INDEX idx_task_comment_mentions_user (user_id),
+        CONSTRAINT fk_task_comment_mentions_comment FOREIGN KEY (comment_id) REFERENCES task_comments(id) ON DELETE CASCADE,
+        CONSTRAINT fk_task_comment_mentions_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    for (const [name, description] of Object.entries(PERMISSIONS)) {
+      await db.query('INSERT INTO permissions (name, description) VALUES (?, ?)', [name, description]);
+    }
+
+    await db.query(`
+      INSERT INTO role_permissions (role_id, permission_id)
+      SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+      WHERE r.name IN ('admin', 'manager') AND p.name IN (?)
+    `, [Object.keys(PERMISSIONS)]);
+  },
+
+  down: async (db) => {
+    await db.query('DELETE FROM permissions WHERE name IN (?)', [Object.keys(PERMISSIONS)]);
+    await db.query('DROP TABLE IF EXISTS task_comment_mentions');
+    await db.query('DROP TABLE IF EXISTS task_comments');
+    await db.query('DROP TABLE IF EXISTS task_checklist_items');
+
+    await db.query(`
+      ALTER TABLE project_tasks
+        DROP FOREIGN KEY fk_project_tasks_parent,
+        DROP FOREIGN KEY fk_project_tasks_created_by,
+        DROP INDEX idx_project_tasks_assigned,
+        DROP COLUMN parent_task_id,
+        DROP COLUMN blocked_reason,
+        DROP COLUMN completed_at,
+        DROP COLUMN created_by,
+        MODIFY COLUMN status ENUM('todo', 'in_progress', 'completed', 'review', 'done', 'blocked', 'cancelled') NOT NULL DEFAULT 'todo'
+    `);
+    await db.query("UPDATE project_tasks SET status = 'completed' WHERE status = 'done'");
+    await db.query("UPDATE project_tasks SET status = 'in_progress' WHERE status IN ('review', 'blocked')");
+    await db.query(`
+      ALTER TABLE project_tasks
+        MODIFY COLUMN status ENUM('todo', 'in_progress', 'completed', 'cancelled') NOT NULL DEFAULT 'todo'
+    `);
+  }
+};
@@ -0,0 +1,25 @@
+// Dépendances entre tâches d'un projet (fin-début, début-début, fin-fin, début-fin) avec décalage en jours
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE task_dependencies (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        task_id INT NOT NULL,
+        depends_on_task_id INT NOT NULL,
+        type ENUM('finish_to_start', 'start_to_start', 'finish_to_finish', 'start_to_finish') NOT NULL DEFAULT 'finish_to_start',
+        lag_days INT NOT NULL DEFAULT 0,
+        created_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_task_dependencies (task_id, depends_on_task_id),
+        INDEX idx_task_dependencies_predecessor (depends_on_task_id),
+        CONSTRAINT fk_task_dependencies_task FOREIGN KEY (task_id) REFERENCES project_tasks(id) ON DELETE CASCADE,
+        CONSTRAINT fk_task_dependencies_predecessor FOREIGN KEY (depends_on_task_id) REFERENCES project_tasks(id) ON DELETE CASCADE,
+        CONSTRAINT fk_task_dependencies_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS task_dependencies');
+  }
+};
@@ -0,0 +1,73 @@
+// Suivi financier des projets : coût horaire des employés (figé sur les temps approuvés),
+// lots d'achat imputés à un projet et progression recalculée à partir des tâches
+const PERMISSIONS = {
+  'projects:read_financials': 'Consulter le budget, les coûts et les alertes de dépassement des projets'
+};
+
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      ALTER TABLE users
+        ADD COLUMN hourly_cost_rate DECIMAL(10, 2) NULL AFTER salary
+    `);
+
+    await db.query(`
+      ALTER TABLE time_entries
+        ADD COLUMN cost_rate DECIMAL(10, 2) NULL AFTER hours_worked
+    `);
+
+    await db.query(`
+      ALTER TABLE purchase_lots
+        ADD COLUMN project_id INT NULL AFTER warehouse_id,
+        ADD CONSTRAINT fk_purchase_lots_project FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE SET NULL
+    `);
+
+    // Progression pondérée par les heures estimées des tâches de dernier niveau non annulées
+    // (poids 1 par tâche si aucune n'est estimée) ; les projets sans tâche gardent leur valeur
+    await db.query(`
+      UPDATE projects p
+      JOIN (
+        SELECT pt.project_id,
+               ROUND(100 * SUM(CASE WHEN pt.status = 'done' THEN w.weight ELSE 0 END) / SUM(w.weight)) as progress
+        FROM project_tasks pt
+        JOIN (
+          SELECT t.id, COALESCE(NULLIF(t.estimated_hours, 0), e.average_hours, 1) as weight
+          FROM project_tasks t
+          LEFT JOIN (
+            SELECT project_id, AVG(estimated_hours) as average_hours
+            FROM project_tasks
+            WHERE estimated_hours > 0 AND status != 'cancelled'
+            GROUP BY project_id
+          ) e ON e.project_id = t.project_id
+        ) w ON w.id = pt.id
+        WHERE pt.status != 'cancelled'
+          AND NOT EXISTS (
+            SELECT 1 FROM project_tasks sub WHERE sub.parent_task_id = pt.id AND sub.status != 'cancelled'
+          )
+        GROUP BY pt.project_id
+      ) computed ON computed.project_id = p.id
+      SET p.progress = computed.progress
+    `);
+
+    for (const [name, description] of Object.entries(PERMISSIONS)) {
+      await db.query('INSERT INTO permissions (name, description) VALUES (?, ?)', [name, description]);
+    }
+
+    await db.query(`
+      INSERT INTO role_permissions (role_id, permission_id)
+      SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+      WHERE r.name IN ('admin', 'manager') AND p.name IN (?)
+    `, [Object.keys(PERMISSIONS)]);
+  },
+
+  down: async (db) => {
+    await db.query('DELETE FROM permissions WHERE name IN (?)', [Object.keys(PERMISSIONS)]);
+    await db.query(`
+      ALTER TABLE purchase_lots
+        DROP FOREIGN KEY fk_purchase_lots_project,
+        DROP COLUMN project_id
+    `);
+    await db.query('ALTER TABLE time_entries DROP COLUMN cost_rate');
+    await db.query('ALTER TABLE users DROP COLUMN hourly_cost_rate');
+  }
+};
@@ -0,0 +1,86 @@
+// Facturation des projets : taux horaires de facturation par rôle ou par employé, matériel sorti du stock
+// pour un projet, temps et matériel rattachés à la facture qui les a facturés, jalons des projets au forfait
+// Les temps antérieurs à la migration ont été facturés à la main : les projets existants ne facturent
+// que les temps à partir de la date de la migration (billing_start_date)
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      ALTER TABLE roles
+        ADD COLUMN hourly_billing_rate DECIMAL(10, 2) NULL AFTER description
+    `);
+
+    await db.query(`
+      ALTER TABLE users
+        ADD COLUMN hourly_billing_rate DECIMAL(10, 2) NULL AFTER hourly_cost_rate
+    `);
+
+    await db.query(`
+      ALTER TABLE projects
+        ADD COLUMN billing_method ENUM('time_and_materials', 'fixed_price') NOT NULL DEFAULT 'time_and_materials' AFTER budget,
+        ADD COLUMN billing_start_date DATE NULL AFTER billing_method
+    `);
+    await db.query('UPDATE projects SET billing_start_date = CURDATE()');
+
+    await db.query(`
+      ALTER TABLE time_entries
+        ADD COLUMN invoice_id INT NULL AFTER timesheet_id,
+        ADD CONSTRAINT fk_time_entries_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE SET NULL
+    `);
+
+    await db.query(`
+      CREATE TABLE project_materials (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        project_id INT NOT NULL,
+        product_id INT NOT NULL,
+        unit_id INT NULL,
+        quantity INT NOT NULL,
+        warehouse_id INT NOT NULL,
+        issue_date DATE NOT NULL,
+        unit_price DECIMAL(12, 2) NOT NULL,
+        total_cost DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        invoice_id INT NULL,
+        notes TEXT,
+        created_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_project_materials_project (project_id, issue_date),
+        CONSTRAINT fk_project_materials_project FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+        CONSTRAINT fk_project_materials_product FOREIGN KEY (product_id) REFERENCES products(id),
+        CONSTRAINT fk_project_materials_unit FOREIGN KEY (unit_id) REFERENCES equipment_units(id),
+        CONSTRAINT fk_project_materials_warehouse FOREIGN KEY (warehouse_id) REFERENCES warehouses(id),
+        CONSTRAINT fk_project_materials_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE SET NULL,
+        CONSTRAINT fk_project_materials_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+      CREATE TABLE project_milestones (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        project_id INT NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        amount DECIMAL(12, 2) NOT NULL,
+        due_date DATE NULL,
+        invoice_id INT NULL,
+        created_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_project_milestones_project (project_id),
+        CONSTRAINT fk_project_milestones_project FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+        CONSTRAINT fk_project_milestones_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE SET NULL,
+        CONSTRAINT fk_project_milestones_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS project_milestones');
+    await db.query('DROP TABLE IF EXISTS project_materials');
+    await db.query(`
+      ALTER TABLE time_entries
+        DROP FOREIGN KEY fk_time_entries_invoice,
+        DROP COLUMN invoice_id
+    `);
+    await db.query('ALTER TABLE projects DROP COLUMN billing_start_date, DROP COLUMN billing_method');
+    await db.query('ALTER TABLE users DROP COLUMN hourly_billing_rate');
+    await db.query('ALTER TABLE roles DROP COLUMN hourly_billing_rate');
+  }
+};
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('../config/database');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Créer la table d'historique des migrations si elle n'existe pas
+const ensureMigrationsTable = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS migrations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL UNIQUE,
+      batch INT NOT NULL,
+      executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+// Lister les fichiers de migration dans l'ordre
+const getMigrationFiles = () => {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter((file) => /^\d+_.+\.js$/.test(file))
+    .sort();
+};
+
+// Charger une migration et vérifier qu'elle expose up/down
+const loadMigration = (file) => {
+  const migration = require(path.join(MIGRATIONS_DIR, file));
+  if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+    throw new Error(`La migration ${file} doit exporter les fonctions up et down`);
+  }
+  return migration;
+};
+
+// Appliquer toutes les migrations en attente dans un nouveau lot
+const migrate = async () => {
+  const connection = await pool.getConnection();
+  try {
+    await ensureMigrationsTable(connection);
+
+    const [executed] = await connection.query('SELECT name FROM migrations');
+    const executedNames = new Set(executed.map((row) => row.name));
+    const pending = getMigrationFiles().filter((file) => !executedNames.has(file));
+
+    if (pending.length === 0) {
+      return [];
+    }
+
+    const [batchRows] = await connection.query('SELECT COALESCE(MAX(batch), 0) as last_batch FROM migrations');
+    const batch = batchRows[0].last_batch + 1;
+
+    for (const file of pending) {
+      const migration = loadMigration(file);
+      console.log(`⬆️  Migration: ${file}`);
+      await migration.up(connection);
+      await connection.query('INSERT INTO migrations (name, batch) VALUES (?, ?)', [file, batch]);
+    }
+
+    return pending;
+  } finally {
+    connection.release();
+  }
+};
+
+// Annuler le dernier lot de migrations
+const rollback = async () => {
+  const connection = await pool.getConnection();
+  try {
+    await ensureMigrationsTable(connection);
+
+    const [batchRows] = await connection.query('SELECT MAX(batch) as last_batch FROM migrations');
+    const lastBatch = batchRows[0].last_batch;
+
+    if (!lastBatch) {
+      return [];
+    }
+
+    const [rows] = await connection.query(
+      'SELECT name FROM migrations WHERE batch = ? ORDER BY name DESC',
+      [lastBatch]
+    );
+
+    for (const row of rows) {
+      const migration = loadMigration(row.name);
+      console.log(`⬇️  Rollback: ${row.name}`);
+      await migration.down(connection);
+      await connection.query('DELETE FROM migrations WHERE name = ?', [row.name]);
+    }
+
+    return rows.map((row) => row.name);
+  } finally {
+    connection.release();
+  }
+};
+
+// Obtenir l'état de chaque migration
+const status = async () => {
+  const connection = await pool.getConnection();
+  try {
+    await ensureMigrationsTable(connection);
+
+    const [executed] = await connection.query('SELECT name, batch, executed_at FROM migrations');
+    const executedByName = new Map(executed.map((row) => [row.name, row]));
+
+    return getMigrationFiles().map((file) => ({
+      name: file,
+      batch: executedByName.has(file) ? executedByName.get(file).batch : null,
+      executed_at: executedByName.has(file) ? executedByName.get(file).executed_at : null
+    }));
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = {
+  migrate,
+  rollback,
+  status
+};
@@ -1,8 +1,11 @@
 const jwt = require('jsonwebtoken');
 const { query } = require('../config/database');
+const { isTwoFactorRequired } = require('../services/twoFactor');
+const { getRolePermissions, hasPermission } = require('../services/permissions');
 
 // Middleware d'authentification
-const authenticateToken = async (req, res, next) => {
+// allowTwoFactorSetup laisse passer un compte qui doit encore activer la double authentification
+const authenticate = ({ allowTwoFactorSetup = false } = {}) => async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -12,78 +15,116 @@ const authenticateToken = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Les jetons intermédiaires (vérification 2FA) ne donnent pas accès à l'API
+    if (decoded.purpose) {
+      return res.status(403).json({ error: 'Token invalide' });
+    }
     
     // Vérifier que l'utilisateur existe toujours
-    const users = await query('SELECT id, email, role, is_active FROM users WHERE id = ?', [decoded.userId]);
-    
+    const users = await query(
+      'SELECT id, email, role, is_active, password_changed_at, deactivated_at, two_factor_enabled FROM users WHERE id = ?',
+      [decoded.userId]
+    );
+
     if (users.length === 0 || !users[0].is_active) {
       return res.status(401).json({ error: 'Utilisateur invalide ou inactif' });
     }
 
-    req.user = users[0];
+    // Refuser les jetons émis avant le dernier changement de mot de passe ou la dernière désactivation
+    // Les deux dates sont à la seconde : un jeton émis dans la seconde de l'invalidation est aussi refusé
+    const { password_changed_at, deactivated_at, two_factor_enabled, ...user } = users[0];
+    const invalidBefore = Math.max(
+      password_changed_at ? Math.floor(new Date(password_changed_at).getTime() / 1000) : 0,
+      deactivated_at ? Math.floor(new Date(deactivated_at).getTime() / 1000) : 0
+    );
+    if (decoded.iat <= invalidBefore) {
+      return res.status(401).json({ error: 'Session expirée, veuillez vous reconnecter' });
+    }
+
+    if (!two_factor_enabled && !allowTwoFactorSetup && isTwoFactorRequired(user.role)) {
+      return res.status(403).json({
+        error: 'La double authentification doit être activée pour accéder à l\'application',
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
+
+    req.user = user;
     next();
   } catch (error) {
     return res.status(403).json({ error: 'Token invalide' });
   }
 };
 
-// Middleware de vérification des rôles
-const authorize = (...roles) => {
-  return (req, res, next) => {
+const authenticateToken = authenticate();
+
+// Middleware de vérification des permissions (toutes celles listées sont requises)
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ error: 'Authentification requise' });
     }
 
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ error: 'Permissions insuffisantes' });
-    }
+    try {
+      const granted = await getRolePermissions(req.user.role);
 
-    next();
+      if (!permissions.every((permission) => granted.has(permission))) {
+        return res.status(403).json({ error: 'Permissions insuffisantes' });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Erreur de vérification des permissions:', error);
+      res.status(500).json({ error: 'Erreur de vérification des permissions' });
+    }
   };
 };
 
+// Règles d'accès aux ressources : la permission `bypass` donne accès à toutes les ressources du type,
+// sinon la requête `owner` (paramètres : id de la ressource, utilisateur) doit renvoyer une ligne
+const RESOURCE_ACCESS_RULES = {
+  project: {
+    bypass: 'projects:read_all',
+    owner: {
+      sql: 'SELECT id FROM projects WHERE id = ? AND (manager_id = ? OR id IN (SELECT project_id FROM project_tasks WHERE assigned_to = ?))',
+      params: (resourceId, user) => [resourceId, user.id, user.id]
+    }
+  },
+  client: {
+    bypass: 'clients:read',
+    owner: {
+      sql: 'SELECT id FROM users WHERE id = ? AND client_id = ?',
+      params: (resourceId, user) => [user.id, resourceId]
+    }
+  },
+  invoice: {
+    bypass: 'invoices:read_all',
+    owner: {
+      sql: 'SELECT id FROM invoices WHERE id = ? AND created_by = ?',
+      params: (resourceId, user) => [resourceId, user.id]
+    }
+  }
+};
+
 // Middleware pour vérifier si l'utilisateur peut accéder à une ressource
 const checkResourceAccess = (resourceType) => {
+  const rule = RESOURCE_ACCESS_RULES[resourceType];
+
+  // Un type inconnu est une erreur de programmation, jamais un accès accordé
+  if (!rule) {
+    throw new Error(`Aucune règle d'accès définie pour la ressource ${resourceType}`);
+  }
+
   return async (req, res, next) => {
     try {
-      const resourceId = req.params.id;
-      const userId = req.user.id;
-      const userRole = req.user.role;
-
-      // Les admins peuvent accéder à tout
-      if (userRole === 'admin') {
+      if (rule.bypass && await hasPermission(req.user, rule.bypass)) {
         return next();
       }
 
       let hasAccess = false;
-
-      switch (resourceType) {
-        case 'project':
-          const projects = await query(
-            'SELECT id FROM projects WHERE id = ? AND (manager_id = ? OR id IN (SELECT project_id FROM project_tasks WHERE assigned_to = ?))',
-            [resourceId, userId, userId]
-          );
-          hasAccess = projects.length > 0;
-          break;
-
-        case 'client':
-          const clients = await query(
-            'SELECT id FROM clients WHERE id = ?',
-            [resourceId]
-          );
-          hasAccess = clients.length > 0;
-          break;
-
-        case 'invoice':
-          const invoices = await query(
-            'SELECT id FROM invoices WHERE id = ? AND created_by = ?',
-            [resourceId, userId]
-          );
-          hasAccess = invoices.length > 0;
-          break;
-
-        default:
-          hasAccess = true;
+      if (rule.owner) {
+        const rows = await query(rule.owner.sql, rule.owner.params(req.params.id, req.user));
+        hasAccess = rows.length > 0;
       }
 
       if (!hasAccess) {
@@ -99,7 +140,8 @@ const checkResourceAccess = (resourceType) => {
 };
 
 module.exports = {
+  authenticate,
   authenticateToken,
-  authorize,
+  requirePermission,
   checkResourceAccess
 };
@@ -1,19 +1,25 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const { query } = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticate, authenticateToken } = require('../middleware/auth');
+const { issueTokens, rotateRefreshToken, revokeRefreshToken, revokeUserTokens, invalidateUserSessions } = require('../services/tokens');
+const { requestPasswordReset, resetPassword } = require('../services/passwordReset');
+const {
+  isTwoFactorRequired, signTwoFactorChallenge, verifyTwoFactorChallenge, startEnrollment,
+  confirmEnrollment, verifyLogin, regenerateRecoveryCodes, disableTwoFactor
+} = require('../services/twoFactor');
+const { ServiceError } = require('../services/errors');
 
 const router = express.Router();
 
-// Inscription d'un nouvel utilisateur
+// Inscription publique : le compte créé est toujours un compte client, sans accès au portail
+// tant qu'il n'est pas rattaché à une fiche client ; les autres rôles se créent via /api/users
 router.post('/register', [
   body('email').isEmail().normalizeEmail(),
   body('password').isLength({ min: 6 }),
   body('firstName').notEmpty().trim(),
-  body('lastName').notEmpty().trim(),
-  body('role').isIn(['admin', 'manager', 'employee', 'client'])
+  body('lastName').notEmpty().trim()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -21,7 +27,7 @@ router.post('/register', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { email, password, firstName, lastName, role, department, position, phone } = req.body;
+    const { email, password, firstName, lastName, department, position, phone } = req.body;
 
     // Vérifier si l'utilisateur existe déjà
     const existingUsers = await query('SELECT id FROM users WHERE email = ?', [email]);
@@ -34,8 +40,8 @@ router.post('/register', [
 
     // Créer l'utilisateur
     const result = await query(
-      'INSERT INTO users (email, password, first_name, last_name, role, department, position, phone) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-      [email, hashedPassword, firstName, lastName, role, department, position, phone]
+      "INSERT INTO users (email, password, first_name, last_name, role, department, position, phone) VALUES (?, ?, ?, ?, 'client', ?, ?, ?)",
+      [email, hashedPassword, firstName, lastName, department, position, phone]
     );
 
     res.status(201).json({
@@ -48,7 +54,32 @@ router.post('/register', [
   }
 });
 
-// Connexion
+// Ouvrir une session : jeton d'accès, jeton de rafraîchissement et profil résumé
+const startSession = async (req, user) => {
+  const tokens = await issueTokens(user, {
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip
+  });
+
+  return {
+    message: 'Connexion réussie',
+    token: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+    refreshTokenExpiresAt: tokens.refreshTokenExpiresAt,
+    twoFactorSetupRequired: !user.two_factor_enabled && isTwoFactorRequired(user.role),
+    user: {
+      id: user.id,
+      email: user.email,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      role: user.role,
+      department: user.department,
+      position: user.position
+    }
+  };
+};
+
+// Connexion (en deux étapes si la double authentification est activée)
 router.post('/login', [
   body('email').isEmail().normalizeEmail(),
   body('password').notEmpty()
@@ -63,7 +94,7 @@ router.post('/login', [
 
     // Récupérer l'utilisateur
     const users = await query(
-      'SELECT id, email, password, first_name, last_name, role, department, position, is_active FROM users WHERE email = ?',
+      'SELECT id, email, password, first_name, last_name, role, department, position, is_active, two_factor_enabled FROM users WHERE email = ?',
       [email]
     );
 
@@ -83,37 +114,135 @@ router.post('/login', [
       return res.status(401).json({ error: 'Email ou mot de passe incorrect' });
     }
 
-    // Générer le token JWT
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRE || '7d' }
+    // Double authentification : le code est demandé à l'étape suivante
+    if (user.two_factor_enabled) {
+      return res.json({
+        message: 'Code de vérification requis',
+        twoFactorRequired: true,
+        challengeToken: signTwoFactorChallenge(user)
+      });
+    }
+
+    res.json(await startSession(req, user));
+  } catch (error) {
+    console.error('Erreur lors de la connexion:', error);
+    res.status(500).json({ error: 'Erreur lors de la connexion' });
+  }
+});
+
+// Connexion, deuxième étape : code TOTP ou code de récupération
+router.post('/login/2fa', [
+  body('challengeToken').notEmpty().isString(),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = verifyTwoFactorChallenge(challengeToken);
+    const verification = await verifyLogin(userId, { code, recoveryCode });
+
+    const users = await query(
+      'SELECT id, email, first_name, last_name, role, department, position, two_factor_enabled FROM users WHERE id = ?',
+      [verification.user.id]
     );
 
+    const session = await startSession(req, users[0]);
+    if (verification.method === 'recovery_code') {
+      session.remainingRecoveryCodes = verification.remaining_recovery_codes;
+    }
+
+    res.json(session);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de la vérification du code:', error);
+    res.status(500).json({ error: 'Erreur lors de la vérification du code' });
+  }
+});
+
+// Renouveler le jeton d'accès (rotation du jeton de rafraîchissement)
+router.post('/refresh', [
+  body('refreshToken').notEmpty().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tokens = await rotateRefreshToken(req.body.refreshToken, {
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip
+    });
+
     res.json({
-      message: 'Connexion réussie',
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        role: user.role,
-        department: user.department,
-        position: user.position
-      }
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      refreshTokenExpiresAt: tokens.refreshTokenExpiresAt
     });
   } catch (error) {
-    console.error('Erreur lors de la connexion:', error);
-    res.status(500).json({ error: 'Erreur lors de la connexion' });
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors du renouvellement du jeton:', error);
+    res.status(500).json({ error: 'Erreur lors du renouvellement du jeton' });
+  }
+});
+
+// Mot de passe oublié : la réponse est identique que l'email existe ou non
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await requestPasswordReset(req.body.email, { ipAddress: req.ip });
+
+    res.json({ message: 'Si un compte correspond à cet email, un lien de réinitialisation a été envoyé' });
+  } catch (error) {
+    console.error('Erreur lors de la demande de réinitialisation:', error);
+    res.status(500).json({ error: 'Erreur lors de la demande de réinitialisation' });
+  }
+});
+
+// Réinitialiser le mot de passe avec le jeton reçu par email
+router.post('/reset-password', [
+  body('token').notEmpty().isString(),
+  body('newPassword').isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await resetPassword(req.body.token, req.body.newPassword);
+
+    res.json({ message: 'Mot de passe réinitialisé avec succès, veuillez vous reconnecter' });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de la réinitialisation du mot de passe:', error);
+    res.status(500).json({ error: 'Erreur lors de la réinitialisation du mot de passe' });
   }
 });
 
 // Obtenir le profil de l'utilisateur connecté
-router.get('/profile', authenticateToken, async (req, res) => {
+router.get('/profile', authenticate({ allowTwoFactorSetup: true }), async (req, res) => {
   try {
     const users = await query(
-      'SELECT id, email, first_name, last_name, role, department, position, phone, address, hire_date, salary, avatar, created_at FROM users WHERE id = ?',
+      'SELECT id, email, first_name, last_name, role, department, position, phone, address, hire_date, salary, avatar, two_factor_enabled, created_at FROM users WHERE id = ?',
       [req.user.id]
     );
 
@@ -135,6 +264,8 @@ router.get('/profile', authenticateToken, async (req, res) => {
       hireDate: user.hire_date,
       salary: user.salary,
       avatar: user.avatar,
+      twoFactorEnabled: !!user.two_factor_enabled,
+      twoFactorRequired: isTwoFactorRequired(user.role),
       createdAt: user.created_at
     });
   } catch (error) {
@@ -223,19 +354,139 @@ router.put('/change-password', authenticateToken, [
     // Hasher le nouveau mot de passe
     const hashedNewPassword = await bcrypt.hash(newPassword, 10);
 
-    // Mettre à jour le mot de passe
+    // Mettre à jour le mot de passe et invalider les sessions existantes
     await query('UPDATE users SET password = ? WHERE id = ?', [hashedNewPassword, req.user.id]);
+    await invalidateUserSessions(req.user.id, 'password');
 
-    res.json({ message: 'Mot de passe mis à jour avec succès' });
+    res.json({ message: 'Mot de passe mis à jour avec succès, veuillez vous reconnecter' });
   } catch (error) {
     console.error('Erreur lors du changement de mot de passe:', error);
     res.status(500).json({ error: 'Erreur lors du changement de mot de passe' });
   }
 });
 
-// Déconnexion (côté client, on peut juste retourner un message de succès)
-router.post('/logout', authenticateToken, (req, res) => {
-  res.json({ message: 'Déconnexion réussie' });
+// Démarrer l'activation de la double authentification (secret et URI du QR code)
+router.post('/2fa/setup', authenticate({ allowTwoFactorSetup: true }), async (req, res) => {
+  try {
+    const enrollment = await startEnrollment(req.user.id);
+
+    res.json({
+      message: 'Scannez le QR code puis confirmez avec un code de vérification',
+      secret: enrollment.secret,
+      otpauthUrl: enrollment.otpauth_url
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de l\'activation de la double authentification:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'activation de la double authentification' });
+  }
+});
+
+// Confirmer l'activation avec un premier code ; les codes de récupération ne sont affichés qu'une fois
+router.post('/2fa/verify', authenticate({ allowTwoFactorSetup: true }), [
+  body('code').notEmpty().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const recoveryCodes = await confirmEnrollment(req.user.id, req.body.code);
+
+    res.json({
+      message: 'Double authentification activée avec succès',
+      recoveryCodes
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de la confirmation de la double authentification:', error);
+    res.status(500).json({ error: 'Erreur lors de la confirmation de la double authentification' });
+  }
+});
+
+// Générer de nouveaux codes de récupération
+router.post('/2fa/recovery-codes', authenticateToken, [
+  body('code').notEmpty().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user.id, req.body.code);
+
+    res.json({
+      message: 'Codes de récupération régénérés avec succès',
+      recoveryCodes
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de la génération des codes de récupération:', error);
+    res.status(500).json({ error: 'Erreur lors de la génération des codes de récupération' });
+  }
+});
+
+// Désactiver la double authentification (mot de passe et code requis)
+router.post('/2fa/disable', authenticateToken, [
+  body('password').notEmpty(),
+  body('code').notEmpty().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const users = await query('SELECT password FROM users WHERE id = ?', [req.user.id]);
+    const isValidPassword = await bcrypt.compare(req.body.password, users[0].password);
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Mot de passe incorrect' });
+    }
+
+    await disableTwoFactor(req.user.id, req.body.code);
+
+    res.json({ message: 'Double authentification désactivée avec succès' });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de la désactivation de la double authentification:', error);
+    res.status(500).json({ error: 'Erreur lors de la désactivation de la double authentification' });
+  }
+});
+
+// Déconnexion : révoque la famille du jeton de rafraîchissement, ou toutes les sessions avec all = true
+router.post('/logout', authenticate({ allowTwoFactorSetup: true }), [
+  body('refreshToken').optional().isString(),
+  body('all').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { refreshToken, all } = req.body;
+
+    if (all === true || all === 'true') {
+      await revokeUserTokens(req.user.id);
+    } else if (refreshToken) {
+      await revokeRefreshToken(refreshToken, req.user.id);
+    }
+
+    res.json({ message: 'Déconnexion réussie' });
+  } catch (error) {
+    console.error('Erreur lors de la déconnexion:', error);
+    res.status(500).json({ error: 'Erreur lors de la déconnexion' });
+  }
 });
 
 module.exports = router;
@@ -1,12 +1,12 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { query } = require('../config/database');
-const { authenticateToken, authorize } = require('../middleware/auth');
+const { authenticateToken, requirePermission, checkResourceAccess } = require('../middleware/auth');
 
 const router = express.Router();
 
 // Récupérer tous les clients
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('clients:read'), async (req, res) => {
   try {
     const { search = '', status = '', country = '' } = req.query;
 
@@ -53,7 +53,7 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Récupérer un client par ID
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, checkResourceAccess('client'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -108,8 +108,15 @@ router.get('/:id', authenticateToken, async (req, res) => {
       LIMIT 10
     `, [id]);
 
+    // Avoirs issus des trop-perçus
+    const credits = await query(
+      'SELECT COALESCE(SUM(amount), 0) as credit_balance FROM client_credits WHERE client_id = ?',
+      [id]
+    );
+
     res.json({
       ...client,
+      credit_balance: credits[0].credit_balance,
       projects,
       subscriptions,
       invoices
@@ -121,7 +128,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // Créer un nouveau client
-router.post('/', authenticateToken, authorize('admin', 'manager'), [
+router.post('/', authenticateToken, requirePermission('clients:create'), [
   body('company_name').notEmpty().trim(),
   body('email').isEmail().normalizeEmail(),
   body('contact_person').notEmpty().trim()
@@ -159,7 +166,7 @@ router.post('/', authenticateToken, authorize('admin', 'manager'), [
 });
 
 // Mettre à jour un client
-router.put('/:id', authenticateToken, [
+router.put('/:id', authenticateToken, requirePermission('clients:edit'), [
   body('company_name').optional().notEmpty().trim(),
   body('email').optional().isEmail().normalizeEmail(),
   body('contact_person').optional().notEmpty().trim(),
@@ -258,7 +265,7 @@ router.put('/:id', authenticateToken, [
 });
 
 // Suspendre un client
-router.post('/:id/suspend', authenticateToken, authorize('admin', 'manager'), async (req, res) => {
+router.post('/:id/suspend', authenticateToken, requirePermission('clients:update'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -282,7 +289,7 @@ router.post('/:id/suspend', authenticateToken, authorize('admin', 'manager'), as
 });
 
 // Réactiver un client
-router.post('/:id/reactivate', authenticateToken, authorize('admin', 'manager'), async (req, res) => {
+router.post('/:id/reactivate', authenticateToken, requirePermission('clients:update'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -306,7 +313,7 @@ router.post('/:id/reactivate', authenticateToken, authorize('admin', 'manager'),
 });
 
 // Supprimer un client
-router.delete('/:id', authenticateToken, authorize('admin', 'manager'), async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('clients:delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -337,7 +344,7 @@ router.delete('/:id', authenticateToken, authorize('admin', 'manager'), async (r
 });
 
 // Obtenir les statistiques des clients
-router.get('/stats/overview', authenticateToken, authorize('admin', 'manager'), async (req, res) => {
+router.get('/stats/overview', authenticateToken, requirePermission('clients:read_stats'), async (req, res) => {
   try {
     const stats = await query(`
       SELECT 
@@ -1,13 +1,21 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { query } = require('../config/database');
-const { authenticateToken, authorize } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { invalidateUserSessions } = require('../services/tokens');
+const { hasPermission, validateRole } = require('../services/permissions');
 const bcrypt = require('bcryptjs');
 
 const router = express.Router();
 
+// L'email et l'activation du compte d'un utilisateur au-dessus du rôle employé (manager, admin...)
+// ne se modifient qu'avec la permission de gestion des utilisateurs
+const canManageAccount = async (user, employee) => {
+  return employee.role === 'employee' || hasPermission(user, 'users:update');
+};
+
 // Récupérer tous les employés
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('employees:read'), async (req, res) => {
   try {
     const { search = '', role = '', department = '', status = '' } = req.query;
 
@@ -42,7 +50,7 @@ router.get('/', authenticateToken, async (req, res) => {
     const employees = await query(`
       SELECT 
         u.id, u.email, u.first_name, u.last_name, u.role, u.department, u.position,
-        u.phone, u.address, u.hire_date, u.salary, u.is_active, u.avatar,
+        u.phone, u.address, u.hire_date, u.salary, u.hourly_cost_rate, u.hourly_billing_rate, u.is_active, u.avatar,
         u.created_at, u.updated_at,
         COUNT(DISTINCT p.id) as project_count,
         COUNT(DISTINCT pt.id) as task_count
@@ -54,6 +62,14 @@ router.get('/', authenticateToken, async (req, res) => {
       ORDER BY u.created_at DESC
     `, queryParams);
 
+    // Les salaires et coûts horaires ne sont visibles qu'avec la permission dédiée
+    if (!(await hasPermission(req.user, 'employees:read_salary'))) {
+      employees.forEach((employee) => {
+        delete employee.salary;
+        delete employee.hourly_cost_rate;
+      });
+    }
+
     res.json(employees);
   } catch (error) {
     console.error('Erreur lors de la récupération des employés:', error);
@@ -62,7 +78,7 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Récupérer un employé par ID
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, requirePermission('employees:read'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -82,7 +98,13 @@ router.get('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Employé non trouvé' });
     }
 
-    const employee = employees[0];
+    // Ne jamais exposer les secrets d'authentification
+    const { password, two_factor_secret, two_factor_last_step, ...employee } = employees[0];
+
+    if (req.user.id !== parseInt(id) && !(await hasPermission(req.user, 'employees:read_salary'))) {
+      delete employee.salary;
+      delete employee.hourly_cost_rate;
+    }
 
     // Récupérer les projets gérés par l'employé
     const managedProjects = await query(`
@@ -120,11 +142,25 @@ router.get('/:id', authenticateToken, async (req, res) => {
       LIMIT 10
     `, [id]);
 
+    // Récupérer le matériel actuellement prêté à l'employé
+    const equipmentLoans = await query(`
+      SELECT
+        l.id, l.product_id, l.quantity, l.checked_out_at, l.due_date, l.checkout_notes,
+        p.name as product_name, p.product_code, un.serial_number,
+        (l.due_date < CURDATE()) as is_overdue
+      FROM equipment_loans l
+      JOIN products p ON l.product_id = p.id
+      LEFT JOIN equipment_units un ON l.unit_id = un.id
+      WHERE l.user_id = ? AND l.status = 'checked_out'
+      ORDER BY l.checked_out_at
+    `, [id]);
+
     res.json({
       ...employee,
       managedProjects,
       assignedTasks,
-      timeEntries
+      timeEntries,
+      equipmentLoans
     });
   } catch (error) {
     console.error('Erreur lors de la récupération de l\'employé:', error);
@@ -133,16 +169,18 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // Créer un nouvel employé
-router.post('/', authenticateToken, authorize('admin', 'manager'), [
+router.post('/', authenticateToken, requirePermission('employees:create'), [
   body('email').isEmail().normalizeEmail(),
   body('password').isLength({ min: 6 }),
   body('first_name').notEmpty().trim(),
   body('last_name').notEmpty().trim(),
-  body('role').isIn(['admin', 'manager', 'employee']),
+  body('role').custom(validateRole).not().equals('client'),
   body('department').notEmpty().trim(),
   body('position').notEmpty().trim(),
   body('hire_date').isISO8601(),
-  body('salary').isDecimal()
+  body('salary').isDecimal(),
+  body('hourly_cost_rate').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('hourly_billing_rate').optional({ nullable: true }).isFloat({ min: 0 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -152,9 +190,14 @@ router.post('/', authenticateToken, authorize('admin', 'manager'), [
 
     const { 
       email, password, first_name, last_name, role, department, position,
-      phone, address, hire_date, salary, is_active = true
+      phone, address, hire_date, salary, hourly_cost_rate, hourly_billing_rate, is_active = true
     } = req.body;
 
+    // Seul le rôle employé peut être attribué sans la permission d'attribution des rôles
+    if (role !== 'employee' && !(await hasPermission(req.user, 'users:assign_role'))) {
+      return res.status(403).json({ error: 'Permissions insuffisantes pour attribuer ce rôle' });
+    }
+
     // Vérifier si l'employé existe déjà
     const existingUsers = await query('SELECT id FROM users WHERE email = ?', [email]);
     if (existingUsers.length > 0) {
@@ -165,8 +208,8 @@ router.post('/', authenticateToken, authorize('admin', 'manager'), [
     const hashedPassword = await bcrypt.hash(password, 10);
 
     const result = await query(
-      'INSERT INTO users (email, password, first_name, last_name, role, department, position, phone, address, hire_date, salary, is_active) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-      [email, hashedPassword, first_name, last_name, role, department, position, phone, address, hire_date, salary, is_active]
+      'INSERT INTO users (email, password, first_name, last_name, role, department, position, phone, address, hire_date, salary, hourly_cost_rate, hourly_billing_rate, is_active) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [email, hashedPassword, first_name, last_name, role, department, position, phone, address, hire_date, salary, hourly_cost_rate || null, hourly_billing_rate || null, is_active]
     );
 
     res.status(201).json({
@@ -180,15 +223,17 @@ router.post('/', authenticateToken, authorize('admin', 'manager'), [
 });
 
 // Mettre à jour un employé
-router.put('/:id', authenticateToken, [
+router.put('/:id', authenticateToken, requirePermission('employees:update'), [
   body('email').optional().isEmail().normalizeEmail(),
   body('first_name').optional().notEmpty().trim(),
   body('last_name').optional().notEmpty().trim(),
-  body('role').optional().isIn(['admin', 'manager', 'employee']),
+  body('role').optional().custom(validateRole).not().equals('client'),
   body('department').optional().notEmpty().trim(),
   body('position').optional().notEmpty().trim(),
   body('hire_date').optional().isISO8601(),
   body('salary').optional().isDecimal(),
+  body('hourly_cost_rate').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('hourly_billing_rate').optional({ nullable: true }).isFloat({ min: 0 }),
   body('is_active').optional().isBoolean()
 ], async (req, res) => {
   try {
@@ -200,15 +245,31 @@ router.put('/:id', authenticateToken, [
     const { id } = req.params;
     const { 
       email, password, first_name, last_name, role, department, position,
-      phone, address, hire_date, salary, is_active
+      phone, address, hire_date, salary, hourly_cost_rate, hourly_billing_rate, is_active
     } = req.body;
 
+    // Le mot de passe ne se change que par la réinitialisation ou par son titulaire
+    if (password !== undefined) {
+      return res.status(400).json({ error: 'Le mot de passe se modifie par la réinitialisation ou le changement de mot de passe' });
+    }
+
     // Vérifier que l'employé existe
-    const existingUsers = await query('SELECT id FROM users WHERE id = ? AND role != "client"', [id]);
+    const existingUsers = await query('SELECT id, role FROM users WHERE id = ? AND role != "client"', [id]);
     if (existingUsers.length === 0) {
       return res.status(404).json({ error: 'Employé non trouvé' });
     }
 
+    if ((email || is_active !== undefined) && !(await canManageAccount(req.user, existingUsers[0]))) {
+      return res.status(403).json({ error: 'Permissions insuffisantes pour modifier le compte de cet utilisateur' });
+    }
+
+    if (role && !(await hasPermission(req.user, 'users:assign_role'))) {
+      return res.status(403).json({ error: 'Permissions insuffisantes pour modifier le rôle' });
+    }
+    if ((salary || hourly_cost_rate !== undefined) && !(await hasPermission(req.user, 'employees:update_salary'))) {
+      return res.status(403).json({ error: 'Permissions insuffisantes pour modifier le salaire' });
+    }
+
     // Vérifier l'unicité de l'email si modifié
     if (email) {
       const emailCheck = await query('SELECT id FROM users WHERE email = ? AND id != ?', [email, id]);
@@ -224,11 +285,6 @@ router.put('/:id', authenticateToken, [
       updateFields.push('email = ?');
       updateValues.push(email);
     }
-    if (password) {
-      const hashedPassword = await bcrypt.hash(password, 10);
-      updateFields.push('password = ?');
-      updateValues.push(hashedPassword);
-    }
     if (first_name) {
       updateFields.push('first_name = ?');
       updateValues.push(first_name);
@@ -265,6 +321,15 @@ router.put('/:id', authenticateToken, [
       updateFields.push('salary = ?');
       updateValues.push(salary);
     }
+    if (hourly_cost_rate !== undefined) {
+      updateFields.push('hourly_cost_rate = ?');
+      updateValues.push(hourly_cost_rate);
+    }
+    // Taux facturé au client pour le temps de l'employé (à défaut celui de son rôle)
+    if (hourly_billing_rate !== undefined) {
+      updateFields.push('hourly_billing_rate = ?');
+      updateValues.push(hourly_billing_rate);
+    }
     if (is_active !== undefined) {
       updateFields.push('is_active = ?');
       updateValues.push(is_active);
@@ -281,6 +346,11 @@ router.put('/:id', authenticateToken, [
       updateValues
     );
 
+    // Invalider les sessions de l'employé après une désactivation
+    if (is_active === false || is_active === 'false') {
+      await invalidateUserSessions(id, 'deactivation');
+    }
+
     res.json({ message: 'Employé mis à jour avec succès' });
   } catch (error) {
     console.error('Erreur lors de la mise à jour de l\'employé:', error);
@@ -289,21 +359,44 @@ router.put('/:id', authenticateToken, [
 });
 
 // Désactiver un employé
-router.post('/:id/deactivate', authenticateToken, authorize('admin', 'manager'), async (req, res) => {
+router.post('/:id/deactivate', authenticateToken, requirePermission('employees:update'), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Vérifier que l'employé existe
-    const users = await query('SELECT id, is_active FROM users WHERE id = ? AND role != "client"', [id]);
+    const users = await query('SELECT id, role, is_active FROM users WHERE id = ? AND role != "client"', [id]);
     if (users.length === 0) {
       return res.status(404).json({ error: 'Employé non trouvé' });
     }
 
+    if (!(await canManageAccount(req.user, users[0]))) {
+      return res.status(403).json({ error: 'Permissions insuffisantes pour modifier le compte de cet utilisateur' });
+    }
+
     if (!users[0].is_active) {
       return res.status(400).json({ error: 'L\'employé est déjà désactivé' });
     }
 
     await query('UPDATE users SET is_active = FALSE WHERE id = ?', [id]);
+    await invalidateUserSessions(id, 'deactivation');
+
+    // Signaler le matériel prêté qui n'a pas été rendu
+    const unreturnedEquipment = await query(`
+      SELECT l.id, l.quantity, l.due_date, p.name as product_name, un.serial_number
+      FROM equipment_loans l
+      JOIN products p ON l.product_id = p.id
+      LEFT JOIN equipment_units un ON l.unit_id = un.id
+      WHERE l.user_id = ? AND l.status = 'checked_out'
+      ORDER BY l.checked_out_at
+    `, [id]);
+
+    if (unreturnedEquipment.length > 0) {
+      return res.json({
+        message: 'Employé désactivé avec succès',
+        warning: `L'employé détient encore ${unreturnedEquipment.length} prêt(s) de matériel non rendu(s)`,
+        unreturnedEquipment
+      });
+    }
 
     res.json({ message: 'Employé désactivé avec succès' });
   } catch (error) {
@@ -313,16 +406,20 @@ router.post('/:id/deactivate', authenticateToken, authorize('admin', 'manager'),
 });
 
 // Réactiver un employé
-router.post('/:id/activate', authenticateToken, authorize('admin', 'manager'), async (req, res) => {
+router.post('/:id/activate', authenticateToken, requirePermission('employees:update'), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Vérifier que l'employé existe
-    const users = await query('SELECT id, is_active FROM users WHERE id = ? AND role != "client"', [id]);
+    const users = await query('SELECT id, role, is_active FROM users WHERE id = ? AND role != "client"', [id]);
     if (users.length === 0) {
       return res.status(404).json({ error: 'Employé non trouvé' });
     }
 
+    if (!(await canManageAccount(req.user, users[0]))) {
+      return res.status(403).json({ error: 'Permissions insuffisantes pour modifier le compte de cet utilisateur' });
+    }
+
     if (users[0].is_active) {
       return res.status(400).json({ error: 'L\'employé est déjà actif' });
     }
@@ -337,7 +434,7 @@ router.post('/:id/activate', authenticateToken, authorize('admin', 'manager'), a
 });
 
 // Supprimer un employé (seulement si pas de projets associés)
-router.delete('/:id', authenticateToken, authorize('admin'), async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('employees:delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -358,6 +455,13 @@ router.delete('/:id', authenticateToken, authorize('admin'), async (req, res) =>
       });
     }
 
+    const loans = await query('SELECT COUNT(*) as count FROM equipment_loans WHERE user_id = ?', [id]);
+    if (loans[0].count > 0) {
+      return res.status(400).json({ error: 'Impossible de supprimer l\'employé car il a des prêts de matériel' });
+    }
+
+    // Sans temps de travail, les feuilles de temps restantes sont vides
+    await query('DELETE FROM timesheets WHERE user_id = ?', [id]);
     await query('DELETE FROM users WHERE id = ?', [id]);
 
     res.json({ message: 'Employé supprimé avec succès' });
@@ -368,7 +472,7 @@ router.delete('/:id', authenticateToken, authorize('admin'), async (req, res) =>
 });
 
 // Obtenir les statistiques des employés
-router.get('/stats/overview', authenticateToken, authorize('admin', 'manager'), async (req, res) => {
+router.get('/stats/overview', authenticateToken, requirePermission('employees:read_stats'), async (req, res) => {
   try {
     const stats = await query(`
       SELECT 
@@ -1,7 +1,16 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { query } = require('../config/database');
-const { authenticateToken, authorize } = require('../middleware/auth');
+const { body, check, validationResult } = require('express-validator');
+const { query, transaction } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { getCompanySettings } = require('../services/settings');
+const { renderSaleReceiptPdf } = require('../services/pdf');
+const { generateLotNumber, receivePurchaseLot, confirmPurchaseLot, cancelPurchaseLot } = require('../services/purchasing');
+const { DEFAULT_SALES_WINDOW_DAYS, getReorderSuggestions, createDraftPurchaseLots } = require('../services/replenishment');
+const { createSale, returnSaleItems, voidSale } = require('../services/sales');
+const { getInventoryValuation, getGrossMarginReport } = require('../services/costing');
+const { ADJUSTMENT_REASONS, adjustStock, resolveWarehouseId, lockWarehouseStock } = require('../services/stock');
+const { roundAmount } = require('../services/money');
+const { ServiceError } = require('../services/errors');
 
 const router = express.Router();
 
@@ -28,29 +37,6 @@ const generateProductCode = async (categoryId = null) => {
   }
 };
 
-// Fonction pour générer un numéro de lot
-const generateLotNumber = async () => {
-  try {
-    const year = new Date().getFullYear();
-    const lastLot = await query(
-      'SELECT lot_number FROM purchase_lots WHERE lot_number LIKE ? ORDER BY lot_number DESC LIMIT 1',
-      [`LOT${year}%`]
-    );
-    
-    let nextNumber = 1;
-    if (lastLot.length > 0) {
-      const lastCode = lastLot[0].lot_number;
-      const lastNumber = parseInt(lastCode.replace(`LOT${year}`, '')) || 0;
-      nextNumber = lastNumber + 1;
-    }
-    
-    return `LOT${year}${String(nextNumber).padStart(4, '0')}`;
-  } catch (error) {
-    console.error('Erreur lors de la génération du numéro de lot:', error);
-    return `LOT${Date.now()}`;
-  }
-};
-
 // Fonction pour générer un numéro de vente
 const generateSaleNumber = async () => {
   try {
@@ -77,7 +63,7 @@ const generateSaleNumber = async () => {
 // ===== CATÉGORIES =====
 
 // GET all categories
-router.get('/categories', authenticateToken, async (req, res) => {
+router.get('/categories', authenticateToken, requirePermission('equipment:read'), async (req, res) => {
   try {
     const categories = await query(`
       SELECT c.*, 
@@ -98,7 +84,7 @@ router.get('/categories', authenticateToken, async (req, res) => {
 });
 
 // POST create category
-router.post('/categories', authenticateToken, authorize('admin', 'manager'), [
+router.post('/categories', authenticateToken, requirePermission('equipment:manage'), [
   body('name').notEmpty().trim().withMessage('Le nom de la catégorie est requis'),
   body('parent_id').optional().isInt()
 ], async (req, res) => {
@@ -128,7 +114,7 @@ router.post('/categories', authenticateToken, authorize('admin', 'manager'), [
 // ===== FOURNISSEURS =====
 
 // GET all suppliers
-router.get('/suppliers', authenticateToken, async (req, res) => {
+router.get('/suppliers', authenticateToken, requirePermission('equipment:read'), async (req, res) => {
   try {
     const { search = '', status = '' } = req.query;
 
@@ -169,7 +155,7 @@ router.get('/suppliers', authenticateToken, async (req, res) => {
 });
 
 // POST create supplier
-router.post('/suppliers', authenticateToken, authorize('admin', 'manager'), [
+router.post('/suppliers', authenticateToken, requirePermission('equipment:manage'), [
   body('name').notEmpty().trim().withMessage('Le nom du fournisseur est requis'),
   body('email').optional().isEmail().withMessage('Email invalide')
 ], async (req, res) => {
@@ -204,7 +190,7 @@ router.post('/suppliers', authenticateToken, authorize('admin', 'manager'), [
 });
 
 // POST rate supplier
-router.post('/suppliers/:id/rate', authenticateToken, [
+router.post('/suppliers/:id/rate', authenticateToken, requirePermission('equipment:read'), [
   body('rating').isInt({ min: 1, max: 5 }).withMessage('La note doit être entre 1 et 5'),
   body('criteria').isIn(['quality', 'delivery', 'price', 'service', 'overall']).withMessage('Critère invalide')
 ], async (req, res) => {
@@ -246,9 +232,9 @@ router.post('/suppliers/:id/rate', authenticateToken, [
 // ===== PRODUITS =====
 
 // GET all products
-router.get('/products', authenticateToken, async (req, res) => {
+router.get('/products', authenticateToken, requirePermission('equipment:read'), async (req, res) => {
   try {
-    const { search = '', category_id = '', supplier_id = '', low_stock = '' } = req.query;
+    const { search = '', category_id = '', supplier_id = '', warehouse_id = '', low_stock = '' } = req.query;
 
     let whereConditions = ['1=1'];
     let queryParams = [];
@@ -268,6 +254,11 @@ router.get('/products', authenticateToken, async (req, res) => {
       queryParams.push(supplier_id);
     }
 
+    if (warehouse_id) {
+      whereConditions.push('EXISTS (SELECT 1 FROM product_stocks ps WHERE ps.product_id = p.id AND ps.warehouse_id = ? AND ps.quantity <> 0)');
+      queryParams.push(warehouse_id);
+    }
+
     if (low_stock === 'true') {
       whereConditions.push('p.current_stock <= p.min_stock_level');
     }
@@ -290,7 +281,42 @@ router.get('/products', authenticateToken, async (req, res) => {
       ORDER BY p.name
     `, queryParams);
 
-    res.json(products);
+    // current_stock est le stock total ; on y joint le détail par dépôt, les quantités en transit et prêtées
+    const warehouseStocks = await query(`
+      SELECT ps.product_id, w.id as warehouse_id, w.code as warehouse_code, w.name as warehouse_name, ps.quantity
+      FROM product_stocks ps
+      JOIN warehouses w ON ps.warehouse_id = w.id
+      WHERE ps.quantity <> 0
+      ORDER BY w.name
+    `);
+
+    const inTransit = await query(`
+      SELECT sti.product_id, SUM(sti.quantity) as quantity
+      FROM stock_transfer_items sti
+      JOIN stock_transfers st ON sti.transfer_id = st.id
+      WHERE st.status = 'shipped'
+      GROUP BY sti.product_id
+    `);
+
+    const onLoan = await query(`
+      SELECT product_id, SUM(quantity) as quantity
+      FROM equipment_loans
+      WHERE status = 'checked_out'
+      GROUP BY product_id
+    `);
+
+    res.json(products.map((product) => {
+      const transit = inTransit.find((row) => row.product_id === product.id);
+      const loaned = onLoan.find((row) => row.product_id === product.id);
+      return {
+        ...product,
+        stock_by_warehouse: warehouseStocks
+          .filter((row) => row.product_id === product.id)
+          .map(({ product_id, ...row }) => row),
+        in_transit: transit ? Number(transit.quantity) : 0,
+        on_loan: loaned ? Number(loaned.quantity) : 0
+      };
+    }));
   } catch (error) {
     console.error('Erreur lors de la récupération des produits:', error);
     res.status(500).json({ error: 'Erreur lors de la récupération des produits' });
@@ -298,10 +324,11 @@ router.get('/products', authenticateToken, async (req, res) => {
 });
 
 // POST create product
-router.post('/products', authenticateToken, authorize('admin', 'manager'), [
+router.post('/products', authenticateToken, requirePermission('equipment:manage'), [
   body('name').notEmpty().trim().withMessage('Le nom du produit est requis'),
   body('cost_price').isFloat({ min: 0 }).withMessage('Le prix de revient doit être positif'),
-  body('selling_price').isFloat({ min: 0 }).withMessage('Le prix de vente doit être positif')
+  body('selling_price').isFloat({ min: 0 }).withMessage('Le prix de vente doit être positif'),
+  body('is_serialized').optional().isBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -312,7 +339,7 @@ router.post('/products', authenticateToken, authorize('admin', 'manager'), [
     const {
       name, description, category_id, brand, model, sku, barcode,
       unit_type, cost_price, selling_price, min_stock_level, max_stock_level,
-      weight, dimensions, color, size, supplier_id
+      weight, dimensions, color, size, supplier_id, is_serialized
     } = req.body;
 
     // Générer le code produit automatiquement
@@ -320,11 +347,11 @@ router.post('/products', authenticateToken, authorize('admin', 'manager'), [
 
     const result = await query(
       `INSERT INTO products (product_code, name, description, category_id, brand, model, sku, barcode,
-                            unit_type, cost_price, selling_price, min_stock_level, max_stock_level,
+                            is_serialized, unit_type, cost_price, selling_price, min_stock_level, max_stock_level,
                             weight, dimensions, color, size, supplier_id)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [productCode, name, description || null, category_id || null, brand || null, model || null,
-       sku || null, barcode || null, unit_type || 'piece', cost_price, selling_price,
+       sku || null, barcode || null, !!is_serialized, unit_type || 'piece', cost_price, selling_price,
        min_stock_level || 0, max_stock_level || 1000, weight || null, dimensions || null,
        color || null, size || null, supplier_id || null]
     );
@@ -340,12 +367,82 @@ router.post('/products', authenticateToken, authorize('admin', 'manager'), [
   }
 });
 
+// POST adjust product stock with a reason code
+router.post('/products/:id/adjust-stock', authenticateToken, requirePermission('inventory:manage'), [
+  body('warehouse_id').optional({ nullable: true }).isInt().withMessage('Dépôt invalide'),
+  body('quantity').isInt().not().equals('0').withMessage('La quantité doit être un entier non nul'),
+  body('reason_code').isIn(ADJUSTMENT_REASONS).withMessage('Motif invalide'),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const quantity = parseInt(req.body.quantity);
+
+    const result = await transaction(async (connection) => {
+      const [products] = await connection.execute(
+        'SELECT id, current_stock, is_serialized FROM products WHERE id = ? FOR UPDATE',
+        [id]
+      );
+
+      if (products.length === 0) {
+        throw new ServiceError('Produit non trouvé', 404);
+      }
+
+      // Le stock d'un produit sérialisé suit le statut de ses unités
+      if (products[0].is_serialized) {
+        throw new ServiceError('Produit suivi par numéro de série : changez le statut des unités concernées');
+      }
+
+      const warehouseId = await resolveWarehouseId(connection, req.body.warehouse_id || null);
+      const stock = await lockWarehouseStock(connection, warehouseId, [products[0].id]);
+      const warehouseStock = stock.get(products[0].id);
+
+      if (warehouseStock + quantity < 0) {
+        throw new ServiceError(`Le stock du dépôt ne peut pas devenir négatif (stock actuel : ${warehouseStock})`);
+      }
+
+      const value = await adjustStock(connection, {
+        productId: products[0].id,
+        warehouseId,
+        quantity,
+        reasonCode: req.body.reason_code,
+        referenceType: 'manual_adjustment',
+        notes: req.body.notes || null,
+        userId: req.user.id
+      });
+
+      return {
+        warehouse_id: warehouseId,
+        warehouse_stock: warehouseStock + quantity,
+        current_stock: products[0].current_stock + quantity,
+        variance_value: value
+      };
+    });
+
+    res.json({
+      message: 'Stock ajusté avec succès',
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de l\'ajustement du stock:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'ajustement du stock' });
+  }
+});
+
 // ===== LOTS D'ACHAT =====
 
 // GET all purchase lots
-router.get('/purchase-lots', authenticateToken, async (req, res) => {
+router.get('/purchase-lots', authenticateToken, requirePermission('equipment:read'), async (req, res) => {
   try {
-    const { search = '', status = '', supplier_id = '' } = req.query;
+    const { search = '', status = '', supplier_id = '', warehouse_id = '', project_id = '' } = req.query;
 
     let whereConditions = ['1=1'];
     let queryParams = [];
@@ -365,16 +462,30 @@ router.get('/purchase-lots', authenticateToken, async (req, res) => {
       queryParams.push(supplier_id);
     }
 
+    if (warehouse_id) {
+      whereConditions.push('pl.warehouse_id = ?');
+      queryParams.push(warehouse_id);
+    }
+
+    if (project_id) {
+      whereConditions.push('pl.project_id = ?');
+      queryParams.push(project_id);
+    }
+
     const whereClause = whereConditions.join(' AND ');
 
     const lots = await query(`
       SELECT pl.*, 
              s.name as supplier_name,
+             w.name as warehouse_name,
+             proj.name as project_name,
              COUNT(pli.id) as item_count,
              SUM(pli.quantity_ordered) as total_quantity_ordered,
              SUM(pli.quantity_received) as total_quantity_received
       FROM purchase_lots pl
       JOIN suppliers s ON pl.supplier_id = s.id
+      LEFT JOIN warehouses w ON pl.warehouse_id = w.id
+      LEFT JOIN projects proj ON pl.project_id = proj.id
       LEFT JOIN purchase_lot_items pli ON pl.id = pli.lot_id
       WHERE ${whereClause}
       GROUP BY pl.id
@@ -389,9 +500,11 @@ router.get('/purchase-lots', authenticateToken, async (req, res) => {
 });
 
 // POST create purchase lot
-router.post('/purchase-lots', authenticateToken, authorize('admin', 'manager'), [
+router.post('/purchase-lots', authenticateToken, requirePermission('equipment:manage'), [
   body('supplier_id').isInt().withMessage('Le fournisseur est requis'),
   body('purchase_date').isISO8601().withMessage('La date d\'achat est requise'),
+  body('warehouse_id').optional({ nullable: true }).isInt().withMessage('Dépôt invalide'),
+  body('project_id').optional({ nullable: true }).isInt().withMessage('Projet invalide'),
   body('items').isArray().withMessage('Les articles sont requis')
 ], async (req, res) => {
   try {
@@ -401,9 +514,25 @@ router.post('/purchase-lots', authenticateToken, authorize('admin', 'manager'),
     }
 
     const {
-      supplier_id, purchase_date, expected_delivery_date, notes, items
+      supplier_id, purchase_date, expected_delivery_date, warehouse_id, project_id, notes, items
     } = req.body;
 
+    // Dépôt de réception prévu (le dépôt par défaut si aucun n'est précisé)
+    if (warehouse_id) {
+      const warehouses = await query('SELECT id FROM warehouses WHERE id = ? AND is_active = TRUE', [warehouse_id]);
+      if (warehouses.length === 0) {
+        return res.status(400).json({ error: 'Dépôt non trouvé ou inactif' });
+      }
+    }
+
+    // Projet auquel le matériel acheté est imputé
+    if (project_id) {
+      const projects = await query('SELECT id FROM projects WHERE id = ?', [project_id]);
+      if (projects.length === 0) {
+        return res.status(400).json({ error: 'Projet non trouvé' });
+      }
+    }
+
     // Générer le numéro de lot
     const lotNumber = await generateLotNumber();
 
@@ -411,10 +540,10 @@ router.post('/purchase-lots', authenticateToken, authorize('admin', 'manager'),
     const totalAmount = items.reduce((sum, item) => sum + (item.quantity_ordered * item.unit_cost), 0);
 
     const result = await query(
-      `INSERT INTO purchase_lots (lot_number, supplier_id, purchase_date, expected_delivery_date, 
+      `INSERT INTO purchase_lots (lot_number, supplier_id, warehouse_id, project_id, purchase_date, expected_delivery_date, 
                                  total_amount, notes, created_by)
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [lotNumber, supplier_id, purchase_date, expected_delivery_date || null,
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [lotNumber, supplier_id, warehouse_id || null, project_id || null, purchase_date, expected_delivery_date || null,
        totalAmount, notes || null, req.user.id]
     );
 
@@ -443,12 +572,209 @@ router.post('/purchase-lots', authenticateToken, authorize('admin', 'manager'),
   }
 });
 
+// GET purchase lot with items and receipts
+router.get('/purchase-lots/:id', authenticateToken, requirePermission('equipment:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const lots = await query(`
+      SELECT pl.*, s.name as supplier_name, w.name as warehouse_name, proj.name as project_name
+      FROM purchase_lots pl
+      JOIN suppliers s ON pl.supplier_id = s.id
+      LEFT JOIN warehouses w ON pl.warehouse_id = w.id
+      LEFT JOIN projects proj ON pl.project_id = proj.id
+      WHERE pl.id = ?
+    `, [id]);
+
+    if (lots.length === 0) {
+      return res.status(404).json({ error: 'Lot d\'achat non trouvé' });
+    }
+
+    const items = await query(`
+      SELECT pli.*, p.name as product_name, p.product_code,
+             GREATEST(pli.quantity_ordered - pli.quantity_received, 0) as quantity_remaining
+      FROM purchase_lot_items pli
+      JOIN products p ON pli.product_id = p.id
+      WHERE pli.lot_id = ?
+      ORDER BY pli.id
+    `, [id]);
+
+    const receipts = await query(`
+      SELECT pr.*, w.name as warehouse_name,
+             u.first_name as received_by_first_name, u.last_name as received_by_last_name
+      FROM purchase_receipts pr
+      LEFT JOIN warehouses w ON pr.warehouse_id = w.id
+      LEFT JOIN users u ON pr.received_by = u.id
+      WHERE pr.lot_id = ?
+      ORDER BY pr.created_at, pr.id
+    `, [id]);
+
+    const receiptItems = await query(`
+      SELECT pri.*
+      FROM purchase_receipt_items pri
+      JOIN purchase_receipts pr ON pri.receipt_id = pr.id
+      WHERE pr.lot_id = ?
+      ORDER BY pri.id
+    `, [id]);
+
+    res.json({
+      ...lots[0],
+      items,
+      receipts: receipts.map((receipt) => ({
+        ...receipt,
+        items: receiptItems.filter((item) => item.receipt_id === receipt.id)
+      }))
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération du lot d\'achat:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération du lot d\'achat' });
+  }
+});
+
+// POST receive purchase lot (full or partial, per line)
+router.post('/purchase-lots/:id/receive', authenticateToken, requirePermission('equipment:manage'), [
+  body('items').isArray({ min: 1 }).withMessage('Les articles reçus sont requis'),
+  body('items.*.item_id').isInt().withMessage('L\'article du lot est requis'),
+  body('items.*.quantity_received').optional().isInt({ min: 0 }).withMessage('Quantité reçue invalide'),
+  body('items.*.quantity_damaged').optional().isInt({ min: 0 }).withMessage('Quantité endommagée invalide'),
+  body('items.*.expiry_date').optional({ nullable: true }).isISO8601().withMessage('Date d\'expiration invalide'),
+  body('items.*.serial_number').optional({ nullable: true }).trim().isLength({ max: 100 }),
+  body('items.*.serial_numbers').optional().isArray().withMessage('Numéros de série invalides'),
+  body('received_date').optional().isISO8601().withMessage('Date de réception invalide'),
+  body('warehouse_id').optional({ nullable: true }).isInt().withMessage('Dépôt invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { items, received_date, warehouse_id, notes } = req.body;
+
+    const result = await transaction((connection) =>
+      receivePurchaseLot(connection, req.params.id, {
+        items,
+        receivedDate: received_date,
+        warehouseId: warehouse_id || null,
+        notes: notes || null
+      }, { userId: req.user.id })
+    );
+
+    res.status(201).json({
+      message: result.status === 'received'
+        ? 'Lot d\'achat entièrement réceptionné'
+        : 'Réception partielle enregistrée',
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de la réception du lot d\'achat:', error);
+    res.status(500).json({ error: 'Erreur lors de la réception du lot d\'achat' });
+  }
+});
+
+// POST confirm draft purchase lot
+router.post('/purchase-lots/:id/confirm', authenticateToken, requirePermission('equipment:manage'), async (req, res) => {
+  try {
+    const status = await transaction((connection) => confirmPurchaseLot(connection, req.params.id));
+
+    res.json({ message: 'Lot d\'achat confirmé', status });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de la confirmation du lot d\'achat:', error);
+    res.status(500).json({ error: 'Erreur lors de la confirmation du lot d\'achat' });
+  }
+});
+
+// POST cancel purchase lot
+router.post('/purchase-lots/:id/cancel', authenticateToken, requirePermission('equipment:manage'), async (req, res) => {
+  try {
+    const status = await transaction((connection) => cancelPurchaseLot(connection, req.params.id));
+
+    res.json({ message: 'Lot d\'achat annulé', status });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de l\'annulation du lot d\'achat:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'annulation du lot d\'achat' });
+  }
+});
+
+// ===== RÉAPPROVISIONNEMENT =====
+
+// GET reorder suggestions grouped by supplier
+router.get('/reorder-suggestions', authenticateToken, requirePermission('equipment:manage'), [
+  check('days').optional().isInt({ min: 1, max: 365 }).withMessage('Période de ventes invalide'),
+  check('supplier_id').optional().isInt().withMessage('Fournisseur invalide'),
+  check('category_id').optional().isInt().withMessage('Catégorie invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const suggestions = await getReorderSuggestions({
+      supplierId: req.query.supplier_id || null,
+      categoryId: req.query.category_id || null,
+      days: parseInt(req.query.days) || DEFAULT_SALES_WINDOW_DAYS
+    });
+
+    res.json(suggestions);
+  } catch (error) {
+    console.error('Erreur lors du calcul des propositions de réapprovisionnement:', error);
+    res.status(500).json({ error: 'Erreur lors du calcul des propositions de réapprovisionnement' });
+  }
+});
+
+// POST turn approved suggestions into draft purchase lots (one per supplier)
+router.post('/reorder-suggestions/purchase-lots', authenticateToken, requirePermission('equipment:manage'), [
+  body('items').isArray({ min: 1 }).withMessage('Les propositions retenues sont requises'),
+  body('items.*.product_id').isInt().withMessage('Le produit est requis'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('La quantité doit être un entier positif'),
+  body('items.*.unit_cost').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Coût unitaire invalide'),
+  body('items.*.supplier_id').optional({ nullable: true }).isInt().withMessage('Fournisseur invalide'),
+  body('warehouse_id').optional({ nullable: true }).isInt().withMessage('Dépôt invalide'),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const lots = await transaction((connection) =>
+      createDraftPurchaseLots(connection, req.body.items, {
+        warehouseId: req.body.warehouse_id || null,
+        notes: req.body.notes || null,
+        userId: req.user.id
+      })
+    );
+
+    res.status(201).json({
+      message: `${lots.length} lot(s) d'achat créé(s) en brouillon`,
+      lots
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de la création des lots d\'achat en brouillon:', error);
+    res.status(500).json({ error: 'Erreur lors de la création des lots d\'achat en brouillon' });
+  }
+});
+
 // ===== POINT DE VENTE =====
 
 // GET all sales
-router.get('/sales', authenticateToken, async (req, res) => {
+router.get('/sales', authenticateToken, requirePermission('sales:read'), async (req, res) => {
   try {
-    const { search = '', status = '', date_from = '', date_to = '' } = req.query;
+    const { search = '', status = '', warehouse_id = '', date_from = '', date_to = '' } = req.query;
 
     let whereConditions = ['1=1'];
     let queryParams = [];
@@ -463,6 +789,11 @@ router.get('/sales', authenticateToken, async (req, res) => {
       queryParams.push(status);
     }
 
+    if (warehouse_id) {
+      whereConditions.push('s.warehouse_id = ?');
+      queryParams.push(warehouse_id);
+    }
+
     if (date_from) {
       whereConditions.push('DATE(s.created_at) >= ?');
       queryParams.push(date_from);
@@ -477,12 +808,19 @@ router.get('/sales', authenticateToken, async (req, res) => {
 
     const sales = await query(`
       SELECT s.*, 
+             w.name as warehouse_name,
              u.first_name as created_by_first_name,
              u.last_name as created_by_last_name,
-             COUNT(si.id) as item_count
+             COUNT(si.id) as item_count,
+             COALESCE(refunds.amount, 0) as refunded_amount,
+             s.total_amount - COALESCE(refunds.amount, 0) as net_amount
       FROM sales s
+      LEFT JOIN warehouses w ON s.warehouse_id = w.id
       LEFT JOIN users u ON s.created_by = u.id
       LEFT JOIN sale_items si ON s.id = si.sale_id
+      LEFT JOIN (
+        SELECT sale_id, SUM(refund_amount) as amount FROM sale_returns GROUP BY sale_id
+      ) refunds ON refunds.sale_id = s.id
       WHERE ${whereClause}
       GROUP BY s.id
       ORDER BY s.created_at DESC
@@ -496,8 +834,15 @@ router.get('/sales', authenticateToken, async (req, res) => {
 });
 
 // POST create sale
-router.post('/sales', authenticateToken, [
-  body('items').isArray().withMessage('Les articles sont requis'),
+router.post('/sales', authenticateToken, requirePermission('sales:create'), [
+  body('items').isArray({ min: 1 }).withMessage('Les articles sont requis'),
+  body('items.*.product_id').isInt().withMessage('Le produit est requis'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('La quantité doit être un entier positif'),
+  body('items.*.discount_percent').optional().isFloat({ min: 0, max: 100 }).withMessage('Remise invalide'),
+  body('items.*.serial_numbers').optional().isArray().withMessage('Numéros de série invalides'),
+  body('tax_rate').optional().isFloat({ min: 0 }).withMessage('Taux de taxe invalide'),
+  body('discount_amount').optional().isFloat({ min: 0 }).withMessage('Remise invalide'),
+  body('warehouse_id').optional({ nullable: true }).isInt().withMessage('Dépôt invalide'),
   body('payment_method').isIn(['cash', 'card', 'check', 'transfer', 'other']).withMessage('Méthode de paiement invalide')
 ], async (req, res) => {
   try {
@@ -506,80 +851,218 @@ router.post('/sales', authenticateToken, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const {
-      customer_name, customer_email, customer_phone, items, subtotal, tax_rate,
-      tax_amount, discount_amount, total_amount, payment_method, payment_reference, notes
-    } = req.body;
-
     // Générer le numéro de vente
     const saleNumber = await generateSaleNumber();
 
-    const result = await query(
-      `INSERT INTO sales (sale_number, customer_name, customer_email, customer_phone,
-                         subtotal, tax_rate, tax_amount, discount_amount, total_amount,
-                         payment_method, payment_reference, notes, created_by)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [saleNumber, customer_name || null, customer_email || null, customer_phone || null,
-       subtotal, tax_rate || 0, tax_amount || 0, discount_amount || 0, total_amount,
-       payment_method, payment_reference || null, notes || null, req.user.id]
+    // Prix, remises, taxe et totaux sont recalculés à partir du catalogue
+    const result = await transaction((connection) =>
+      createSale(connection, saleNumber, req.body, { userId: req.user.id })
     );
 
-    const saleId = result.insertId;
+    res.status(201).json({
+      message: result.backorders.length > 0
+        ? 'Vente enregistrée, certains articles sont en rupture de stock'
+        : 'Vente enregistrée avec succès',
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de l\'enregistrement de la vente:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'enregistrement de la vente' });
+  }
+});
 
-    // Ajouter les articles de vente
-    for (const item of items) {
-      await query(
-        `INSERT INTO sale_items (sale_id, product_id, quantity, unit_price, 
-                                discount_percent, discount_amount, total_price)
-         VALUES (?, ?, ?, ?, ?, ?, ?)`,
-        [saleId, item.product_id, item.quantity, item.unit_price,
-         item.discount_percent || 0, item.discount_amount || 0, item.total_price]
-      );
+// GET sale returns and refunds
+router.get('/sales/:id/returns', authenticateToken, requirePermission('sales:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
 
-      // Mettre à jour le stock
-      await query(
-        'UPDATE products SET current_stock = current_stock - ? WHERE id = ?',
-        [item.quantity, item.product_id]
-      );
+    const sales = await query('SELECT id, total_amount FROM sales WHERE id = ?', [id]);
+    if (sales.length === 0) {
+      return res.status(404).json({ error: 'Vente non trouvée' });
+    }
 
-      // Enregistrer le mouvement de stock
-      await query(
-        `INSERT INTO stock_movements (product_id, movement_type, quantity, unit_cost, 
-                                     total_cost, reference_type, reference_id, created_by)
-         VALUES (?, 'out', ?, ?, ?, 'sale', ?, ?)`,
-        [item.product_id, item.quantity, item.unit_price, item.total_price, saleId, req.user.id]
-      );
+    const returns = await query(`
+      SELECT sr.*, u.first_name as created_by_first_name, u.last_name as created_by_last_name
+      FROM sale_returns sr
+      LEFT JOIN users u ON sr.created_by = u.id
+      WHERE sr.sale_id = ?
+      ORDER BY sr.created_at, sr.id
+    `, [id]);
+
+    const returnItems = await query(`
+      SELECT sri.*, p.name as product_name, p.product_code
+      FROM sale_return_items sri
+      JOIN sale_returns sr ON sri.return_id = sr.id
+      JOIN products p ON sri.product_id = p.id
+      WHERE sr.sale_id = ?
+      ORDER BY sri.id
+    `, [id]);
+
+    const refundedAmount = returns.reduce((sum, saleReturn) => sum + parseFloat(saleReturn.refund_amount), 0);
+
+    res.json({
+      total_amount: sales[0].total_amount,
+      refunded_amount: roundAmount(refundedAmount),
+      net_amount: roundAmount(parseFloat(sales[0].total_amount) - refundedAmount),
+      returns: returns.map((saleReturn) => ({
+        ...saleReturn,
+        items: returnItems.filter((item) => item.return_id === saleReturn.id)
+      }))
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des retours:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des retours' });
+  }
+});
+
+// POST return sale items (full or partial, per line) and refund
+router.post('/sales/:id/returns', authenticateToken, requirePermission('sales:refund'), [
+  body('items').isArray({ min: 1 }).withMessage('Les lignes retournées sont requises'),
+  body('items.*.sale_item_id').isInt().withMessage('La ligne de vente est requise'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('La quantité doit être un entier positif'),
+  body('items.*.serial_numbers').optional().isArray().withMessage('Numéros de série invalides'),
+  body('refund_method').optional().isIn(['cash', 'card', 'check', 'transfer', 'other']).withMessage('Méthode de remboursement invalide'),
+  body('refund_reference').optional().trim().isLength({ max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
+    const { items, refund_method, refund_reference, reason } = req.body;
+
+    const result = await transaction((connection) =>
+      returnSaleItems(connection, req.params.id, {
+        items,
+        refundMethod: refund_method,
+        refundReference: refund_reference || null,
+        reason: reason || null
+      }, { userId: req.user.id })
+    );
+
     res.status(201).json({
-      message: 'Vente enregistrée avec succès',
-      saleId: saleId,
-      saleNumber: saleNumber
+      message: 'Retour enregistré avec succès',
+      ...result
     });
   } catch (error) {
-    console.error('Erreur lors de l\'enregistrement de la vente:', error);
-    res.status(500).json({ error: 'Erreur lors de l\'enregistrement de la vente' });
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de l\'enregistrement du retour:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'enregistrement du retour' });
+  }
+});
+
+// POST void a same-day sale
+router.post('/sales/:id/void', authenticateToken, requirePermission('sales:refund'), [
+  body('refund_method').optional().isIn(['cash', 'card', 'check', 'transfer', 'other']).withMessage('Méthode de remboursement invalide'),
+  body('refund_reference').optional().trim().isLength({ max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { refund_method, refund_reference, reason } = req.body;
+
+    const result = await transaction((connection) =>
+      voidSale(connection, req.params.id, {
+        refundMethod: refund_method,
+        refundReference: refund_reference || null,
+        reason: reason || null
+      }, { userId: req.user.id })
+    );
+
+    res.json({
+      message: 'Vente annulée',
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de l\'annulation de la vente:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'annulation de la vente' });
+  }
+});
+
+// GET sale receipt as PDF
+router.get('/sales/:id/pdf', authenticateToken, requirePermission('sales:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const sales = await query(`
+      SELECT s.*,
+             u.first_name as created_by_first_name,
+             u.last_name as created_by_last_name
+      FROM sales s
+      LEFT JOIN users u ON s.created_by = u.id
+      WHERE s.id = ?
+    `, [id]);
+
+    if (sales.length === 0) {
+      return res.status(404).json({ error: 'Vente non trouvée' });
+    }
+
+    const items = await query(`
+      SELECT si.*, p.name as product_name, p.product_code
+      FROM sale_items si
+      JOIN products p ON si.product_id = p.id
+      WHERE si.sale_id = ?
+      ORDER BY si.id
+    `, [id]);
+
+    const returns = await query(`
+      SELECT id, return_type, refund_amount, refund_method, refund_reference, created_at
+      FROM sale_returns
+      WHERE sale_id = ?
+      ORDER BY created_at, id
+    `, [id]);
+
+    const sale = { ...sales[0], items, returns };
+    const settings = await getCompanySettings();
+
+    const pdf = await renderSaleReceiptPdf(sale, settings);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${sale.sale_number}.pdf"`);
+    res.end(pdf);
+  } catch (error) {
+    console.error('Erreur lors de la génération du reçu de vente:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: 'Erreur lors de la génération du reçu de vente' });
   }
 });
 
 // ===== STATISTIQUES =====
 
 // GET equipment statistics
-router.get('/stats/overview', authenticateToken, authorize('admin', 'manager'), async (req, res) => {
+router.get('/stats/overview', authenticateToken, requirePermission('equipment:read_stats'), async (req, res) => {
   try {
     const stats = await query(`
       SELECT
         (SELECT COUNT(*) FROM products WHERE is_active = 1) as total_products,
         (SELECT COUNT(*) FROM products WHERE current_stock <= min_stock_level AND is_active = 1) as low_stock_products,
         (SELECT COUNT(*) FROM suppliers WHERE status = 'active') as active_suppliers,
-        (SELECT COUNT(*) FROM purchase_lots WHERE status = 'pending') as pending_orders,
-        (SELECT SUM(current_stock * cost_price) FROM products WHERE is_active = 1) as total_inventory_value,
+        (SELECT COUNT(*) FROM purchase_lots WHERE status IN ('pending', 'partially_received')) as pending_orders,
+        (SELECT COUNT(*) FROM purchase_lots WHERE status = 'draft') as draft_orders,
+        (SELECT SUM(l.quantity_remaining * l.unit_cost) FROM stock_cost_layers l JOIN products p ON l.product_id = p.id WHERE p.is_active = 1) as total_inventory_value,
         (SELECT SUM(total_amount) FROM sales WHERE status = 'completed' AND DATE(created_at) = CURDATE()) as today_sales,
-        (SELECT SUM(total_amount) FROM sales WHERE status = 'completed' AND MONTH(created_at) = MONTH(CURDATE()) AND YEAR(created_at) = YEAR(CURDATE())) as month_sales
+        (SELECT SUM(total_amount) FROM sales WHERE status = 'completed' AND MONTH(created_at) = MONTH(CURDATE()) AND YEAR(created_at) = YEAR(CURDATE())) as month_sales,
+        (SELECT SUM(refund_amount) FROM sale_returns WHERE return_type = 'return' AND DATE(created_at) = CURDATE()) as today_returns,
+        (SELECT SUM(refund_amount) FROM sale_returns WHERE return_type = 'return' AND MONTH(created_at) = MONTH(CURDATE()) AND YEAR(created_at) = YEAR(CURDATE())) as month_returns,
+        (SELECT COUNT(*) FROM sale_returns WHERE return_type = 'return' AND MONTH(created_at) = MONTH(CURDATE()) AND YEAR(created_at) = YEAR(CURDATE())) as month_return_count
     `);
 
     const topProducts = await query(`
-      SELECT p.name, p.product_code, SUM(si.quantity) as total_sold, SUM(si.total_price) as total_revenue
+      SELECT p.name, p.product_code, SUM(si.quantity - si.quantity_returned) as total_sold, SUM(si.total_price) as total_revenue
       FROM products p
       JOIN sale_items si ON p.id = si.product_id
       JOIN sales s ON si.sale_id = s.id
@@ -608,4 +1091,46 @@ router.get('/stats/overview', authenticateToken, authorize('admin', 'manager'),
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// ===== RAPPORTS =====
+
+// GET inventory valuation at a date
+router.get('/reports/valuation', authenticateToken, requirePermission('equipment:read_stats'), [
+  check('as_of').optional().isISO8601().withMessage('Date invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const valuation = await getInventoryValuation(req.query.as_of);
+    res.json(valuation);
+  } catch (error) {
+    console.error('Erreur lors de la valorisation des stocks:', error);
+    res.status(500).json({ error: 'Erreur lors de la valorisation des stocks' });
+  }
+});
+
+// GET gross margin per product and category
+router.get('/reports/margins', authenticateToken, requirePermission('equipment:read_stats'), [
+  check('date_from').optional().isISO8601().withMessage('Date invalide'),
+  check('date_to').optional().isISO8601().withMessage('Date invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const report = await getGrossMarginReport({
+      dateFrom: req.query.date_from || null,
+      dateTo: req.query.date_to || null
+    });
+    res.json(report);
+  } catch (error) {
+    console.error('Erreur lors du calcul des marges:', error);
+    res.status(500).json({ error: 'Erreur lors du calcul des marges' });
+  }
+});
+
+module.exports = router;
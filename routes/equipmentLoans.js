@@ -0,0 +1,168 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query, transaction } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { RETURN_CONDITIONS, checkOutEquipment, checkInEquipment } = require('../services/equipmentLoans');
+const { ServiceError } = require('../services/errors');
+
+const router = express.Router();
+
+// Récupérer les prêts de matériel (overdue=true : prêts en retard)
+router.get('/', authenticateToken, requirePermission('inventory:loan'), async (req, res) => {
+  try {
+    const { status = '', user_id = '', product_id = '', overdue = '' } = req.query;
+
+    const whereConditions = ['1=1'];
+    const queryParams = [];
+
+    if (status) {
+      whereConditions.push('l.status = ?');
+      queryParams.push(status);
+    }
+
+    if (user_id) {
+      whereConditions.push('l.user_id = ?');
+      queryParams.push(user_id);
+    }
+
+    if (product_id) {
+      whereConditions.push('l.product_id = ?');
+      queryParams.push(product_id);
+    }
+
+    if (overdue === 'true') {
+      whereConditions.push("l.status = 'checked_out' AND l.due_date < CURDATE()");
+    }
+
+    const loans = await query(`
+      SELECT
+        l.*, p.name as product_name, p.product_code, un.serial_number,
+        usr.first_name as employee_first_name, usr.last_name as employee_last_name,
+        w.name as warehouse_name,
+        (l.status = 'checked_out' AND l.due_date < CURDATE()) as is_overdue
+      FROM equipment_loans l
+      JOIN products p ON l.product_id = p.id
+      JOIN users usr ON l.user_id = usr.id
+      JOIN warehouses w ON l.warehouse_id = w.id
+      LEFT JOIN equipment_units un ON l.unit_id = un.id
+      WHERE ${whereConditions.join(' AND ')}
+      ORDER BY l.checked_out_at DESC
+    `, queryParams);
+
+    res.json(loans);
+  } catch (error) {
+    console.error('Erreur lors de la récupération des prêts:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des prêts' });
+  }
+});
+
+// Détail d'un prêt
+router.get('/:id', authenticateToken, requirePermission('inventory:loan'), async (req, res) => {
+  try {
+    const loans = await query(`
+      SELECT
+        l.*, p.name as product_name, p.product_code, un.serial_number,
+        usr.first_name as employee_first_name, usr.last_name as employee_last_name, usr.email as employee_email,
+        w.name as warehouse_name, rw.name as return_warehouse_name,
+        outby.first_name as checked_out_by_first_name, outby.last_name as checked_out_by_last_name,
+        inby.first_name as returned_by_first_name, inby.last_name as returned_by_last_name,
+        (l.status = 'checked_out' AND l.due_date < CURDATE()) as is_overdue
+      FROM equipment_loans l
+      JOIN products p ON l.product_id = p.id
+      JOIN users usr ON l.user_id = usr.id
+      JOIN warehouses w ON l.warehouse_id = w.id
+      LEFT JOIN warehouses rw ON l.return_warehouse_id = rw.id
+      LEFT JOIN equipment_units un ON l.unit_id = un.id
+      LEFT JOIN users outby ON l.checked_out_by = outby.id
+      LEFT JOIN users inby ON l.returned_by = inby.id
+      WHERE l.id = ?
+    `, [req.params.id]);
+
+    if (loans.length === 0) {
+      return res.status(404).json({ error: 'Prêt non trouvé' });
+    }
+
+    res.json(loans[0]);
+  } catch (error) {
+    console.error('Erreur lors de la récupération du prêt:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération du prêt' });
+  }
+});
+
+// Prêter du matériel à un employé (sortie du dépôt)
+router.post('/', authenticateToken, requirePermission('inventory:loan'), [
+  body('user_id').isInt().withMessage('L\'employé est requis'),
+  body('serial_number').optional({ nullable: true }).trim().notEmpty(),
+  body('product_id').if(body('serial_number').not().exists({ checkFalsy: true })).isInt().withMessage('Le produit ou le numéro de série est requis'),
+  body('quantity').optional().isInt({ min: 1 }).withMessage('La quantité doit être un entier positif'),
+  body('warehouse_id').optional({ nullable: true }).isInt().withMessage('Dépôt invalide'),
+  body('due_date').optional({ nullable: true }).isISO8601().withMessage('Date de retour prévue invalide'),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { user_id, serial_number, product_id, quantity, warehouse_id, due_date, notes } = req.body;
+
+    const result = await transaction((connection) =>
+      checkOutEquipment(connection, {
+        employeeId: user_id,
+        productId: product_id || null,
+        serialNumber: serial_number || null,
+        quantity: parseInt(quantity) || 1,
+        warehouseId: warehouse_id || null,
+        dueDate: due_date || null,
+        notes: notes || null
+      }, { userId: req.user.id })
+    );
+
+    res.status(201).json({
+      message: 'Matériel prêté',
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors du prêt du matériel:', error);
+    res.status(500).json({ error: 'Erreur lors du prêt du matériel' });
+  }
+});
+
+// Enregistrer le retour d'un prêt (état : good, damaged ou lost)
+router.post('/:id/return', authenticateToken, requirePermission('inventory:loan'), [
+  body('condition').optional().isIn(Object.keys(RETURN_CONDITIONS)).withMessage('État de retour invalide'),
+  body('warehouse_id').optional({ nullable: true }).isInt().withMessage('Dépôt invalide'),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await transaction((connection) =>
+      checkInEquipment(connection, req.params.id, {
+        condition: req.body.condition || 'good',
+        warehouseId: req.body.warehouse_id || null,
+        notes: req.body.notes || null
+      }, { userId: req.user.id })
+    );
+
+    res.json({
+      message: 'Retour du prêt enregistré',
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors du retour du prêt:', error);
+    res.status(500).json({ error: 'Erreur lors du retour du prêt' });
+  }
+});
+
+module.exports = router;
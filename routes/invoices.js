@@ -1,12 +1,20 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { query } = require('../config/database');
-const { authenticateToken, authorize } = require('../middleware/auth');
+const { body, check, validationResult } = require('express-validator');
+const { query, transaction } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { generateInvoiceNumber } = require('../services/invoiceNumbers');
+const { recordPayment, deletePayment, getInvoiceBalance, refreshInvoicePaymentStatus } = require('../services/payments');
+const { roundAmount } = require('../services/money');
+const { ServiceError } = require('../services/errors');
+const { getCompanySettings } = require('../services/settings');
+const { renderInvoicePdf } = require('../services/pdf');
+const { runDunning } = require('../services/dunning');
+const { loadInvoiceDetails, checkStatusChange } = require('../services/invoices');
 
 const router = express.Router();
 
 // Récupérer toutes les factures
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('invoices:read'), async (req, res) => {
   try {
     const { search = '', status = '', client_id = '', date_from = '', date_to = '' } = req.query;
 
@@ -45,6 +53,8 @@ router.get('/', authenticateToken, async (req, res) => {
         i.id, i.invoice_number, i.issue_date, i.due_date, i.subtotal, 
         i.tax_rate, i.tax_amount, i.total_amount, i.status, i.payment_method, 
         i.payment_date, i.notes, i.created_at, i.updated_at,
+        COALESCE(paid.amount, 0) as amount_paid,
+        i.total_amount - COALESCE(paid.amount, 0) as balance_due,
         c.id as client_id, c.company_name as client_name, c.contact_person as client_contact,
         c.email as client_email, c.phone as client_phone, c.address as client_address,
         p.id as project_id, p.name as project_name,
@@ -55,6 +65,9 @@ router.get('/', authenticateToken, async (req, res) => {
       LEFT JOIN projects p ON i.project_id = p.id
       LEFT JOIN subscriptions s ON i.subscription_id = s.id
       LEFT JOIN users u ON i.created_by = u.id
+      LEFT JOIN (
+        SELECT invoice_id, SUM(amount) as amount FROM payments GROUP BY invoice_id
+      ) paid ON paid.invoice_id = i.id
       WHERE ${whereClause}
       ORDER BY i.created_at DESC
     `, queryParams);
@@ -66,70 +79,223 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
-// Récupérer une facture par ID avec ses lignes
-router.get('/:id', authenticateToken, async (req, res) => {
+// Obtenir les statistiques des factures
+router.get('/stats/overview', authenticateToken, requirePermission('invoices:read_stats'), async (req, res) => {
   try {
-    const { id } = req.params;
-
-    // Récupérer la facture
-    const invoices = await query(`
+    // Montants encaissés et restant dus calculés à partir du registre des paiements
+    const stats = await query(`
       SELECT 
-        i.*,
-        c.id as client_id, c.company_name as client_name, c.contact_person as client_contact,
-        c.email as client_email, c.phone as client_phone, c.address as client_address,
-        c.city as client_city, c.country as client_country, c.tax_number as client_tax_number,
-        p.id as project_id, p.name as project_name,
-        s.id as subscription_id, s.plan_name as subscription_plan,
-        u.first_name as created_by_first_name, u.last_name as created_by_last_name
+        COUNT(*) as total_invoices,
+        SUM(CASE WHEN i.status = 'draft' THEN 1 ELSE 0 END) as draft_invoices,
+        SUM(CASE WHEN i.status = 'sent' THEN 1 ELSE 0 END) as sent_invoices,
+        SUM(CASE WHEN i.status = 'partially_paid' THEN 1 ELSE 0 END) as partially_paid_invoices,
+        SUM(CASE WHEN i.status = 'paid' THEN 1 ELSE 0 END) as paid_invoices,
+        SUM(CASE WHEN i.status = 'overdue' THEN 1 ELSE 0 END) as overdue_invoices,
+        SUM(CASE WHEN i.status = 'cancelled' THEN 1 ELSE 0 END) as cancelled_invoices,
+        SUM(i.total_amount) as total_amount,
+        SUM(CASE WHEN i.status != 'cancelled' THEN COALESCE(paid.amount, 0) ELSE 0 END) as collected_amount,
+        SUM(CASE WHEN i.status NOT IN ('draft', 'cancelled')
+                 THEN GREATEST(i.total_amount - COALESCE(paid.amount, 0), 0) ELSE 0 END) as outstanding_amount
       FROM invoices i
-      LEFT JOIN clients c ON i.client_id = c.id
-      LEFT JOIN projects p ON i.project_id = p.id
-      LEFT JOIN subscriptions s ON i.subscription_id = s.id
-      LEFT JOIN users u ON i.created_by = u.id
-      WHERE i.id = ?
-    `, [id]);
+      LEFT JOIN (
+        SELECT invoice_id, SUM(amount) as amount FROM payments GROUP BY invoice_id
+      ) paid ON paid.invoice_id = i.id
+    `);
 
-    if (invoices.length === 0) {
-      return res.status(404).json({ error: 'Facture non trouvée' });
+    const monthlyStats = await query(`
+      SELECT 
+        DATE_FORMAT(issue_date, '%Y-%m') as month,
+        COUNT(*) as count,
+        SUM(total_amount) as amount
+      FROM invoices 
+      WHERE issue_date >= DATE_SUB(NOW(), INTERVAL 12 MONTH)
+      GROUP BY DATE_FORMAT(issue_date, '%Y-%m')
+      ORDER BY month DESC
+    `);
+
+    const clientStats = await query(`
+      SELECT 
+        c.company_name,
+        COUNT(i.id) as invoice_count,
+        SUM(i.total_amount) as total_amount
+      FROM clients c
+      LEFT JOIN invoices i ON c.id = i.client_id
+      GROUP BY c.id, c.company_name
+      HAVING invoice_count > 0
+      ORDER BY total_amount DESC
+      LIMIT 10
+    `);
+
+    res.json({
+      overview: stats[0],
+      monthly: monthlyStats,
+      topClients: clientStats
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération des statistiques:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des statistiques' });
+  }
+});
+
+// Balance âgée : solde restant dû par client, réparti par ancienneté de retard
+// Les montants non encore échus sont comptés dans la tranche 0-30 jours
+router.get('/aging', authenticateToken, requirePermission('invoices:read_stats'), [
+  check('as_of').optional().isISO8601().withMessage('Date invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    const invoice = invoices[0];
+    const asOf = req.query.as_of || new Date().toISOString().split('T')[0];
 
-    // Récupérer les lignes de facture
-    const items = await query(`
-      SELECT id, description, quantity, unit_price, total_price
-      FROM invoice_items
-      WHERE invoice_id = ?
-      ORDER BY id
-    `, [id]);
+    const clients = await query(`
+      SELECT 
+        c.id as client_id,
+        c.company_name,
+        COUNT(*) as invoice_count,
+        SUM(CASE WHEN aged.days_overdue <= 30 THEN aged.balance_due ELSE 0 END) as days_0_30,
+        SUM(CASE WHEN aged.days_overdue BETWEEN 31 AND 60 THEN aged.balance_due ELSE 0 END) as days_31_60,
+        SUM(CASE WHEN aged.days_overdue BETWEEN 61 AND 90 THEN aged.balance_due ELSE 0 END) as days_61_90,
+        SUM(CASE WHEN aged.days_overdue > 90 THEN aged.balance_due ELSE 0 END) as days_90_plus,
+        SUM(aged.balance_due) as total_due
+      FROM (
+        SELECT 
+          i.client_id,
+          i.total_amount - COALESCE(paid.amount, 0) as balance_due,
+          DATEDIFF(?, i.due_date) as days_overdue
+        FROM invoices i
+        LEFT JOIN (
+          SELECT invoice_id, SUM(amount) as amount FROM payments GROUP BY invoice_id
+        ) paid ON paid.invoice_id = i.id
+        WHERE i.status IN ('sent', 'partially_paid', 'overdue')
+          AND i.issue_date <= ?
+      ) aged
+      JOIN clients c ON aged.client_id = c.id
+      WHERE aged.balance_due > 0
+      GROUP BY c.id, c.company_name
+      ORDER BY total_due DESC
+    `, [asOf, asOf]);
 
-    // Récupérer les paiements
-    const payments = await query(`
-      SELECT id, amount, payment_date, payment_method, reference_number, notes
-      FROM payments
-      WHERE invoice_id = ?
-      ORDER BY payment_date DESC
-    `, [id]);
+    const buckets = ['days_0_30', 'days_31_60', 'days_61_90', 'days_90_plus', 'total_due'];
+    const totals = {};
+    for (const bucket of buckets) {
+      totals[bucket] = 0;
+    }
+
+    const rows = clients.map((client) => {
+      const row = { ...client };
+      for (const bucket of buckets) {
+        row[bucket] = roundAmount(client[bucket]);
+        totals[bucket] = roundAmount(totals[bucket] + row[bucket]);
+      }
+      return row;
+    });
 
     res.json({
-      ...invoice,
-      items,
-      payments
+      as_of: asOf,
+      clients: rows,
+      totals
+    });
+  } catch (error) {
+    console.error('Erreur lors de la génération de la balance âgée:', error);
+    res.status(500).json({ error: 'Erreur lors de la génération de la balance âgée' });
+  }
+});
+
+// Détecter les factures en retard et envoyer les relances (admin/manager)
+router.post('/dunning/run', authenticateToken, requirePermission('invoices:send'), [
+  check('date').optional().isISO8601().withMessage('Date invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const summary = await runDunning({ date: req.query.date || new Date() });
+
+    res.json({
+      message: `${summary.reminders.sent} relance(s) envoyée(s)`,
+      ...summary
     });
+  } catch (error) {
+    console.error('Erreur lors des relances de factures:', error);
+    res.status(500).json({ error: 'Erreur lors des relances de factures' });
+  }
+});
+
+// Générer un numéro de facture automatique (issue_date : date d'émission prévue, pour l'année du numéro)
+router.get('/generate-number', authenticateToken, requirePermission('invoices:read'), [
+  check('issue_date').optional().isISO8601().withMessage('Date d\'émission invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const invoiceNumber = await generateInvoiceNumber(null, req.query.issue_date || null);
+    
+    res.json({ invoice_number: invoiceNumber });
+  } catch (error) {
+    console.error('Erreur lors de la génération du numéro de facture:', error);
+    res.status(500).json({ error: 'Erreur lors de la génération du numéro de facture' });
+  }
+});
+
+// Récupérer une facture par ID avec ses lignes
+router.get('/:id', authenticateToken, requirePermission('invoices:read'), async (req, res) => {
+  try {
+    const invoice = await loadInvoiceDetails(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({ error: 'Facture non trouvée' });
+    }
+
+    res.json(invoice);
   } catch (error) {
     console.error('Erreur lors de la récupération de la facture:', error);
     res.status(500).json({ error: 'Erreur lors de la récupération de la facture' });
   }
 });
 
+// Télécharger une facture au format PDF
+router.get('/:id/pdf', authenticateToken, requirePermission('invoices:read'), async (req, res) => {
+  try {
+    const invoice = await loadInvoiceDetails(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({ error: 'Facture non trouvée' });
+    }
+
+    const settings = await getCompanySettings();
+
+    const pdf = await renderInvoicePdf(invoice, settings);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${invoice.invoice_number}.pdf"`);
+    res.end(pdf);
+  } catch (error) {
+    console.error('Erreur lors de la génération du PDF de la facture:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: 'Erreur lors de la génération du PDF de la facture' });
+  }
+});
+
 // Créer une nouvelle facture
-router.post('/', authenticateToken, authorize('admin', 'manager'), [
+router.post('/', authenticateToken, requirePermission('invoices:create'), [
   body('client_id').isInt().withMessage('L\'ID du client est requis'),
   body('invoice_number').notEmpty().trim().withMessage('Le numéro de facture est requis'),
   body('issue_date').isISO8601().withMessage('La date d\'émission est requise'),
   body('due_date').isISO8601().withMessage('La date d\'échéance est requise'),
   body('subtotal').isDecimal().withMessage('Le sous-total est requis'),
   body('tax_rate').isDecimal().withMessage('Le taux de taxe est requis'),
+  // Les statuts payée et partiellement payée découlent uniquement des paiements enregistrés
+  body('status').optional().isIn(['draft', 'sent']),
   body('items').isArray().withMessage('Les articles sont requis')
 ], async (req, res) => {
   try {
@@ -189,13 +355,15 @@ router.post('/', authenticateToken, authorize('admin', 'manager'), [
 });
 
 // Mettre à jour une facture
-router.put('/:id', authenticateToken, [
+// Les statuts sent/overdue et paid/partially_paid découlent de l'échéance et du registre des paiements :
+// seuls draft, sent (émettre) et cancelled se demandent, le statut effectif est ensuite recalculé
+router.put('/:id', authenticateToken, requirePermission('invoices:update'), [
   body('invoice_number').optional().notEmpty().trim(),
   body('issue_date').optional().isISO8601(),
   body('due_date').optional().isISO8601(),
   body('subtotal').optional().isDecimal(),
   body('tax_rate').optional().isDecimal(),
-  body('status').optional().isIn(['draft', 'sent', 'paid', 'overdue', 'cancelled'])
+  body('status').optional().isIn(['draft', 'sent', 'cancelled'])
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -209,99 +377,119 @@ router.put('/:id', authenticateToken, [
       total_amount, status, payment_method, payment_date, notes, items
     } = req.body;
 
-    // Vérifier que la facture existe
-    const existingInvoices = await query('SELECT id FROM invoices WHERE id = ?', [id]);
-    if (existingInvoices.length === 0) {
-      return res.status(404).json({ error: 'Facture non trouvée' });
-    }
+    const updated = await transaction(async (connection) => {
+      // Vérifier que la facture existe
+      const invoice = await getInvoiceBalance(connection, id, { lock: true });
+      if (!invoice) {
+        throw new ServiceError('Facture non trouvée', 404);
+      }
 
-    // Vérifier l'unicité du numéro de facture si modifié
-    if (invoice_number) {
-      const duplicateInvoices = await query('SELECT id FROM invoices WHERE invoice_number = ? AND id != ?', [invoice_number, id]);
-      if (duplicateInvoices.length > 0) {
-        return res.status(400).json({ error: 'Ce numéro de facture existe déjà' });
+      if (status) {
+        checkStatusChange(invoice);
       }
-    }
 
-    const updateFields = [];
-    const updateValues = [];
+      // Les montants d'une facture qui a reçu des paiements sont tenus par le registre des paiements
+      if (invoice.amount_paid > 0 && (subtotal || tax_rate || tax_amount || total_amount || items)) {
+        throw new ServiceError('Impossible de modifier les montants d\'une facture qui a reçu des paiements');
+      }
 
-    if (invoice_number) {
-      updateFields.push('invoice_number = ?');
-      updateValues.push(invoice_number);
-    }
-    if (issue_date) {
-      updateFields.push('issue_date = ?');
-      updateValues.push(issue_date);
-    }
-    if (due_date) {
-      updateFields.push('due_date = ?');
-      updateValues.push(due_date);
-    }
-    if (subtotal) {
-      updateFields.push('subtotal = ?');
-      updateValues.push(subtotal);
-    }
-    if (tax_rate) {
-      updateFields.push('tax_rate = ?');
-      updateValues.push(tax_rate);
-    }
-    if (tax_amount) {
-      updateFields.push('tax_amount = ?');
-      updateValues.push(tax_amount);
-    }
-    if (total_amount) {
-      updateFields.push('total_amount = ?');
-      updateValues.push(total_amount);
-    }
-    if (status) {
-      updateFields.push('status = ?');
-      updateValues.push(status);
-    }
-    if (payment_method) {
-      updateFields.push('payment_method = ?');
-      updateValues.push(payment_method);
-    }
-    if (payment_date) {
-      updateFields.push('payment_date = ?');
-      updateValues.push(payment_date);
-    }
-    if (notes !== undefined) {
-      updateFields.push('notes = ?');
-      updateValues.push(notes);
-    }
+      // Vérifier l'unicité du numéro de facture si modifié
+      if (invoice_number) {
+        const [duplicateInvoices] = await connection.execute(
+          'SELECT id FROM invoices WHERE invoice_number = ? AND id != ?',
+          [invoice_number, id]
+        );
+        if (duplicateInvoices.length > 0) {
+          throw new ServiceError('Ce numéro de facture existe déjà');
+        }
+      }
 
-    if (updateFields.length > 0) {
-      updateValues.push(id);
-      await query(
-        `UPDATE invoices SET ${updateFields.join(', ')} WHERE id = ?`,
-        updateValues
-      );
-    }
+      const updateFields = [];
+      const updateValues = [];
 
-    // Mettre à jour les lignes de facture si fournies
-    if (items) {
-      // Supprimer les anciennes lignes
-      await query('DELETE FROM invoice_items WHERE invoice_id = ?', [id]);
-      
-      // Créer les nouvelles lignes
-      for (const item of items) {
-        await query(
-          'INSERT INTO invoice_items (invoice_id, description, quantity, unit_price, total_price) VALUES (?, ?, ?, ?, ?)',
-          [id, item.description, item.quantity, item.unit_price, item.total_price]
+      if (invoice_number) {
+        updateFields.push('invoice_number = ?');
+        updateValues.push(invoice_number);
+      }
+      if (issue_date) {
+        updateFields.push('issue_date = ?');
+        updateValues.push(issue_date);
+      }
+      if (due_date) {
+        updateFields.push('due_date = ?');
+        updateValues.push(due_date);
+      }
+      if (subtotal) {
+        updateFields.push('subtotal = ?');
+        updateValues.push(subtotal);
+      }
+      if (tax_rate) {
+        updateFields.push('tax_rate = ?');
+        updateValues.push(tax_rate);
+      }
+      if (tax_amount) {
+        updateFields.push('tax_amount = ?');
+        updateValues.push(tax_amount);
+      }
+      if (total_amount) {
+        updateFields.push('total_amount = ?');
+        updateValues.push(total_amount);
+      }
+      if (status) {
+        updateFields.push('status = ?');
+        updateValues.push(status);
+      }
+      if (payment_method) {
+        updateFields.push('payment_method = ?');
+        updateValues.push(payment_method);
+      }
+      if (payment_date) {
+        updateFields.push('payment_date = ?');
+        updateValues.push(payment_date);
+      }
+      if (notes !== undefined) {
+        updateFields.push('notes = ?');
+        updateValues.push(notes);
+      }
+
+      if (updateFields.length > 0) {
+        updateValues.push(id);
+        await connection.execute(
+          `UPDATE invoices SET ${updateFields.join(', ')} WHERE id = ?`,
+          updateValues
         );
       }
-    }
 
-    res.json({ message: 'Facture mise à jour avec succès' });
+      // Mettre à jour les lignes de facture si fournies
+      if (items) {
+        // Supprimer les anciennes lignes
+        await connection.execute('DELETE FROM invoice_items WHERE invoice_id = ?', [id]);
+
+        // Créer les nouvelles lignes
+        for (const item of items) {
+          await connection.execute(
+            'INSERT INTO invoice_items (invoice_id, description, quantity, unit_price, total_price) VALUES (?, ?, ?, ?, ?)',
+            [id, item.description, item.quantity, item.unit_price, item.total_price]
+          );
+        }
+      }
+
+      // Recalculer le statut effectif (sent ou overdue selon l'échéance, paid/partially_paid selon les paiements)
+      return refreshInvoicePaymentStatus(connection, id);
+    });
+
+    res.json({ message: 'Facture mise à jour avec succès', status: updated.status });
   } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Erreur lors de la mise à jour de la facture:', error);
     res.status(500).json({ error: 'Erreur lors de la mise à jour de la facture' });
   }
 });
 
 // Marquer une facture comme envoyée
-router.post('/:id/send', authenticateToken, authorize('admin', 'manager'), async (req, res) => {
+router.post('/:id/send', authenticateToken, requirePermission('invoices:send'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -314,17 +502,29 @@ router.post('/:id/send', authenticateToken, authorize('admin', 'manager'), async
       return res.status(400).json({ error: 'La facture a déjà été envoyée' });
     }
 
-    await query('UPDATE invoices SET status = "sent" WHERE id = ?', [id]);
+    if (['paid', 'partially_paid'].includes(invoices[0].status)) {
+      return res.status(400).json({ error: 'Une facture payée ou partiellement payée ne peut pas être renvoyée' });
+    }
+
+    if (invoices[0].status === 'cancelled') {
+      return res.status(400).json({ error: 'Une facture annulée ne peut plus être envoyée' });
+    }
+
+    // Une facture déjà échue à l'envoi passe directement en retard
+    const invoice = await transaction(async (connection) => {
+      await connection.execute('UPDATE invoices SET status = "sent" WHERE id = ?', [id]);
+      return refreshInvoicePaymentStatus(connection, id);
+    });
 
-    res.json({ message: 'Facture marquée comme envoyée' });
+    res.json({ message: 'Facture marquée comme envoyée', status: invoice.status });
   } catch (error) {
     console.error('Erreur lors de l\'envoi de la facture:', error);
     res.status(500).json({ error: 'Erreur lors de l\'envoi de la facture' });
   }
 });
 
-// Marquer une facture comme payée
-router.post('/:id/mark-paid', authenticateToken, authorize('admin', 'manager'), async (req, res) => {
+// Marquer une facture comme payée (enregistre un paiement du solde restant)
+router.post('/:id/mark-paid', authenticateToken, requirePermission('invoices:record_payment'), async (req, res) => {
   try {
     const { id } = req.params;
     const { payment_method, payment_date, reference_number, notes } = req.body;
@@ -338,20 +538,29 @@ router.post('/:id/mark-paid', authenticateToken, authorize('admin', 'manager'),
       return res.status(400).json({ error: 'La facture est déjà marquée comme payée' });
     }
 
-    await query(
-      'UPDATE invoices SET status = "paid", payment_method = ?, payment_date = ? WHERE id = ?',
-      [payment_method || null, payment_date || new Date().toISOString().split('T')[0], id]
-    );
+    await transaction(async (connection) => {
+      const invoice = await getInvoiceBalance(connection, id, { lock: true });
+      return recordPayment(connection, id, {
+        amount: invoice.balance_due,
+        payment_method,
+        payment_date,
+        reference_number,
+        notes
+      }, { userId: req.user.id });
+    });
 
     res.json({ message: 'Facture marquée comme payée' });
   } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Erreur lors du marquage de la facture comme payée:', error);
     res.status(500).json({ error: 'Erreur lors du marquage de la facture comme payée' });
   }
 });
 
-// Supprimer une facture
-router.delete('/:id', authenticateToken, authorize('admin', 'manager'), async (req, res) => {
+// Historique des relances d'une facture
+router.get('/:id/reminders', authenticateToken, requirePermission('invoices:read'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -360,93 +569,146 @@ router.delete('/:id', authenticateToken, authorize('admin', 'manager'), async (r
       return res.status(404).json({ error: 'Facture non trouvée' });
     }
 
-    // Supprimer les lignes de facture et les paiements
-    await query('DELETE FROM invoice_items WHERE invoice_id = ?', [id]);
-    await query('DELETE FROM payments WHERE invoice_id = ?', [id]);
-    await query('DELETE FROM invoices WHERE id = ?', [id]);
+    const reminders = await query(
+      'SELECT * FROM invoice_reminders WHERE invoice_id = ? ORDER BY stage_days ASC',
+      [id]
+    );
 
-    res.json({ message: 'Facture supprimée avec succès' });
+    res.json(reminders);
   } catch (error) {
-    console.error('Erreur lors de la suppression de la facture:', error);
-    res.status(500).json({ error: 'Erreur lors de la suppression de la facture' });
+    console.error('Erreur lors de la récupération des relances:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des relances' });
   }
 });
 
-// Obtenir les statistiques des factures
-router.get('/stats/overview', authenticateToken, authorize('admin', 'manager'), async (req, res) => {
+// Récupérer les paiements d'une facture
+router.get('/:id/payments', authenticateToken, requirePermission('invoices:read'), async (req, res) => {
   try {
-    const stats = await query(`
-      SELECT 
-        COUNT(*) as total_invoices,
-        SUM(CASE WHEN status = 'draft' THEN 1 ELSE 0 END) as draft_invoices,
-        SUM(CASE WHEN status = 'sent' THEN 1 ELSE 0 END) as sent_invoices,
-        SUM(CASE WHEN status = 'paid' THEN 1 ELSE 0 END) as paid_invoices,
-        SUM(CASE WHEN status = 'overdue' THEN 1 ELSE 0 END) as overdue_invoices,
-        SUM(CASE WHEN status = 'cancelled' THEN 1 ELSE 0 END) as cancelled_invoices,
-        SUM(total_amount) as total_amount,
-        SUM(CASE WHEN status = 'paid' THEN total_amount ELSE 0 END) as paid_amount,
-        SUM(CASE WHEN status = 'sent' THEN total_amount ELSE 0 END) as pending_amount
-      FROM invoices
-    `);
+    const { id } = req.params;
 
-    const monthlyStats = await query(`
-      SELECT 
-        DATE_FORMAT(issue_date, '%Y-%m') as month,
-        COUNT(*) as count,
-        SUM(total_amount) as amount
-      FROM invoices 
-      WHERE issue_date >= DATE_SUB(NOW(), INTERVAL 12 MONTH)
-      GROUP BY DATE_FORMAT(issue_date, '%Y-%m')
-      ORDER BY month DESC
-    `);
+    const invoices = await query('SELECT id, total_amount, status FROM invoices WHERE id = ?', [id]);
+    if (invoices.length === 0) {
+      return res.status(404).json({ error: 'Facture non trouvée' });
+    }
 
-    const clientStats = await query(`
+    const payments = await query(`
       SELECT 
-        c.company_name,
-        COUNT(i.id) as invoice_count,
-        SUM(i.total_amount) as total_amount
-      FROM clients c
-      LEFT JOIN invoices i ON c.id = i.client_id
-      GROUP BY c.id, c.company_name
-      HAVING invoice_count > 0
-      ORDER BY total_amount DESC
-      LIMIT 10
-    `);
+        p.id, p.amount, p.payment_date, p.payment_method, p.reference_number, p.notes, p.created_at,
+        cc.amount as credit_amount,
+        u.first_name as created_by_first_name, u.last_name as created_by_last_name
+      FROM payments p
+      LEFT JOIN client_credits cc ON cc.payment_id = p.id
+      LEFT JOIN users u ON p.created_by = u.id
+      WHERE p.invoice_id = ?
+      ORDER BY p.payment_date DESC, p.id DESC
+    `, [id]);
+
+    const amountPaid = roundAmount(payments.reduce((sum, payment) => sum + parseFloat(payment.amount), 0));
 
     res.json({
-      overview: stats[0],
-      monthly: monthlyStats,
-      topClients: clientStats
+      invoice_id: invoices[0].id,
+      status: invoices[0].status,
+      total_amount: invoices[0].total_amount,
+      amount_paid: amountPaid,
+      balance_due: roundAmount(invoices[0].total_amount - amountPaid),
+      payments
     });
   } catch (error) {
-    console.error('Erreur lors de la récupération des statistiques:', error);
-    res.status(500).json({ error: 'Erreur lors de la récupération des statistiques' });
+    console.error('Erreur lors de la récupération des paiements:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des paiements' });
   }
 });
 
-// Générer un numéro de facture automatique
-router.get('/generate-number', authenticateToken, async (req, res) => {
+// Enregistrer un paiement (partiel ou total) sur une facture
+router.post('/:id/payments', authenticateToken, requirePermission('invoices:record_payment'), [
+  body('amount').isFloat({ gt: 0 }).withMessage('Le montant doit être positif'),
+  body('payment_method').isIn(['cash', 'card', 'check', 'transfer', 'other']).withMessage('Méthode de paiement invalide'),
+  body('payment_date').optional().isISO8601().withMessage('Date de paiement invalide'),
+  body('reference_number').optional().trim(),
+  body('overpayment').optional().isIn(['reject', 'credit']).withMessage('Traitement du trop-perçu invalide')
+], async (req, res) => {
   try {
-    const year = new Date().getFullYear();
-    const prefix = `INV-${year}`;
-    
-    const lastInvoice = await query(
-      'SELECT invoice_number FROM invoices WHERE invoice_number LIKE ? ORDER BY invoice_number DESC LIMIT 1',
-      [`${prefix}%`]
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { amount, payment_method, payment_date, reference_number, notes, overpayment } = req.body;
+
+    const result = await transaction((connection) =>
+      recordPayment(connection, id, {
+        amount,
+        payment_method,
+        payment_date,
+        reference_number,
+        notes
+      }, { overpayment, userId: req.user.id })
     );
 
-    let nextNumber = 1;
-    if (lastInvoice.length > 0) {
-      const lastNumber = parseInt(lastInvoice[0].invoice_number.split('-')[2]) || 0;
-      nextNumber = lastNumber + 1;
+    res.status(201).json({
+      message: result.credit_amount > 0
+        ? 'Paiement enregistré, le trop-perçu a été converti en avoir client'
+        : 'Paiement enregistré avec succès',
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de l\'enregistrement du paiement:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'enregistrement du paiement' });
+  }
+});
+
+// Supprimer un paiement
+router.delete('/:id/payments/:paymentId', authenticateToken, requirePermission('invoices:record_payment'), async (req, res) => {
+  try {
+    const { id, paymentId } = req.params;
+
+    const invoice = await transaction((connection) => deletePayment(connection, id, paymentId));
+
+    res.json({
+      message: 'Paiement supprimé avec succès',
+      status: invoice.status
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Erreur lors de la suppression du paiement:', error);
+    res.status(500).json({ error: 'Erreur lors de la suppression du paiement' });
+  }
+});
 
-    const invoiceNumber = `${prefix}-${nextNumber.toString().padStart(4, '0')}`;
-    
-    res.json({ invoice_number: invoiceNumber });
+// Supprimer une facture
+// Le registre des paiements ne se supprime pas avec la facture : une facture qui a reçu des paiements s'annule
+router.delete('/:id', authenticateToken, requirePermission('invoices:delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    await transaction(async (connection) => {
+      const invoice = await getInvoiceBalance(connection, id, { lock: true });
+      if (!invoice) {
+        throw new ServiceError('Facture non trouvée', 404);
+      }
+
+      const [payments] = await connection.execute('SELECT COUNT(*) as count FROM payments WHERE invoice_id = ?', [id]);
+      if (payments[0].count > 0) {
+        throw new ServiceError('Impossible de supprimer une facture qui a reçu des paiements : annulez-la plutôt');
+      }
+
+      await connection.execute('DELETE FROM invoice_items WHERE invoice_id = ?', [id]);
+      await connection.execute('DELETE FROM invoices WHERE id = ?', [id]);
+    });
+
+    res.json({ message: 'Facture supprimée avec succès' });
   } catch (error) {
-    console.error('Erreur lors de la génération du numéro de facture:', error);
-    res.status(500).json({ error: 'Erreur lors de la génération du numéro de facture' });
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de la suppression de la facture:', error);
+    res.status(500).json({ error: 'Erreur lors de la suppression de la facture' });
   }
 });
 
@@ -0,0 +1,342 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { loadInvoiceDetails } = require('../services/invoices');
+const { getCompanySettings } = require('../services/settings');
+const { renderInvoicePdf } = require('../services/pdf');
+const { REQUEST_TYPES, createSubscriptionRequest, listSubscriptionRequests } = require('../services/subscriptionRequests');
+const { ServiceError } = require('../services/errors');
+
+const router = express.Router();
+
+// Charger la fiche client rattachée à l'utilisateur ; toutes les requêtes du portail filtrent sur req.clientId
+const loadPortalClient = async (req, res, next) => {
+  try {
+    const users = await query('SELECT client_id FROM users WHERE id = ?', [req.user.id]);
+
+    if (users.length === 0 || !users[0].client_id) {
+      return res.status(403).json({ error: 'Aucun client n\'est rattaché à ce compte' });
+    }
+
+    req.clientId = users[0].client_id;
+    next();
+  } catch (error) {
+    console.error('Erreur lors du chargement du client du portail:', error);
+    res.status(500).json({ error: 'Erreur lors du chargement du portail' });
+  }
+};
+
+router.use(authenticateToken, requirePermission('portal:access'), loadPortalClient);
+
+// Les brouillons ne sont jamais visibles par le client
+const VISIBLE_INVOICE_STATUSES = "('sent', 'partially_paid', 'paid', 'overdue', 'cancelled')";
+
+// Fiche du client connecté
+router.get('/me', async (req, res) => {
+  try {
+    const clients = await query(`
+      SELECT id, company_name, contact_person, email, phone, address, city, country,
+             tax_number, website, status, created_at
+      FROM clients
+      WHERE id = ?
+    `, [req.clientId]);
+
+    if (clients.length === 0) {
+      return res.status(404).json({ error: 'Client non trouvé' });
+    }
+
+    const credits = await query(
+      'SELECT COALESCE(SUM(amount), 0) as credit_balance FROM client_credits WHERE client_id = ?',
+      [req.clientId]
+    );
+
+    res.json({
+      ...clients[0],
+      credit_balance: credits[0].credit_balance
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération du client:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération du client' });
+  }
+});
+
+// Projets du client
+router.get('/projects', async (req, res) => {
+  try {
+    const projects = await query(`
+      SELECT
+        p.id, p.name, p.description, p.start_date, p.end_date, p.status, p.priority, p.progress,
+        u.first_name as manager_first_name, u.last_name as manager_last_name, u.email as manager_email
+      FROM projects p
+      LEFT JOIN users u ON p.manager_id = u.id
+      WHERE p.client_id = ?
+      ORDER BY p.created_at DESC
+    `, [req.clientId]);
+
+    res.json(projects);
+  } catch (error) {
+    console.error('Erreur lors de la récupération des projets:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des projets' });
+  }
+});
+
+// Détail d'un projet du client avec l'avancement de ses tâches
+router.get('/projects/:id', async (req, res) => {
+  try {
+    const projects = await query(`
+      SELECT
+        p.id, p.name, p.description, p.start_date, p.end_date, p.status, p.priority, p.progress,
+        u.first_name as manager_first_name, u.last_name as manager_last_name, u.email as manager_email
+      FROM projects p
+      LEFT JOIN users u ON p.manager_id = u.id
+      WHERE p.id = ? AND p.client_id = ?
+    `, [req.params.id, req.clientId]);
+
+    if (projects.length === 0) {
+      return res.status(404).json({ error: 'Projet non trouvé' });
+    }
+
+    const tasks = await query(`
+      SELECT id, title, status, due_date
+      FROM project_tasks
+      WHERE project_id = ?
+      ORDER BY due_date IS NULL, due_date, id
+    `, [req.params.id]);
+
+    res.json({
+      ...projects[0],
+      tasks
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération du projet:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération du projet' });
+  }
+});
+
+// Abonnements du client
+router.get('/subscriptions', async (req, res) => {
+  try {
+    const subscriptions = await query(`
+      SELECT id, plan_name, description, price, billing_cycle, start_date, end_date, status, auto_renew
+      FROM subscriptions
+      WHERE client_id = ?
+      ORDER BY created_at DESC
+    `, [req.clientId]);
+
+    res.json(subscriptions);
+  } catch (error) {
+    console.error('Erreur lors de la récupération des abonnements:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des abonnements' });
+  }
+});
+
+// Détail d'un abonnement du client avec ses factures et ses demandes
+router.get('/subscriptions/:id', async (req, res) => {
+  try {
+    const subscriptions = await query(`
+      SELECT id, plan_name, description, price, billing_cycle, start_date, end_date, status, auto_renew
+      FROM subscriptions
+      WHERE id = ? AND client_id = ?
+    `, [req.params.id, req.clientId]);
+
+    if (subscriptions.length === 0) {
+      return res.status(404).json({ error: 'Abonnement non trouvé' });
+    }
+
+    const invoices = await query(`
+      SELECT id, invoice_number, issue_date, due_date, total_amount, status
+      FROM invoices
+      WHERE subscription_id = ? AND client_id = ? AND status IN ${VISIBLE_INVOICE_STATUSES}
+      ORDER BY issue_date DESC
+    `, [req.params.id, req.clientId]);
+
+    const requests = await query(`
+      SELECT id, request_type, reason, status, response_note, processed_at, created_at
+      FROM subscription_requests
+      WHERE subscription_id = ? AND client_id = ?
+      ORDER BY created_at DESC
+    `, [req.params.id, req.clientId]);
+
+    res.json({
+      ...subscriptions[0],
+      invoices,
+      requests
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération de l\'abonnement:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération de l\'abonnement' });
+  }
+});
+
+// Demander la suspension ou l'annulation d'un abonnement (traitée par l'équipe)
+router.post('/subscriptions/:id/requests', [
+  body('type').isIn(Object.keys(REQUEST_TYPES)).withMessage('Type de demande invalide'),
+  body('reason').optional().trim().isLength({ max: 2000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const requestId = await createSubscriptionRequest({
+      clientId: req.clientId,
+      subscriptionId: req.params.id,
+      type: req.body.type,
+      reason: req.body.reason || null,
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      message: 'Demande enregistrée, elle sera traitée par notre équipe',
+      requestId
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de la création de la demande:', error);
+    res.status(500).json({ error: 'Erreur lors de la création de la demande' });
+  }
+});
+
+// Demandes du client
+router.get('/requests', async (req, res) => {
+  try {
+    const requests = await listSubscriptionRequests({ clientId: req.clientId });
+    res.json(requests);
+  } catch (error) {
+    console.error('Erreur lors de la récupération des demandes:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des demandes' });
+  }
+});
+
+// Factures du client avec leur solde
+router.get('/invoices', async (req, res) => {
+  try {
+    const invoices = await query(`
+      SELECT
+        i.id, i.invoice_number, i.issue_date, i.due_date, i.total_amount, i.status,
+        COALESCE(paid.amount, 0) as amount_paid,
+        i.total_amount - COALESCE(paid.amount, 0) as balance_due,
+        p.name as project_name, s.plan_name as subscription_plan
+      FROM invoices i
+      LEFT JOIN projects p ON i.project_id = p.id
+      LEFT JOIN subscriptions s ON i.subscription_id = s.id
+      LEFT JOIN (
+        SELECT invoice_id, SUM(amount) as amount FROM payments GROUP BY invoice_id
+      ) paid ON paid.invoice_id = i.id
+      WHERE i.client_id = ? AND i.status IN ${VISIBLE_INVOICE_STATUSES}
+      ORDER BY i.issue_date DESC
+    `, [req.clientId]);
+
+    res.json(invoices);
+  } catch (error) {
+    console.error('Erreur lors de la récupération des factures:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des factures' });
+  }
+});
+
+// Charger une facture visible par le client, ou null
+const loadClientInvoice = async (req) => {
+  const invoice = await loadInvoiceDetails(req.params.id);
+
+  if (!invoice || invoice.client_id !== req.clientId || invoice.status === 'draft') {
+    return null;
+  }
+
+  return invoice;
+};
+
+// Champs d'une facture visibles par le client (ceux imprimés sur le PDF), sans le créateur
+// ni les notes internes des paiements
+const toClientInvoice = (invoice) => ({
+  id: invoice.id,
+  invoice_number: invoice.invoice_number,
+  issue_date: invoice.issue_date,
+  due_date: invoice.due_date,
+  status: invoice.status,
+  project_name: invoice.project_name,
+  subscription_plan: invoice.subscription_plan,
+  billing_period_start: invoice.billing_period_start,
+  billing_period_end: invoice.billing_period_end,
+  subtotal: invoice.subtotal,
+  tax_rate: invoice.tax_rate,
+  tax_amount: invoice.tax_amount,
+  total_amount: invoice.total_amount,
+  notes: invoice.notes,
+  amount_paid: invoice.amount_paid,
+  balance_due: invoice.balance_due,
+  items: invoice.items,
+  payments: invoice.payments.map((payment) => ({
+    id: payment.id,
+    amount: payment.amount,
+    payment_date: payment.payment_date,
+    payment_method: payment.payment_method,
+    reference_number: payment.reference_number
+  }))
+});
+
+// Détail d'une facture du client
+router.get('/invoices/:id', async (req, res) => {
+  try {
+    const invoice = await loadClientInvoice(req);
+
+    if (!invoice) {
+      return res.status(404).json({ error: 'Facture non trouvée' });
+    }
+
+    res.json(toClientInvoice(invoice));
+  } catch (error) {
+    console.error('Erreur lors de la récupération de la facture:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération de la facture' });
+  }
+});
+
+// Facture du client au format PDF
+router.get('/invoices/:id/pdf', async (req, res) => {
+  try {
+    const invoice = await loadClientInvoice(req);
+
+    if (!invoice) {
+      return res.status(404).json({ error: 'Facture non trouvée' });
+    }
+
+    const settings = await getCompanySettings();
+
+    const pdf = await renderInvoicePdf(invoice, settings);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${invoice.invoice_number}.pdf"`);
+    res.end(pdf);
+  } catch (error) {
+    console.error('Erreur lors de la génération du PDF de la facture:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: 'Erreur lors de la génération du PDF de la facture' });
+  }
+});
+
+// Paiements reçus du client
+router.get('/payments', async (req, res) => {
+  try {
+    const payments = await query(`
+      SELECT
+        p.id, p.amount, p.payment_date, p.payment_method, p.reference_number,
+        i.id as invoice_id, i.invoice_number
+      FROM payments p
+      JOIN invoices i ON p.invoice_id = i.id
+      WHERE i.client_id = ?
+      ORDER BY p.payment_date DESC, p.id DESC
+    `, [req.clientId]);
+
+    res.json(payments);
+  } catch (error) {
+    console.error('Erreur lors de la récupération des paiements:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des paiements' });
+  }
+});
+
+module.exports = router;
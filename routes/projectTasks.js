@@ -0,0 +1,599 @@
+const express = require('express');
+const { body, check, validationResult } = require('express-validator');
+const { query, transaction } = require('../config/database');
+const { authenticateToken, checkResourceAccess } = require('../middleware/auth');
+const {
+  TASK_STATUSES,
+  lockTask,
+  checkParentTask,
+  getTaskSubtreeIds,
+  refreshProjectProgress,
+  changeTaskStatus,
+  addTaskComment,
+  notifyMentions
+} = require('../services/tasks');
+const { DEPENDENCY_TYPES, addTaskDependency } = require('../services/schedule');
+const { hasPermission } = require('../services/permissions');
+const { ServiceError } = require('../services/errors');
+
+// Monté sur /api/projects/:id/tasks : l'accès au projet est vérifié sur req.params.id
+const router = express.Router({ mergeParams: true });
+
+// Vérifier qu'un utilisateur assigné existe, est actif et n'est pas un client
+const findAssignee = async (userId) => {
+  const users = await query(
+    'SELECT id FROM users WHERE id = ? AND is_active = TRUE AND role != "client"',
+    [userId]
+  );
+  return users.length > 0;
+};
+
+// Récupérer les tâches d'un projet (parent_task_id=none : tâches de premier niveau)
+router.get('/', authenticateToken, checkResourceAccess('project'), [
+  check('status').optional().isIn(TASK_STATUSES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status = '', assigned_to = '', priority = '', parent_task_id = '' } = req.query;
+
+    const whereConditions = ['pt.project_id = ?'];
+    const queryParams = [req.params.id];
+
+    if (status) {
+      whereConditions.push('pt.status = ?');
+      queryParams.push(status);
+    }
+
+    if (assigned_to) {
+      whereConditions.push('pt.assigned_to = ?');
+      queryParams.push(assigned_to);
+    }
+
+    if (priority) {
+      whereConditions.push('pt.priority = ?');
+      queryParams.push(priority);
+    }
+
+    if (parent_task_id === 'none') {
+      whereConditions.push('pt.parent_task_id IS NULL');
+    } else if (parent_task_id) {
+      whereConditions.push('pt.parent_task_id = ?');
+      queryParams.push(parent_task_id);
+    }
+
+    const tasks = await query(`
+      SELECT
+        pt.*,
+        u.first_name as assigned_first_name,
+        u.last_name as assigned_last_name,
+        (SELECT COUNT(*) FROM project_tasks sub WHERE sub.parent_task_id = pt.id) as subtask_count,
+        (SELECT COUNT(*) FROM task_checklist_items ci WHERE ci.task_id = pt.id) as checklist_total,
+        (SELECT COUNT(*) FROM task_checklist_items ci WHERE ci.task_id = pt.id AND ci.is_done = TRUE) as checklist_done,
+        (SELECT COUNT(*) FROM task_comments tc WHERE tc.task_id = pt.id) as comment_count
+      FROM project_tasks pt
+      LEFT JOIN users u ON pt.assigned_to = u.id
+      WHERE ${whereConditions.join(' AND ')}
+      ORDER BY pt.due_date IS NULL, pt.due_date, pt.id
+    `, queryParams);
+
+    res.json(tasks);
+  } catch (error) {
+    console.error('Erreur lors de la récupération des tâches:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des tâches' });
+  }
+});
+
+// Détail d'une tâche : sous-tâches, liste de contrôle et commentaires
+router.get('/:taskId', authenticateToken, checkResourceAccess('project'), async (req, res) => {
+  try {
+    const { id, taskId } = req.params;
+
+    const tasks = await query(`
+      SELECT
+        pt.*,
+        u.first_name as assigned_first_name, u.last_name as assigned_last_name,
+        cb.first_name as created_by_first_name, cb.last_name as created_by_last_name,
+        parent.title as parent_task_title
+      FROM project_tasks pt
+      LEFT JOIN users u ON pt.assigned_to = u.id
+      LEFT JOIN users cb ON pt.created_by = cb.id
+      LEFT JOIN project_tasks parent ON pt.parent_task_id = parent.id
+      WHERE pt.id = ? AND pt.project_id = ?
+    `, [taskId, id]);
+
+    if (tasks.length === 0) {
+      return res.status(404).json({ error: 'Tâche non trouvée' });
+    }
+
+    const subtasks = await query(`
+      SELECT pt.id, pt.title, pt.status, pt.priority, pt.due_date, pt.assigned_to,
+             u.first_name as assigned_first_name, u.last_name as assigned_last_name
+      FROM project_tasks pt
+      LEFT JOIN users u ON pt.assigned_to = u.id
+      WHERE pt.parent_task_id = ?
+      ORDER BY pt.due_date IS NULL, pt.due_date, pt.id
+    `, [taskId]);
+
+    const checklist = await query(
+      'SELECT * FROM task_checklist_items WHERE task_id = ? ORDER BY position, id',
+      [taskId]
+    );
+
+    const comments = await query(`
+      SELECT tc.*, u.first_name as user_first_name, u.last_name as user_last_name
+      FROM task_comments tc
+      LEFT JOIN users u ON tc.user_id = u.id
+      WHERE tc.task_id = ?
+      ORDER BY tc.created_at, tc.id
+    `, [taskId]);
+
+    const mentions = comments.length > 0 ? await query(`
+      SELECT m.comment_id, u.id as user_id, u.first_name, u.last_name, u.email
+      FROM task_comment_mentions m
+      JOIN task_comments tc ON m.comment_id = tc.id
+      JOIN users u ON m.user_id = u.id
+      WHERE tc.task_id = ?
+    `, [taskId]) : [];
+
+    // Tâches prérequises et tâches qui attendent celle-ci
+    const dependencies = await query(`
+      SELECT d.id, d.depends_on_task_id, d.type, d.lag_days, pt.title as depends_on_title, pt.status as depends_on_status
+      FROM task_dependencies d
+      JOIN project_tasks pt ON d.depends_on_task_id = pt.id
+      WHERE d.task_id = ?
+      ORDER BY d.id
+    `, [taskId]);
+
+    const dependents = await query(`
+      SELECT d.id, d.task_id, d.type, d.lag_days, pt.title as task_title, pt.status as task_status
+      FROM task_dependencies d
+      JOIN project_tasks pt ON d.task_id = pt.id
+      WHERE d.depends_on_task_id = ?
+      ORDER BY d.id
+    `, [taskId]);
+
+    res.json({
+      ...tasks[0],
+      subtasks,
+      dependencies,
+      dependents,
+      checklist,
+      comments: comments.map((comment) => ({
+        ...comment,
+        mentions: mentions
+          .filter((mention) => mention.comment_id === comment.id)
+          .map(({ comment_id, ...mention }) => mention)
+      }))
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération de la tâche:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération de la tâche' });
+  }
+});
+
+// Créer une tâche (ou une sous-tâche avec parent_task_id)
+router.post('/', authenticateToken, checkResourceAccess('project'), [
+  body('title').notEmpty().trim(),
+  body('assigned_to').isInt(),
+  body('due_date').isISO8601(),
+  body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']),
+  body('estimated_hours').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('parent_task_id').optional({ nullable: true }).isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { title, description, assigned_to, priority, due_date, estimated_hours, parent_task_id } = req.body;
+
+    // Vérifier que le projet existe
+    const projects = await query('SELECT id FROM projects WHERE id = ?', [id]);
+    if (projects.length === 0) {
+      return res.status(404).json({ error: 'Projet non trouvé' });
+    }
+
+    // Vérifier que l'utilisateur assigné existe
+    if (!(await findAssignee(assigned_to))) {
+      return res.status(400).json({ error: 'Utilisateur assigné non trouvé' });
+    }
+
+    const taskId = await transaction(async (connection) => {
+      if (parent_task_id) {
+        await checkParentTask(connection, id, parent_task_id);
+      }
+
+      const [result] = await connection.execute(
+        `INSERT INTO project_tasks (project_id, parent_task_id, title, description, assigned_to, priority, due_date,
+                                    estimated_hours, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, parent_task_id || null, title, description || null, assigned_to, priority || 'medium', due_date,
+         estimated_hours || null, req.user.id]
+      );
+      await refreshProjectProgress(connection, id);
+      return result.insertId;
+    });
+
+    res.status(201).json({
+      message: 'Tâche créée avec succès',
+      taskId
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de la création de la tâche:', error);
+    res.status(500).json({ error: 'Erreur lors de la création de la tâche' });
+  }
+});
+
+// Mettre à jour une tâche (dont la réassignation et le rattachement à une tâche parente)
+router.put('/:taskId', authenticateToken, checkResourceAccess('project'), [
+  body('title').optional().notEmpty().trim(),
+  body('assigned_to').optional({ nullable: true }).isInt(),
+  body('due_date').optional({ nullable: true }).isISO8601(),
+  body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']),
+  body('estimated_hours').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('parent_task_id').optional({ nullable: true }).isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id, taskId } = req.params;
+    const { title, description, assigned_to, priority, due_date, estimated_hours, parent_task_id } = req.body;
+
+    if (assigned_to && !(await findAssignee(assigned_to))) {
+      return res.status(400).json({ error: 'Utilisateur assigné non trouvé' });
+    }
+
+    const updateFields = [];
+    const updateValues = [];
+
+    if (title) { updateFields.push('title = ?'); updateValues.push(title); }
+    if (description !== undefined) { updateFields.push('description = ?'); updateValues.push(description); }
+    if (assigned_to !== undefined) { updateFields.push('assigned_to = ?'); updateValues.push(assigned_to); }
+    if (priority) { updateFields.push('priority = ?'); updateValues.push(priority); }
+    if (due_date !== undefined) { updateFields.push('due_date = ?'); updateValues.push(due_date); }
+    if (estimated_hours !== undefined) { updateFields.push('estimated_hours = ?'); updateValues.push(estimated_hours); }
+    if (parent_task_id !== undefined) { updateFields.push('parent_task_id = ?'); updateValues.push(parent_task_id); }
+
+    if (updateFields.length === 0) {
+      return res.status(400).json({ error: 'Aucun champ à mettre à jour' });
+    }
+
+    await transaction(async (connection) => {
+      const task = await lockTask(connection, id, taskId);
+
+      if (parent_task_id) {
+        await checkParentTask(connection, id, parent_task_id, task.id);
+      }
+
+      await connection.execute(
+        `UPDATE project_tasks SET ${updateFields.join(', ')} WHERE id = ?`,
+        [...updateValues, task.id]
+      );
+
+      // L'estimation et le rattachement changent la pondération de la progression du projet
+      await refreshProjectProgress(connection, id);
+    });
+
+    res.json({ message: 'Tâche mise à jour avec succès' });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de la mise à jour de la tâche:', error);
+    res.status(500).json({ error: 'Erreur lors de la mise à jour de la tâche' });
+  }
+});
+
+// Changer le statut d'une tâche (todo, in_progress, review, done, blocked, cancelled)
+router.post('/:taskId/status', authenticateToken, checkResourceAccess('project'), [
+  body('status').isIn(TASK_STATUSES).withMessage('Statut invalide'),
+  body('blocked_reason').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await transaction((connection) =>
+      changeTaskStatus(connection, req.params.id, req.params.taskId, {
+        status: req.body.status,
+        blockedReason: req.body.blocked_reason || null
+      })
+    );
+
+    res.json({
+      message: 'Statut de la tâche mis à jour',
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors du changement de statut de la tâche:', error);
+    res.status(500).json({ error: 'Erreur lors du changement de statut de la tâche' });
+  }
+});
+
+// Supprimer une tâche et toutes ses sous-tâches (chef de projet ou permission projects:update),
+// refusé si du temps a été saisi sur l'une d'elles
+router.delete('/:taskId', authenticateToken, checkResourceAccess('project'), async (req, res) => {
+  try {
+    const { id, taskId } = req.params;
+
+    const tasks = await query(`
+      SELECT pt.id, p.manager_id FROM project_tasks pt
+      JOIN projects p ON pt.project_id = p.id
+      WHERE pt.id = ? AND pt.project_id = ?
+    `, [taskId, id]);
+    if (tasks.length === 0) {
+      return res.status(404).json({ error: 'Tâche non trouvée' });
+    }
+
+    if (tasks[0].manager_id !== req.user.id && !(await hasPermission(req.user, 'projects:update'))) {
+      return res.status(403).json({ error: 'Seul le chef de projet peut supprimer une tâche' });
+    }
+
+    await transaction(async (connection) => {
+      await lockTask(connection, id, taskId);
+
+      const taskIds = await getTaskSubtreeIds(connection, taskId);
+      const [timeEntries] = await connection.query(
+        'SELECT COUNT(*) as count FROM time_entries WHERE task_id IN (?)',
+        [taskIds]
+      );
+      if (timeEntries[0].count > 0) {
+        throw new ServiceError('Impossible de supprimer la tâche car du temps a été saisi sur elle ou ses sous-tâches');
+      }
+
+      await connection.execute('DELETE FROM project_tasks WHERE id = ?', [taskId]);
+      await refreshProjectProgress(connection, id);
+    });
+
+    res.json({ message: 'Tâche supprimée avec succès' });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de la suppression de la tâche:', error);
+    res.status(500).json({ error: 'Erreur lors de la suppression de la tâche' });
+  }
+});
+
+// Faire dépendre une tâche d'une autre tâche du projet (les cycles sont refusés)
+router.post('/:taskId/dependencies', authenticateToken, checkResourceAccess('project'), [
+  body('depends_on_task_id').isInt().withMessage('La tâche prérequise est requise'),
+  body('type').optional().isIn(DEPENDENCY_TYPES).withMessage('Type de dépendance invalide'),
+  body('lag_days').optional().isInt().withMessage('Le décalage doit être un nombre entier de jours')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await transaction((connection) =>
+      addTaskDependency(connection, req.params.id, req.params.taskId, {
+        dependsOnTaskId: req.body.depends_on_task_id,
+        type: req.body.type || 'finish_to_start',
+        lagDays: parseInt(req.body.lag_days) || 0
+      }, { userId: req.user.id })
+    );
+
+    res.status(201).json({
+      message: 'Dépendance ajoutée',
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de l\'ajout de la dépendance:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'ajout de la dépendance' });
+  }
+});
+
+// Supprimer une dépendance d'une tâche
+router.delete('/:taskId/dependencies/:dependencyId', authenticateToken, checkResourceAccess('project'), async (req, res) => {
+  try {
+    const { id, taskId, dependencyId } = req.params;
+
+    const result = await query(`
+      DELETE d FROM task_dependencies d
+      JOIN project_tasks pt ON d.task_id = pt.id
+      WHERE d.id = ? AND d.task_id = ? AND pt.project_id = ?
+    `, [dependencyId, taskId, id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Dépendance non trouvée' });
+    }
+
+    res.json({ message: 'Dépendance supprimée' });
+  } catch (error) {
+    console.error('Erreur lors de la suppression de la dépendance:', error);
+    res.status(500).json({ error: 'Erreur lors de la suppression de la dépendance' });
+  }
+});
+
+// Ajouter un élément à la liste de contrôle d'une tâche
+router.post('/:taskId/checklist', authenticateToken, checkResourceAccess('project'), [
+  body('label').notEmpty().trim().withMessage('Le libellé est requis')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id, taskId } = req.params;
+
+    const tasks = await query('SELECT id FROM project_tasks WHERE id = ? AND project_id = ?', [taskId, id]);
+    if (tasks.length === 0) {
+      return res.status(404).json({ error: 'Tâche non trouvée' });
+    }
+
+    const positions = await query(
+      'SELECT COALESCE(MAX(position), 0) as position FROM task_checklist_items WHERE task_id = ?',
+      [taskId]
+    );
+
+    const result = await query(
+      'INSERT INTO task_checklist_items (task_id, label, position) VALUES (?, ?, ?)',
+      [taskId, req.body.label, positions[0].position + 1]
+    );
+
+    res.status(201).json({
+      message: 'Élément ajouté à la liste de contrôle',
+      itemId: result.insertId
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'ajout à la liste de contrôle:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'ajout à la liste de contrôle' });
+  }
+});
+
+// Modifier un élément de la liste de contrôle (libellé, coché ou non)
+router.put('/:taskId/checklist/:itemId', authenticateToken, checkResourceAccess('project'), [
+  body('label').optional().notEmpty().trim(),
+  body('is_done').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id, taskId, itemId } = req.params;
+    const { label, is_done } = req.body;
+
+    const items = await query(`
+      SELECT ci.id FROM task_checklist_items ci
+      JOIN project_tasks pt ON ci.task_id = pt.id
+      WHERE ci.id = ? AND ci.task_id = ? AND pt.project_id = ?
+    `, [itemId, taskId, id]);
+    if (items.length === 0) {
+      return res.status(404).json({ error: 'Élément non trouvé' });
+    }
+
+    const updateFields = [];
+    const updateValues = [];
+
+    if (label) {
+      updateFields.push('label = ?');
+      updateValues.push(label);
+    }
+    if (is_done !== undefined) {
+      const done = is_done === true || is_done === 'true';
+      updateFields.push('is_done = ?', 'done_by = ?', 'done_at = ?');
+      updateValues.push(done, done ? req.user.id : null, done ? new Date() : null);
+    }
+
+    if (updateFields.length === 0) {
+      return res.status(400).json({ error: 'Aucun champ à mettre à jour' });
+    }
+
+    await query(
+      `UPDATE task_checklist_items SET ${updateFields.join(', ')} WHERE id = ?`,
+      [...updateValues, itemId]
+    );
+
+    res.json({ message: 'Élément mis à jour' });
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour de la liste de contrôle:', error);
+    res.status(500).json({ error: 'Erreur lors de la mise à jour de la liste de contrôle' });
+  }
+});
+
+// Supprimer un élément de la liste de contrôle
+router.delete('/:taskId/checklist/:itemId', authenticateToken, checkResourceAccess('project'), async (req, res) => {
+  try {
+    const { id, taskId, itemId } = req.params;
+
+    const result = await query(`
+      DELETE ci FROM task_checklist_items ci
+      JOIN project_tasks pt ON ci.task_id = pt.id
+      WHERE ci.id = ? AND ci.task_id = ? AND pt.project_id = ?
+    `, [itemId, taskId, id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Élément non trouvé' });
+    }
+
+    res.json({ message: 'Élément supprimé' });
+  } catch (error) {
+    console.error('Erreur lors de la suppression de l\'élément:', error);
+    res.status(500).json({ error: 'Erreur lors de la suppression de l\'élément' });
+  }
+});
+
+// Commenter une tâche ; les utilisateurs mentionnés (@email) sont prévenus par email
+router.post('/:taskId/comments', authenticateToken, checkResourceAccess('project'), [
+  body('body').notEmpty().trim().withMessage('Le commentaire est requis')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await transaction((connection) =>
+      addTaskComment(connection, req.params.id, req.params.taskId, { body: req.body.body }, { userId: req.user.id })
+    );
+
+    await notifyMentions({ task: result.task, mentioned: result.mentioned, authorId: req.user.id, body: req.body.body });
+
+    res.status(201).json({
+      message: 'Commentaire ajouté',
+      commentId: result.commentId,
+      mentions: result.mentioned.map((user) => user.id)
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de l\'ajout du commentaire:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'ajout du commentaire' });
+  }
+});
+
+// Supprimer un de ses commentaires
+router.delete('/:taskId/comments/:commentId', authenticateToken, checkResourceAccess('project'), async (req, res) => {
+  try {
+    const { id, taskId, commentId } = req.params;
+
+    const comments = await query(`
+      SELECT tc.id, tc.user_id FROM task_comments tc
+      JOIN project_tasks pt ON tc.task_id = pt.id
+      WHERE tc.id = ? AND tc.task_id = ? AND pt.project_id = ?
+    `, [commentId, taskId, id]);
+
+    if (comments.length === 0) {
+      return res.status(404).json({ error: 'Commentaire non trouvé' });
+    }
+
+    if (comments[0].user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Vous ne pouvez supprimer que vos propres commentaires' });
+    }
+
+    await query('DELETE FROM task_comments WHERE id = ?', [commentId]);
+
+    res.json({ message: 'Commentaire supprimé' });
+  } catch (error) {
+    console.error('Erreur lors de la suppression du commentaire:', error);
+    res.status(500).json({ error: 'Erreur lors de la suppression du commentaire' });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,13 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { query } = require('../config/database');
-const { authenticateToken, authorize, checkResourceAccess } = require('../middleware/auth');
+const { query, transaction } = require('../config/database');
+const { authenticateToken, requirePermission, checkResourceAccess } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+const { computeProjectSchedule } = require('../services/schedule');
+const { computeProjectFinancials } = require('../services/projectFinancials');
+const { BILLING_METHODS, invoiceProject } = require('../services/projectInvoicing');
+const { issueProjectMaterial, cancelProjectMaterial } = require('../services/projectMaterials');
+const { ServiceError } = require('../services/errors');
 
 const router = express.Router();
 
@@ -13,8 +19,8 @@ router.get('/', authenticateToken, async (req, res) => {
     let whereConditions = ['1=1'];
     let queryParams = [];
 
-    // Filtrage par utilisateur si ce n'est pas un admin/manager
-    if (req.user.role === 'employee') {
+    // Sans accès à tous les projets : seulement ceux gérés ou avec une tâche assignée
+    if (!(await hasPermission(req.user, 'projects:read_all'))) {
       whereConditions.push('(p.manager_id = ? OR p.id IN (SELECT project_id FROM project_tasks WHERE assigned_to = ?))');
       queryParams.push(req.user.id, req.user.id);
     }
@@ -43,7 +49,7 @@ router.get('/', authenticateToken, async (req, res) => {
 
     const projects = await query(`
       SELECT 
-        p.id, p.name, p.description, p.start_date, p.end_date, p.budget, 
+        p.id, p.name, p.description, p.start_date, p.end_date, p.budget, p.actual_hours,
         p.status, p.priority, p.progress, p.created_at, p.updated_at,
         c.id as client_id, c.company_name as client_name, c.contact_person as client_contact,
         c.email as client_email, c.phone as client_phone, c.address as client_address,
@@ -108,10 +114,12 @@ router.get('/:id', authenticateToken, checkResourceAccess('project'), async (req
         te.*,
         u.first_name as user_first_name,
         u.last_name as user_last_name,
-        pt.title as task_title
+        pt.title as task_title,
+        t.status as timesheet_status
       FROM time_entries te
       LEFT JOIN users u ON te.user_id = u.id
       LEFT JOIN project_tasks pt ON te.task_id = pt.id
+      LEFT JOIN timesheets t ON te.timesheet_id = t.id
       WHERE te.project_id = ?
       ORDER BY te.date DESC
     `, [id]);
@@ -127,9 +135,243 @@ router.get('/:id', authenticateToken, checkResourceAccess('project'), async (req
   }
 });
 
+// Planning du projet : dates au plus tôt et au plus tard, marges et chemin critique (format Gantt)
+router.get('/:id/schedule', authenticateToken, checkResourceAccess('project'), async (req, res) => {
+  try {
+    const schedule = await computeProjectSchedule(req.params.id);
+    res.json(schedule);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors du calcul du planning du projet:', error);
+    res.status(500).json({ error: 'Erreur lors du calcul du planning du projet' });
+  }
+});
+
+// Suivi financier : budget, coûts réalisés et engagés, prévision à terminaison et alertes de consommation
+router.get('/:id/financials', authenticateToken, requirePermission('projects:read_financials'), checkResourceAccess('project'), async (req, res) => {
+  try {
+    const financials = await computeProjectFinancials(req.params.id);
+    res.json(financials);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors du calcul du suivi financier du projet:', error);
+    res.status(500).json({ error: 'Erreur lors du calcul du suivi financier du projet' });
+  }
+});
+
+// Jalons d'un projet au forfait, avec la facture qui les a facturés
+router.get('/:id/milestones', authenticateToken, checkResourceAccess('project'), async (req, res) => {
+  try {
+    const milestones = await query(`
+      SELECT m.*, inv.invoice_number, inv.status as invoice_status
+      FROM project_milestones m
+      LEFT JOIN invoices inv ON m.invoice_id = inv.id
+      WHERE m.project_id = ?
+      ORDER BY m.due_date IS NULL, m.due_date, m.id
+    `, [req.params.id]);
+
+    res.json(milestones);
+  } catch (error) {
+    console.error('Erreur lors de la récupération des jalons:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des jalons' });
+  }
+});
+
+// Ajouter un jalon de facturation à un projet
+router.post('/:id/milestones', authenticateToken, requirePermission('invoices:create'), checkResourceAccess('project'), [
+  body('name').notEmpty().trim().withMessage('Le nom du jalon est requis'),
+  body('amount').isFloat({ min: 0.01 }).withMessage('Le montant doit être positif'),
+  body('due_date').optional({ nullable: true }).isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { name, amount, due_date } = req.body;
+
+    const projects = await query('SELECT id FROM projects WHERE id = ?', [id]);
+    if (projects.length === 0) {
+      return res.status(404).json({ error: 'Projet non trouvé' });
+    }
+
+    const result = await query(
+      'INSERT INTO project_milestones (project_id, name, amount, due_date, created_by) VALUES (?, ?, ?, ?, ?)',
+      [id, name, amount, due_date || null, req.user.id]
+    );
+
+    res.status(201).json({
+      message: 'Jalon ajouté',
+      milestoneId: result.insertId
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'ajout du jalon:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'ajout du jalon' });
+  }
+});
+
+// Supprimer un jalon (refusé s'il figure sur une facture non annulée)
+router.delete('/:id/milestones/:milestoneId', authenticateToken, requirePermission('invoices:create'), checkResourceAccess('project'), async (req, res) => {
+  try {
+    const { id, milestoneId } = req.params;
+
+    const milestones = await query(`
+      SELECT m.id, inv.status as invoice_status
+      FROM project_milestones m
+      LEFT JOIN invoices inv ON m.invoice_id = inv.id
+      WHERE m.id = ? AND m.project_id = ?
+    `, [milestoneId, id]);
+
+    if (milestones.length === 0) {
+      return res.status(404).json({ error: 'Jalon non trouvé' });
+    }
+
+    if (milestones[0].invoice_status && milestones[0].invoice_status !== 'cancelled') {
+      return res.status(400).json({ error: 'Impossible de supprimer un jalon déjà facturé' });
+    }
+
+    await query('DELETE FROM project_milestones WHERE id = ?', [milestoneId]);
+
+    res.json({ message: 'Jalon supprimé' });
+  } catch (error) {
+    console.error('Erreur lors de la suppression du jalon:', error);
+    res.status(500).json({ error: 'Erreur lors de la suppression du jalon' });
+  }
+});
+
+// Matériel sorti du stock pour un projet, avec la facture qui l'a facturé
+router.get('/:id/materials', authenticateToken, checkResourceAccess('project'), async (req, res) => {
+  try {
+    const materials = await query(`
+      SELECT pm.*, p.name as product_name, p.product_code, u.serial_number, w.name as warehouse_name,
+             inv.invoice_number, inv.status as invoice_status
+      FROM project_materials pm
+      JOIN products p ON pm.product_id = p.id
+      JOIN warehouses w ON pm.warehouse_id = w.id
+      LEFT JOIN equipment_units u ON pm.unit_id = u.id
+      LEFT JOIN invoices inv ON pm.invoice_id = inv.id
+      WHERE pm.project_id = ?
+      ORDER BY pm.issue_date DESC, pm.id DESC
+    `, [req.params.id]);
+
+    res.json(materials);
+  } catch (error) {
+    console.error('Erreur lors de la récupération du matériel du projet:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération du matériel du projet' });
+  }
+});
+
+// Sortir du matériel du stock pour un projet (serial_number, ou product_id et quantity)
+router.post('/:id/materials', authenticateToken, requirePermission('inventory:manage'), checkResourceAccess('project'), [
+  body('serial_number').optional({ nullable: true }).trim().notEmpty(),
+  body('product_id').if(body('serial_number').not().exists({ checkFalsy: true })).isInt().withMessage('Le produit ou le numéro de série est requis'),
+  body('quantity').optional().isInt({ min: 1 }).withMessage('La quantité doit être un entier positif'),
+  body('warehouse_id').optional({ nullable: true }).isInt().withMessage('Dépôt invalide'),
+  body('issue_date').optional().isISO8601().withMessage('Date de sortie invalide'),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { serial_number, product_id, quantity, warehouse_id, issue_date, notes } = req.body;
+
+    const result = await transaction((connection) =>
+      issueProjectMaterial(connection, req.params.id, {
+        serialNumber: serial_number || null,
+        productId: product_id || null,
+        quantity: parseInt(quantity) || 1,
+        warehouseId: warehouse_id || null,
+        issueDate: issue_date || null,
+        notes: notes || null
+      }, { userId: req.user.id })
+    );
+
+    res.status(201).json({
+      message: 'Matériel sorti pour le projet',
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de la sortie du matériel du projet:', error);
+    res.status(500).json({ error: 'Erreur lors de la sortie du matériel du projet' });
+  }
+});
+
+// Annuler une sortie de matériel non facturée : le matériel revient en stock
+router.delete('/:id/materials/:materialId', authenticateToken, requirePermission('inventory:manage'), checkResourceAccess('project'), async (req, res) => {
+  try {
+    await transaction((connection) =>
+      cancelProjectMaterial(connection, req.params.id, req.params.materialId, { userId: req.user.id })
+    );
+
+    res.json({ message: 'Sortie de matériel annulée, le matériel est revenu en stock' });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de l\'annulation de la sortie de matériel:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'annulation de la sortie de matériel' });
+  }
+});
+
+// Facturer un projet : facture en brouillon des temps approuvés et du matériel non facturés,
+// ou des jalons choisis (milestone_ids) pour un projet au forfait ; dry_run=true pour un aperçu
+router.post('/:id/invoice', authenticateToken, requirePermission('invoices:create'), checkResourceAccess('project'), [
+  body('up_to').optional().isISO8601().withMessage('Date limite invalide'),
+  body('issue_date').optional().isISO8601().withMessage('Date d\'émission invalide'),
+  body('milestone_ids').optional().isArray(),
+  body('milestone_ids.*').isInt(),
+  body('dry_run').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const dryRun = req.body.dry_run === true || req.body.dry_run === 'true';
+
+    const result = await transaction((connection) =>
+      invoiceProject(connection, req.params.id, {
+        upTo: req.body.up_to || null,
+        issueDate: req.body.issue_date || null,
+        milestoneIds: req.body.milestone_ids || [],
+        dryRun
+      }, { userId: req.user.id })
+    );
+
+    if (dryRun) {
+      return res.json(result);
+    }
+
+    res.status(201).json({
+      message: 'Facture du projet créée en brouillon',
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de la facturation du projet:', error);
+    res.status(500).json({ error: 'Erreur lors de la facturation du projet' });
+  }
+});
+
 // Créer un nouveau projet
-router.post('/', authenticateToken, authorize('admin', 'manager'), [
-  body('name').notEmpty().trim()
+router.post('/', authenticateToken, requirePermission('projects:create'), [
+  body('name').notEmpty().trim(),
+  body('billing_method').optional().isIn(BILLING_METHODS)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -137,7 +379,7 @@ router.post('/', authenticateToken, authorize('admin', 'manager'), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, description, client_id, manager_id, start_date, end_date, budget, status, priority, progress } = req.body;
+    const { name, description, client_id, manager_id, start_date, end_date, budget, billing_method, status, priority } = req.body;
 
     // Vérifier que le client existe si fourni
     if (client_id) {
@@ -156,8 +398,8 @@ router.post('/', authenticateToken, authorize('admin', 'manager'), [
     }
 
     const result = await query(
-      'INSERT INTO projects (name, description, client_id, manager_id, start_date, end_date, budget, status, priority, progress) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-      [name, description, client_id || null, manager_id || null, start_date || null, end_date || null, budget || null, status || 'planning', priority || 'medium', progress || 0]
+      'INSERT INTO projects (name, description, client_id, manager_id, start_date, end_date, budget, billing_method, status, priority) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [name, description, client_id || null, manager_id || null, start_date || null, end_date || null, budget || null, billing_method || 'time_and_materials', status || 'planning', priority || 'medium']
     );
 
     res.status(201).json({
@@ -175,7 +417,7 @@ router.put('/:id', authenticateToken, checkResourceAccess('project'), [
   body('name').optional().notEmpty().trim(),
   body('status').optional().isIn(['planning', 'in_progress', 'on_hold', 'completed', 'cancelled']),
   body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']),
-  body('progress').optional().isInt({ min: 0, max: 100 })
+  body('billing_method').optional().isIn(BILLING_METHODS)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -184,7 +426,12 @@ router.put('/:id', authenticateToken, checkResourceAccess('project'), [
     }
 
     const { id } = req.params;
-    const { name, description, status, priority, progress, end_date } = req.body;
+    const { name, description, status, priority, progress, end_date, billing_method } = req.body;
+
+    // La progression est calculée à partir des tâches du projet
+    if (progress !== undefined) {
+      return res.status(400).json({ error: 'La progression est calculée à partir des tâches et ne peut pas être saisie' });
+    }
 
     // Vérifier que le projet existe
     const existingProjects = await query('SELECT id FROM projects WHERE id = ?', [id]);
@@ -192,6 +439,12 @@ router.put('/:id', authenticateToken, checkResourceAccess('project'), [
       return res.status(404).json({ error: 'Projet non trouvé' });
     }
 
+    // Le mode de facturation ne change qu'avec le droit de modifier les projets ou de les facturer
+    if (billing_method && !(await hasPermission(req.user, 'projects:update'))
+      && !(await hasPermission(req.user, 'invoices:create'))) {
+      return res.status(403).json({ error: 'Permissions insuffisantes pour modifier le mode de facturation' });
+    }
+
     const updateFields = [];
     const updateValues = [];
 
@@ -211,14 +464,14 @@ router.put('/:id', authenticateToken, checkResourceAccess('project'), [
       updateFields.push('priority = ?');
       updateValues.push(priority);
     }
-    if (progress !== undefined) {
-      updateFields.push('progress = ?');
-      updateValues.push(progress);
-    }
     if (end_date) {
       updateFields.push('end_date = ?');
       updateValues.push(end_date);
     }
+    if (billing_method) {
+      updateFields.push('billing_method = ?');
+      updateValues.push(billing_method);
+    }
 
     if (updateFields.length === 0) {
       return res.status(400).json({ error: 'Aucun champ à mettre à jour' });
@@ -239,7 +492,7 @@ router.put('/:id', authenticateToken, checkResourceAccess('project'), [
 });
 
 // Supprimer un projet
-router.delete('/:id', authenticateToken, authorize('admin', 'manager'), async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('projects:delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -258,50 +511,8 @@ router.delete('/:id', authenticateToken, authorize('admin', 'manager'), async (r
   }
 });
 
-// Créer une tâche pour un projet
-router.post('/:id/tasks', authenticateToken, [
-  body('title').notEmpty().trim(),
-  body('assigned_to').isInt(),
-  body('due_date').isISO8601()
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
-
-    const { id } = req.params;
-    const { title, description, assigned_to, priority, due_date, estimated_hours } = req.body;
-
-    // Vérifier que le projet existe
-    const projects = await query('SELECT id FROM projects WHERE id = ?', [id]);
-    if (projects.length === 0) {
-      return res.status(404).json({ error: 'Projet non trouvé' });
-    }
-
-    // Vérifier que l'utilisateur assigné existe
-    const users = await query('SELECT id FROM users WHERE id = ?', [assigned_to]);
-    if (users.length === 0) {
-      return res.status(400).json({ error: 'Utilisateur assigné non trouvé' });
-    }
-
-    const result = await query(
-      'INSERT INTO project_tasks (project_id, title, description, assigned_to, priority, due_date, estimated_hours) VALUES (?, ?, ?, ?, ?, ?, ?)',
-      [id, title, description, assigned_to, priority || 'medium', due_date, estimated_hours]
-    );
-
-    res.status(201).json({
-      message: 'Tâche créée avec succès',
-      taskId: result.insertId
-    });
-  } catch (error) {
-    console.error('Erreur lors de la création de la tâche:', error);
-    res.status(500).json({ error: 'Erreur lors de la création de la tâche' });
-  }
-});
-
 // Obtenir les statistiques des projets
-router.get('/stats/overview', authenticateToken, authorize('admin', 'manager'), async (req, res) => {
+router.get('/stats/overview', authenticateToken, requirePermission('projects:read_stats'), async (req, res) => {
   try {
     const stats = await query(`
       SELECT 
@@ -0,0 +1,201 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query, transaction } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { clearPermissionCache } = require('../services/permissions');
+const { ServiceError } = require('../services/errors');
+
+const router = express.Router();
+
+// Permission qui doit toujours rester au rôle admin pour éviter de perdre la gestion des rôles
+const PROTECTED_ADMIN_PERMISSION = 'roles:manage';
+
+// Remplacer la liste des permissions d'un rôle (dans une transaction)
+const setRolePermissions = async (connection, roleId, permissionNames) => {
+  const [permissions] = permissionNames.length > 0
+    ? await connection.query('SELECT id, name FROM permissions WHERE name IN (?)', [permissionNames])
+    : [[]];
+
+  const unknown = permissionNames.filter((name) => !permissions.some((permission) => permission.name === name));
+  if (unknown.length > 0) {
+    throw new ServiceError(`Permissions inconnues: ${unknown.join(', ')}`);
+  }
+
+  await connection.execute('DELETE FROM role_permissions WHERE role_id = ?', [roleId]);
+  for (const permission of permissions) {
+    await connection.execute(
+      'INSERT INTO role_permissions (role_id, permission_id) VALUES (?, ?)',
+      [roleId, permission.id]
+    );
+  }
+};
+
+// Récupérer tous les rôles avec leurs permissions
+router.get('/', authenticateToken, requirePermission('roles:read'), async (req, res) => {
+  try {
+    const roles = await query(`
+      SELECT
+        r.id, r.name, r.description, r.hourly_billing_rate, r.is_system, r.created_at, r.updated_at,
+        (SELECT COUNT(*) FROM users u WHERE u.role = r.name) as user_count
+      FROM roles r
+      ORDER BY r.is_system DESC, r.name
+    `);
+
+    const assignments = await query(`
+      SELECT rp.role_id, p.name
+      FROM role_permissions rp
+      JOIN permissions p ON rp.permission_id = p.id
+      ORDER BY p.name
+    `);
+
+    res.json(roles.map((role) => ({
+      ...role,
+      permissions: assignments.filter((assignment) => assignment.role_id === role.id).map((assignment) => assignment.name)
+    })));
+  } catch (error) {
+    console.error('Erreur lors de la récupération des rôles:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des rôles' });
+  }
+});
+
+// Récupérer le catalogue des permissions
+router.get('/permissions', authenticateToken, requirePermission('roles:read'), async (req, res) => {
+  try {
+    const permissions = await query('SELECT id, name, description FROM permissions ORDER BY name');
+    res.json(permissions);
+  } catch (error) {
+    console.error('Erreur lors de la récupération des permissions:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des permissions' });
+  }
+});
+
+// Créer un rôle
+router.post('/', authenticateToken, requirePermission('roles:manage'), [
+  body('name').matches(/^[a-z][a-z0-9_]{1,49}$/).withMessage('Nom de rôle invalide (minuscules, chiffres et _)'),
+  body('description').optional().trim(),
+  body('hourly_billing_rate').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('permissions').optional().isArray(),
+  body('permissions.*').isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description, hourly_billing_rate, permissions = [] } = req.body;
+
+    const existingRoles = await query('SELECT id FROM roles WHERE name = ?', [name]);
+    if (existingRoles.length > 0) {
+      return res.status(400).json({ error: 'Un rôle avec ce nom existe déjà' });
+    }
+
+    const result = await transaction(async (connection) => {
+      const [inserted] = await connection.execute(
+        'INSERT INTO roles (name, description, hourly_billing_rate) VALUES (?, ?, ?)',
+        [name, description || null, hourly_billing_rate || null]
+      );
+
+      await setRolePermissions(connection, inserted.insertId, permissions);
+
+      return inserted;
+    });
+
+    clearPermissionCache();
+
+    res.status(201).json({
+      message: 'Rôle créé avec succès',
+      roleId: result.insertId
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de la création du rôle:', error);
+    res.status(500).json({ error: 'Erreur lors de la création du rôle' });
+  }
+});
+
+// Mettre à jour un rôle (description, taux horaire de facturation et/ou liste complète des permissions)
+router.put('/:id', authenticateToken, requirePermission('roles:manage'), [
+  body('description').optional().trim(),
+  body('hourly_billing_rate').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('permissions').optional().isArray(),
+  body('permissions.*').isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { description, hourly_billing_rate, permissions } = req.body;
+
+    const roles = await query('SELECT id, name FROM roles WHERE id = ?', [id]);
+    if (roles.length === 0) {
+      return res.status(404).json({ error: 'Rôle non trouvé' });
+    }
+
+    if (description === undefined && hourly_billing_rate === undefined && permissions === undefined) {
+      return res.status(400).json({ error: 'Aucun champ à mettre à jour' });
+    }
+
+    if (permissions && roles[0].name === 'admin' && !permissions.includes(PROTECTED_ADMIN_PERMISSION)) {
+      return res.status(400).json({ error: `Le rôle admin doit conserver la permission ${PROTECTED_ADMIN_PERMISSION}` });
+    }
+
+    await transaction(async (connection) => {
+      if (description !== undefined) {
+        await connection.execute('UPDATE roles SET description = ? WHERE id = ?', [description, id]);
+      }
+      if (hourly_billing_rate !== undefined) {
+        await connection.execute('UPDATE roles SET hourly_billing_rate = ? WHERE id = ?', [hourly_billing_rate, id]);
+      }
+      if (permissions) {
+        await setRolePermissions(connection, id, permissions);
+      }
+    });
+
+    clearPermissionCache();
+
+    res.json({ message: 'Rôle mis à jour avec succès' });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de la mise à jour du rôle:', error);
+    res.status(500).json({ error: 'Erreur lors de la mise à jour du rôle' });
+  }
+});
+
+// Supprimer un rôle (hors rôles système et rôles encore attribués)
+router.delete('/:id', authenticateToken, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const roles = await query('SELECT id, name, is_system FROM roles WHERE id = ?', [id]);
+    if (roles.length === 0) {
+      return res.status(404).json({ error: 'Rôle non trouvé' });
+    }
+
+    if (roles[0].is_system) {
+      return res.status(400).json({ error: 'Impossible de supprimer un rôle système' });
+    }
+
+    const users = await query('SELECT COUNT(*) as count FROM users WHERE role = ?', [roles[0].name]);
+    if (users[0].count > 0) {
+      return res.status(400).json({ error: 'Impossible de supprimer un rôle attribué à des utilisateurs' });
+    }
+
+    await query('DELETE FROM roles WHERE id = ?', [id]);
+    clearPermissionCache();
+
+    res.json({ message: 'Rôle supprimé avec succès' });
+  } catch (error) {
+    console.error('Erreur lors de la suppression du rôle:', error);
+    res.status(500).json({ error: 'Erreur lors de la suppression du rôle' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,149 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query, transaction } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { UNIT_STATUSES, changeUnitStatus } = require('../services/serials');
+const { ServiceError } = require('../services/errors');
+
+const router = express.Router();
+
+// Récupérer les unités sérialisées
+router.get('/', authenticateToken, requirePermission('equipment:read'), async (req, res) => {
+  try {
+    const { search = '', product_id = '', status = '', warehouse_id = '', client_id = '' } = req.query;
+
+    const whereConditions = ['1=1'];
+    const queryParams = [];
+
+    if (search) {
+      whereConditions.push('(u.serial_number LIKE ? OR p.name LIKE ?)');
+      queryParams.push(`%${search}%`, `%${search}%`);
+    }
+
+    if (product_id) {
+      whereConditions.push('u.product_id = ?');
+      queryParams.push(product_id);
+    }
+
+    if (status) {
+      whereConditions.push('u.status = ?');
+      queryParams.push(status);
+    }
+
+    if (warehouse_id) {
+      whereConditions.push('u.warehouse_id = ?');
+      queryParams.push(warehouse_id);
+    }
+
+    if (client_id) {
+      whereConditions.push('u.client_id = ?');
+      queryParams.push(client_id);
+    }
+
+    const units = await query(`
+      SELECT
+        u.*, p.name as product_name, p.product_code,
+        w.name as warehouse_name, c.company_name as client_name
+      FROM equipment_units u
+      JOIN products p ON u.product_id = p.id
+      LEFT JOIN warehouses w ON u.warehouse_id = w.id
+      LEFT JOIN clients c ON u.client_id = c.id
+      WHERE ${whereConditions.join(' AND ')}
+      ORDER BY p.name, u.serial_number
+    `, queryParams);
+
+    res.json(units);
+  } catch (error) {
+    console.error('Erreur lors de la récupération des unités:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des unités' });
+  }
+});
+
+// Fiche d'une unité : destination (client, vente, abonnement, employé) et historique complet
+router.get('/:serial', authenticateToken, requirePermission('equipment:read'), async (req, res) => {
+  try {
+    const units = await query(`
+      SELECT
+        u.*, p.name as product_name, p.product_code,
+        w.name as warehouse_name,
+        c.company_name as client_name,
+        s.sale_number, s.customer_name as sale_customer_name, s.created_at as sold_at,
+        sub.plan_name as subscription_plan, sub.status as subscription_status,
+        pr.lot_id as purchase_lot_id, pl.lot_number as purchase_lot_number,
+        el.id as loan_id, el.user_id as loaned_to, el.due_date as loan_due_date,
+        lu.first_name as loaned_to_first_name, lu.last_name as loaned_to_last_name
+      FROM equipment_units u
+      JOIN products p ON u.product_id = p.id
+      LEFT JOIN warehouses w ON u.warehouse_id = w.id
+      LEFT JOIN clients c ON u.client_id = c.id
+      LEFT JOIN sales s ON u.sale_id = s.id
+      LEFT JOIN subscriptions sub ON u.subscription_id = sub.id
+      LEFT JOIN purchase_receipts pr ON u.purchase_receipt_id = pr.id
+      LEFT JOIN purchase_lots pl ON pr.lot_id = pl.id
+      LEFT JOIN equipment_loans el ON el.unit_id = u.id AND el.status = 'checked_out'
+      LEFT JOIN users lu ON el.user_id = lu.id
+      WHERE u.serial_number = ?
+    `, [req.params.serial]);
+
+    if (units.length === 0) {
+      return res.status(404).json({ error: 'Numéro de série non trouvé' });
+    }
+
+    const history = await query(`
+      SELECT
+        e.*, w.name as warehouse_name,
+        usr.first_name as created_by_first_name, usr.last_name as created_by_last_name
+      FROM equipment_unit_events e
+      LEFT JOIN warehouses w ON e.warehouse_id = w.id
+      LEFT JOIN users usr ON e.created_by = usr.id
+      WHERE e.unit_id = ?
+      ORDER BY e.created_at, e.id
+    `, [units[0].id]);
+
+    res.json({ ...units[0], history });
+  } catch (error) {
+    console.error('Erreur lors de la récupération de l\'unité:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération de l\'unité' });
+  }
+});
+
+// Changer le statut d'une unité (affectation à un abonnement ou un client, réparation, rebut, retour en stock)
+router.post('/:serial/status', authenticateToken, requirePermission('equipment:manage'), [
+  body('status').isIn(UNIT_STATUSES).withMessage('Statut invalide'),
+  body('subscription_id').optional({ nullable: true }).isInt().withMessage('Abonnement invalide'),
+  body('client_id').optional({ nullable: true }).isInt().withMessage('Client invalide'),
+  body('warehouse_id').optional({ nullable: true }).isInt().withMessage('Dépôt invalide'),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, subscription_id, client_id, warehouse_id, notes } = req.body;
+
+    const unit = await transaction((connection) =>
+      changeUnitStatus(connection, req.params.serial, {
+        status,
+        subscriptionId: subscription_id || null,
+        clientId: client_id || null,
+        warehouseId: warehouse_id || null,
+        notes: notes || null
+      }, { userId: req.user.id })
+    );
+
+    res.json({
+      message: 'Statut de l\'unité mis à jour',
+      ...unit
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors du changement de statut de l\'unité:', error);
+    res.status(500).json({ error: 'Erreur lors du changement de statut de l\'unité' });
+  }
+});
+
+module.exports = router;
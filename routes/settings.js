@@ -0,0 +1,119 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { getCompanySettings, updateCompanySettings } = require('../services/settings');
+const { COSTING_METHODS } = require('../services/costing');
+
+const router = express.Router();
+
+const uploadPath = process.env.UPLOAD_PATH || './uploads';
+
+// Upload du logo : PNG ou JPEG uniquement (formats supportés par le rendu PDF)
+const logoUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, callback) => {
+      fs.mkdirSync(uploadPath, { recursive: true });
+      callback(null, uploadPath);
+    },
+    filename: (req, file, callback) => {
+      callback(null, `logo-${Date.now()}${path.extname(file.originalname).toLowerCase()}`);
+    }
+  }),
+  limits: { fileSize: parseInt(process.env.MAX_FILE_SIZE || 5242880) },
+  fileFilter: (req, file, callback) => {
+    callback(null, ['image/png', 'image/jpeg'].includes(file.mimetype));
+  }
+}).single('logo');
+
+// Signatures des formats acceptés : le type MIME annoncé par le client ne suffit pas
+const LOGO_SIGNATURES = [
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), // PNG
+  Buffer.from([0xff, 0xd8, 0xff]) // JPEG
+];
+
+// Vérifier que le fichier téléversé commence bien par la signature d'un PNG ou d'un JPEG
+const hasImageSignature = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const header = Buffer.alloc(8);
+    const { bytesRead } = await handle.read(header, 0, header.length, 0);
+    return LOGO_SIGNATURES.some((signature) =>
+      bytesRead >= signature.length && header.subarray(0, signature.length).equals(signature));
+  } finally {
+    await handle.close();
+  }
+};
+
+// Récupérer les paramètres de l'entreprise
+router.get('/company', authenticateToken, requirePermission('settings:read'), async (req, res) => {
+  try {
+    const settings = await getCompanySettings();
+    res.json(settings);
+  } catch (error) {
+    console.error('Erreur lors de la récupération des paramètres:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des paramètres' });
+  }
+});
+
+// Mettre à jour les paramètres de l'entreprise (admin seulement)
+router.put('/company', authenticateToken, requirePermission('settings:update'), [
+  body('company_name').optional().notEmpty().trim(),
+  body('company_email').optional({ values: 'falsy' }).isEmail(),
+  body('currency').optional().isISO4217().withMessage('Devise invalide'),
+  body('inventory_costing_method').optional().isIn(COSTING_METHODS).withMessage('Méthode de valorisation invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Le logo ne se change que par le téléversement (POST /company/logo)
+    const { logo_path, ...values } = req.body;
+    const updatedKeys = await updateCompanySettings(values);
+
+    if (updatedKeys.length === 0) {
+      return res.status(400).json({ error: 'Aucun champ à mettre à jour' });
+    }
+
+    res.json({ message: 'Paramètres mis à jour avec succès' });
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour des paramètres:', error);
+    res.status(500).json({ error: 'Erreur lors de la mise à jour des paramètres' });
+  }
+});
+
+// Téléverser le logo de l'entreprise (admin seulement)
+router.post('/company/logo', authenticateToken, requirePermission('settings:update'), (req, res) => {
+  logoUpload(req, res, async (uploadError) => {
+    try {
+      if (uploadError) {
+        return res.status(400).json({ error: `Téléversement impossible: ${uploadError.message}` });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ error: 'Un logo PNG ou JPEG est requis' });
+      }
+
+      if (!(await hasImageSignature(req.file.path))) {
+        await fs.promises.unlink(req.file.path);
+        return res.status(400).json({ error: 'Un logo PNG ou JPEG est requis' });
+      }
+
+      await updateCompanySettings({ logo_path: req.file.filename });
+
+      res.json({
+        message: 'Logo mis à jour avec succès',
+        logo_path: req.file.filename
+      });
+    } catch (error) {
+      console.error('Erreur lors de la mise à jour du logo:', error);
+      res.status(500).json({ error: 'Erreur lors de la mise à jour du logo' });
+    }
+  });
+});
+
+module.exports = router;
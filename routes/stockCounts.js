@@ -0,0 +1,273 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query, transaction } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { ADJUSTMENT_REASONS } = require('../services/stock');
+const {
+  openCountSession,
+  recordCounts,
+  recordScan,
+  submitCountSession,
+  approveCountSession,
+  cancelCountSession
+} = require('../services/stockCounts');
+const { ServiceError } = require('../services/errors');
+
+const router = express.Router();
+
+// Récupérer les inventaires
+router.get('/', authenticateToken, requirePermission('inventory:count'), async (req, res) => {
+  try {
+    const { status = '', category_id = '', warehouse_id = '' } = req.query;
+
+    const whereConditions = ['1=1'];
+    const queryParams = [];
+
+    if (status) {
+      whereConditions.push('s.status = ?');
+      queryParams.push(status);
+    }
+
+    if (category_id) {
+      whereConditions.push('s.category_id = ?');
+      queryParams.push(category_id);
+    }
+
+    if (warehouse_id) {
+      whereConditions.push('s.warehouse_id = ?');
+      queryParams.push(warehouse_id);
+    }
+
+    const sessions = await query(`
+      SELECT
+        s.*, c.name as category_name, w.name as warehouse_name,
+        opener.first_name as opened_by_first_name, opener.last_name as opened_by_last_name,
+        approver.first_name as approved_by_first_name, approver.last_name as approved_by_last_name,
+        COUNT(l.id) as line_count,
+        SUM(l.counted_quantity IS NOT NULL) as counted_count
+      FROM stock_count_sessions s
+      LEFT JOIN product_categories c ON s.category_id = c.id
+      LEFT JOIN warehouses w ON s.warehouse_id = w.id
+      LEFT JOIN users opener ON s.opened_by = opener.id
+      LEFT JOIN users approver ON s.approved_by = approver.id
+      LEFT JOIN stock_count_lines l ON l.session_id = s.id
+      WHERE ${whereConditions.join(' AND ')}
+      GROUP BY s.id
+      ORDER BY s.created_at DESC
+    `, queryParams);
+
+    res.json(sessions);
+  } catch (error) {
+    console.error('Erreur lors de la récupération des inventaires:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des inventaires' });
+  }
+});
+
+// Ouvrir un inventaire dans un dépôt pour une catégorie (ou tout le catalogue)
+router.post('/', authenticateToken, requirePermission('inventory:manage'), [
+  body('warehouse_id').optional({ nullable: true }).isInt().withMessage('Dépôt invalide'),
+  body('category_id').optional({ nullable: true }).isInt().withMessage('Catégorie invalide'),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { warehouse_id, category_id, notes } = req.body;
+
+    const result = await transaction((connection) =>
+      openCountSession(connection, {
+        warehouseId: warehouse_id || null,
+        categoryId: category_id || null,
+        notes: notes || null
+      }, { userId: req.user.id })
+    );
+
+    res.status(201).json({
+      message: 'Inventaire ouvert avec succès',
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de l\'ouverture de l\'inventaire:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'ouverture de l\'inventaire' });
+  }
+});
+
+// Détail d'un inventaire : lignes, écarts et compteurs
+router.get('/:id', authenticateToken, requirePermission('inventory:count'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const sessions = await query(`
+      SELECT
+        s.*, c.name as category_name, w.name as warehouse_name,
+        opener.first_name as opened_by_first_name, opener.last_name as opened_by_last_name,
+        submitter.first_name as submitted_by_first_name, submitter.last_name as submitted_by_last_name,
+        approver.first_name as approved_by_first_name, approver.last_name as approved_by_last_name
+      FROM stock_count_sessions s
+      LEFT JOIN product_categories c ON s.category_id = c.id
+      LEFT JOIN warehouses w ON s.warehouse_id = w.id
+      LEFT JOIN users opener ON s.opened_by = opener.id
+      LEFT JOIN users submitter ON s.submitted_by = submitter.id
+      LEFT JOIN users approver ON s.approved_by = approver.id
+      WHERE s.id = ?
+    `, [id]);
+
+    if (sessions.length === 0) {
+      return res.status(404).json({ error: 'Inventaire non trouvé' });
+    }
+
+    const lines = await query(`
+      SELECT
+        l.*, p.name as product_name, p.product_code, p.barcode,
+        u.first_name as counted_by_first_name, u.last_name as counted_by_last_name
+      FROM stock_count_lines l
+      JOIN products p ON l.product_id = p.id
+      LEFT JOIN users u ON l.counted_by = u.id
+      WHERE l.session_id = ?
+      ORDER BY p.name
+    `, [id]);
+
+    const counters = await query(`
+      SELECT u.id, u.first_name, u.last_name, COUNT(*) as counted_lines
+      FROM stock_count_lines l
+      JOIN users u ON l.counted_by = u.id
+      WHERE l.session_id = ?
+      GROUP BY u.id, u.first_name, u.last_name
+    `, [id]);
+
+    const countedLines = lines.filter((line) => line.counted_quantity !== null);
+
+    res.json({
+      ...sessions[0],
+      summary: {
+        line_count: lines.length,
+        counted_count: countedLines.length,
+        lines_with_variance: countedLines.filter((line) => line.variance_quantity !== 0).length,
+        variance_quantity: countedLines.reduce((sum, line) => sum + line.variance_quantity, 0)
+      },
+      counters,
+      lines
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération de l\'inventaire:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération de l\'inventaire' });
+  }
+});
+
+// Saisir des quantités comptées par produit
+router.post('/:id/counts', authenticateToken, requirePermission('inventory:count'), [
+  body('items').isArray({ min: 1 }).withMessage('Les comptages sont requis'),
+  body('items.*.product_id').isInt().withMessage('Le produit est requis'),
+  body('items.*.counted_quantity').isInt({ min: 0 }).withMessage('Quantité comptée invalide'),
+  body('items.*.reason_code').optional({ nullable: true }).isIn(ADJUSTMENT_REASONS).withMessage('Motif invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const lines = await transaction((connection) =>
+      recordCounts(connection, req.params.id, req.body.items, { userId: req.user.id })
+    );
+
+    res.json({
+      message: 'Comptages enregistrés',
+      lines
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de l\'enregistrement des comptages:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'enregistrement des comptages' });
+  }
+});
+
+// Scanner un code-barres (ajoute la quantité au comptage du produit)
+router.post('/:id/scans', authenticateToken, requirePermission('inventory:count'), [
+  body('barcode').trim().notEmpty().withMessage('Le code-barres est requis'),
+  body('quantity').optional().isInt({ min: 1 }).withMessage('Quantité invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const line = await transaction((connection) =>
+      recordScan(connection, req.params.id, {
+        barcode: req.body.barcode,
+        quantity: req.body.quantity || 1
+      }, { userId: req.user.id })
+    );
+
+    res.json(line);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de l\'enregistrement du scan:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'enregistrement du scan' });
+  }
+});
+
+// Transmettre l'inventaire pour approbation
+router.post('/:id/submit', authenticateToken, requirePermission('inventory:count'), async (req, res) => {
+  try {
+    const status = await transaction((connection) =>
+      submitCountSession(connection, req.params.id, { userId: req.user.id })
+    );
+
+    res.json({ message: 'Inventaire transmis pour approbation', status });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de la transmission de l\'inventaire:', error);
+    res.status(500).json({ error: 'Erreur lors de la transmission de l\'inventaire' });
+  }
+});
+
+// Approuver l'inventaire et passer les ajustements de stock
+router.post('/:id/approve', authenticateToken, requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const result = await transaction((connection) =>
+      approveCountSession(connection, req.params.id, { userId: req.user.id })
+    );
+
+    res.json({
+      message: 'Inventaire approuvé, les écarts ont été ajustés',
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de l\'approbation de l\'inventaire:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'approbation de l\'inventaire' });
+  }
+});
+
+// Annuler un inventaire non approuvé
+router.post('/:id/cancel', authenticateToken, requirePermission('inventory:manage'), async (req, res) => {
+  try {
+    const status = await transaction((connection) => cancelCountSession(connection, req.params.id));
+
+    res.json({ message: 'Inventaire annulé', status });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de l\'annulation de l\'inventaire:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'annulation de l\'inventaire' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,175 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query, transaction } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { createTransfer, receiveTransfer, cancelTransfer } = require('../services/transfers');
+const { ServiceError } = require('../services/errors');
+
+const router = express.Router();
+
+// Récupérer les transferts entre dépôts
+router.get('/', authenticateToken, requirePermission('inventory:transfer'), async (req, res) => {
+  try {
+    const { status = '', warehouse_id = '' } = req.query;
+
+    const whereConditions = ['1=1'];
+    const queryParams = [];
+
+    if (status) {
+      whereConditions.push('t.status = ?');
+      queryParams.push(status);
+    }
+
+    if (warehouse_id) {
+      whereConditions.push('(t.from_warehouse_id = ? OR t.to_warehouse_id = ?)');
+      queryParams.push(warehouse_id, warehouse_id);
+    }
+
+    const transfers = await query(`
+      SELECT
+        t.*, fw.name as from_warehouse_name, tw.name as to_warehouse_name,
+        COUNT(ti.id) as item_count,
+        COALESCE(SUM(ti.quantity), 0) as total_quantity
+      FROM stock_transfers t
+      JOIN warehouses fw ON t.from_warehouse_id = fw.id
+      JOIN warehouses tw ON t.to_warehouse_id = tw.id
+      LEFT JOIN stock_transfer_items ti ON ti.transfer_id = t.id
+      WHERE ${whereConditions.join(' AND ')}
+      GROUP BY t.id
+      ORDER BY t.shipped_at DESC
+    `, queryParams);
+
+    res.json(transfers);
+  } catch (error) {
+    console.error('Erreur lors de la récupération des transferts:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des transferts' });
+  }
+});
+
+// Détail d'un transfert
+router.get('/:id', authenticateToken, requirePermission('inventory:transfer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const transfers = await query(`
+      SELECT
+        t.*, fw.name as from_warehouse_name, tw.name as to_warehouse_name,
+        shipper.first_name as shipped_by_first_name, shipper.last_name as shipped_by_last_name,
+        receiver.first_name as received_by_first_name, receiver.last_name as received_by_last_name
+      FROM stock_transfers t
+      JOIN warehouses fw ON t.from_warehouse_id = fw.id
+      JOIN warehouses tw ON t.to_warehouse_id = tw.id
+      LEFT JOIN users shipper ON t.shipped_by = shipper.id
+      LEFT JOIN users receiver ON t.received_by = receiver.id
+      WHERE t.id = ?
+    `, [id]);
+
+    if (transfers.length === 0) {
+      return res.status(404).json({ error: 'Transfert non trouvé' });
+    }
+
+    const items = await query(`
+      SELECT ti.*, p.name as product_name, p.product_code
+      FROM stock_transfer_items ti
+      JOIN products p ON ti.product_id = p.id
+      WHERE ti.transfer_id = ?
+      ORDER BY p.name
+    `, [id]);
+
+    // Unités sérialisées expédiées dans ce transfert
+    const units = await query(`
+      SELECT u.id, u.product_id, u.serial_number
+      FROM equipment_unit_events e
+      JOIN equipment_units u ON e.unit_id = u.id
+      WHERE e.event_type = 'transfer_shipped' AND e.reference_type = 'stock_transfer' AND e.reference_id = ?
+      ORDER BY u.serial_number
+    `, [id]);
+
+    res.json({
+      ...transfers[0],
+      items: items.map((item) => ({
+        ...item,
+        serial_numbers: units.filter((unit) => unit.product_id === item.product_id).map((unit) => unit.serial_number)
+      }))
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération du transfert:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération du transfert' });
+  }
+});
+
+// Expédier un transfert (la marchandise quitte le dépôt d'origine)
+router.post('/', authenticateToken, requirePermission('inventory:transfer'), [
+  body('from_warehouse_id').isInt().withMessage('Le dépôt d\'origine est requis'),
+  body('to_warehouse_id').isInt().withMessage('Le dépôt de destination est requis'),
+  body('items').isArray({ min: 1 }).withMessage('Les articles sont requis'),
+  body('items.*.product_id').isInt().withMessage('Le produit est requis'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('La quantité doit être un entier positif'),
+  body('items.*.serial_numbers').optional().isArray().withMessage('Numéros de série invalides'),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { from_warehouse_id, to_warehouse_id, items, notes } = req.body;
+
+    const result = await transaction((connection) =>
+      createTransfer(connection, {
+        fromWarehouseId: from_warehouse_id,
+        toWarehouseId: to_warehouse_id,
+        items,
+        notes: notes || null
+      }, { userId: req.user.id })
+    );
+
+    res.status(201).json({
+      message: 'Transfert expédié',
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de l\'expédition du transfert:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'expédition du transfert' });
+  }
+});
+
+// Réceptionner un transfert dans le dépôt de destination
+router.post('/:id/receive', authenticateToken, requirePermission('inventory:transfer'), async (req, res) => {
+  try {
+    const status = await transaction((connection) =>
+      receiveTransfer(connection, req.params.id, { userId: req.user.id })
+    );
+
+    res.json({ message: 'Transfert réceptionné', status });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de la réception du transfert:', error);
+    res.status(500).json({ error: 'Erreur lors de la réception du transfert' });
+  }
+});
+
+// Annuler un transfert en transit (la marchandise revient au dépôt d'origine)
+router.post('/:id/cancel', authenticateToken, requirePermission('inventory:transfer'), async (req, res) => {
+  try {
+    const status = await transaction((connection) =>
+      cancelTransfer(connection, req.params.id, { userId: req.user.id })
+    );
+
+    res.json({ message: 'Transfert annulé', status });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de l\'annulation du transfert:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'annulation du transfert' });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,17 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { query } = require('../config/database');
-const { authenticateToken, authorize } = require('../middleware/auth');
+const { body, check, validationResult } = require('express-validator');
+const { query, transaction } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { runBilling } = require('../services/billing');
+const { processSubscriptionRequest, listSubscriptionRequests } = require('../services/subscriptionRequests');
+const {
+  RETURN_OUTCOMES,
+  installEquipment,
+  returnEquipment,
+  openHardwareReturnTask,
+  completeHardwareReturnTask
+} = require('../services/subscriptionEquipment');
+const { ServiceError } = require('../services/errors');
 
 const router = express.Router();
 
@@ -34,7 +44,7 @@ const SUBSCRIPTION_TYPES = {
 };
 
 // GET all subscriptions
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('subscriptions:read'), async (req, res) => {
   try {
     const { search = '', status = '', client_id = '', type = '' } = req.query;
 
@@ -84,8 +94,143 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// GET suspension/cancellation requests submitted from the client portal
+router.get('/requests', authenticateToken, requirePermission('subscriptions:read'), [
+  check('status').optional().isIn(['pending', 'approved', 'rejected'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const requests = await listSubscriptionRequests({
+      clientId: req.query.client_id || null,
+      status: req.query.status || null
+    });
+
+    res.json(requests);
+  } catch (error) {
+    console.error('Erreur lors de la récupération des demandes:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des demandes' });
+  }
+});
+
+// POST approve or reject a client request (approval applies the new subscription status)
+router.post('/requests/:requestId/:decision(approve|reject)', authenticateToken, requirePermission('subscriptions:update'), [
+  body('note').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const status = await processSubscriptionRequest(req.params.requestId, {
+      approve: req.params.decision === 'approve',
+      userId: req.user.id,
+      note: req.body.note || null
+    });
+
+    res.json({
+      message: status === 'approved' ? 'Demande approuvée' : 'Demande refusée',
+      status
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors du traitement de la demande:', error);
+    res.status(500).json({ error: 'Erreur lors du traitement de la demande' });
+  }
+});
+
+// GET hardware return tasks opened by cancellations
+router.get('/return-tasks', authenticateToken, requirePermission('subscriptions:read'), [
+  check('status').optional().isIn(['open', 'completed', 'cancelled'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const whereConditions = ['1=1'];
+    const queryParams = [];
+
+    if (req.query.status) {
+      whereConditions.push('t.status = ?');
+      queryParams.push(req.query.status);
+    }
+
+    if (req.query.client_id) {
+      whereConditions.push('t.client_id = ?');
+      queryParams.push(req.query.client_id);
+    }
+
+    const tasks = await query(`
+      SELECT
+        t.*, s.plan_name, c.company_name as client_name, c.phone as client_phone,
+        c.address as client_address, c.city as client_city,
+        u.first_name as assigned_to_first_name, u.last_name as assigned_to_last_name,
+        COUNT(se.id) as equipment_count
+      FROM hardware_return_tasks t
+      JOIN subscriptions s ON t.subscription_id = s.id
+      JOIN clients c ON t.client_id = c.id
+      LEFT JOIN users u ON t.assigned_to = u.id
+      LEFT JOIN subscription_equipment se ON se.subscription_id = t.subscription_id AND se.status = 'pending_return'
+      WHERE ${whereConditions.join(' AND ')}
+      GROUP BY t.id
+      ORDER BY t.due_date, t.id
+    `, queryParams);
+
+    res.json(tasks);
+  } catch (error) {
+    console.error('Erreur lors de la récupération des tâches de récupération:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des tâches de récupération' });
+  }
+});
+
+// POST complete a hardware return task (outcome per equipment: returned, damaged or lost)
+router.post('/return-tasks/:taskId/complete', authenticateToken, requirePermission('subscriptions:update'), [
+  body('items').optional().isArray(),
+  body('items.*.equipment_id').isInt().withMessage('Le matériel est requis'),
+  body('items.*.outcome').isIn(Object.keys(RETURN_OUTCOMES)).withMessage('Issue de retour invalide'),
+  body('items.*.warehouse_id').optional({ nullable: true }).isInt().withMessage('Dépôt invalide'),
+  body('warehouse_id').optional({ nullable: true }).isInt().withMessage('Dépôt invalide'),
+  body('return_date').optional().isISO8601().withMessage('Date de retour invalide'),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await transaction((connection) =>
+      completeHardwareReturnTask(connection, req.params.taskId, {
+        items: req.body.items || [],
+        warehouseId: req.body.warehouse_id || null,
+        returnDate: req.body.return_date || null,
+        notes: req.body.notes || null
+      }, { userId: req.user.id })
+    );
+
+    res.json({
+      message: 'Récupération du matériel terminée',
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de la clôture de la tâche de récupération:', error);
+    res.status(500).json({ error: 'Erreur lors de la clôture de la tâche de récupération' });
+  }
+});
+
 // GET subscription by ID
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, requirePermission('subscriptions:read'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -116,9 +261,30 @@ router.get('/:id', authenticateToken, async (req, res) => {
       LIMIT 10
     `, [id]);
 
+    // Matériel installé chez le client et tâches de récupération
+    const equipment = await query(`
+      SELECT se.*, p.name as product_name, p.product_code, u.serial_number, w.name as warehouse_name
+      FROM subscription_equipment se
+      JOIN products p ON se.product_id = p.id
+      LEFT JOIN equipment_units u ON se.unit_id = u.id
+      LEFT JOIN warehouses w ON se.warehouse_id = w.id
+      WHERE se.subscription_id = ?
+      ORDER BY se.install_date, se.id
+    `, [id]);
+
+    const returnTasks = await query(
+      'SELECT * FROM hardware_return_tasks WHERE subscription_id = ? ORDER BY created_at DESC',
+      [id]
+    );
+
     res.json({
       ...subscription,
-      invoices
+      invoices,
+      equipment,
+      deposit_held: equipment
+        .filter((item) => item.status === 'installed' || item.status === 'pending_return')
+        .reduce((sum, item) => sum + parseFloat(item.deposit_amount), 0),
+      return_tasks: returnTasks
     });
   } catch (error) {
     console.error('Erreur lors de la récupération de l\'abonnement:', error);
@@ -127,7 +293,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // POST create new subscription
-router.post('/', authenticateToken, authorize('admin', 'manager'), [
+router.post('/', authenticateToken, requirePermission('subscriptions:create'), [
   body('client_id').isInt().withMessage('L\'ID du client est requis'),
   body('plan_name').notEmpty().trim().withMessage('Le nom du plan est requis'),
   body('price').isFloat({ min: 0 }).withMessage('Le prix doit être positif'),
@@ -182,7 +348,7 @@ router.post('/', authenticateToken, authorize('admin', 'manager'), [
 });
 
 // PUT update subscription
-router.put('/:id', authenticateToken, authorize('admin', 'manager'), [
+router.put('/:id', authenticateToken, requirePermission('subscriptions:update'), [
   body('plan_name').optional().notEmpty().trim(),
   body('price').optional().isFloat({ min: 0 }),
   body('billing_cycle').optional().isIn(['monthly', 'quarterly', 'yearly']),
@@ -204,7 +370,7 @@ router.put('/:id', authenticateToken, authorize('admin', 'manager'), [
     } = req.body;
 
     // Vérifier que l'abonnement existe
-    const existingSubscriptions = await query('SELECT id FROM subscriptions WHERE id = ?', [id]);
+    const existingSubscriptions = await query('SELECT id, status FROM subscriptions WHERE id = ?', [id]);
     if (existingSubscriptions.length === 0) {
       return res.status(404).json({ error: 'Abonnement non trouvé' });
     }
@@ -227,12 +393,20 @@ router.put('/:id', authenticateToken, authorize('admin', 'manager'), [
 
     updateValues.push(id);
 
-    await query(
-      `UPDATE subscriptions SET ${updateFields.join(', ')} WHERE id = ?`,
-      updateValues
-    );
+    // Une annulation par mise à jour déclenche aussi la récupération du matériel
+    const returnTaskId = await transaction(async (connection) => {
+      await connection.execute(
+        `UPDATE subscriptions SET ${updateFields.join(', ')} WHERE id = ?`,
+        updateValues
+      );
 
-    res.json({ message: 'Abonnement mis à jour avec succès' });
+      if (status === 'cancelled' && existingSubscriptions[0].status !== 'cancelled') {
+        return openHardwareReturnTask(connection, id, { userId: req.user.id });
+      }
+      return null;
+    });
+
+    res.json({ message: 'Abonnement mis à jour avec succès', returnTaskId });
   } catch (error) {
     console.error('Erreur lors de la mise à jour de l\'abonnement:', error);
     res.status(500).json({ error: 'Erreur lors de la mise à jour de l\'abonnement' });
@@ -240,7 +414,7 @@ router.put('/:id', authenticateToken, authorize('admin', 'manager'), [
 });
 
 // POST suspend subscription
-router.post('/:id/suspend', authenticateToken, authorize('admin', 'manager'), async (req, res) => {
+router.post('/:id/suspend', authenticateToken, requirePermission('subscriptions:update'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -263,7 +437,7 @@ router.post('/:id/suspend', authenticateToken, authorize('admin', 'manager'), as
 });
 
 // POST reactivate subscription
-router.post('/:id/reactivate', authenticateToken, authorize('admin', 'manager'), async (req, res) => {
+router.post('/:id/reactivate', authenticateToken, requirePermission('subscriptions:update'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -285,8 +459,8 @@ router.post('/:id/reactivate', authenticateToken, authorize('admin', 'manager'),
   }
 });
 
-// POST cancel subscription
-router.post('/:id/cancel', authenticateToken, authorize('admin', 'manager'), async (req, res) => {
+// POST cancel subscription (opens a hardware return task when equipment is installed)
+router.post('/:id/cancel', authenticateToken, requirePermission('subscriptions:update'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -299,17 +473,111 @@ router.post('/:id/cancel', authenticateToken, authorize('admin', 'manager'), asy
       return res.status(400).json({ error: 'L\'abonnement est déjà annulé' });
     }
 
-    await query('UPDATE subscriptions SET status = "cancelled" WHERE id = ?', [id]);
+    const returnTaskId = await transaction(async (connection) => {
+      await connection.execute('UPDATE subscriptions SET status = "cancelled" WHERE id = ?', [id]);
+      return openHardwareReturnTask(connection, id, { userId: req.user.id });
+    });
 
-    res.json({ message: 'Abonnement annulé avec succès' });
+    res.json({
+      message: returnTaskId
+        ? 'Abonnement annulé, une récupération du matériel a été planifiée'
+        : 'Abonnement annulé avec succès',
+      returnTaskId
+    });
   } catch (error) {
     console.error('Erreur lors de l\'annulation de l\'abonnement:', error);
     res.status(500).json({ error: 'Erreur lors de l\'annulation de l\'abonnement' });
   }
 });
 
+// POST install equipment at the client (serialized unit or product quantity)
+router.post('/:id/equipment', authenticateToken, requirePermission('subscriptions:update'), [
+  body('serial_number').optional({ nullable: true }).trim().notEmpty(),
+  body('product_id').if(body('serial_number').not().exists({ checkFalsy: true })).isInt().withMessage('Le produit ou le numéro de série est requis'),
+  body('quantity').optional().isInt({ min: 1 }).withMessage('La quantité doit être un entier positif'),
+  body('warehouse_id').optional({ nullable: true }).isInt().withMessage('Dépôt invalide'),
+  body('install_date').optional().isISO8601().withMessage('Date d\'installation invalide'),
+  body('deposit_amount').optional().isFloat({ min: 0 }).withMessage('Caution invalide'),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { serial_number, product_id, quantity, warehouse_id, install_date, deposit_amount, notes } = req.body;
+
+    const result = await transaction((connection) =>
+      installEquipment(connection, req.params.id, {
+        serialNumber: serial_number || null,
+        productId: product_id || null,
+        quantity: parseInt(quantity) || 1,
+        warehouseId: warehouse_id || null,
+        installDate: install_date || null,
+        depositAmount: parseFloat(deposit_amount) || 0,
+        notes: notes || null
+      }, { userId: req.user.id })
+    );
+
+    res.status(201).json({
+      message: 'Matériel installé',
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de l\'installation du matériel:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'installation du matériel' });
+  }
+});
+
+// POST return installed equipment (returned, damaged or lost)
+router.post('/:id/equipment/:equipmentId/return', authenticateToken, requirePermission('subscriptions:update'), [
+  body('outcome').optional().isIn(Object.keys(RETURN_OUTCOMES)).withMessage('Issue de retour invalide'),
+  body('warehouse_id').optional({ nullable: true }).isInt().withMessage('Dépôt invalide'),
+  body('return_date').optional().isISO8601().withMessage('Date de retour invalide'),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const equipment = await query(
+      'SELECT id FROM subscription_equipment WHERE id = ? AND subscription_id = ?',
+      [req.params.equipmentId, req.params.id]
+    );
+    if (equipment.length === 0) {
+      return res.status(404).json({ error: 'Matériel non trouvé' });
+    }
+
+    const result = await transaction((connection) =>
+      returnEquipment(connection, req.params.equipmentId, {
+        outcome: req.body.outcome || 'returned',
+        warehouseId: req.body.warehouse_id || null,
+        returnDate: req.body.return_date || null,
+        notes: req.body.notes || null
+      }, { userId: req.user.id })
+    );
+
+    res.json({
+      message: 'Retour du matériel enregistré',
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors du retour du matériel:', error);
+    res.status(500).json({ error: 'Erreur lors du retour du matériel' });
+  }
+});
+
 // DELETE subscription
-router.delete('/:id', authenticateToken, authorize('admin'), async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('subscriptions:delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -324,6 +592,15 @@ router.delete('/:id', authenticateToken, authorize('admin'), async (req, res) =>
       return res.status(400).json({ error: 'Impossible de supprimer l\'abonnement car il a des factures associées' });
     }
 
+    // Le matériel encore chez le client doit d'abord être récupéré
+    const equipmentCount = await query(
+      "SELECT COUNT(*) as count FROM subscription_equipment WHERE subscription_id = ? AND status IN ('installed', 'pending_return')",
+      [id]
+    );
+    if (equipmentCount[0].count > 0) {
+      return res.status(400).json({ error: 'Impossible de supprimer l\'abonnement car du matériel est encore installé chez le client' });
+    }
+
     await query('DELETE FROM subscriptions WHERE id = ?', [id]);
 
     res.json({ message: 'Abonnement supprimé avec succès' });
@@ -333,8 +610,37 @@ router.delete('/:id', authenticateToken, authorize('admin'), async (req, res) =>
   }
 });
 
+// POST run recurring billing for active subscriptions
+router.post('/billing/run', authenticateToken, requirePermission('subscriptions:bill'), [
+  check('date').optional().isISO8601().withMessage('Date invalide'),
+  check('dry_run').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { date, dry_run } = req.query;
+
+    const summary = await runBilling({
+      date: date || new Date(),
+      userId: req.user.id,
+      dryRun: dry_run === 'true'
+    });
+
+    res.json({
+      message: `${summary.created.length} facture(s) générée(s)`,
+      ...summary
+    });
+  } catch (error) {
+    console.error('Erreur lors de la facturation des abonnements:', error);
+    res.status(500).json({ error: 'Erreur lors de la facturation des abonnements' });
+  }
+});
+
 // GET subscription statistics
-router.get('/stats/overview', authenticateToken, authorize('admin', 'manager'), async (req, res) => {
+router.get('/stats/overview', authenticateToken, requirePermission('subscriptions:read_stats'), async (req, res) => {
   try {
     const stats = await query(`
       SELECT
@@ -396,7 +702,7 @@ router.get('/stats/overview', authenticateToken, authorize('admin', 'manager'),
 });
 
 // GET subscription types
-router.get('/types/available', authenticateToken, async (req, res) => {
+router.get('/types/available', authenticateToken, requirePermission('subscriptions:read'), async (req, res) => {
   try {
     res.json(SUBSCRIPTION_TYPES);
   } catch (error) {
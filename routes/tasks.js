@@ -0,0 +1,105 @@
+const express = require('express');
+const { check, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { TASK_STATUSES } = require('../services/tasks');
+
+const router = express.Router();
+
+// Mes tâches, tous projets confondus (par défaut les tâches non terminées)
+router.get('/mine', authenticateToken, [
+  check('status').optional().isIn([...TASK_STATUSES, 'open', 'all']),
+  check('priority').optional().isIn(['low', 'medium', 'high', 'urgent']),
+  check('due_from').optional().isISO8601(),
+  check('due_to').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status = 'open', priority = '', project_id = '', due_from = '', due_to = '', overdue = '' } = req.query;
+
+    const whereConditions = ['pt.assigned_to = ?'];
+    const queryParams = [req.user.id];
+
+    if (status === 'open') {
+      whereConditions.push("pt.status NOT IN ('done', 'cancelled')");
+    } else if (status !== 'all') {
+      whereConditions.push('pt.status = ?');
+      queryParams.push(status);
+    }
+
+    if (priority) {
+      whereConditions.push('pt.priority = ?');
+      queryParams.push(priority);
+    }
+
+    if (project_id) {
+      whereConditions.push('pt.project_id = ?');
+      queryParams.push(project_id);
+    }
+
+    if (due_from) {
+      whereConditions.push('pt.due_date >= ?');
+      queryParams.push(due_from);
+    }
+
+    if (due_to) {
+      whereConditions.push('pt.due_date <= ?');
+      queryParams.push(due_to);
+    }
+
+    if (overdue === 'true') {
+      whereConditions.push("pt.due_date < CURDATE() AND pt.status NOT IN ('done', 'cancelled')");
+    }
+
+    const tasks = await query(`
+      SELECT
+        pt.*, p.name as project_name, parent.title as parent_task_title,
+        (pt.due_date < CURDATE() AND pt.status NOT IN ('done', 'cancelled')) as is_overdue,
+        (SELECT COUNT(*) FROM task_checklist_items ci WHERE ci.task_id = pt.id) as checklist_total,
+        (SELECT COUNT(*) FROM task_checklist_items ci WHERE ci.task_id = pt.id AND ci.is_done = TRUE) as checklist_done
+      FROM project_tasks pt
+      JOIN projects p ON pt.project_id = p.id
+      LEFT JOIN project_tasks parent ON pt.parent_task_id = parent.id
+      WHERE ${whereConditions.join(' AND ')}
+      ORDER BY pt.due_date IS NULL, pt.due_date,
+        FIELD(pt.priority, 'urgent', 'high', 'medium', 'low'), pt.id
+    `, queryParams);
+
+    res.json(tasks);
+  } catch (error) {
+    console.error('Erreur lors de la récupération de mes tâches:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération de mes tâches' });
+  }
+});
+
+// Commentaires où je suis mentionné
+router.get('/mentions', authenticateToken, async (req, res) => {
+  try {
+    const mentions = await query(`
+      SELECT
+        tc.id as comment_id, tc.body, tc.created_at,
+        u.first_name as author_first_name, u.last_name as author_last_name,
+        pt.id as task_id, pt.title as task_title, pt.status as task_status,
+        p.id as project_id, p.name as project_name
+      FROM task_comment_mentions m
+      JOIN task_comments tc ON m.comment_id = tc.id
+      JOIN project_tasks pt ON tc.task_id = pt.id
+      JOIN projects p ON pt.project_id = p.id
+      LEFT JOIN users u ON tc.user_id = u.id
+      WHERE m.user_id = ?
+      ORDER BY tc.created_at DESC
+      LIMIT 50
+    `, [req.user.id]);
+
+    res.json(mentions);
+  } catch (error) {
+    console.error('Erreur lors de la récupération des mentions:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des mentions' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,440 @@
+const express = require('express');
+const moment = require('moment');
+const { body, check, validationResult } = require('express-validator');
+const { query, transaction } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../services/permissions');
+const {
+  getWeekStart,
+  createTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry,
+  submitTimesheet,
+  reviewTimesheet
+} = require('../services/timesheets');
+const { roundAmount } = require('../services/money');
+const { ServiceError } = require('../services/errors');
+
+const router = express.Router();
+
+// Un employé saisit du temps sur les projets qu'il gère ou où une tâche lui est assignée
+const canLogTime = async (user, projectId) => {
+  if (await hasPermission(user, 'projects:read_all')) {
+    return true;
+  }
+
+  const projects = await query(
+    'SELECT id FROM projects WHERE id = ? AND (manager_id = ? OR id IN (SELECT project_id FROM project_tasks WHERE assigned_to = ?))',
+    [projectId, user.id, user.id]
+  );
+  return projects.length > 0;
+};
+
+// Employé dont on consulte les temps : soi-même, ou un autre avec la permission d'approbation
+const resolveTargetUserId = async (req) => {
+  const userId = req.query.user_id ? parseInt(req.query.user_id) : req.user.id;
+  if (userId !== req.user.id && !(await hasPermission(req.user, 'timesheets:approve'))) {
+    return null;
+  }
+  return userId;
+};
+
+// Récupérer ses temps de travail (ou ceux d'un employé avec la permission d'approbation)
+router.get('/', authenticateToken, [
+  check('date_from').optional().isISO8601(),
+  check('date_to').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = await resolveTargetUserId(req);
+    if (!userId) {
+      return res.status(403).json({ error: 'Permissions insuffisantes' });
+    }
+
+    const { date_from = '', date_to = '', project_id = '', task_id = '' } = req.query;
+
+    const whereConditions = ['te.user_id = ?'];
+    const queryParams = [userId];
+
+    if (date_from) {
+      whereConditions.push('te.date >= ?');
+      queryParams.push(date_from);
+    }
+
+    if (date_to) {
+      whereConditions.push('te.date <= ?');
+      queryParams.push(date_to);
+    }
+
+    if (project_id) {
+      whereConditions.push('te.project_id = ?');
+      queryParams.push(project_id);
+    }
+
+    if (task_id) {
+      whereConditions.push('te.task_id = ?');
+      queryParams.push(task_id);
+    }
+
+    const entries = await query(`
+      SELECT
+        te.*, p.name as project_name, pt.title as task_title, t.status as timesheet_status
+      FROM time_entries te
+      JOIN projects p ON te.project_id = p.id
+      LEFT JOIN project_tasks pt ON te.task_id = pt.id
+      LEFT JOIN timesheets t ON te.timesheet_id = t.id
+      WHERE ${whereConditions.join(' AND ')}
+      ORDER BY te.date DESC, te.id DESC
+    `, queryParams);
+
+    res.json(entries);
+  } catch (error) {
+    console.error('Erreur lors de la récupération des temps de travail:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des temps de travail' });
+  }
+});
+
+// Récupérer les feuilles de temps (les siennes, ou toutes avec la permission d'approbation)
+router.get('/timesheets', authenticateToken, [
+  check('status').optional().isIn(['draft', 'submitted', 'approved', 'rejected'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status = '', user_id = '', week_start = '' } = req.query;
+
+    const whereConditions = ['1=1'];
+    const queryParams = [];
+
+    if (!(await hasPermission(req.user, 'timesheets:approve'))) {
+      whereConditions.push('t.user_id = ?');
+      queryParams.push(req.user.id);
+    } else if (user_id) {
+      whereConditions.push('t.user_id = ?');
+      queryParams.push(user_id);
+    }
+
+    if (status) {
+      whereConditions.push('t.status = ?');
+      queryParams.push(status);
+    }
+
+    if (week_start) {
+      whereConditions.push('t.week_start = ?');
+      queryParams.push(getWeekStart(week_start));
+    }
+
+    const timesheets = await query(`
+      SELECT
+        t.*, u.first_name as user_first_name, u.last_name as user_last_name,
+        r.first_name as reviewed_by_first_name, r.last_name as reviewed_by_last_name
+      FROM timesheets t
+      JOIN users u ON t.user_id = u.id
+      LEFT JOIN users r ON t.reviewed_by = r.id
+      WHERE ${whereConditions.join(' AND ')}
+      ORDER BY t.week_start DESC, u.last_name, u.first_name
+    `, queryParams);
+
+    res.json(timesheets);
+  } catch (error) {
+    console.error('Erreur lors de la récupération des feuilles de temps:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des feuilles de temps' });
+  }
+});
+
+// Feuille de temps d'une semaine : temps par jour et par projet
+router.get('/timesheets/week', authenticateToken, [
+  check('date').optional().isISO8601().withMessage('Date invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = await resolveTargetUserId(req);
+    if (!userId) {
+      return res.status(403).json({ error: 'Permissions insuffisantes' });
+    }
+
+    const weekStart = getWeekStart(req.query.date);
+    const weekEnd = moment(weekStart).add(6, 'days').format('YYYY-MM-DD');
+
+    const timesheets = await query(`
+      SELECT t.*, r.first_name as reviewed_by_first_name, r.last_name as reviewed_by_last_name
+      FROM timesheets t
+      LEFT JOIN users r ON t.reviewed_by = r.id
+      WHERE t.user_id = ? AND t.week_start = ?
+    `, [userId, weekStart]);
+
+    const entries = await query(`
+      SELECT te.*, p.name as project_name, pt.title as task_title
+      FROM time_entries te
+      JOIN projects p ON te.project_id = p.id
+      LEFT JOIN project_tasks pt ON te.task_id = pt.id
+      WHERE te.user_id = ? AND te.date BETWEEN ? AND ?
+      ORDER BY te.date, te.id
+    `, [userId, weekStart, weekEnd]);
+
+    const days = [];
+    for (let offset = 0; offset < 7; offset++) {
+      const date = moment(weekStart).add(offset, 'days').format('YYYY-MM-DD');
+      const dayEntries = entries.filter((entry) => moment(entry.date).format('YYYY-MM-DD') === date);
+      days.push({
+        date,
+        hours: roundAmount(dayEntries.reduce((sum, entry) => sum + parseFloat(entry.hours_worked), 0)),
+        entries: dayEntries
+      });
+    }
+
+    const projects = new Map();
+    for (const entry of entries) {
+      const project = projects.get(entry.project_id) || { project_id: entry.project_id, project_name: entry.project_name, hours: 0 };
+      project.hours = roundAmount(project.hours + parseFloat(entry.hours_worked));
+      projects.set(entry.project_id, project);
+    }
+
+    res.json({
+      user_id: userId,
+      week_start: weekStart,
+      week_end: weekEnd,
+      status: timesheets.length > 0 ? timesheets[0].status : 'draft',
+      timesheet: timesheets[0] || null,
+      total_hours: roundAmount(entries.reduce((sum, entry) => sum + parseFloat(entry.hours_worked), 0)),
+      days,
+      projects: [...projects.values()]
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération de la feuille de temps:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération de la feuille de temps' });
+  }
+});
+
+// Détail d'une feuille de temps
+router.get('/timesheets/:id', authenticateToken, async (req, res) => {
+  try {
+    const timesheets = await query(`
+      SELECT
+        t.*, u.first_name as user_first_name, u.last_name as user_last_name,
+        r.first_name as reviewed_by_first_name, r.last_name as reviewed_by_last_name
+      FROM timesheets t
+      JOIN users u ON t.user_id = u.id
+      LEFT JOIN users r ON t.reviewed_by = r.id
+      WHERE t.id = ?
+    `, [req.params.id]);
+
+    if (timesheets.length === 0) {
+      return res.status(404).json({ error: 'Feuille de temps non trouvée' });
+    }
+
+    if (timesheets[0].user_id !== req.user.id && !(await hasPermission(req.user, 'timesheets:approve'))) {
+      return res.status(403).json({ error: 'Permissions insuffisantes' });
+    }
+
+    const entries = await query(`
+      SELECT te.*, p.name as project_name, pt.title as task_title
+      FROM time_entries te
+      JOIN projects p ON te.project_id = p.id
+      LEFT JOIN project_tasks pt ON te.task_id = pt.id
+      WHERE te.timesheet_id = ?
+      ORDER BY te.date, te.id
+    `, [req.params.id]);
+
+    res.json({ ...timesheets[0], entries });
+  } catch (error) {
+    console.error('Erreur lors de la récupération de la feuille de temps:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération de la feuille de temps' });
+  }
+});
+
+// Soumettre sa feuille de temps d'une semaine (date : un jour de la semaine, par défaut la semaine courante)
+router.post('/timesheets/submit', authenticateToken, [
+  body('date').optional().isISO8601().withMessage('Date invalide')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await transaction((connection) =>
+      submitTimesheet(connection, req.user.id, req.body.date || null)
+    );
+
+    res.json({
+      message: 'Feuille de temps soumise',
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de la soumission de la feuille de temps:', error);
+    res.status(500).json({ error: 'Erreur lors de la soumission de la feuille de temps' });
+  }
+});
+
+// Approuver une feuille de temps soumise
+router.post('/timesheets/:id/approve', authenticateToken, requirePermission('timesheets:approve'), [
+  body('comment').optional().trim()
+], async (req, res) => {
+  try {
+    const result = await transaction((connection) =>
+      reviewTimesheet(connection, req.params.id, {
+        decision: 'approved',
+        comment: req.body.comment || null
+      }, { userId: req.user.id })
+    );
+
+    res.json({
+      message: 'Feuille de temps approuvée',
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de l\'approbation de la feuille de temps:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'approbation de la feuille de temps' });
+  }
+});
+
+// Rejeter une feuille de temps soumise (commentaire obligatoire) ; elle redevient modifiable
+router.post('/timesheets/:id/reject', authenticateToken, requirePermission('timesheets:approve'), [
+  body('comment').trim().notEmpty().withMessage('Un commentaire est requis pour rejeter une feuille de temps')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await transaction((connection) =>
+      reviewTimesheet(connection, req.params.id, {
+        decision: 'rejected',
+        comment: req.body.comment
+      }, { userId: req.user.id })
+    );
+
+    res.json({
+      message: 'Feuille de temps rejetée',
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors du rejet de la feuille de temps:', error);
+    res.status(500).json({ error: 'Erreur lors du rejet de la feuille de temps' });
+  }
+});
+
+// Saisir un temps de travail
+router.post('/', authenticateToken, [
+  body('project_id').isInt().withMessage('Le projet est requis'),
+  body('task_id').optional({ nullable: true }).isInt().withMessage('Tâche invalide'),
+  body('date').isISO8601().withMessage('La date est requise'),
+  body('hours_worked').isFloat({ gt: 0, max: 24 }).withMessage('Le nombre d\'heures doit être compris entre 0 et 24'),
+  body('description').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { project_id, task_id, date, hours_worked, description } = req.body;
+
+    if (!(await canLogTime(req.user, project_id))) {
+      return res.status(403).json({ error: 'Vous ne pouvez pas saisir de temps sur ce projet' });
+    }
+
+    const result = await transaction((connection) =>
+      createTimeEntry(connection, req.user.id, {
+        projectId: project_id,
+        taskId: task_id || null,
+        date,
+        hoursWorked: parseFloat(hours_worked),
+        description: description || null
+      })
+    );
+
+    res.status(201).json({
+      message: 'Temps de travail enregistré',
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de la saisie du temps de travail:', error);
+    res.status(500).json({ error: 'Erreur lors de la saisie du temps de travail' });
+  }
+});
+
+// Modifier un de ses temps de travail (tant que la semaine n'est ni soumise ni approuvée)
+router.put('/:id', authenticateToken, [
+  body('project_id').optional().isInt().withMessage('Projet invalide'),
+  body('task_id').optional({ nullable: true }).isInt().withMessage('Tâche invalide'),
+  body('date').optional().isISO8601().withMessage('Date invalide'),
+  body('hours_worked').optional().isFloat({ gt: 0, max: 24 }).withMessage('Le nombre d\'heures doit être compris entre 0 et 24'),
+  body('description').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { project_id, task_id, date, hours_worked, description } = req.body;
+
+    if (project_id !== undefined && !(await canLogTime(req.user, project_id))) {
+      return res.status(403).json({ error: 'Vous ne pouvez pas saisir de temps sur ce projet' });
+    }
+
+    const result = await transaction((connection) =>
+      updateTimeEntry(connection, req.user.id, req.params.id, {
+        projectId: project_id,
+        taskId: task_id,
+        date,
+        hoursWorked: hours_worked !== undefined ? parseFloat(hours_worked) : undefined,
+        description
+      })
+    );
+
+    res.json({
+      message: 'Temps de travail mis à jour',
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de la mise à jour du temps de travail:', error);
+    res.status(500).json({ error: 'Erreur lors de la mise à jour du temps de travail' });
+  }
+});
+
+// Supprimer un de ses temps de travail (tant que la semaine n'est ni soumise ni approuvée)
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    await transaction((connection) => deleteTimeEntry(connection, req.user.id, req.params.id));
+
+    res.json({ message: 'Temps de travail supprimé' });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Erreur lors de la suppression du temps de travail:', error);
+    res.status(500).json({ error: 'Erreur lors de la suppression du temps de travail' });
+  }
+});
+
+module.exports = router;
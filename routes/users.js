@@ -2,12 +2,14 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const { query } = require('../config/database');
-const { authenticateToken, authorize } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { invalidateUserSessions } = require('../services/tokens');
+const { hasPermission, validateRole } = require('../services/permissions');
 
 const router = express.Router();
 
 // Récupérer tous les utilisateurs (admin/manager seulement)
-router.get('/', authenticateToken, authorize('admin', 'manager'), async (req, res) => {
+router.get('/', authenticateToken, requirePermission('users:read'), async (req, res) => {
   try {
     const { search = '', role = '', department = '' } = req.query;
 
@@ -41,6 +43,11 @@ router.get('/', authenticateToken, authorize('admin', 'manager'), async (req, re
       queryParams
     );
 
+    // Les salaires ne sont visibles qu'avec la permission dédiée
+    if (!(await hasPermission(req.user, 'employees:read_salary'))) {
+      users.forEach((user) => delete user.salary);
+    }
+
     res.json(users);
   } catch (error) {
     console.error('Erreur lors de la récupération des utilisateurs:', error);
@@ -49,7 +56,7 @@ router.get('/', authenticateToken, authorize('admin', 'manager'), async (req, re
 });
 
 // Récupérer la liste des utilisateurs pour les sélecteurs (managers et employés seulement)
-router.get('/select', authenticateToken, async (req, res) => {
+router.get('/select', authenticateToken, requirePermission('employees:read'), async (req, res) => {
   try {
     const users = await query(
       `SELECT id, first_name, last_name, email, role, department, position 
@@ -72,12 +79,13 @@ router.get('/:id', authenticateToken, async (req, res) => {
     const { id } = req.params;
 
     // Vérifier les permissions
-    if (req.user.role !== 'admin' && req.user.role !== 'manager' && req.user.id !== parseInt(id)) {
+    const isSelf = req.user.id === parseInt(id);
+    if (!isSelf && !(await hasPermission(req.user, 'users:read'))) {
       return res.status(403).json({ error: 'Permissions insuffisantes' });
     }
 
     const users = await query(
-      'SELECT id, email, first_name, last_name, role, department, position, phone, address, hire_date, salary, avatar, is_active, created_at FROM users WHERE id = ?',
+      'SELECT id, email, first_name, last_name, role, client_id, department, position, phone, address, hire_date, salary, avatar, is_active, created_at FROM users WHERE id = ?',
       [id]
     );
 
@@ -86,18 +94,21 @@ router.get('/:id', authenticateToken, async (req, res) => {
     }
 
     const user = users[0];
+    const canReadSalary = isSelf || await hasPermission(req.user, 'employees:read_salary');
+
     res.json({
       id: user.id,
       email: user.email,
       firstName: user.first_name,
       lastName: user.last_name,
       role: user.role,
+      clientId: user.client_id,
       department: user.department,
       position: user.position,
       phone: user.phone,
       address: user.address,
       hireDate: user.hire_date,
-      salary: user.salary,
+      salary: canReadSalary ? user.salary : undefined,
       avatar: user.avatar,
       isActive: user.is_active,
       createdAt: user.created_at
@@ -109,12 +120,13 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // Créer un nouvel utilisateur (admin seulement)
-router.post('/', authenticateToken, authorize('admin'), [
+router.post('/', authenticateToken, requirePermission('users:create'), [
   body('email').isEmail().normalizeEmail(),
   body('password').isLength({ min: 6 }),
   body('firstName').notEmpty().trim(),
   body('lastName').notEmpty().trim(),
-  body('role').isIn(['admin', 'manager', 'employee', 'client'])
+  body('role').custom(validateRole),
+  body('clientId').optional({ values: 'null' }).isInt()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -122,7 +134,7 @@ router.post('/', authenticateToken, authorize('admin'), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { email, password, firstName, lastName, role, department, position, phone, address, salary } = req.body;
+    const { email, password, firstName, lastName, role, department, position, phone, address, salary, clientId } = req.body;
 
     // Vérifier si l'utilisateur existe déjà
     const existingUsers = await query('SELECT id FROM users WHERE email = ?', [email]);
@@ -130,13 +142,21 @@ router.post('/', authenticateToken, authorize('admin'), [
       return res.status(400).json({ error: 'Un utilisateur avec cet email existe déjà' });
     }
 
+    // Un utilisateur client est rattaché à sa fiche client (portail)
+    if (clientId) {
+      const clients = await query('SELECT id FROM clients WHERE id = ?', [clientId]);
+      if (clients.length === 0) {
+        return res.status(400).json({ error: 'Client non trouvé' });
+      }
+    }
+
     // Hasher le mot de passe
     const hashedPassword = await bcrypt.hash(password, 10);
 
     // Créer l'utilisateur
     const result = await query(
-      'INSERT INTO users (email, password, first_name, last_name, role, department, position, phone, address, salary) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-      [email, hashedPassword, firstName, lastName, role, department, position, phone, address, salary]
+      'INSERT INTO users (email, password, first_name, last_name, role, client_id, department, position, phone, address, salary) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [email, hashedPassword, firstName, lastName, role, clientId || null, department, position, phone, address, salary]
     );
 
     res.status(201).json({
@@ -154,9 +174,10 @@ router.put('/:id', authenticateToken, [
   body('firstName').optional().notEmpty().trim(),
   body('lastName').optional().notEmpty().trim(),
   body('email').optional().isEmail().normalizeEmail(),
-  body('role').optional().isIn(['admin', 'manager', 'employee', 'client']),
+  body('role').optional().custom(validateRole),
   body('phone').optional().isMobilePhone(),
-  body('salary').optional().isDecimal()
+  body('salary').optional().isDecimal(),
+  body('clientId').optional({ values: 'null' }).isInt()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -165,10 +186,11 @@ router.put('/:id', authenticateToken, [
     }
 
     const { id } = req.params;
-    const { firstName, lastName, email, role, department, position, phone, address, salary, isActive } = req.body;
+    const { firstName, lastName, email, role, department, position, phone, address, salary, isActive, clientId } = req.body;
 
     // Vérifier les permissions
-    if (req.user.role !== 'admin' && req.user.id !== parseInt(id)) {
+    const canUpdateUsers = await hasPermission(req.user, 'users:update');
+    if (!canUpdateUsers && req.user.id !== parseInt(id)) {
       return res.status(403).json({ error: 'Permissions insuffisantes' });
     }
 
@@ -202,7 +224,7 @@ router.put('/:id', authenticateToken, [
       updateFields.push('email = ?');
       updateValues.push(email);
     }
-    if (role && req.user.role === 'admin') {
+    if (role && await hasPermission(req.user, 'users:assign_role')) {
       updateFields.push('role = ?');
       updateValues.push(role);
     }
@@ -222,14 +244,25 @@ router.put('/:id', authenticateToken, [
       updateFields.push('address = ?');
       updateValues.push(address);
     }
-    if (salary !== undefined && req.user.role === 'admin') {
+    if (salary !== undefined && await hasPermission(req.user, 'employees:update_salary')) {
       updateFields.push('salary = ?');
       updateValues.push(salary);
     }
-    if (isActive !== undefined && req.user.role === 'admin') {
+    if (isActive !== undefined && canUpdateUsers) {
       updateFields.push('is_active = ?');
       updateValues.push(isActive);
     }
+    // Rattacher (ou détacher avec null) l'utilisateur à une fiche client
+    if (clientId !== undefined && canUpdateUsers) {
+      if (clientId) {
+        const clients = await query('SELECT id FROM clients WHERE id = ?', [clientId]);
+        if (clients.length === 0) {
+          return res.status(400).json({ error: 'Client non trouvé' });
+        }
+      }
+      updateFields.push('client_id = ?');
+      updateValues.push(clientId || null);
+    }
 
     if (updateFields.length === 0) {
       return res.status(400).json({ error: 'Aucun champ à mettre à jour' });
@@ -242,6 +275,11 @@ router.put('/:id', authenticateToken, [
       updateValues
     );
 
+    // Invalider les sessions d'un utilisateur désactivé
+    if ((isActive === false || isActive === 'false') && canUpdateUsers) {
+      await invalidateUserSessions(id, 'deactivation');
+    }
+
     res.json({ message: 'Utilisateur mis à jour avec succès' });
   } catch (error) {
     console.error('Erreur lors de la mise à jour de l\'utilisateur:', error);
@@ -250,7 +288,7 @@ router.put('/:id', authenticateToken, [
 });
 
 // Supprimer un utilisateur (admin seulement)
-router.delete('/:id', authenticateToken, authorize('admin'), async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('users:delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -276,7 +314,7 @@ router.delete('/:id', authenticateToken, authorize('admin'), async (req, res) =>
 });
 
 // Obtenir les statistiques des utilisateurs (admin/manager seulement)
-router.get('/stats/overview', authenticateToken, authorize('admin', 'manager'), async (req, res) => {
+router.get('/stats/overview', authenticateToken, requirePermission('users:read_stats'), async (req, res) => {
   try {
     const stats = await query(`
       SELECT 
@@ -0,0 +1,222 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query, transaction } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Récupérer les dépôts avec leur stock
+router.get('/', authenticateToken, requirePermission('equipment:read'), async (req, res) => {
+  try {
+    const { active = '' } = req.query;
+
+    const whereConditions = ['1=1'];
+    const queryParams = [];
+
+    if (active === 'true') {
+      whereConditions.push('w.is_active = TRUE');
+    }
+
+    const warehouses = await query(`
+      SELECT
+        w.*,
+        u.first_name as manager_first_name, u.last_name as manager_last_name,
+        COUNT(CASE WHEN ps.quantity <> 0 THEN 1 END) as product_count,
+        COALESCE(SUM(ps.quantity), 0) as total_quantity
+      FROM warehouses w
+      LEFT JOIN users u ON w.manager_id = u.id
+      LEFT JOIN product_stocks ps ON ps.warehouse_id = w.id
+      WHERE ${whereConditions.join(' AND ')}
+      GROUP BY w.id
+      ORDER BY w.is_default DESC, w.name
+    `, queryParams);
+
+    res.json(warehouses);
+  } catch (error) {
+    console.error('Erreur lors de la récupération des dépôts:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération des dépôts' });
+  }
+});
+
+// Créer un dépôt
+router.post('/', authenticateToken, requirePermission('equipment:manage'), [
+  body('code').trim().notEmpty().isLength({ max: 20 }).withMessage('Le code du dépôt est requis'),
+  body('name').trim().notEmpty().withMessage('Le nom du dépôt est requis'),
+  body('manager_id').optional({ nullable: true }).isInt().withMessage('Responsable invalide'),
+  body('is_default').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { code, name, address, city, country, manager_id, is_default } = req.body;
+
+    const existing = await query('SELECT id FROM warehouses WHERE code = ?', [code]);
+    if (existing.length > 0) {
+      return res.status(400).json({ error: 'Ce code de dépôt est déjà utilisé' });
+    }
+
+    // Un seul dépôt par défaut
+    const warehouseId = await transaction(async (connection) => {
+      if (is_default) {
+        await connection.execute('UPDATE warehouses SET is_default = FALSE WHERE is_default = TRUE');
+      }
+
+      const [result] = await connection.execute(
+        `INSERT INTO warehouses (code, name, address, city, country, manager_id, is_default)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [code, name, address || null, city || null, country || null, manager_id || null, !!is_default]
+      );
+
+      return result.insertId;
+    });
+
+    res.status(201).json({
+      message: 'Dépôt créé avec succès',
+      warehouseId
+    });
+  } catch (error) {
+    console.error('Erreur lors de la création du dépôt:', error);
+    res.status(500).json({ error: 'Erreur lors de la création du dépôt' });
+  }
+});
+
+// Mettre à jour un dépôt
+router.put('/:id', authenticateToken, requirePermission('equipment:manage'), [
+  body('name').optional().trim().notEmpty(),
+  body('manager_id').optional({ nullable: true }).isInt().withMessage('Responsable invalide'),
+  body('is_default').optional().isBoolean(),
+  body('is_active').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { name, address, city, country, manager_id, is_default, is_active } = req.body;
+
+    const warehouses = await query('SELECT id, is_default FROM warehouses WHERE id = ?', [id]);
+    if (warehouses.length === 0) {
+      return res.status(404).json({ error: 'Dépôt non trouvé' });
+    }
+
+    if (is_default === false && warehouses[0].is_default) {
+      return res.status(400).json({ error: 'Désignez un autre dépôt par défaut plutôt que de retirer celui-ci' });
+    }
+
+    // Un dépôt ne peut être désactivé que s'il est vide et n'est pas le dépôt par défaut
+    if (is_active === false) {
+      if (warehouses[0].is_default || is_default) {
+        return res.status(400).json({ error: 'Le dépôt par défaut ne peut pas être désactivé' });
+      }
+
+      const stock = await query(
+        'SELECT COUNT(*) as count FROM product_stocks WHERE warehouse_id = ? AND quantity <> 0',
+        [id]
+      );
+      const transfers = await query(
+        "SELECT COUNT(*) as count FROM stock_transfers WHERE status = 'shipped' AND (from_warehouse_id = ? OR to_warehouse_id = ?)",
+        [id, id]
+      );
+      // Le matériel prêté revient par défaut dans son dépôt d'origine
+      const loans = await query(
+        "SELECT COUNT(*) as count FROM equipment_loans WHERE status = 'checked_out' AND warehouse_id = ?",
+        [id]
+      );
+      if (stock[0].count > 0 || transfers[0].count > 0 || loans[0].count > 0) {
+        return res.status(400).json({ error: 'Le dépôt contient encore du stock, des transferts en cours ou du matériel prêté non rendu' });
+      }
+    }
+
+    const updateFields = [];
+    const updateValues = [];
+
+    if (name) {
+      updateFields.push('name = ?');
+      updateValues.push(name);
+    }
+    if (address !== undefined) {
+      updateFields.push('address = ?');
+      updateValues.push(address);
+    }
+    if (city !== undefined) {
+      updateFields.push('city = ?');
+      updateValues.push(city);
+    }
+    if (country !== undefined) {
+      updateFields.push('country = ?');
+      updateValues.push(country);
+    }
+    if (manager_id !== undefined) {
+      updateFields.push('manager_id = ?');
+      updateValues.push(manager_id);
+    }
+    if (is_active !== undefined) {
+      updateFields.push('is_active = ?');
+      updateValues.push(!!is_active);
+    }
+    if (is_default) {
+      updateFields.push('is_default = TRUE');
+    }
+
+    if (updateFields.length === 0) {
+      return res.status(400).json({ error: 'Aucun champ à mettre à jour' });
+    }
+
+    updateValues.push(id);
+
+    await transaction(async (connection) => {
+      if (is_default) {
+        await connection.execute('UPDATE warehouses SET is_default = FALSE WHERE is_default = TRUE AND id != ?', [id]);
+      }
+
+      await connection.execute(
+        `UPDATE warehouses SET ${updateFields.join(', ')} WHERE id = ?`,
+        updateValues
+      );
+    });
+
+    res.json({ message: 'Dépôt mis à jour avec succès' });
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour du dépôt:', error);
+    res.status(500).json({ error: 'Erreur lors de la mise à jour du dépôt' });
+  }
+});
+
+// Stock d'un dépôt par produit
+router.get('/:id/stock', authenticateToken, requirePermission('equipment:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const warehouses = await query('SELECT * FROM warehouses WHERE id = ?', [id]);
+    if (warehouses.length === 0) {
+      return res.status(404).json({ error: 'Dépôt non trouvé' });
+    }
+
+    const products = await query(`
+      SELECT
+        p.id as product_id, p.product_code, p.name, c.name as category_name,
+        ps.quantity, p.current_stock as total_stock
+      FROM product_stocks ps
+      JOIN products p ON ps.product_id = p.id
+      LEFT JOIN product_categories c ON p.category_id = c.id
+      WHERE ps.warehouse_id = ? AND ps.quantity <> 0
+      ORDER BY p.name
+    `, [id]);
+
+    res.json({
+      ...warehouses[0],
+      total_quantity: products.reduce((sum, product) => sum + product.quantity, 0),
+      products
+    });
+  } catch (error) {
+    console.error('Erreur lors de la récupération du stock du dépôt:', error);
+    res.status(500).json({ error: 'Erreur lors de la récupération du stock du dépôt' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const { pool } = require('../config/database');
+const { runBilling } = require('../services/billing');
+
+// Usage: node scripts/billing.js [AAAA-MM-JJ] [--dry-run]
+const run = async () => {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const date = args.find((arg) => !arg.startsWith('--')) || new Date();
+
+  const summary = await runBilling({ date, dryRun });
+
+  for (const invoice of summary.created) {
+    console.log(`🧾 Abonnement ${invoice.subscription_id}: ${invoice.period_start} → ${invoice.period_end} ` +
+      `(${invoice.total_amount})${invoice.invoice_number ? ` - ${invoice.invoice_number}` : ''}`);
+  }
+  for (const failure of summary.errors) {
+    console.error(`❌ Abonnement ${failure.subscription_id}: ${failure.error}`);
+  }
+
+  console.log(`✅ ${summary.created.length} facture(s) ${dryRun ? 'à générer' : 'générée(s)'}, ` +
+    `${summary.skipped} période(s) déjà facturée(s) au ${summary.date}`);
+
+  return summary.errors.length === 0;
+};
+
+run()
+  .then(async (success) => {
+    await pool.end();
+    process.exit(success ? 0 : 1);
+  })
+  .catch(async (error) => {
+    console.error('❌ Erreur de facturation:', error.message);
+    await pool.end();
+    process.exit(1);
+  });
@@ -0,0 +1,26 @@
+const { pool } = require('../config/database');
+const { runDunning } = require('../services/dunning');
+
+// Usage: node scripts/dunning.js [AAAA-MM-JJ]
+const run = async () => {
+  const date = process.argv[2] || new Date();
+
+  const summary = await runDunning({ date });
+
+  console.log(`⏰ ${summary.marked_overdue} facture(s) passée(s) en retard au ${summary.date}`);
+  console.log(`📧 ${summary.reminders.sent} relance(s) envoyée(s), ${summary.reminders.failed} en échec, ` +
+    `${summary.reminders.skipped} déjà envoyée(s)`);
+
+  return summary.reminders.failed === 0;
+};
+
+run()
+  .then(async (success) => {
+    await pool.end();
+    process.exit(success ? 0 : 1);
+  })
+  .catch(async (error) => {
+    console.error('❌ Erreur lors des relances:', error.message);
+    await pool.end();
+    process.exit(1);
+  });
@@ -0,0 +1,45 @@
+const { pool } = require('../config/database');
+const { migrate, rollback, status } = require('../database/migrator');
+
+// Usage: node scripts/migrate.js [up|rollback|status]
+const run = async () => {
+  const command = process.argv[2] || 'up';
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrate();
+      console.log(applied.length > 0
+        ? `✅ ${applied.length} migration(s) appliquée(s)`
+        : '✅ Base de données déjà à jour');
+      break;
+    }
+
+    case 'rollback': {
+      const reverted = await rollback();
+      console.log(reverted.length > 0
+        ? `✅ ${reverted.length} migration(s) annulée(s)`
+        : '✅ Aucune migration à annuler');
+      break;
+    }
+
+    case 'status': {
+      const migrations = await status();
+      for (const migration of migrations) {
+        const state = migration.batch ? `lot ${migration.batch}` : 'en attente';
+        console.log(`${migration.name} - ${state}`);
+      }
+      break;
+    }
+
+    default:
+      throw new Error(`Commande inconnue: ${command}`);
+  }
+};
+
+run()
+  .then(() => pool.end())
+  .catch(async (error) => {
+    console.error('❌ Erreur de migration:', error.message);
+    await pool.end();
+    process.exit(1);
+  });
@@ -33,12 +33,23 @@ app.use('/uploads', express.static('uploads'));
 // Routes API
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/users', require('./routes/users'));
+app.use('/api/projects/:id/tasks', require('./routes/projectTasks'));
 app.use('/api/projects', require('./routes/projects'));
+app.use('/api/tasks', require('./routes/tasks'));
 app.use('/api/invoices', require('./routes/invoices'));
+app.use('/api/equipment/stock-counts', require('./routes/stockCounts'));
+app.use('/api/equipment/warehouses', require('./routes/warehouses'));
+app.use('/api/equipment/transfers', require('./routes/stockTransfers'));
+app.use('/api/equipment/serials', require('./routes/serials'));
+app.use('/api/equipment/loans', require('./routes/equipmentLoans'));
 app.use('/api/equipment', require('./routes/equipment'));
 app.use('/api/subscriptions', require('./routes/subscriptions'));
 app.use('/api/employees', require('./routes/employees'));
+app.use('/api/time-entries', require('./routes/timeEntries'));
 app.use('/api/clients', require('./routes/clients'));
+app.use('/api/settings', require('./routes/settings'));
+app.use('/api/roles', require('./routes/roles'));
+app.use('/api/portal', require('./routes/portal'));
 
 // Route de test
 app.get('/api/test', (req, res) => {
@@ -71,6 +82,7 @@ app.listen(PORT, () => {
   console.log(`🚀 Serveur CY Systems démarré sur le port ${PORT}`);
   console.log(`📊 Environnement: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🌐 API disponible sur: http://localhost:${PORT}/api`);
+  require('./services/scheduler').startScheduler();
 });
 
 module.exports = app;
@@ -0,0 +1,172 @@
+const moment = require('moment');
+const { query, transaction } = require('../config/database');
+const { generateInvoiceNumber } = require('./invoiceNumbers');
+const { roundAmount } = require('./money');
+
+// Nombre de mois couverts par chaque cycle de facturation
+const CYCLE_MONTHS = {
+  monthly: 1,
+  quarterly: 3,
+  yearly: 12
+};
+
+// Calculer les périodes de facturation échues à une date donnée
+// Les périodes sont calculées depuis start_date pour éviter la dérive des fins de mois,
+// celles qui commencent avant next_billing_date sont déjà facturées
+const getDuePeriods = (subscription, asOf) => {
+  const months = CYCLE_MONTHS[subscription.billing_cycle];
+  if (!months) {
+    return [];
+  }
+
+  const start = moment(subscription.start_date).startOf('day');
+  const runDate = moment(asOf).startOf('day');
+  // Sans renouvellement automatique, on ne facture pas au-delà de la date de fin
+  const endDate = subscription.end_date && !subscription.auto_renew
+    ? moment(subscription.end_date).startOf('day')
+    : null;
+  const firstDue = subscription.next_billing_date ? moment(subscription.next_billing_date).startOf('day') : null;
+
+  const periods = [];
+  for (let index = 0; ; index++) {
+    const periodStart = start.clone().add(index * months, 'months');
+    if (periodStart.isAfter(runDate)) break;
+    if (endDate && !periodStart.isBefore(endDate)) break;
+    if (firstDue && periodStart.isBefore(firstDue)) continue;
+
+    const periodEnd = start.clone().add((index + 1) * months, 'months').subtract(1, 'day');
+    periods.push({
+      start: periodStart.format('YYYY-MM-DD'),
+      end: periodEnd.format('YYYY-MM-DD')
+    });
+  }
+
+  return periods;
+};
+
+// Créer la facture d'une période d'abonnement (dans une transaction)
+// La facture est émise directement (sent) pour entrer dans le suivi des retards et des relances
+const createSubscriptionInvoice = async (connection, subscription, period, userId) => {
+  const taxRate = parseFloat(process.env.BILLING_TAX_RATE || 0);
+  const paymentTermsDays = parseInt(process.env.BILLING_PAYMENT_TERMS_DAYS || 30);
+
+  const subtotal = roundAmount(parseFloat(subscription.price));
+  const taxAmount = roundAmount(subtotal * taxRate / 100);
+  const totalAmount = roundAmount(subtotal + taxAmount);
+  const dueDate = moment(period.start).add(paymentTermsDays, 'days').format('YYYY-MM-DD');
+
+  const invoiceNumber = await generateInvoiceNumber(connection, period.start);
+
+  const [result] = await connection.execute(
+    `INSERT INTO invoices (client_id, subscription_id, billing_period_start, billing_period_end, invoice_number,
+                          issue_date, due_date, subtotal, tax_rate, tax_amount, total_amount, status, notes, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'sent', ?, ?)`,
+    [subscription.client_id, subscription.id, period.start, period.end, invoiceNumber,
+     period.start, dueDate, subtotal, taxRate, taxAmount, totalAmount,
+     'Facture générée automatiquement', userId]
+  );
+
+  await connection.execute(
+    'INSERT INTO invoice_items (invoice_id, description, quantity, unit_price, total_price) VALUES (?, ?, ?, ?, ?)',
+    [result.insertId, `${subscription.plan_name} - période du ${period.start} au ${period.end}`, 1, subtotal, subtotal]
+  );
+
+  // La prochaine facture commence après la période facturée
+  const nextBillingDate = moment(period.end).add(1, 'day').format('YYYY-MM-DD');
+  await connection.execute(
+    'UPDATE subscriptions SET next_billing_date = ? WHERE id = ? AND (next_billing_date IS NULL OR next_billing_date < ?)',
+    [nextBillingDate, subscription.id, nextBillingDate]
+  );
+
+  // Renouvellement automatique : prolonger la date de fin jusqu'à la période facturée
+  if (subscription.auto_renew) {
+    await connection.execute(
+      'UPDATE subscriptions SET end_date = ? WHERE id = ? AND (end_date IS NULL OR end_date < ?)',
+      [period.end, subscription.id, period.end]
+    );
+  }
+
+  return {
+    subscription_id: subscription.id,
+    client_id: subscription.client_id,
+    invoice_id: result.insertId,
+    invoice_number: invoiceNumber,
+    period_start: period.start,
+    period_end: period.end,
+    total_amount: totalAmount
+  };
+};
+
+// Facturer toutes les périodes échues des abonnements actifs
+// Idempotent : une période déjà facturée n'est jamais refacturée
+const runBilling = async ({ date = new Date(), userId = null, dryRun = false } = {}) => {
+  const asOf = moment(date).format('YYYY-MM-DD');
+
+  const subscriptions = await query(`
+    SELECT id, client_id, plan_name, price, billing_cycle, start_date, end_date, next_billing_date, auto_renew
+    FROM subscriptions
+    WHERE status = 'active' AND start_date <= ?
+    ORDER BY id
+  `, [asOf]);
+
+  const summary = {
+    date: asOf,
+    dry_run: dryRun,
+    created: [],
+    skipped: 0,
+    errors: []
+  };
+
+  for (const subscription of subscriptions) {
+    try {
+      const invoiced = await query(
+        'SELECT billing_period_start FROM invoices WHERE subscription_id = ? AND billing_period_start IS NOT NULL',
+        [subscription.id]
+      );
+      const invoicedPeriods = new Set(invoiced.map((row) => moment(row.billing_period_start).format('YYYY-MM-DD')));
+
+      for (const period of getDuePeriods(subscription, asOf)) {
+        if (invoicedPeriods.has(period.start)) {
+          summary.skipped++;
+          continue;
+        }
+
+        if (dryRun) {
+          summary.created.push({
+            subscription_id: subscription.id,
+            client_id: subscription.client_id,
+            period_start: period.start,
+            period_end: period.end,
+            total_amount: roundAmount(parseFloat(subscription.price))
+          });
+          continue;
+        }
+
+        try {
+          const invoice = await transaction((connection) =>
+            createSubscriptionInvoice(connection, subscription, period, userId)
+          );
+          summary.created.push(invoice);
+        } catch (error) {
+          // Une exécution concurrente a déjà facturé cette période ; tout autre doublon
+          // (numéro de facture notamment) est une vraie erreur
+          if (error.code === 'ER_DUP_ENTRY' && error.message.includes('uq_invoices_subscription_period')) {
+            summary.skipped++;
+            continue;
+          }
+          throw error;
+        }
+      }
+    } catch (error) {
+      console.error(`Erreur de facturation de l'abonnement ${subscription.id}:`, error);
+      summary.errors.push({ subscription_id: subscription.id, error: error.message });
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  getDuePeriods,
+  runBilling
+};
@@ -0,0 +1,237 @@
+const moment = require('moment');
+const { query } = require('../config/database');
+const { getCompanySettings } = require('./settings');
+const { roundAmount } = require('./money');
+
+// Méthodes de valorisation des stocks (paramètre inventory_costing_method de l'entreprise)
+const COSTING_METHODS = ['fifo', 'weighted_average'];
+
+const getCostingMethod = async () => {
+  const settings = await getCompanySettings();
+  return COSTING_METHODS.includes(settings.inventory_costing_method) ? settings.inventory_costing_method : 'fifo';
+};
+
+// Couches d'un produit encore en stock, des plus anciennes aux plus récentes (verrouillées)
+const lockOpenLayers = async (connection, productId) => {
+  const [layers] = await connection.execute(
+    `SELECT id, unit_cost, quantity_remaining FROM stock_cost_layers
+     WHERE product_id = ? AND quantity_remaining > 0
+     ORDER BY received_at, id FOR UPDATE`,
+    [productId]
+  );
+  return layers;
+};
+
+// Ajouter une couche de coût pour des unités entrées en stock
+// À appeler après la mise à jour de current_stock : les unités déjà vendues à découvert ne restent pas en couche
+const addCostLayer = async (connection, { productId, quantity, unitCost, sourceType, sourceId = null }) => {
+  const [products] = await connection.execute('SELECT current_stock FROM products WHERE id = ? FOR UPDATE', [productId]);
+  const layers = await lockOpenLayers(connection, productId);
+  const layered = layers.reduce((sum, layer) => sum + layer.quantity_remaining, 0);
+  const remaining = Math.min(quantity, Math.max(products[0].current_stock - layered, 0));
+
+  await connection.execute(
+    `INSERT INTO stock_cost_layers (product_id, source_type, source_id, unit_cost, quantity_received, quantity_remaining, received_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [productId, sourceType, sourceId, unitCost, quantity, remaining, new Date()]
+  );
+};
+
+// Consommer des unités en stock et renvoyer leur coût (coût des ventes)
+// FIFO : coût des couches les plus anciennes ; coût moyen : coût moyen des couches, qui est ensuite appliqué à toutes
+const consumeCostLayers = async (connection, productId, quantity, method) => {
+  const layers = await lockOpenLayers(connection, productId);
+
+  const available = layers.reduce((sum, layer) => sum + layer.quantity_remaining, 0);
+  const averageCost = available > 0
+    ? layers.reduce((sum, layer) => sum + layer.quantity_remaining * parseFloat(layer.unit_cost), 0) / available
+    : null;
+
+  let cost = 0;
+  let toConsume = quantity;
+  for (const layer of layers) {
+    if (toConsume === 0) {
+      break;
+    }
+    const taken = Math.min(toConsume, layer.quantity_remaining);
+    cost += taken * (method === 'weighted_average' ? averageCost : parseFloat(layer.unit_cost));
+    toConsume -= taken;
+    await connection.execute(
+      'UPDATE stock_cost_layers SET quantity_remaining = quantity_remaining - ? WHERE id = ?',
+      [taken, layer.id]
+    );
+  }
+
+  // Vente à découvert : les unités manquantes sont valorisées au dernier coût connu
+  if (toConsume > 0) {
+    cost += toConsume * (averageCost !== null ? averageCost : await getLastKnownCost(connection, productId));
+  }
+
+  if (method === 'weighted_average' && averageCost !== null) {
+    await connection.execute(
+      'UPDATE stock_cost_layers SET unit_cost = ? WHERE product_id = ? AND quantity_remaining > 0',
+      [averageCost, productId]
+    );
+  }
+
+  return roundAmount(cost);
+};
+
+// Dernier coût d'entrée d'un produit, à défaut son cost_price
+const getLastKnownCost = async (connection, productId) => {
+  const [layers] = await connection.execute(
+    'SELECT unit_cost FROM stock_cost_layers WHERE product_id = ? ORDER BY received_at DESC, id DESC LIMIT 1',
+    [productId]
+  );
+  if (layers.length > 0) {
+    return parseFloat(layers[0].unit_cost);
+  }
+
+  const [products] = await connection.execute('SELECT cost_price FROM products WHERE id = ?', [productId]);
+  return parseFloat(products[0].cost_price) || 0;
+};
+
+// Coût unitaire courant d'un produit : coût moyen des unités en stock, à défaut le dernier coût connu
+const getCurrentUnitCost = async (connection, productId) => {
+  const [layers] = await connection.execute(
+    `SELECT SUM(quantity_remaining) as quantity, SUM(quantity_remaining * unit_cost) as value
+     FROM stock_cost_layers WHERE product_id = ? AND quantity_remaining > 0`,
+    [productId]
+  );
+
+  const quantity = Number(layers[0].quantity) || 0;
+  return quantity > 0 ? parseFloat(layers[0].value) / quantity : getLastKnownCost(connection, productId);
+};
+
+// Valeur du stock à une date, reconstituée à partir des mouvements valorisés
+// Les transferts entre dépôts et les prêts aux employés ne changent ni la quantité totale ni la valeur du stock
+const getInventoryValuation = async (asOf) => {
+  const date = moment(asOf || undefined).format('YYYY-MM-DD');
+  const until = moment(date).add(1, 'day').format('YYYY-MM-DD');
+
+  const rows = await query(`
+    SELECT
+      p.id as product_id, p.name, p.product_code, c.name as category_name,
+      SUM(CASE WHEN sm.movement_type = 'out' THEN -sm.quantity ELSE sm.quantity END) as quantity,
+      SUM(CASE WHEN sm.movement_type = 'out' THEN -COALESCE(sm.total_cost, 0) ELSE COALESCE(sm.total_cost, 0) END) as value
+    FROM stock_movements sm
+    JOIN products p ON sm.product_id = p.id
+    LEFT JOIN product_categories c ON p.category_id = c.id
+    WHERE sm.created_at < ? AND sm.movement_type NOT IN ('transfer_out', 'transfer_in', 'loan', 'loan_return')
+    GROUP BY p.id, p.name, p.product_code, c.name
+    HAVING quantity <> 0 OR value <> 0
+    ORDER BY p.name
+  `, [until]);
+
+  const products = rows.map((row) => {
+    const quantity = Number(row.quantity);
+    const value = roundAmount(row.value);
+    return {
+      ...row,
+      quantity,
+      value,
+      average_unit_cost: quantity > 0 ? roundAmount(value / quantity) : null
+    };
+  });
+
+  return {
+    as_of: date,
+    method: await getCostingMethod(),
+    total_quantity: products.reduce((sum, product) => sum + product.quantity, 0),
+    total_value: roundAmount(products.reduce((sum, product) => sum + product.value, 0)),
+    products
+  };
+};
+
+// Marge brute par produit et par catégorie, nette des retours
+// Le chiffre d'affaires est hors taxe, après remises de ligne et remise de la vente répartie au prorata
+const getGrossMarginReport = async ({ dateFrom = null, dateTo = null } = {}) => {
+  const whereConditions = ["s.status = 'completed'"];
+  const queryParams = [];
+
+  if (dateFrom) {
+    whereConditions.push('DATE(s.created_at) >= ?');
+    queryParams.push(dateFrom);
+  }
+
+  if (dateTo) {
+    whereConditions.push('DATE(s.created_at) <= ?');
+    queryParams.push(dateTo);
+  }
+
+  const rows = await query(`
+    SELECT
+      p.id as product_id, p.name, p.product_code,
+      c.id as category_id, c.name as category_name,
+      SUM(si.quantity - si.quantity_returned) as quantity_sold,
+      SUM(si.total_price * (si.quantity - si.quantity_returned) / si.quantity
+          * CASE WHEN s.subtotal > 0 THEN (s.subtotal - s.discount_amount) / s.subtotal ELSE 0 END) as revenue,
+      SUM(COALESCE(si.cogs_amount, 0) * (si.quantity - si.quantity_returned) / si.quantity) as cogs
+    FROM sale_items si
+    JOIN sales s ON si.sale_id = s.id
+    JOIN products p ON si.product_id = p.id
+    LEFT JOIN product_categories c ON p.category_id = c.id
+    WHERE ${whereConditions.join(' AND ')}
+    GROUP BY p.id, p.name, p.product_code, c.id, c.name
+    ORDER BY p.name
+  `, queryParams);
+
+  const withMargin = (line) => {
+    const revenue = roundAmount(line.revenue);
+    const cogs = roundAmount(line.cogs);
+    const grossMargin = roundAmount(revenue - cogs);
+    return {
+      ...line,
+      quantity_sold: Number(line.quantity_sold),
+      revenue,
+      cogs,
+      gross_margin: grossMargin,
+      margin_percent: revenue > 0 ? roundAmount(grossMargin / revenue * 100) : null
+    };
+  };
+
+  const products = rows.map(withMargin);
+
+  const byCategory = new Map();
+  for (const product of products) {
+    const key = product.category_id || 0;
+    if (!byCategory.has(key)) {
+      byCategory.set(key, {
+        category_id: product.category_id,
+        category_name: product.category_name,
+        quantity_sold: 0,
+        revenue: 0,
+        cogs: 0
+      });
+    }
+    const category = byCategory.get(key);
+    category.quantity_sold += product.quantity_sold;
+    category.revenue += product.revenue;
+    category.cogs += product.cogs;
+  }
+
+  const categories = [...byCategory.values()].map(withMargin);
+  const totals = withMargin(categories.reduce((sum, category) => ({
+    quantity_sold: sum.quantity_sold + category.quantity_sold,
+    revenue: sum.revenue + category.revenue,
+    cogs: sum.cogs + category.cogs
+  }), { quantity_sold: 0, revenue: 0, cogs: 0 }));
+
+  return {
+    date_from: dateFrom,
+    date_to: dateTo,
+    totals,
+    categories,
+    products
+  };
+};
+
+module.exports = {
+  COSTING_METHODS,
+  getCostingMethod,
+  addCostLayer,
+  consumeCostLayers,
+  getCurrentUnitCost,
+  getInventoryValuation,
+  getGrossMarginReport
+};
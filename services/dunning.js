@@ -0,0 +1,133 @@
+const moment = require('moment');
+const { query } = require('../config/database');
+const { sendMail } = require('./mailer');
+const { roundAmount } = require('./money');
+
+// Jours de retard déclenchant une relance (DUNNING_SCHEDULE=3,10,30)
+const getDunningSchedule = () => {
+  return (process.env.DUNNING_SCHEDULE || '3,10,30')
+    .split(',')
+    .map((value) => parseInt(value.trim()))
+    .filter((value) => Number.isInteger(value) && value >= 0)
+    .sort((a, b) => a - b);
+};
+
+// Passer en retard les factures envoyées dont l'échéance est dépassée
+const markOverdueInvoices = async (asOf) => {
+  const result = await query(
+    `UPDATE invoices SET status = 'overdue'
+     WHERE status IN ('sent', 'partially_paid') AND due_date < ?`,
+    [asOf]
+  );
+  return result.affectedRows;
+};
+
+const buildReminderMessage = (invoice, daysOverdue, balanceDue) => {
+  const dueDate = moment(invoice.due_date).format('DD/MM/YYYY');
+  return {
+    to: invoice.client_email,
+    subject: `Relance : facture ${invoice.invoice_number} échue depuis ${daysOverdue} jour(s)`,
+    text: [
+      `Bonjour ${invoice.contact_person || invoice.company_name},`,
+      '',
+      `Sauf erreur de notre part, la facture ${invoice.invoice_number} arrivée à échéance le ${dueDate} ` +
+        `présente un solde impayé de ${balanceDue.toFixed(2)}.`,
+      'Nous vous remercions de bien vouloir procéder à son règlement dans les meilleurs délais.',
+      '',
+      'Si votre paiement a déjà été effectué, merci de ne pas tenir compte de ce message.',
+      '',
+      'Cordialement,',
+      'Le service comptabilité'
+    ].join('\n')
+  };
+};
+
+// Envoyer la relance correspondant au dernier palier atteint par chaque facture en retard
+// Un palier déjà envoyé n'est jamais renvoyé ; un envoi en échec est retenté au passage suivant
+const sendDueReminders = async (asOf) => {
+  const schedule = getDunningSchedule();
+  const summary = { sent: 0, failed: 0, skipped: 0 };
+
+  if (schedule.length === 0) {
+    return summary;
+  }
+
+  const invoices = await query(`
+    SELECT i.id, i.invoice_number, i.due_date, i.total_amount,
+           COALESCE(paid.amount, 0) as amount_paid,
+           DATEDIFF(?, i.due_date) as days_overdue,
+           c.company_name, c.contact_person, c.email as client_email
+    FROM invoices i
+    JOIN clients c ON i.client_id = c.id
+    LEFT JOIN (
+      SELECT invoice_id, SUM(amount) as amount FROM payments GROUP BY invoice_id
+    ) paid ON paid.invoice_id = i.id
+    WHERE i.status = 'overdue' AND i.due_date < ?
+  `, [asOf, asOf]);
+
+  for (const invoice of invoices) {
+    const balanceDue = roundAmount(invoice.total_amount - invoice.amount_paid);
+    const reachedStages = schedule.filter((days) => invoice.days_overdue >= days);
+
+    if (balanceDue <= 0 || reachedStages.length === 0) {
+      continue;
+    }
+
+    const stage = reachedStages[reachedStages.length - 1];
+
+    const existing = await query(
+      'SELECT status FROM invoice_reminders WHERE invoice_id = ? AND stage_days = ?',
+      [invoice.id, stage]
+    );
+    if (existing.length > 0 && existing[0].status === 'sent') {
+      summary.skipped++;
+      continue;
+    }
+
+    let status = 'sent';
+    let errorMessage = null;
+    try {
+      if (!invoice.client_email) {
+        throw new Error('Le client n\'a pas d\'adresse email');
+      }
+      await sendMail(buildReminderMessage(invoice, invoice.days_overdue, balanceDue));
+    } catch (error) {
+      status = 'failed';
+      errorMessage = error.message;
+      console.error(`Erreur lors de la relance de la facture ${invoice.invoice_number}:`, error.message);
+    }
+
+    await query(
+      `INSERT INTO invoice_reminders (invoice_id, stage_days, recipient, status, error)
+       VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE recipient = VALUES(recipient), status = VALUES(status),
+                               error = VALUES(error), sent_at = CURRENT_TIMESTAMP`,
+      [invoice.id, stage, invoice.client_email || null, status, errorMessage]
+    );
+
+    summary[status]++;
+  }
+
+  return summary;
+};
+
+// Détection des retards puis relances, à la date donnée
+const runDunning = async ({ date = new Date() } = {}) => {
+  const asOf = moment(date).format('YYYY-MM-DD');
+
+  const overdue = await markOverdueInvoices(asOf);
+  const reminders = await sendDueReminders(asOf);
+
+  return {
+    date: asOf,
+    marked_overdue: overdue,
+    reminders
+  };
+};
+
+module.exports = {
+  getDunningSchedule,
+  markOverdueInvoices,
+  sendDueReminders,
+  runDunning
+};
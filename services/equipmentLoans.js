@@ -0,0 +1,188 @@
+const { recordStockMovement, adjustStock, resolveWarehouseId, lockWarehouseStock } = require('./stock');
+const { lendUnit, returnLoanedUnit, changeUnitStatus } = require('./serials');
+const { ServiceError } = require('./errors');
+
+// État du matériel à son retour : statut du prêt et sort du matériel rendu
+// Un matériel endommagé ou perdu est d'abord rendu au dépôt puis sorti du stock
+// (unité sérialisée mise en réparation ou au rebut, quantité sortie en ajustement)
+const RETURN_CONDITIONS = {
+  good: { loanStatus: 'returned', unitStatus: null, reasonCode: null },
+  damaged: { loanStatus: 'returned', unitStatus: 'in_repair', reasonCode: 'damaged' },
+  lost: { loanStatus: 'lost', unitStatus: 'retired', reasonCode: 'lost' }
+};
+
+// Sortir du matériel du dépôt pour le prêter à un employé
+// Pour un produit sérialisé, le prêt porte sur une unité désignée par son numéro de série
+const checkOutEquipment = async (connection, {
+  employeeId, productId = null, serialNumber = null, quantity = 1, warehouseId = null,
+  dueDate = null, notes = null
+}, { userId = null } = {}) => {
+  const [employees] = await connection.execute(
+    'SELECT id, is_active FROM users WHERE id = ? AND role != "client"',
+    [employeeId]
+  );
+
+  if (employees.length === 0) {
+    throw new ServiceError('Employé non trouvé', 404);
+  }
+
+  if (!employees[0].is_active) {
+    throw new ServiceError('Impossible de prêter du matériel à un employé désactivé');
+  }
+
+  let targetProductId = productId;
+  if (serialNumber) {
+    const [units] = await connection.execute(
+      'SELECT product_id FROM equipment_units WHERE serial_number = ?',
+      [serialNumber]
+    );
+    if (units.length === 0) {
+      throw new ServiceError('Numéro de série non trouvé', 404);
+    }
+    targetProductId = units[0].product_id;
+  }
+
+  const [products] = await connection.execute(
+    'SELECT id, name, is_serialized FROM products WHERE id = ?',
+    [targetProductId]
+  );
+
+  if (products.length === 0) {
+    throw new ServiceError('Produit non trouvé', 404);
+  }
+
+  const product = products[0];
+  if (product.is_serialized && !serialNumber) {
+    throw new ServiceError(`${product.name} est suivi par numéro de série : indiquez l'unité prêtée`);
+  }
+
+  const loanQuantity = product.is_serialized ? 1 : quantity;
+  const targetWarehouseId = await resolveWarehouseId(connection, warehouseId);
+  const stock = await lockWarehouseStock(connection, targetWarehouseId, [product.id]);
+  if (stock.get(product.id) < loanQuantity) {
+    throw new ServiceError(`Stock insuffisant pour ${product.name} dans ce dépôt (disponible : ${stock.get(product.id)})`);
+  }
+
+  const [result] = await connection.execute(
+    `INSERT INTO equipment_loans (user_id, product_id, quantity, warehouse_id, checked_out_at, due_date,
+                                  checkout_notes, checked_out_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [employeeId, product.id, loanQuantity, targetWarehouseId, new Date(), dueDate, notes, userId]
+  );
+  const loanId = result.insertId;
+
+  let unitId = null;
+  if (product.is_serialized) {
+    unitId = await lendUnit(connection, {
+      productId: product.id,
+      serialNumber,
+      warehouseId: targetWarehouseId,
+      loanId,
+      userId
+    });
+    await connection.execute('UPDATE equipment_loans SET unit_id = ? WHERE id = ?', [unitId, loanId]);
+  }
+
+  await recordStockMovement(connection, {
+    productId: product.id,
+    warehouseId: targetWarehouseId,
+    type: 'loan',
+    quantity: loanQuantity,
+    referenceType: 'equipment_loan',
+    referenceId: loanId,
+    notes: `Prêt à l'employé n°${employeeId}`,
+    userId
+  });
+
+  return {
+    loanId,
+    product_id: product.id,
+    unit_id: unitId,
+    quantity: loanQuantity,
+    warehouse_id: targetWarehouseId,
+    status: 'checked_out'
+  };
+};
+
+// Enregistrer le retour d'un prêt, avec l'état du matériel rendu
+const checkInEquipment = async (connection, loanId, {
+  condition = 'good', warehouseId = null, notes = null
+}, { userId = null } = {}) => {
+  const returnCondition = RETURN_CONDITIONS[condition];
+  if (!returnCondition) {
+    throw new ServiceError('État de retour invalide');
+  }
+
+  const [loans] = await connection.execute(
+    `SELECT l.id, l.user_id, l.product_id, l.unit_id, l.quantity, l.warehouse_id, l.status, u.serial_number
+     FROM equipment_loans l
+     LEFT JOIN equipment_units u ON l.unit_id = u.id
+     WHERE l.id = ? FOR UPDATE`,
+    [loanId]
+  );
+
+  if (loans.length === 0) {
+    throw new ServiceError('Prêt non trouvé', 404);
+  }
+
+  const loan = loans[0];
+  if (loan.status !== 'checked_out') {
+    throw new ServiceError('Ce prêt est déjà clos');
+  }
+
+  const targetWarehouseId = await resolveWarehouseId(connection, warehouseId || loan.warehouse_id);
+
+  await recordStockMovement(connection, {
+    productId: loan.product_id,
+    warehouseId: targetWarehouseId,
+    type: 'loan_return',
+    quantity: loan.quantity,
+    referenceType: 'equipment_loan',
+    referenceId: loan.id,
+    notes: `Retour du prêt de l'employé n°${loan.user_id}`,
+    userId
+  });
+
+  if (loan.unit_id) {
+    await returnLoanedUnit(connection, {
+      unitId: loan.unit_id,
+      warehouseId: targetWarehouseId,
+      loanId: loan.id,
+      notes,
+      userId
+    });
+
+    if (returnCondition.unitStatus) {
+      await changeUnitStatus(connection, loan.serial_number, {
+        status: returnCondition.unitStatus,
+        notes
+      }, { userId });
+    }
+  } else if (returnCondition.reasonCode) {
+    await adjustStock(connection, {
+      productId: loan.product_id,
+      warehouseId: targetWarehouseId,
+      quantity: -loan.quantity,
+      reasonCode: returnCondition.reasonCode,
+      referenceType: 'equipment_loan',
+      referenceId: loan.id,
+      notes,
+      userId
+    });
+  }
+
+  await connection.execute(
+    `UPDATE equipment_loans
+     SET status = ?, returned_at = ?, return_warehouse_id = ?, return_condition = ?, return_notes = ?, returned_by = ?
+     WHERE id = ?`,
+    [returnCondition.loanStatus, new Date(), targetWarehouseId, condition, notes, userId, loan.id]
+  );
+
+  return { loanId: loan.id, status: returnCondition.loanStatus, return_condition: condition };
+};
+
+module.exports = {
+  RETURN_CONDITIONS,
+  checkOutEquipment,
+  checkInEquipment
+};
@@ -0,0 +1,13 @@
+// Erreur métier levée par les services, avec le code HTTP à renvoyer
+// Permet d'interrompre une transaction et de répondre proprement depuis la route
+class ServiceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ServiceError';
+    this.status = status;
+  }
+}
+
+module.exports = {
+  ServiceError
+};
@@ -0,0 +1,26 @@
+const moment = require('moment');
+const { query } = require('../config/database');
+
+// Générer le prochain numéro de facture (INV-AAAA-0001), l'année étant celle de la date d'émission
+// (à défaut aujourd'hui) ; dans une transaction, passer la connexion pour verrouiller la dernière facture
+const generateInvoiceNumber = async (connection = null, issueDate = null) => {
+  const year = moment(issueDate || undefined).year();
+  const prefix = `INV-${year}`;
+  const sql = 'SELECT invoice_number FROM invoices WHERE invoice_number LIKE ? ORDER BY invoice_number DESC LIMIT 1';
+
+  const lastInvoice = connection
+    ? (await connection.execute(`${sql} FOR UPDATE`, [`${prefix}%`]))[0]
+    : await query(sql, [`${prefix}%`]);
+
+  let nextNumber = 1;
+  if (lastInvoice.length > 0) {
+    const lastNumber = parseInt(lastInvoice[0].invoice_number.split('-')[2]) || 0;
+    nextNumber = lastNumber + 1;
+  }
+
+  return `${prefix}-${nextNumber.toString().padStart(4, '0')}`;
+};
+
+module.exports = {
+  generateInvoiceNumber
+};
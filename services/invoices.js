@@ -0,0 +1,73 @@
+const { query } = require('../config/database');
+const { roundAmount } = require('./money');
+const { ServiceError } = require('./errors');
+
+// Charger une facture avec son client, ses lignes, ses paiements et son solde
+const loadInvoiceDetails = async (id) => {
+  const invoices = await query(`
+    SELECT 
+      i.*,
+      c.id as client_id, c.company_name as client_name, c.contact_person as client_contact,
+      c.email as client_email, c.phone as client_phone, c.address as client_address,
+      c.city as client_city, c.country as client_country, c.tax_number as client_tax_number,
+      p.id as project_id, p.name as project_name,
+      s.id as subscription_id, s.plan_name as subscription_plan,
+      u.first_name as created_by_first_name, u.last_name as created_by_last_name
+    FROM invoices i
+    LEFT JOIN clients c ON i.client_id = c.id
+    LEFT JOIN projects p ON i.project_id = p.id
+    LEFT JOIN subscriptions s ON i.subscription_id = s.id
+    LEFT JOIN users u ON i.created_by = u.id
+    WHERE i.id = ?
+  `, [id]);
+
+  if (invoices.length === 0) {
+    return null;
+  }
+
+  const invoice = invoices[0];
+
+  // Récupérer les lignes de facture
+  const items = await query(`
+    SELECT id, description, quantity, unit_price, total_price
+    FROM invoice_items
+    WHERE invoice_id = ?
+    ORDER BY id
+  `, [id]);
+
+  // Récupérer les paiements
+  const payments = await query(`
+    SELECT id, amount, payment_date, payment_method, reference_number, notes
+    FROM payments
+    WHERE invoice_id = ?
+    ORDER BY payment_date DESC
+  `, [id]);
+
+  // Solde calculé à partir du registre des paiements
+  const amountPaid = roundAmount(payments.reduce((sum, payment) => sum + parseFloat(payment.amount), 0));
+
+  return {
+    ...invoice,
+    amount_paid: amountPaid,
+    balance_due: roundAmount(invoice.total_amount - amountPaid),
+    items,
+    payments
+  };
+};
+
+// Vérifier qu'un statut peut être demandé à la main pour une facture (avec son montant payé)
+// Une facture annulée ne se rouvre pas : ses temps, son matériel et ses jalons redeviennent facturables
+// dès l'annulation et ont pu être repris sur une autre facture
+const checkStatusChange = (invoice) => {
+  if (invoice.status === 'cancelled') {
+    throw new ServiceError('Une facture annulée ne peut plus changer de statut');
+  }
+  if (invoice.amount_paid > 0) {
+    throw new ServiceError('Le statut d\'une facture qui a reçu des paiements découle de ses paiements');
+  }
+};
+
+module.exports = {
+  loadInvoiceDetails,
+  checkStatusChange
+};
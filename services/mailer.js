@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+
+// Transports d'envoi disponibles, sélectionnés par MAIL_TRANSPORT
+// Un transport est une fonction async (message) => résultat
+const transports = {
+  // Affiche le message dans la console (développement)
+  console: async (message) => {
+    console.log(`📧 Email à ${message.to} - ${message.subject}\n${message.text}`);
+    return { transport: 'console' };
+  },
+
+  // Écrit chaque message dans un fichier du dossier MAIL_OUTPUT_DIR
+  file: async (message) => {
+    const outputDir = process.env.MAIL_OUTPUT_DIR || './mails';
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const safeRecipient = String(message.to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+    const filePath = path.join(outputDir, `${Date.now()}-${safeRecipient}.json`);
+    fs.writeFileSync(filePath, JSON.stringify(message, null, 2));
+
+    return { transport: 'file', path: filePath };
+  }
+};
+
+// Enregistrer un transport supplémentaire (SMTP, API d'un fournisseur...)
+const registerTransport = (name, transport) => {
+  if (typeof transport !== 'function') {
+    throw new Error(`Le transport ${name} doit être une fonction`);
+  }
+  transports[name] = transport;
+};
+
+// Envoyer un message via le transport configuré
+const sendMail = async ({ to, subject, text, html }) => {
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Transport d'email inconnu: ${transportName}`);
+  }
+
+  return transport({
+    from: process.env.MAIL_FROM || 'no-reply@cysystems.local',
+    to,
+    subject,
+    text,
+    html: html || null,
+    date: new Date().toISOString()
+  });
+};
+
+module.exports = {
+  registerTransport,
+  sendMail
+};
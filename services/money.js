@@ -0,0 +1,6 @@
+// Arrondir un montant au centime
+const roundAmount = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+module.exports = {
+  roundAmount
+};
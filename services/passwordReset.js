@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const moment = require('moment');
+const { query, transaction } = require('../config/database');
+const { sendMail } = require('./mailer');
+const { hashToken, invalidateUserSessions } = require('./tokens');
+const { ServiceError } = require('./errors');
+
+const getResetExpireMinutes = () => parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES || 60);
+
+const buildResetLink = (token) => {
+  const baseUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${baseUrl}/reset-password?token=${token}`;
+};
+
+// Demander une réinitialisation : crée un jeton et l'envoie par email
+// Ne signale jamais si l'email est inconnu ; les erreurs d'envoi sont seulement journalisées
+const requestPasswordReset = async (email, { ipAddress = null } = {}) => {
+  const users = await query(
+    'SELECT id, email, first_name FROM users WHERE email = ? AND is_active = TRUE',
+    [email]
+  );
+
+  if (users.length === 0) {
+    return;
+  }
+
+  const user = users[0];
+  const token = crypto.randomBytes(32).toString('hex');
+  const expireMinutes = getResetExpireMinutes();
+
+  // Un seul jeton valide à la fois : les demandes précédentes sont annulées
+  await query(
+    'UPDATE password_reset_tokens SET used_at = ? WHERE user_id = ? AND used_at IS NULL',
+    [new Date(), user.id]
+  );
+  await query(
+    'INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, ip_address) VALUES (?, ?, ?, ?)',
+    [user.id, hashToken(token), moment().add(expireMinutes, 'minutes').toDate(), ipAddress]
+  );
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Réinitialisation de votre mot de passe',
+      text: [
+        `Bonjour ${user.first_name},`,
+        '',
+        'Une réinitialisation de votre mot de passe a été demandée. Pour choisir un nouveau mot de passe, ouvrez le lien suivant :',
+        buildResetLink(token),
+        '',
+        `Ce lien est valable ${expireMinutes} minutes et ne peut être utilisé qu'une seule fois.`,
+        'Si vous n\'êtes pas à l\'origine de cette demande, ignorez simplement ce message.'
+      ].join('\n')
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'envoi de l\'email de réinitialisation:', error.message);
+  }
+};
+
+// Réinitialiser le mot de passe avec un jeton valide, puis invalider les sessions existantes
+const resetPassword = async (token, newPassword) => {
+  const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+  const userId = await transaction(async (connection) => {
+    const [tokens] = await connection.execute(
+      'SELECT id, user_id, expires_at, used_at FROM password_reset_tokens WHERE token_hash = ? FOR UPDATE',
+      [hashToken(token)]
+    );
+
+    if (tokens.length === 0 || tokens[0].used_at || moment(tokens[0].expires_at).isBefore(moment())) {
+      throw new ServiceError('Lien de réinitialisation invalide ou expiré');
+    }
+
+    await connection.execute(
+      'UPDATE password_reset_tokens SET used_at = ? WHERE id = ?',
+      [new Date(), tokens[0].id]
+    );
+    await connection.execute(
+      'UPDATE users SET password = ? WHERE id = ?',
+      [hashedPassword, tokens[0].user_id]
+    );
+
+    return tokens[0].user_id;
+  });
+
+  await invalidateUserSessions(userId, 'password');
+};
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword
+};
@@ -0,0 +1,161 @@
+const moment = require('moment');
+const { roundAmount } = require('./money');
+const { ServiceError } = require('./errors');
+
+// Écart toléré sur les montants (arrondis au centime)
+const EPSILON = 0.005;
+
+// Récupérer une facture avec son montant payé et son solde dû
+// À appeler dans une transaction ; lock = true verrouille la facture
+const getInvoiceBalance = async (connection, invoiceId, { lock = false } = {}) => {
+  const [invoices] = await connection.execute(
+    `SELECT id, client_id, invoice_number, total_amount, status, due_date FROM invoices WHERE id = ?${lock ? ' FOR UPDATE' : ''}`,
+    [invoiceId]
+  );
+
+  if (invoices.length === 0) {
+    return null;
+  }
+
+  const [paid] = await connection.execute(
+    'SELECT COALESCE(SUM(amount), 0) as amount_paid FROM payments WHERE invoice_id = ?',
+    [invoiceId]
+  );
+
+  const totalAmount = roundAmount(invoices[0].total_amount);
+  const amountPaid = roundAmount(paid[0].amount_paid);
+
+  return {
+    ...invoices[0],
+    total_amount: totalAmount,
+    amount_paid: amountPaid,
+    balance_due: roundAmount(totalAmount - amountPaid)
+  };
+};
+
+// Recalculer le statut d'une facture à partir de ses paiements
+const refreshInvoicePaymentStatus = async (connection, invoiceId) => {
+  const invoice = await getInvoiceBalance(connection, invoiceId);
+
+  if (invoice.status === 'cancelled' || (invoice.status === 'draft' && invoice.amount_paid === 0)) {
+    return invoice;
+  }
+
+  // Une facture échue avec un solde restant est en retard, même partiellement payée
+  let status;
+  if (invoice.amount_paid > 0 && invoice.balance_due <= EPSILON) {
+    status = 'paid';
+  } else if (moment(invoice.due_date).isBefore(moment(), 'day')) {
+    status = 'overdue';
+  } else if (invoice.amount_paid > 0) {
+    status = 'partially_paid';
+  } else {
+    status = 'sent';
+  }
+
+  if (status === 'paid') {
+    // Date et méthode du dernier paiement reçu
+    const [lastPayments] = await connection.execute(
+      'SELECT payment_date, payment_method FROM payments WHERE invoice_id = ? ORDER BY payment_date DESC, id DESC LIMIT 1',
+      [invoiceId]
+    );
+    await connection.execute(
+      'UPDATE invoices SET status = ?, payment_date = ?, payment_method = ? WHERE id = ?',
+      [status, lastPayments[0].payment_date, lastPayments[0].payment_method, invoiceId]
+    );
+  } else {
+    await connection.execute(
+      'UPDATE invoices SET status = ?, payment_date = NULL WHERE id = ?',
+      [status, invoiceId]
+    );
+  }
+
+  return { ...invoice, status };
+};
+
+// Enregistrer un paiement (éventuellement partiel) sur une facture
+// overpayment = 'reject' refuse un trop-perçu, 'credit' le transforme en avoir client
+const recordPayment = async (connection, invoiceId, payment, { overpayment = 'reject', userId = null } = {}) => {
+  const invoice = await getInvoiceBalance(connection, invoiceId, { lock: true });
+
+  if (!invoice) {
+    throw new ServiceError('Facture non trouvée', 404);
+  }
+
+  if (invoice.status === 'cancelled') {
+    throw new ServiceError('Impossible d\'enregistrer un paiement sur une facture annulée');
+  }
+
+  if (invoice.balance_due <= EPSILON) {
+    throw new ServiceError('La facture est déjà entièrement payée');
+  }
+
+  const amount = roundAmount(payment.amount);
+  let appliedAmount = amount;
+  let creditAmount = 0;
+
+  if (amount - invoice.balance_due > EPSILON) {
+    if (overpayment !== 'credit') {
+      throw new ServiceError(`Le montant dépasse le solde dû (${invoice.balance_due.toFixed(2)})`);
+    }
+    appliedAmount = invoice.balance_due;
+    creditAmount = roundAmount(amount - invoice.balance_due);
+  }
+
+  const paymentDate = payment.payment_date || moment().format('YYYY-MM-DD');
+
+  const [result] = await connection.execute(
+    `INSERT INTO payments (invoice_id, amount, payment_date, payment_method, reference_number, notes, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [invoiceId, appliedAmount, paymentDate, payment.payment_method || null,
+     payment.reference_number || null, payment.notes || null, userId]
+  );
+
+  if (creditAmount > 0) {
+    await connection.execute(
+      `INSERT INTO client_credits (client_id, invoice_id, payment_id, amount, reason, created_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [invoice.client_id, invoiceId, result.insertId, creditAmount,
+       `Trop-perçu sur la facture ${invoice.invoice_number}`, userId]
+    );
+  }
+
+  const updated = await refreshInvoicePaymentStatus(connection, invoiceId);
+
+  return {
+    paymentId: result.insertId,
+    applied_amount: appliedAmount,
+    credit_amount: creditAmount,
+    status: updated.status,
+    amount_paid: roundAmount(invoice.amount_paid + appliedAmount),
+    balance_due: roundAmount(invoice.balance_due - appliedAmount)
+  };
+};
+
+// Supprimer un paiement et recalculer le statut de la facture
+const deletePayment = async (connection, invoiceId, paymentId) => {
+  const invoice = await getInvoiceBalance(connection, invoiceId, { lock: true });
+  if (!invoice) {
+    throw new ServiceError('Facture non trouvée', 404);
+  }
+
+  const [payments] = await connection.execute(
+    'SELECT id FROM payments WHERE id = ? AND invoice_id = ?',
+    [paymentId, invoiceId]
+  );
+  if (payments.length === 0) {
+    throw new ServiceError('Paiement non trouvé', 404);
+  }
+
+  // L'avoir éventuel est supprimé en cascade
+  await connection.execute('DELETE FROM payments WHERE id = ?', [paymentId]);
+
+  return refreshInvoicePaymentStatus(connection, invoiceId);
+};
+
+module.exports = {
+  getInvoiceBalance,
+  refreshInvoicePaymentStatus,
+  recordPayment,
+  deletePayment
+};
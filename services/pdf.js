@@ -0,0 +1,343 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const PDFDocument = require('pdfkit');
+
+const MARGIN = 50;
+const FOOTER_HEIGHT = 40;
+
+// Colonnes du tableau des lignes (x, largeur, alignement)
+const COLUMNS = [
+  { key: 'description', label: 'Description', x: 50, width: 245, align: 'left' },
+  { key: 'quantity', label: 'Qté', x: 295, width: 50, align: 'right' },
+  { key: 'unit_price', label: 'Prix unitaire', x: 345, width: 90, align: 'right' },
+  { key: 'total_price', label: 'Total', x: 435, width: 110, align: 'right' }
+];
+
+const PAYMENT_METHOD_LABELS = {
+  cash: 'Espèces',
+  card: 'Carte',
+  check: 'Chèque',
+  transfer: 'Virement',
+  other: 'Autre'
+};
+
+// Les polices standard PDF ne connaissent pas les espaces insécables fines d'Intl
+const formatAmount = (value, currency) => {
+  let formatted;
+  try {
+    formatted = new Intl.NumberFormat('fr-FR', { style: 'currency', currency: currency || 'USD' })
+      .format(parseFloat(value) || 0);
+  } catch (error) {
+    formatted = `${(parseFloat(value) || 0).toFixed(2)} ${currency || ''}`;
+  }
+  return formatted.replace(/[\u00a0\u202f]/g, ' ').trim();
+};
+
+const formatDate = (value) => (value ? moment(value).format('DD/MM/YYYY') : '');
+
+const formatQuantity = (value) => String(parseFloat(value) || 0);
+
+// Chemin du logo sur le disque, limité au dossier des uploads (pas de chemin absolu ni de ../)
+const resolveLogoPath = (logoPath) => {
+  if (!logoPath) {
+    return null;
+  }
+  const uploadDir = path.resolve(process.env.UPLOAD_PATH || './uploads');
+  const fullPath = path.resolve(uploadDir, logoPath);
+  if (path.dirname(fullPath) !== uploadDir) {
+    return null;
+  }
+  return fs.existsSync(fullPath) ? fullPath : null;
+};
+
+const contentBottom = (doc) => doc.page.height - MARGIN - FOOTER_HEIGHT;
+
+// Ajouter une page si la hauteur demandée ne tient pas sur la page courante
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > contentBottom(doc)) {
+    doc.addPage();
+    return true;
+  }
+  return false;
+};
+
+// En-tête : logo, coordonnées de l'entreprise, titre et numéro du document
+const drawHeader = (doc, settings, document) => {
+  const logoPath = resolveLogoPath(settings.logo_path);
+  if (logoPath) {
+    doc.image(logoPath, MARGIN, MARGIN, { fit: [140, 60] });
+  } else {
+    doc.font('Helvetica-Bold').fontSize(16).text(settings.company_name, MARGIN, MARGIN, { width: 240 });
+  }
+
+  // Sans logo, le nom de l'entreprise figure déjà à gauche
+  const companyLines = [
+    logoPath ? settings.company_name : '',
+    settings.company_address,
+    [settings.company_city, settings.company_country].filter(Boolean).join(', '),
+    settings.company_phone,
+    settings.company_email,
+    settings.company_website,
+    settings.company_tax_number ? `N° fiscal : ${settings.company_tax_number}` : ''
+  ].filter(Boolean);
+
+  doc.font('Helvetica').fontSize(9).fillColor('#444444');
+  doc.text(companyLines.join('\n'), 300, MARGIN, { width: 245, align: 'right' });
+  doc.fillColor('#000000');
+
+  doc.y = Math.max(doc.y, MARGIN + 70) + 20;
+
+  doc.font('Helvetica-Bold').fontSize(18).text(document.title, MARGIN, doc.y);
+  doc.font('Helvetica').fontSize(11).text(`N° ${document.number}`, MARGIN);
+  doc.moveDown(0.5);
+
+  const metaTop = doc.y;
+  doc.fontSize(10);
+  for (const [label, value] of document.meta.filter(([, metaValue]) => metaValue)) {
+    doc.font('Helvetica-Bold').text(`${label} : `, MARGIN, doc.y, { continued: true });
+    doc.font('Helvetica').text(String(value));
+  }
+  const metaBottom = doc.y;
+
+  // Bloc destinataire à droite des informations du document
+  if (document.recipient.length > 0) {
+    doc.font('Helvetica-Bold').fontSize(10).text(document.recipientTitle, 330, metaTop, { width: 215 });
+    doc.font('Helvetica').text(document.recipient.filter(Boolean).join('\n'), 330, doc.y, { width: 215 });
+  }
+
+  doc.x = MARGIN;
+  doc.y = Math.max(doc.y, metaBottom) + 20;
+};
+
+const drawTableHeader = (doc) => {
+  const top = doc.y;
+  doc.rect(MARGIN, top - 4, doc.page.width - MARGIN * 2, 20).fill('#eeeeee');
+  doc.fillColor('#000000').font('Helvetica-Bold').fontSize(10);
+  for (const column of COLUMNS) {
+    doc.text(column.label, column.x, top, { width: column.width, align: column.align });
+  }
+  doc.font('Helvetica');
+  doc.y = top + 22;
+};
+
+// Lignes du document, avec répétition de l'en-tête du tableau à chaque page
+const drawLines = (doc, lines, currency) => {
+  drawTableHeader(doc);
+
+  for (const line of lines) {
+    const values = {
+      description: line.description,
+      quantity: formatQuantity(line.quantity),
+      unit_price: formatAmount(line.unit_price, currency),
+      total_price: formatAmount(line.total_price, currency)
+    };
+
+    doc.fontSize(10);
+    const rowHeight = doc.heightOfString(values.description, { width: COLUMNS[0].width }) + 6;
+    if (ensureSpace(doc, rowHeight)) {
+      drawTableHeader(doc);
+    }
+
+    const top = doc.y;
+    for (const column of COLUMNS) {
+      doc.text(values[column.key], column.x, top, { width: column.width, align: column.align });
+    }
+    doc.y = top + rowHeight;
+    doc.moveTo(MARGIN, doc.y - 3).lineTo(doc.page.width - MARGIN, doc.y - 3).strokeColor('#dddddd').stroke();
+  }
+
+  doc.strokeColor('#000000');
+  doc.moveDown();
+};
+
+// Totaux alignés à droite
+const drawTotals = (doc, totals, currency) => {
+  ensureSpace(doc, totals.length * 16 + 10);
+
+  for (const [label, value, bold] of totals) {
+    const top = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 11 : 10);
+    doc.text(label, 300, top, { width: 135, align: 'right' });
+    doc.text(formatAmount(value, currency), 435, top, { width: 110, align: 'right' });
+    doc.y = top + 16;
+  }
+
+  doc.font('Helvetica');
+  doc.x = MARGIN;
+  doc.moveDown();
+};
+
+// Paiements reçus (et remboursements, en négatif) puis solde ; balanceLabel vaut par défaut 'Solde dû'
+const drawPayments = (doc, payments, balanceDue, currency, balanceLabel = 'Solde dû') => {
+  if (payments.length > 0) {
+    ensureSpace(doc, 40);
+    doc.font('Helvetica-Bold').fontSize(11).text('Paiements reçus', MARGIN);
+    doc.moveDown(0.3);
+
+    for (const payment of payments) {
+      ensureSpace(doc, 16);
+      const top = doc.y;
+      const label = [
+        payment.label,
+        formatDate(payment.payment_date),
+        PAYMENT_METHOD_LABELS[payment.payment_method] || payment.payment_method,
+        payment.reference_number ? `Réf. ${payment.reference_number}` : ''
+      ].filter(Boolean).join(' - ');
+      doc.font('Helvetica').fontSize(10).text(label, MARGIN, top, { width: 380 });
+      doc.text(formatAmount(payment.amount, currency), 435, top, { width: 110, align: 'right' });
+      doc.y = top + 16;
+    }
+    doc.moveDown(0.5);
+  }
+
+  if (balanceDue !== null && balanceDue !== undefined) {
+    ensureSpace(doc, 20);
+    const top = doc.y;
+    doc.font('Helvetica-Bold').fontSize(12);
+    doc.text(balanceLabel, 300, top, { width: 135, align: 'right' });
+    doc.text(formatAmount(balanceDue, currency), 435, top, { width: 110, align: 'right' });
+    doc.y = top + 20;
+    doc.font('Helvetica');
+  }
+};
+
+const drawNotes = (doc, notes) => {
+  if (!notes) {
+    return;
+  }
+  doc.moveDown();
+  ensureSpace(doc, 40);
+  doc.font('Helvetica-Bold').fontSize(10).text('Notes', MARGIN);
+  doc.font('Helvetica').text(notes, MARGIN, doc.y, { width: doc.page.width - MARGIN * 2 });
+};
+
+// Pied de page et numérotation, ajoutés une fois toutes les pages connues
+const drawFooters = (doc, settings) => {
+  const range = doc.bufferedPageRange();
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    // Écrire sous la marge basse sans déclencher de saut de page automatique
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+
+    const top = doc.page.height - MARGIN - 20;
+    doc.font('Helvetica').fontSize(8).fillColor('#666666');
+    if (settings.invoice_footer) {
+      doc.text(settings.invoice_footer, MARGIN, top, { width: doc.page.width - MARGIN * 2, align: 'center' });
+    }
+    doc.text(`Page ${index + 1} / ${range.count}`, MARGIN, top + 12, { width: doc.page.width - MARGIN * 2, align: 'right' });
+
+    doc.page.margins.bottom = bottomMargin;
+  }
+  doc.fillColor('#000000');
+};
+
+// Rendre un document commercial (facture, reçu) en mémoire : la promesse renvoie le PDF complet,
+// de sorte qu'une erreur de rendu survienne avant l'envoi de la réponse
+const renderDocument = (document, settings) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN, bufferPages: true });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  doc.info.Title = `${document.title} ${document.number}`;
+  doc.info.Author = settings.company_name;
+
+  drawHeader(doc, settings, document);
+  drawLines(doc, document.lines, settings.currency);
+  drawTotals(doc, document.totals, settings.currency);
+  drawPayments(doc, document.payments || [], document.balanceDue, settings.currency, document.balanceLabel);
+  drawNotes(doc, document.notes);
+  drawFooters(doc, settings);
+
+  doc.end();
+});
+
+// Facture : client, lignes, taxes, paiements reçus et solde dû
+const renderInvoicePdf = (invoice, settings) => {
+  return renderDocument({
+    title: 'FACTURE',
+    number: invoice.invoice_number,
+    meta: [
+      ['Date d\'émission', formatDate(invoice.issue_date)],
+      ['Échéance', formatDate(invoice.due_date)],
+      ['Projet', invoice.project_name],
+      ['Abonnement', invoice.subscription_plan],
+      ['Période', invoice.billing_period_start
+        ? `du ${formatDate(invoice.billing_period_start)} au ${formatDate(invoice.billing_period_end)}`
+        : null]
+    ],
+    recipientTitle: 'Facturé à',
+    recipient: [
+      invoice.client_name,
+      invoice.client_contact,
+      invoice.client_address,
+      [invoice.client_city, invoice.client_country].filter(Boolean).join(', '),
+      invoice.client_email,
+      invoice.client_phone,
+      invoice.client_tax_number ? `N° fiscal : ${invoice.client_tax_number}` : null
+    ],
+    lines: invoice.items,
+    totals: [
+      ['Sous-total', invoice.subtotal],
+      [`Taxe (${parseFloat(invoice.tax_rate) || 0} %)`, invoice.tax_amount],
+      ['Total', invoice.total_amount, true]
+    ],
+    payments: invoice.payments,
+    balanceDue: invoice.balance_due,
+    notes: invoice.notes
+  }, settings);
+};
+
+// Reçu de vente du point de vente : paiement d'origine, remboursements des retours et montant net encaissé
+const renderSaleReceiptPdf = (sale, settings) => {
+  const totals = [['Sous-total', sale.subtotal]];
+  if (parseFloat(sale.discount_amount) > 0) {
+    totals.push(['Remise', -parseFloat(sale.discount_amount)]);
+  }
+  totals.push([`Taxe (${parseFloat(sale.tax_rate) || 0} %)`, sale.tax_amount]);
+  totals.push(['Total', sale.total_amount, true]);
+
+  const returns = sale.returns || [];
+  const refundedAmount = returns.reduce((sum, saleReturn) => sum + parseFloat(saleReturn.refund_amount), 0);
+
+  return renderDocument({
+    title: sale.status === 'voided' ? 'REÇU DE VENTE (ANNULÉE)' : 'REÇU DE VENTE',
+    number: sale.sale_number,
+    meta: [
+      ['Date', formatDate(sale.created_at)],
+      ['Vendeur', [sale.created_by_first_name, sale.created_by_last_name].filter(Boolean).join(' ')]
+    ],
+    recipientTitle: 'Client',
+    recipient: [sale.customer_name, sale.customer_email, sale.customer_phone],
+    lines: sale.items.map((item) => ({
+      description: item.product_code ? `${item.product_name} (${item.product_code})` : item.product_name,
+      quantity: item.quantity,
+      unit_price: item.unit_price,
+      total_price: item.total_price
+    })),
+    totals,
+    payments: [{
+      payment_date: sale.created_at,
+      payment_method: sale.payment_method,
+      reference_number: sale.payment_reference,
+      amount: sale.total_amount
+    }, ...returns.map((saleReturn) => ({
+      label: saleReturn.return_type === 'void' ? 'Remboursement (annulation)' : 'Remboursement (retour)',
+      payment_date: saleReturn.created_at,
+      payment_method: saleReturn.refund_method,
+      reference_number: saleReturn.refund_reference,
+      amount: -parseFloat(saleReturn.refund_amount)
+    }))],
+    balanceDue: returns.length > 0 ? parseFloat(sale.total_amount) - refundedAmount : null,
+    balanceLabel: 'Montant net payé',
+    notes: sale.notes
+  }, settings);
+};
+
+module.exports = {
+  renderInvoicePdf,
+  renderSaleReceiptPdf
+};
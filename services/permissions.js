@@ -0,0 +1,68 @@
+const { query } = require('../config/database');
+
+// Permissions par rôle, mises en cache pour éviter une requête à chaque appel d'API
+const CACHE_TTL_MS = 60 * 1000;
+let cache = null;
+
+const loadRolePermissions = async () => {
+  const rows = await query(`
+    SELECT r.name as role, p.name as permission
+    FROM roles r
+    LEFT JOIN role_permissions rp ON rp.role_id = r.id
+    LEFT JOIN permissions p ON rp.permission_id = p.id
+  `);
+
+  const byRole = new Map();
+  for (const row of rows) {
+    if (!byRole.has(row.role)) {
+      byRole.set(row.role, new Set());
+    }
+    if (row.permission) {
+      byRole.get(row.role).add(row.permission);
+    }
+  }
+
+  return byRole;
+};
+
+const getRolePermissions = async (role) => {
+  if (!cache || Date.now() - cache.loadedAt > CACHE_TTL_MS) {
+    cache = { byRole: await loadRolePermissions(), loadedAt: Date.now() };
+  }
+
+  return cache.byRole.get(role) || new Set();
+};
+
+// À appeler après toute modification des rôles ou de leurs permissions
+const clearPermissionCache = () => {
+  cache = null;
+};
+
+const hasPermission = async (user, permission) => {
+  if (!user) {
+    return false;
+  }
+  const permissions = await getRolePermissions(user.role);
+  return permissions.has(permission);
+};
+
+const roleExists = async (name) => {
+  const roles = await query('SELECT id FROM roles WHERE name = ?', [name]);
+  return roles.length > 0;
+};
+
+// Validateur express-validator : body('role').custom(validateRole)
+const validateRole = async (name) => {
+  if (!(await roleExists(name))) {
+    throw new Error('Rôle inconnu');
+  }
+  return true;
+};
+
+module.exports = {
+  getRolePermissions,
+  clearPermissionCache,
+  hasPermission,
+  roleExists,
+  validateRole
+};
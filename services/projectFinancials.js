@@ -0,0 +1,210 @@
+const { query } = require('../config/database');
+const { roundAmount } = require('./money');
+const { ServiceError } = require('./errors');
+
+// Seuils de consommation du budget (en %) déclenchant une alerte (PROJECT_BUDGET_ALERT_THRESHOLDS=80,100)
+const getBudgetAlertThresholds = () => {
+  return (process.env.PROJECT_BUDGET_ALERT_THRESHOLDS || '80,100')
+    .split(',')
+    .map((value) => parseInt(value.trim()))
+    .filter((value) => Number.isInteger(value) && value > 0)
+    .sort((a, b) => a - b);
+};
+
+const roundHours = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+const toPercent = (value, budget) => (budget > 0 ? Math.round((1000 * value) / budget) / 10 : null);
+
+// Coût de la main-d'œuvre : heures × coût horaire figé à l'approbation (à défaut le coût horaire actuel)
+// Les temps approuvés sont réalisés, les temps saisis mais pas encore approuvés sont engagés
+const getLabourCosts = async (projectId) => {
+  const rows = await query(`
+    SELECT
+      (t.status = 'approved') as approved,
+      SUM(te.hours_worked) as hours,
+      SUM(te.hours_worked * COALESCE(te.cost_rate, u.hourly_cost_rate, 0)) as cost,
+      SUM(CASE WHEN COALESCE(te.cost_rate, u.hourly_cost_rate) IS NULL THEN te.hours_worked ELSE 0 END) as unrated_hours
+    FROM time_entries te
+    JOIN users u ON te.user_id = u.id
+    LEFT JOIN timesheets t ON te.timesheet_id = t.id
+    WHERE te.project_id = ?
+    GROUP BY approved
+  `, [projectId]);
+
+  const pick = (approved) => rows.find((row) => Boolean(row.approved) === approved) || {};
+
+  return {
+    actual: pick(true),
+    committed: pick(false)
+  };
+};
+
+// Lots d'achat imputés au projet : le commandé pas encore reçu est engagé ; le reçu entre dans le stock
+// et ne devient un coût du projet qu'à sa sortie pour le projet
+const getPurchaseLots = async (projectId) => {
+  const lots = await query(`
+    SELECT
+      pl.id, pl.lot_number, pl.status, pl.purchase_date, s.name as supplier_name,
+      COALESCE(SUM(pli.quantity_received * pli.unit_cost), 0) as received_cost,
+      COALESCE(SUM(CASE WHEN pl.status IN ('pending', 'partially_received')
+                        THEN GREATEST(pli.quantity_ordered - pli.quantity_received, 0) * pli.unit_cost
+                        ELSE 0 END), 0) as outstanding_cost
+    FROM purchase_lots pl
+    JOIN suppliers s ON pl.supplier_id = s.id
+    LEFT JOIN purchase_lot_items pli ON pl.id = pli.lot_id
+    WHERE pl.project_id = ? AND pl.status NOT IN ('draft', 'cancelled')
+    GROUP BY pl.id
+    ORDER BY pl.purchase_date, pl.id
+  `, [projectId]);
+
+  return lots.map((lot) => ({
+    ...lot,
+    received_cost: roundAmount(lot.received_cost),
+    outstanding_cost: roundAmount(lot.outstanding_cost)
+  }));
+};
+
+// Coût du matériel sorti du stock pour le projet (coût des unités à la sortie)
+const getIssuedMaterialCost = async (projectId) => {
+  const rows = await query(
+    'SELECT COALESCE(SUM(total_cost), 0) as cost FROM project_materials WHERE project_id = ?',
+    [projectId]
+  );
+  return roundAmount(rows[0].cost);
+};
+
+// Travail restant : heures estimées non encore saisies sur les tâches ouvertes de dernier niveau,
+// valorisées au coût horaire de la personne assignée
+const getRemainingWork = async (projectId) => {
+  const tasks = await query(`
+    SELECT
+      pt.id, pt.estimated_hours, u.hourly_cost_rate,
+      (SELECT COALESCE(SUM(te.hours_worked), 0) FROM time_entries te WHERE te.task_id = pt.id) as logged_hours
+    FROM project_tasks pt
+    LEFT JOIN users u ON pt.assigned_to = u.id
+    WHERE pt.project_id = ? AND pt.status NOT IN ('done', 'cancelled')
+      AND NOT EXISTS (
+        SELECT 1 FROM project_tasks sub WHERE sub.parent_task_id = pt.id AND sub.status != 'cancelled'
+      )
+  `, [projectId]);
+
+  let hours = 0;
+  let cost = 0;
+  let unratedHours = 0;
+  for (const task of tasks) {
+    const remaining = Math.max((parseFloat(task.estimated_hours) || 0) - parseFloat(task.logged_hours), 0);
+    hours += remaining;
+    if (task.hourly_cost_rate === null) {
+      unratedHours += remaining;
+    } else {
+      cost += remaining * parseFloat(task.hourly_cost_rate);
+    }
+  }
+
+  return { hours: roundHours(hours), cost: roundAmount(cost), unrated_hours: roundHours(unratedHours) };
+};
+
+// Alertes : seuil de consommation le plus haut atteint, dépassement prévu, coûts horaires manquants
+const buildAlerts = ({ budget, consumed, forecast, unratedHours }) => {
+  const alerts = [];
+
+  if (budget > 0) {
+    const consumedPercent = (100 * consumed) / budget;
+    const reached = getBudgetAlertThresholds().filter((threshold) => consumedPercent >= threshold);
+
+    if (reached.length > 0) {
+      const threshold = reached[reached.length - 1];
+      alerts.push({
+        type: 'budget_burn',
+        level: threshold >= 100 ? 'critical' : 'warning',
+        threshold,
+        message: `${toPercent(consumed, budget)} % du budget est consommé (seuil de ${threshold} % atteint)`
+      });
+    }
+
+    if (forecast > budget) {
+      alerts.push({
+        type: 'forecast_overrun',
+        level: 'warning',
+        overrun: roundAmount(forecast - budget),
+        message: `Le coût prévu à terminaison dépasse le budget de ${roundAmount(forecast - budget)}`
+      });
+    }
+  }
+
+  if (unratedHours > 0) {
+    alerts.push({
+      type: 'missing_cost_rates',
+      level: 'info',
+      hours: roundHours(unratedHours),
+      message: `${roundHours(unratedHours)} h sont valorisées à 0 faute de coût horaire pour l'employé`
+    });
+  }
+
+  return alerts;
+};
+
+// Budget, coûts réalisés et engagés, prévision à terminaison et alertes d'un projet
+const computeProjectFinancials = async (projectId) => {
+  const projects = await query(
+    'SELECT id, name, status, budget, progress, actual_hours FROM projects WHERE id = ?',
+    [projectId]
+  );
+  if (projects.length === 0) {
+    throw new ServiceError('Projet non trouvé', 404);
+  }
+  const project = projects[0];
+  const budget = project.budget !== null ? roundAmount(project.budget) : null;
+
+  const labour = await getLabourCosts(projectId);
+  const lots = await getPurchaseLots(projectId);
+  const issuedMaterialCost = await getIssuedMaterialCost(projectId);
+  const remaining = await getRemainingWork(projectId);
+
+  const actualLabour = roundAmount(labour.actual.cost);
+  const committedLabour = roundAmount(labour.committed.cost);
+  const actualEquipment = issuedMaterialCost;
+  const committedEquipment = roundAmount(lots.reduce((sum, lot) => sum + lot.outstanding_cost, 0));
+
+  const actual = roundAmount(actualLabour + actualEquipment);
+  const committed = roundAmount(committedLabour + committedEquipment);
+  const consumed = roundAmount(actual + committed);
+  const forecast = roundAmount(consumed + remaining.cost);
+  const unratedHours = (parseFloat(labour.actual.unrated_hours) || 0)
+    + (parseFloat(labour.committed.unrated_hours) || 0)
+    + remaining.unrated_hours;
+
+  return {
+    project: {
+      id: project.id,
+      name: project.name,
+      status: project.status,
+      progress: project.progress,
+      actual_hours: roundHours(project.actual_hours)
+    },
+    budget,
+    actual: {
+      labour: actualLabour,
+      labour_hours: roundHours(labour.actual.hours),
+      equipment: actualEquipment,
+      total: actual
+    },
+    committed: {
+      labour: committedLabour,
+      labour_hours: roundHours(labour.committed.hours),
+      equipment: committedEquipment,
+      total: committed
+    },
+    remaining_work: remaining,
+    forecast_at_completion: forecast,
+    variance: budget !== null ? roundAmount(budget - forecast) : null,
+    budget_consumed_percent: toPercent(consumed, budget),
+    forecast_percent: toPercent(forecast, budget),
+    purchase_lots: lots,
+    alerts: buildAlerts({ budget, consumed, forecast, unratedHours })
+  };
+};
+
+module.exports = {
+  computeProjectFinancials
+};
@@ -0,0 +1,231 @@
+const moment = require('moment');
+const { generateInvoiceNumber } = require('./invoiceNumbers');
+const { roundAmount } = require('./money');
+const { ServiceError } = require('./errors');
+
+// Modes de facturation d'un projet : au temps passé et au matériel, ou au forfait par jalons
+const BILLING_METHODS = ['time_and_materials', 'fixed_price'];
+
+// Un élément déjà facturé se refacture seulement si sa facture a été annulée
+const UNINVOICED = "(inv.id IS NULL OR inv.status = 'cancelled')";
+
+// Temps approuvés non facturés jusqu'à une date, au taux de l'employé (à défaut celui de son rôle)
+// Les temps antérieurs au début de la facturation du projet (billing_start_date) ne sont pas facturés
+const collectTimeEntries = async (connection, projectId, upTo) => {
+  const [entries] = await connection.execute(
+    `SELECT te.id, te.task_id, te.hours_worked, pt.title as task_title,
+            u.first_name, u.last_name, COALESCE(u.hourly_billing_rate, r.hourly_billing_rate) as billing_rate
+     FROM time_entries te
+     JOIN timesheets t ON te.timesheet_id = t.id
+     JOIN projects p ON te.project_id = p.id
+     JOIN users u ON te.user_id = u.id
+     LEFT JOIN roles r ON r.name = u.role
+     LEFT JOIN project_tasks pt ON te.task_id = pt.id
+     LEFT JOIN invoices inv ON te.invoice_id = inv.id
+     WHERE te.project_id = ? AND t.status = 'approved' AND te.date <= ? AND ${UNINVOICED}
+       AND (p.billing_start_date IS NULL OR te.date >= p.billing_start_date)
+     ORDER BY te.date, te.id`,
+    [projectId, upTo]
+  );
+
+  const unrated = [...new Set(entries
+    .filter((entry) => entry.billing_rate === null)
+    .map((entry) => `${entry.first_name} ${entry.last_name}`))];
+  if (unrated.length > 0) {
+    throw new ServiceError(`Aucun taux de facturation pour : ${unrated.join(', ')}`);
+  }
+
+  // Une ligne par tâche et par taux horaire
+  const groups = new Map();
+  for (const entry of entries) {
+    const rate = roundAmount(entry.billing_rate);
+    const key = `${entry.task_id || 0}-${rate}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        description: `Temps passé - ${entry.task_title || 'Hors tâche'}`,
+        quantity: 0,
+        unit_price: rate
+      });
+    }
+    groups.get(key).quantity += parseFloat(entry.hours_worked);
+  }
+
+  return { ids: entries.map((entry) => entry.id), lines: [...groups.values()] };
+};
+
+// Matériel sorti du stock pour le projet et non facturé jusqu'à une date, au prix de vente figé à la sortie
+const collectMaterials = async (connection, projectId, upTo) => {
+  const [materials] = await connection.execute(
+    `SELECT pm.id, pm.product_id, pm.quantity, pm.unit_price, p.name as product_name, p.product_code
+     FROM project_materials pm
+     JOIN products p ON pm.product_id = p.id
+     LEFT JOIN invoices inv ON pm.invoice_id = inv.id
+     WHERE pm.project_id = ? AND pm.issue_date <= ? AND ${UNINVOICED}
+     ORDER BY pm.issue_date, pm.id`,
+    [projectId, upTo]
+  );
+
+  // Une ligne par produit et par prix
+  const groups = new Map();
+  for (const material of materials) {
+    const price = roundAmount(material.unit_price);
+    const key = `${material.product_id}-${price}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        description: `${material.product_name} (${material.product_code})`,
+        quantity: 0,
+        unit_price: price
+      });
+    }
+    groups.get(key).quantity += material.quantity;
+  }
+
+  return { ids: materials.map((material) => material.id), lines: [...groups.values()] };
+};
+
+// Jalons d'un projet au forfait choisis pour la facture ; un jalon n'est facturé qu'une fois
+const collectMilestones = async (connection, projectId, milestoneIds) => {
+  const ids = [...new Set(milestoneIds.map(Number))];
+  const [milestones] = await connection.query(
+    `SELECT m.id, m.name, m.amount, m.due_date, ${UNINVOICED} as available
+     FROM project_milestones m
+     LEFT JOIN invoices inv ON m.invoice_id = inv.id
+     WHERE m.project_id = ? AND m.id IN (?)
+     ORDER BY m.due_date IS NULL, m.due_date, m.id`,
+    [projectId, ids]
+  );
+
+  if (milestones.length !== ids.length) {
+    throw new ServiceError('Jalon non trouvé dans ce projet', 404);
+  }
+
+  const invoiced = milestones.filter((milestone) => !milestone.available);
+  if (invoiced.length > 0) {
+    throw new ServiceError(`Jalon déjà facturé : ${invoiced.map((milestone) => milestone.name).join(', ')}`);
+  }
+
+  return {
+    ids: milestones.map((milestone) => milestone.id),
+    lines: milestones.map((milestone) => ({
+      description: `Jalon - ${milestone.name}`,
+      quantity: 1,
+      unit_price: roundAmount(milestone.amount)
+    }))
+  };
+};
+
+// Générer la facture en brouillon d'un projet : temps approuvés et matériel non facturés jusqu'à upTo,
+// ou jalons choisis pour un projet au forfait ; les éléments facturés sont rattachés à la facture
+// Le verrou sur le projet sérialise les facturations d'un même projet
+// Avec dryRun, renvoie seulement les lignes qui seraient facturées
+const invoiceProject = async (connection, projectId, {
+  upTo = null, issueDate = null, milestoneIds = [], dryRun = false
+} = {}, { userId = null } = {}) => {
+  const [projects] = await connection.execute(
+    'SELECT id, name, client_id, billing_method FROM projects WHERE id = ? FOR UPDATE',
+    [projectId]
+  );
+  if (projects.length === 0) {
+    throw new ServiceError('Projet non trouvé', 404);
+  }
+  const project = projects[0];
+
+  if (!project.client_id) {
+    throw new ServiceError('Le projet n\'a pas de client à facturer');
+  }
+
+  const issue = moment(issueDate || undefined).format('YYYY-MM-DD');
+  const until = moment(upTo || issue).format('YYYY-MM-DD');
+
+  let timeEntries = { ids: [], lines: [] };
+  let materials = { ids: [], lines: [] };
+  let milestones = { ids: [], lines: [] };
+
+  if (project.billing_method === 'fixed_price') {
+    if (milestoneIds.length === 0) {
+      throw new ServiceError('Choisissez les jalons à facturer pour un projet au forfait');
+    }
+    milestones = await collectMilestones(connection, project.id, milestoneIds);
+  } else {
+    if (milestoneIds.length > 0) {
+      throw new ServiceError('Les jalons ne se facturent que sur un projet au forfait');
+    }
+    timeEntries = await collectTimeEntries(connection, project.id, until);
+    materials = await collectMaterials(connection, project.id, until);
+  }
+
+  const lines = [...milestones.lines, ...timeEntries.lines, ...materials.lines].map((line) => ({
+    ...line,
+    quantity: Math.round(line.quantity * 100) / 100,
+    total_price: roundAmount(line.quantity * line.unit_price)
+  }));
+
+  if (lines.length === 0) {
+    throw new ServiceError('Rien à facturer sur ce projet');
+  }
+
+  const taxRate = parseFloat(process.env.BILLING_TAX_RATE || 0);
+  const paymentTermsDays = parseInt(process.env.BILLING_PAYMENT_TERMS_DAYS || 30);
+
+  const subtotal = roundAmount(lines.reduce((sum, line) => sum + line.total_price, 0));
+  const taxAmount = roundAmount(subtotal * taxRate / 100);
+  const totalAmount = roundAmount(subtotal + taxAmount);
+  const dueDate = moment(issue).add(paymentTermsDays, 'days').format('YYYY-MM-DD');
+
+  const summary = {
+    project_id: project.id,
+    client_id: project.client_id,
+    billing_method: project.billing_method,
+    issue_date: issue,
+    due_date: dueDate,
+    up_to: project.billing_method === 'fixed_price' ? null : until,
+    lines,
+    subtotal,
+    tax_rate: taxRate,
+    tax_amount: taxAmount,
+    total_amount: totalAmount,
+    time_entries: timeEntries.ids.length,
+    materials: materials.ids.length,
+    milestones: milestones.ids
+  };
+
+  if (dryRun) {
+    return { dry_run: true, ...summary };
+  }
+
+  const invoiceNumber = await generateInvoiceNumber(connection, issue);
+
+  const [result] = await connection.execute(
+    `INSERT INTO invoices (client_id, project_id, invoice_number, issue_date, due_date, subtotal, tax_rate,
+                          tax_amount, total_amount, status, notes, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'draft', ?, ?)`,
+    [project.client_id, project.id, invoiceNumber, issue, dueDate, subtotal, taxRate, taxAmount, totalAmount,
+     `Facture du projet ${project.name}`, userId]
+  );
+  const invoiceId = result.insertId;
+
+  for (const line of lines) {
+    await connection.execute(
+      'INSERT INTO invoice_items (invoice_id, description, quantity, unit_price, total_price) VALUES (?, ?, ?, ?, ?)',
+      [invoiceId, line.description, line.quantity, line.unit_price, line.total_price]
+    );
+  }
+
+  if (timeEntries.ids.length > 0) {
+    await connection.query('UPDATE time_entries SET invoice_id = ? WHERE id IN (?)', [invoiceId, timeEntries.ids]);
+  }
+  if (materials.ids.length > 0) {
+    await connection.query('UPDATE project_materials SET invoice_id = ? WHERE id IN (?)', [invoiceId, materials.ids]);
+  }
+  if (milestones.ids.length > 0) {
+    await connection.query('UPDATE project_milestones SET invoice_id = ? WHERE id IN (?)', [invoiceId, milestones.ids]);
+  }
+
+  return { invoiceId, invoice_number: invoiceNumber, ...summary };
+};
+
+module.exports = {
+  BILLING_METHODS,
+  collectTimeEntries,
+  invoiceProject
+};
@@ -0,0 +1,154 @@
+const moment = require('moment');
+const { adjustStock, resolveWarehouseId, lockWarehouseStock } = require('./stock');
+const { changeUnitStatus } = require('./serials');
+const { roundAmount } = require('./money');
+const { ServiceError } = require('./errors');
+
+// Sortir du matériel du stock pour un projet : une unité sérialisée (serialNumber), affectée au client
+// du projet, ou une quantité d'un produit non sérialisé (motif project_issued)
+// Le prix de vente du produit est figé sur la sortie pour la facturation, le coût des unités pour le suivi financier
+const issueProjectMaterial = async (connection, projectId, {
+  serialNumber = null, productId = null, quantity = 1, warehouseId = null, issueDate = null, notes = null
+}, { userId = null } = {}) => {
+  const [projects] = await connection.execute(
+    'SELECT id, client_id, status FROM projects WHERE id = ? FOR UPDATE',
+    [projectId]
+  );
+
+  if (projects.length === 0) {
+    throw new ServiceError('Projet non trouvé', 404);
+  }
+
+  const project = projects[0];
+  if (project.status === 'completed' || project.status === 'cancelled') {
+    throw new ServiceError('Impossible de sortir du matériel pour un projet terminé');
+  }
+
+  const date = issueDate || moment().format('YYYY-MM-DD');
+
+  if (serialNumber) {
+    if (!project.client_id) {
+      throw new ServiceError('Une unité sérialisée ne se sort que pour un projet rattaché à un client');
+    }
+
+    const [units] = await connection.execute(
+      `SELECT u.product_id, u.unit_cost, p.selling_price
+       FROM equipment_units u
+       JOIN products p ON u.product_id = p.id
+       WHERE u.serial_number = ?`,
+      [serialNumber]
+    );
+    if (units.length === 0) {
+      throw new ServiceError('Numéro de série non trouvé', 404);
+    }
+
+    const unit = await changeUnitStatus(connection, serialNumber, {
+      status: 'assigned',
+      clientId: project.client_id,
+      notes: notes || `Projet n°${project.id}`
+    }, { userId });
+
+    const [result] = await connection.execute(
+      `INSERT INTO project_materials (project_id, product_id, unit_id, quantity, warehouse_id, issue_date,
+                                     unit_price, total_cost, notes, created_by)
+       VALUES (?, ?, ?, 1, ?, ?, ?, ?, ?, ?)`,
+      [project.id, units[0].product_id, unit.unitId, unit.warehouse_id, date, units[0].selling_price,
+       roundAmount(units[0].unit_cost || 0), notes, userId]
+    );
+
+    return { materialId: result.insertId, product_id: units[0].product_id, unit_id: unit.unitId, quantity: 1 };
+  }
+
+  const [products] = await connection.execute(
+    'SELECT id, name, is_serialized, selling_price FROM products WHERE id = ? FOR UPDATE',
+    [productId]
+  );
+
+  if (products.length === 0) {
+    throw new ServiceError('Produit non trouvé', 404);
+  }
+
+  const product = products[0];
+  if (product.is_serialized) {
+    throw new ServiceError(`${product.name} est suivi par numéro de série : indiquez l'unité sortie`);
+  }
+
+  const targetWarehouseId = await resolveWarehouseId(connection, warehouseId);
+  const stock = await lockWarehouseStock(connection, targetWarehouseId, [product.id]);
+  if (stock.get(product.id) < quantity) {
+    throw new ServiceError(`Stock insuffisant pour ${product.name} dans ce dépôt (disponible : ${stock.get(product.id)})`);
+  }
+
+  const [result] = await connection.execute(
+    `INSERT INTO project_materials (project_id, product_id, quantity, warehouse_id, issue_date, unit_price, notes, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [project.id, product.id, quantity, targetWarehouseId, date, product.selling_price, notes, userId]
+  );
+
+  const value = await adjustStock(connection, {
+    productId: product.id,
+    warehouseId: targetWarehouseId,
+    quantity: -quantity,
+    reasonCode: 'project_issued',
+    referenceType: 'project_material',
+    referenceId: result.insertId,
+    notes: `Projet n°${project.id}`,
+    userId
+  });
+
+  await connection.execute('UPDATE project_materials SET total_cost = ? WHERE id = ?', [-value, result.insertId]);
+
+  return { materialId: result.insertId, product_id: product.id, unit_id: null, quantity };
+};
+
+// Annuler une sortie de matériel non facturée (ou dont la facture est annulée) : le matériel revient
+// en stock dans son dépôt, au coût de la sortie
+const cancelProjectMaterial = async (connection, projectId, materialId, { userId = null } = {}) => {
+  const [materials] = await connection.execute(
+    `SELECT pm.id, pm.project_id, pm.product_id, pm.unit_id, pm.quantity, pm.warehouse_id, pm.total_cost,
+            u.serial_number, inv.status as invoice_status
+     FROM project_materials pm
+     LEFT JOIN equipment_units u ON pm.unit_id = u.id
+     LEFT JOIN invoices inv ON pm.invoice_id = inv.id
+     WHERE pm.id = ? AND pm.project_id = ? FOR UPDATE`,
+    [materialId, projectId]
+  );
+
+  if (materials.length === 0) {
+    throw new ServiceError('Sortie de matériel non trouvée', 404);
+  }
+
+  const material = materials[0];
+  if (material.invoice_status && material.invoice_status !== 'cancelled') {
+    throw new ServiceError('Impossible d\'annuler une sortie de matériel déjà facturée');
+  }
+
+  if (material.unit_id) {
+    await changeUnitStatus(connection, material.serial_number, {
+      status: 'in_stock',
+      warehouseId: material.warehouse_id,
+      notes: `Retour du projet n°${material.project_id}`
+    }, { userId });
+  } else {
+    await adjustStock(connection, {
+      productId: material.product_id,
+      warehouseId: await resolveWarehouseId(connection, material.warehouse_id),
+      quantity: material.quantity,
+      unitCost: parseFloat(material.total_cost) / material.quantity,
+      reasonCode: 'project_returned',
+      referenceType: 'project_material',
+      referenceId: material.id,
+      notes: `Projet n°${material.project_id}`,
+      userId
+    });
+  }
+
+  await connection.execute('DELETE FROM project_materials WHERE id = ?', [material.id]);
+
+  return { materialId: material.id, product_id: material.product_id, quantity: material.quantity };
+};
+
+module.exports = {
+  issueProjectMaterial,
+  cancelProjectMaterial
+};
@@ -0,0 +1,222 @@
+const moment = require('moment');
+const { query } = require('../config/database');
+const { recordStockMovement, resolveWarehouseId } = require('./stock');
+const { addCostLayer } = require('./costing');
+const { checkSerialCount, receiveUnits } = require('./serials');
+const { ServiceError } = require('./errors');
+
+// Statuts d'un lot qui attendent encore une livraison
+const RECEIVABLE_STATUSES = ['pending', 'partially_received'];
+
+// Générer le prochain numéro de lot (LOTAAAA0001)
+// Dans une transaction, passer la connexion pour verrouiller le dernier lot et voir les lots déjà créés
+const generateLotNumber = async (connection = null) => {
+  try {
+    const year = new Date().getFullYear();
+    const sql = 'SELECT lot_number FROM purchase_lots WHERE lot_number LIKE ? ORDER BY lot_number DESC LIMIT 1';
+    const lastLot = connection
+      ? (await connection.execute(`${sql} FOR UPDATE`, [`LOT${year}%`]))[0]
+      : await query(sql, [`LOT${year}%`]);
+    
+    let nextNumber = 1;
+    if (lastLot.length > 0) {
+      const lastCode = lastLot[0].lot_number;
+      const lastNumber = parseInt(lastCode.replace(`LOT${year}`, '')) || 0;
+      nextNumber = lastNumber + 1;
+    }
+    
+    return `LOT${year}${String(nextNumber).padStart(4, '0')}`;
+  } catch (error) {
+    console.error('Erreur lors de la génération du numéro de lot:', error);
+    return `LOT${Date.now()}`;
+  }
+};
+
+// Verrouiller un lot d'achat ; à appeler dans une transaction
+const lockPurchaseLot = async (connection, lotId) => {
+  const [lots] = await connection.execute(
+    'SELECT id, lot_number, status, warehouse_id FROM purchase_lots WHERE id = ? FOR UPDATE',
+    [lotId]
+  );
+
+  if (lots.length === 0) {
+    throw new ServiceError('Lot d\'achat non trouvé', 404);
+  }
+
+  return lots[0];
+};
+
+// Enregistrer une réception (totale ou partielle) d'un lot d'achat
+// Les quantités reçues entrent dans le stock du dépôt choisi (à défaut celui du lot) ;
+// les quantités endommagées sont seulement tracées ; un produit sérialisé exige un numéro de série par unité reçue
+const receivePurchaseLot = async (connection, lotId, { items, warehouseId = null, receivedDate = null, notes = null }, { userId = null } = {}) => {
+  const lot = await lockPurchaseLot(connection, lotId);
+
+  if (!RECEIVABLE_STATUSES.includes(lot.status)) {
+    throw new ServiceError('Ce lot d\'achat n\'attend plus de livraison');
+  }
+
+  const targetWarehouseId = await resolveWarehouseId(connection, warehouseId || lot.warehouse_id);
+
+  const [lotItems] = await connection.execute(
+    `SELECT pli.id, pli.product_id, pli.quantity_ordered, pli.quantity_received, pli.unit_cost,
+            p.name, p.is_serialized
+     FROM purchase_lot_items pli
+     JOIN products p ON pli.product_id = p.id
+     WHERE pli.lot_id = ?`,
+    [lotId]
+  );
+
+  const seen = new Set();
+  const serials = new Map();
+  for (const item of items) {
+    const lotItem = lotItems.find((candidate) => candidate.id === Number(item.item_id));
+    if (!lotItem) {
+      throw new ServiceError(`Article ${item.item_id} introuvable dans ce lot`);
+    }
+    if (seen.has(lotItem.id)) {
+      throw new ServiceError(`Article ${item.item_id} présent plusieurs fois dans la réception`);
+    }
+    seen.add(lotItem.id);
+
+    const received = Number(item.quantity_received) || 0;
+    const damaged = Number(item.quantity_damaged) || 0;
+    if (received + damaged <= 0) {
+      throw new ServiceError(`Aucune quantité indiquée pour l'article ${item.item_id}`);
+    }
+
+    const remaining = lotItem.quantity_ordered - lotItem.quantity_received;
+    if (received > remaining) {
+      throw new ServiceError(`Quantité reçue supérieure au reste à recevoir (${remaining}) pour l'article ${item.item_id}`);
+    }
+
+    if (lotItem.is_serialized && received > 0) {
+      serials.set(lotItem.id, checkSerialCount(lotItem, item.serial_numbers, received));
+    }
+  }
+
+  const [receipt] = await connection.execute(
+    'INSERT INTO purchase_receipts (lot_id, warehouse_id, received_date, notes, received_by) VALUES (?, ?, ?, ?, ?)',
+    [lotId, targetWarehouseId, receivedDate || moment().format('YYYY-MM-DD'), notes, userId]
+  );
+  const receiptId = receipt.insertId;
+
+  for (const item of items) {
+    const lotItem = lotItems.find((candidate) => candidate.id === Number(item.item_id));
+    const received = Number(item.quantity_received) || 0;
+    const damaged = Number(item.quantity_damaged) || 0;
+
+    await connection.execute(
+      `INSERT INTO purchase_receipt_items (receipt_id, lot_item_id, product_id, quantity_received,
+                                          quantity_damaged, expiry_date, serial_number, notes)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [receiptId, lotItem.id, lotItem.product_id, received, damaged,
+       item.expiry_date || null, item.serial_number || null, item.notes || null]
+    );
+
+    await connection.execute(
+      `UPDATE purchase_lot_items
+       SET quantity_received = quantity_received + ?, quantity_damaged = quantity_damaged + ?,
+           expiry_date = COALESCE(?, expiry_date)
+       WHERE id = ?`,
+      [received, damaged, item.expiry_date || null, lotItem.id]
+    );
+
+    if (received > 0) {
+      await recordStockMovement(connection, {
+        productId: lotItem.product_id,
+        warehouseId: targetWarehouseId,
+        type: 'in',
+        quantity: received,
+        unitCost: parseFloat(lotItem.unit_cost),
+        referenceType: 'purchase_receipt',
+        referenceId: receiptId,
+        notes: `Réception du lot ${lot.lot_number}`,
+        userId
+      });
+
+      await addCostLayer(connection, {
+        productId: lotItem.product_id,
+        quantity: received,
+        unitCost: parseFloat(lotItem.unit_cost),
+        sourceType: 'purchase_receipt',
+        sourceId: receiptId
+      });
+
+      if (serials.has(lotItem.id)) {
+        await receiveUnits(connection, {
+          productId: lotItem.product_id,
+          serialNumbers: serials.get(lotItem.id),
+          warehouseId: targetWarehouseId,
+          unitCost: parseFloat(lotItem.unit_cost),
+          receiptId,
+          userId
+        });
+      }
+    }
+
+    lotItem.quantity_received += received;
+  }
+
+  // Le lot est reçu quand toutes les quantités commandées sont arrivées en bon état
+  const complete = lotItems.every((lotItem) => lotItem.quantity_received >= lotItem.quantity_ordered);
+  const status = complete ? 'received' : 'partially_received';
+
+  await connection.execute(
+    'UPDATE purchase_lots SET status = ?, received_at = ? WHERE id = ?',
+    [status, complete ? new Date() : null, lotId]
+  );
+
+  return {
+    receiptId,
+    warehouse_id: targetWarehouseId,
+    status,
+    items: lotItems.map((lotItem) => ({
+      item_id: lotItem.id,
+      product_id: lotItem.product_id,
+      quantity_ordered: lotItem.quantity_ordered,
+      quantity_received: lotItem.quantity_received,
+      quantity_remaining: Math.max(lotItem.quantity_ordered - lotItem.quantity_received, 0)
+    }))
+  };
+};
+
+// Confirmer un lot en brouillon : il est alors commandé et attend sa livraison
+const confirmPurchaseLot = async (connection, lotId) => {
+  const lot = await lockPurchaseLot(connection, lotId);
+
+  if (lot.status !== 'draft') {
+    throw new ServiceError('Seul un lot en brouillon peut être confirmé');
+  }
+
+  await connection.execute(
+    "UPDATE purchase_lots SET status = 'pending', purchase_date = ?, confirmed_at = ? WHERE id = ?",
+    [moment().format('YYYY-MM-DD'), new Date(), lotId]
+  );
+
+  return 'pending';
+};
+
+// Annuler un lot d'achat (brouillon ou en attente) ; le stock déjà réceptionné reste acquis
+const cancelPurchaseLot = async (connection, lotId) => {
+  const lot = await lockPurchaseLot(connection, lotId);
+
+  if (lot.status !== 'draft' && !RECEIVABLE_STATUSES.includes(lot.status)) {
+    throw new ServiceError('Seul un lot en brouillon ou en attente de livraison peut être annulé');
+  }
+
+  await connection.execute(
+    "UPDATE purchase_lots SET status = 'cancelled', cancelled_at = ? WHERE id = ?",
+    [new Date(), lotId]
+  );
+
+  return 'cancelled';
+};
+
+module.exports = {
+  RECEIVABLE_STATUSES,
+  generateLotNumber,
+  receivePurchaseLot,
+  confirmPurchaseLot,
+  cancelPurchaseLot
+};
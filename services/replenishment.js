@@ -0,0 +1,203 @@
+const moment = require('moment');
+const { query } = require('../config/database');
+const { generateLotNumber } = require('./purchasing');
+const { resolveWarehouseId } = require('./stock');
+const { roundAmount } = require('./money');
+const { ServiceError } = require('./errors');
+
+// Période de ventes (en jours) utilisée par défaut pour estimer la vitesse d'écoulement
+const DEFAULT_SALES_WINDOW_DAYS = 30;
+
+// Délai de livraison retenu pour un produit sans fournisseur
+const DEFAULT_LEAD_TIME_DAYS = 7;
+
+// Proposer des quantités à commander, regroupées par fournisseur
+// Point de commande = stock minimum + ventes attendues pendant le délai de livraison du fournisseur ;
+// sous ce point (stock total + quantités déjà commandées), on propose de remonter jusqu'au stock maximum
+const getReorderSuggestions = async ({ supplierId = null, categoryId = null, days = DEFAULT_SALES_WINDOW_DAYS } = {}) => {
+  const whereConditions = ['p.is_active = 1'];
+  const queryParams = [moment().subtract(days, 'days').format('YYYY-MM-DD')];
+
+  if (supplierId) {
+    whereConditions.push('p.supplier_id = ?');
+    queryParams.push(supplierId);
+  }
+
+  if (categoryId) {
+    whereConditions.push('p.category_id = ?');
+    queryParams.push(categoryId);
+  }
+
+  const products = await query(`
+    SELECT
+      p.id as product_id, p.product_code, p.name, p.current_stock, p.min_stock_level, p.max_stock_level,
+      p.cost_price, p.supplier_id, s.name as supplier_name, s.delivery_time_days,
+      COALESCE(sold.quantity, 0) as quantity_sold,
+      COALESCE(ordered.quantity, 0) as quantity_on_order,
+      (SELECT pli.unit_cost FROM purchase_lot_items pli
+       JOIN purchase_lots pl ON pli.lot_id = pl.id
+       WHERE pli.product_id = p.id AND pl.status <> 'cancelled'
+       ORDER BY pl.purchase_date DESC, pli.id DESC LIMIT 1) as last_unit_cost
+    FROM products p
+    LEFT JOIN suppliers s ON p.supplier_id = s.id
+    LEFT JOIN (
+      SELECT si.product_id, SUM(si.quantity - si.quantity_returned) as quantity
+      FROM sale_items si
+      JOIN sales sa ON si.sale_id = sa.id
+      WHERE sa.status = 'completed' AND sa.created_at >= ?
+      GROUP BY si.product_id
+    ) sold ON sold.product_id = p.id
+    LEFT JOIN (
+      SELECT pli.product_id, SUM(GREATEST(pli.quantity_ordered - pli.quantity_received, 0)) as quantity
+      FROM purchase_lot_items pli
+      JOIN purchase_lots pl ON pli.lot_id = pl.id
+      WHERE pl.status IN ('draft', 'pending', 'partially_received')
+      GROUP BY pli.product_id
+    ) ordered ON ordered.product_id = p.id
+    WHERE ${whereConditions.join(' AND ')}
+    ORDER BY s.name, p.name
+  `, queryParams);
+
+  const suppliers = new Map();
+  for (const product of products) {
+    const quantitySold = Math.max(Number(product.quantity_sold), 0);
+    const quantityOnOrder = Number(product.quantity_on_order);
+    const dailySales = quantitySold / days;
+    const leadTimeDays = product.supplier_id ? product.delivery_time_days : DEFAULT_LEAD_TIME_DAYS;
+    const reorderPoint = product.min_stock_level + Math.ceil(dailySales * leadTimeDays);
+    const available = product.current_stock + quantityOnOrder;
+
+    if (reorderPoint <= 0 || available > reorderPoint) {
+      continue;
+    }
+
+    const suggestedQuantity = Math.max(product.max_stock_level, reorderPoint) - available;
+    if (suggestedQuantity <= 0) {
+      continue;
+    }
+
+    const unitCost = parseFloat(product.last_unit_cost !== null ? product.last_unit_cost : product.cost_price) || 0;
+    const key = product.supplier_id || 0;
+    if (!suppliers.has(key)) {
+      suppliers.set(key, {
+        supplier_id: product.supplier_id,
+        supplier_name: product.supplier_name,
+        lead_time_days: leadTimeDays,
+        total_amount: 0,
+        items: []
+      });
+    }
+
+    const supplier = suppliers.get(key);
+    supplier.items.push({
+      product_id: product.product_id,
+      product_code: product.product_code,
+      name: product.name,
+      current_stock: product.current_stock,
+      quantity_on_order: quantityOnOrder,
+      min_stock_level: product.min_stock_level,
+      max_stock_level: product.max_stock_level,
+      quantity_sold: quantitySold,
+      daily_sales: roundAmount(dailySales),
+      days_of_cover: dailySales > 0 ? Math.floor(available / dailySales) : null,
+      reorder_point: reorderPoint,
+      suggested_quantity: suggestedQuantity,
+      unit_cost: unitCost,
+      estimated_cost: roundAmount(suggestedQuantity * unitCost)
+    });
+    supplier.total_amount = roundAmount(supplier.total_amount + suggestedQuantity * unitCost);
+  }
+
+  return {
+    sales_window_days: days,
+    product_count: [...suppliers.values()].reduce((sum, supplier) => sum + supplier.items.length, 0),
+    suppliers: [...suppliers.values()]
+  };
+};
+
+// Transformer les propositions retenues en lots d'achat en brouillon, un par fournisseur
+// Le fournisseur d'une ligne est celui indiqué, à défaut le fournisseur préféré du produit
+const createDraftPurchaseLots = async (connection, items, { warehouseId = null, notes = null, userId = null } = {}) => {
+  const productIds = [...new Set(items.map((item) => Number(item.product_id)))];
+  const [products] = await connection.query(
+    'SELECT id, name, cost_price, supplier_id FROM products WHERE id IN (?)',
+    [productIds]
+  );
+
+  const targetWarehouseId = warehouseId ? await resolveWarehouseId(connection, warehouseId) : null;
+
+  const bySupplier = new Map();
+  for (const item of items) {
+    const product = products.find((candidate) => candidate.id === Number(item.product_id));
+    if (!product) {
+      throw new ServiceError(`Produit ${item.product_id} introuvable`, 404);
+    }
+
+    const supplierId = Number(item.supplier_id || product.supplier_id);
+    if (!supplierId) {
+      throw new ServiceError(`Aucun fournisseur pour le produit ${product.name}`);
+    }
+
+    if (!bySupplier.has(supplierId)) {
+      bySupplier.set(supplierId, []);
+    }
+    bySupplier.get(supplierId).push({
+      product_id: product.id,
+      quantity: Number(item.quantity),
+      unit_cost: item.unit_cost !== undefined && item.unit_cost !== null
+        ? parseFloat(item.unit_cost)
+        : parseFloat(product.cost_price) || 0
+    });
+  }
+
+  const [suppliers] = await connection.query(
+    'SELECT id, name, delivery_time_days FROM suppliers WHERE id IN (?)',
+    [[...bySupplier.keys()]]
+  );
+
+  const lots = [];
+  for (const [supplierId, lotItems] of bySupplier) {
+    const supplier = suppliers.find((candidate) => candidate.id === supplierId);
+    if (!supplier) {
+      throw new ServiceError(`Fournisseur ${supplierId} introuvable`, 404);
+    }
+
+    const lotNumber = await generateLotNumber(connection);
+    const totalAmount = roundAmount(lotItems.reduce((sum, item) => sum + item.quantity * item.unit_cost, 0));
+
+    const [result] = await connection.execute(
+      `INSERT INTO purchase_lots (lot_number, supplier_id, warehouse_id, purchase_date, expected_delivery_date,
+                                 total_amount, status, notes, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, 'draft', ?, ?)`,
+      [lotNumber, supplierId, targetWarehouseId, moment().format('YYYY-MM-DD'),
+       moment().add(supplier.delivery_time_days, 'days').format('YYYY-MM-DD'),
+       totalAmount, notes || 'Proposition de réapprovisionnement', userId]
+    );
+
+    for (const item of lotItems) {
+      await connection.execute(
+        `INSERT INTO purchase_lot_items (lot_id, product_id, quantity_ordered, unit_cost, total_cost)
+         VALUES (?, ?, ?, ?, ?)`,
+        [result.insertId, item.product_id, item.quantity, item.unit_cost, roundAmount(item.quantity * item.unit_cost)]
+      );
+    }
+
+    lots.push({
+      lotId: result.insertId,
+      lotNumber,
+      supplier_id: supplierId,
+      supplier_name: supplier.name,
+      item_count: lotItems.length,
+      total_amount: totalAmount,
+      status: 'draft'
+    });
+  }
+
+  return lots;
+};
+
+module.exports = {
+  DEFAULT_SALES_WINDOW_DAYS,
+  getReorderSuggestions,
+  createDraftPurchaseLots
+};
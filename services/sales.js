@@ -0,0 +1,375 @@
+const moment = require('moment');
+const { roundAmount } = require('./money');
+const { recordStockMovement, resolveWarehouseId, lockWarehouseStock } = require('./stock');
+const { getCostingMethod, consumeCostLayers, addCostLayer } = require('./costing');
+const { checkSerialCount, sellUnits, returnSoldUnits } = require('./serials');
+const { ServiceError } = require('./errors');
+
+// Politique en cas de stock insuffisant : 'reject' refuse la vente, 'allow' accepte un stock négatif
+const getBackorderPolicy = () => {
+  return process.env.SALES_BACKORDER_POLICY === 'allow' ? 'allow' : 'reject';
+};
+
+// Verrouiller les produits vendus, toujours dans l'ordre des identifiants pour éviter les interblocages
+const lockProducts = async (connection, productIds) => {
+  const [products] = await connection.query(
+    `SELECT id, name, product_code, selling_price, is_active, is_serialized
+     FROM products WHERE id IN (?) ORDER BY id FOR UPDATE`,
+    [productIds]
+  );
+
+  return new Map(products.map((product) => [product.id, product]));
+};
+
+// Calculer les lignes et les totaux d'une vente à partir des prix catalogue
+// Le client ne fournit que les quantités et les remises ; prix, taxe et totaux sont recalculés ici
+const priceSale = (items, products, { taxRate = 0, discountAmount = 0 } = {}) => {
+  const lines = items.map((item) => {
+    const product = products.get(Number(item.product_id));
+    const quantity = Number(item.quantity);
+    const unitPrice = roundAmount(product.selling_price);
+    const discountPercent = parseFloat(item.discount_percent) || 0;
+    const grossAmount = roundAmount(quantity * unitPrice);
+    const lineDiscount = roundAmount(grossAmount * discountPercent / 100);
+
+    return {
+      product_id: product.id,
+      quantity,
+      unit_price: unitPrice,
+      discount_percent: discountPercent,
+      discount_amount: lineDiscount,
+      total_price: roundAmount(grossAmount - lineDiscount)
+    };
+  });
+
+  const subtotal = roundAmount(lines.reduce((sum, line) => sum + line.total_price, 0));
+  const discount = roundAmount(discountAmount);
+  if (discount > subtotal) {
+    throw new ServiceError(`La remise dépasse le sous-total de la vente (${subtotal.toFixed(2)})`);
+  }
+
+  const rate = parseFloat(taxRate) || 0;
+  const taxAmount = roundAmount((subtotal - discount) * rate / 100);
+
+  return {
+    lines,
+    subtotal,
+    discount_amount: discount,
+    tax_rate: rate,
+    tax_amount: taxAmount,
+    total_amount: roundAmount(subtotal - discount + taxAmount)
+  };
+};
+
+// Enregistrer une vente et sortir les articles du stock du dépôt choisi ; à appeler dans une transaction
+// Pour un produit sérialisé, chaque ligne désigne les unités vendues (serial_numbers)
+const createSale = async (connection, saleNumber, sale, { userId = null } = {}) => {
+  const warehouseId = await resolveWarehouseId(connection, sale.warehouse_id);
+  const productIds = [...new Set(sale.items.map((item) => Number(item.product_id)))].sort((a, b) => a - b);
+  const products = await lockProducts(connection, productIds);
+  const warehouseStock = await lockWarehouseStock(connection, warehouseId, productIds);
+
+  // Quantités demandées par produit (un produit peut apparaître sur plusieurs lignes)
+  const requested = new Map();
+  for (const item of sale.items) {
+    const product = products.get(Number(item.product_id));
+    if (!product) {
+      throw new ServiceError(`Produit ${item.product_id} non trouvé`, 404);
+    }
+    if (!product.is_active) {
+      throw new ServiceError(`Le produit ${product.name} n'est plus en vente`);
+    }
+    requested.set(product.id, (requested.get(product.id) || 0) + Number(item.quantity));
+  }
+
+  const serials = sale.items.map((item) => {
+    const product = products.get(Number(item.product_id));
+    return product.is_serialized ? checkSerialCount(product, item.serial_numbers, Number(item.quantity)) : null;
+  });
+
+  const policy = getBackorderPolicy();
+  const backorders = [];
+  for (const [productId, quantity] of requested) {
+    const product = products.get(productId);
+    const available = warehouseStock.get(productId);
+    if (quantity > available) {
+      if (policy === 'reject') {
+        throw new ServiceError(`Stock insuffisant pour ${product.name} dans ce dépôt (disponible : ${available}, demandé : ${quantity})`);
+      }
+      backorders.push({
+        product_id: productId,
+        quantity_backordered: quantity - Math.max(available, 0)
+      });
+    }
+  }
+
+  const totals = priceSale(sale.items, products, {
+    taxRate: sale.tax_rate,
+    discountAmount: sale.discount_amount
+  });
+
+  const [result] = await connection.execute(
+    `INSERT INTO sales (sale_number, warehouse_id, customer_name, customer_email, customer_phone,
+                       subtotal, tax_rate, tax_amount, discount_amount, total_amount,
+                       payment_method, payment_reference, notes, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [saleNumber, warehouseId, sale.customer_name || null, sale.customer_email || null, sale.customer_phone || null,
+     totals.subtotal, totals.tax_rate, totals.tax_amount, totals.discount_amount, totals.total_amount,
+     sale.payment_method, sale.payment_reference || null, sale.notes || null, userId]
+  );
+  const saleId = result.insertId;
+
+  const costingMethod = await getCostingMethod();
+  for (const [index, line] of totals.lines.entries()) {
+    const cogsAmount = await consumeCostLayers(connection, line.product_id, line.quantity, costingMethod);
+
+    const [item] = await connection.execute(
+      `INSERT INTO sale_items (sale_id, product_id, quantity, unit_price,
+                              discount_percent, discount_amount, total_price, cogs_amount)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [saleId, line.product_id, line.quantity, line.unit_price,
+       line.discount_percent, line.discount_amount, line.total_price, cogsAmount]
+    );
+
+    if (serials[index]) {
+      await sellUnits(connection, {
+        productId: line.product_id,
+        serialNumbers: serials[index],
+        warehouseId,
+        saleId,
+        saleItemId: item.insertId,
+        userId
+      });
+    }
+
+    await recordStockMovement(connection, {
+      productId: line.product_id,
+      warehouseId,
+      type: 'out',
+      quantity: line.quantity,
+      unitCost: roundAmount(cogsAmount / line.quantity),
+      totalCost: cogsAmount,
+      referenceType: 'sale',
+      referenceId: saleId,
+      userId
+    });
+  }
+
+  return {
+    saleId,
+    saleNumber,
+    warehouse_id: warehouseId,
+    subtotal: totals.subtotal,
+    discount_amount: totals.discount_amount,
+    tax_rate: totals.tax_rate,
+    tax_amount: totals.tax_amount,
+    total_amount: totals.total_amount,
+    backorders
+  };
+};
+
+// Écart toléré sur les montants (arrondis au centime)
+const EPSILON = 0.005;
+
+// Verrouiller une vente avec ses lignes et le montant déjà remboursé ; à appeler dans une transaction
+const lockSale = async (connection, saleId) => {
+  const [sales] = await connection.execute(
+    'SELECT id, sale_number, warehouse_id, subtotal, total_amount, payment_method, status, created_at FROM sales WHERE id = ? FOR UPDATE',
+    [saleId]
+  );
+
+  if (sales.length === 0) {
+    throw new ServiceError('Vente non trouvée', 404);
+  }
+
+  const [items] = await connection.execute(
+    `SELECT si.id, si.product_id, si.quantity, si.quantity_returned, si.total_price, si.cogs_amount, p.name, p.is_serialized
+     FROM sale_items si
+     JOIN products p ON si.product_id = p.id
+     WHERE si.sale_id = ? ORDER BY si.id`,
+    [saleId]
+  );
+
+  const [refunds] = await connection.execute(
+    'SELECT COALESCE(SUM(refund_amount), 0) as refunded FROM sale_returns WHERE sale_id = ?',
+    [saleId]
+  );
+
+  return {
+    ...sales[0],
+    items,
+    refunded_amount: roundAmount(refunds[0].refunded)
+  };
+};
+
+// Remboursement d'une quantité retournée : prix net de la ligne, remise et taxe de la vente réparties au prorata
+const computeLineRefund = (sale, item, quantity) => {
+  const subtotal = parseFloat(sale.subtotal);
+  const ratio = subtotal > 0 ? parseFloat(sale.total_amount) / subtotal : 0;
+  return roundAmount(parseFloat(item.total_price) / item.quantity * quantity * ratio);
+};
+
+// Remettre en stock (dans le dépôt de la vente) les quantités retournées et enregistrer le remboursement
+const recordReturn = async (connection, sale, lines, { returnType, refundMethod, refundReference = null, reason = null, userId = null }) => {
+  let refundAmount = roundAmount(lines.reduce((sum, line) => sum + line.refund_amount, 0));
+
+  // Quand tout est rendu, le remboursement solde exactement la vente (écarts d'arrondi compris)
+  const remainingAmount = roundAmount(parseFloat(sale.total_amount) - sale.refunded_amount);
+  const fullyReturned = sale.items.every((item) => {
+    const line = lines.find((candidate) => candidate.item.id === item.id);
+    return item.quantity_returned + (line ? line.quantity : 0) >= item.quantity;
+  });
+  if (fullyReturned || refundAmount > remainingAmount) {
+    const difference = roundAmount(remainingAmount - refundAmount);
+    lines[lines.length - 1].refund_amount = roundAmount(lines[lines.length - 1].refund_amount + difference);
+    refundAmount = remainingAmount;
+  }
+
+  const [result] = await connection.execute(
+    `INSERT INTO sale_returns (sale_id, return_type, refund_amount, refund_method, refund_reference, reason, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [sale.id, returnType, refundAmount, refundMethod || sale.payment_method, refundReference, reason, userId]
+  );
+  const returnId = result.insertId;
+
+  for (const line of lines) {
+    await connection.execute(
+      `INSERT INTO sale_return_items (return_id, sale_item_id, product_id, quantity, refund_amount)
+       VALUES (?, ?, ?, ?, ?)`,
+      [returnId, line.item.id, line.item.product_id, line.quantity, line.refund_amount]
+    );
+
+    await connection.execute(
+      'UPDATE sale_items SET quantity_returned = quantity_returned + ? WHERE id = ?',
+      [line.quantity, line.item.id]
+    );
+
+    // Les unités reviennent en stock à leur coût de vente d'origine
+    const unitCost = parseFloat(line.item.cogs_amount || 0) / line.item.quantity;
+    await recordStockMovement(connection, {
+      productId: line.item.product_id,
+      warehouseId: sale.warehouse_id,
+      type: 'return',
+      quantity: line.quantity,
+      unitCost: roundAmount(unitCost),
+      totalCost: unitCost * line.quantity,
+      referenceType: returnType === 'void' ? 'sale_void' : 'sale_return',
+      referenceId: returnId,
+      notes: `${returnType === 'void' ? 'Annulation' : 'Retour'} de la vente ${sale.sale_number}`,
+      userId
+    });
+
+    await addCostLayer(connection, {
+      productId: line.item.product_id,
+      quantity: line.quantity,
+      unitCost,
+      sourceType: returnType === 'void' ? 'sale_void' : 'sale_return',
+      sourceId: returnId
+    });
+
+    // Les unités sérialisées retournées (toutes celles de la ligne pour une annulation) reviennent en stock
+    if (line.item.is_serialized) {
+      await returnSoldUnits(connection, {
+        saleItemId: line.item.id,
+        serialNumbers: returnType === 'void' ? null : line.serialNumbers,
+        warehouseId: sale.warehouse_id,
+        returnId,
+        eventType: returnType === 'void' ? 'voided' : 'returned',
+        userId
+      });
+    }
+  }
+
+  return {
+    returnId,
+    refund_amount: refundAmount,
+    net_amount: roundAmount(remainingAmount - refundAmount)
+  };
+};
+
+// Retour total ou partiel de lignes d'une vente
+const returnSaleItems = async (connection, saleId, { items, refundMethod = null, refundReference = null, reason = null }, { userId = null } = {}) => {
+  const sale = await lockSale(connection, saleId);
+
+  if (sale.status !== 'completed') {
+    throw new ServiceError('Seule une vente finalisée peut faire l\'objet d\'un retour');
+  }
+
+  const lines = [];
+  for (const entry of items) {
+    const item = sale.items.find((candidate) => candidate.id === Number(entry.sale_item_id));
+    if (!item) {
+      throw new ServiceError(`Ligne ${entry.sale_item_id} introuvable dans cette vente`);
+    }
+    if (lines.some((line) => line.item.id === item.id)) {
+      throw new ServiceError(`Ligne ${entry.sale_item_id} présente plusieurs fois dans le retour`);
+    }
+
+    const quantity = Number(entry.quantity);
+    const returnable = item.quantity - item.quantity_returned;
+    if (quantity > returnable) {
+      throw new ServiceError(`Quantité retournée supérieure à la quantité restante (${returnable}) pour la ligne ${entry.sale_item_id}`);
+    }
+
+    lines.push({
+      item,
+      quantity,
+      refund_amount: computeLineRefund(sale, item, quantity),
+      serialNumbers: item.is_serialized ? checkSerialCount(item, entry.serial_numbers, quantity) : null
+    });
+  }
+
+  return recordReturn(connection, sale, lines, {
+    returnType: 'return',
+    refundMethod,
+    refundReference,
+    reason,
+    userId
+  });
+};
+
+// Annuler une vente du jour : tout ce qui n'a pas déjà été retourné est remis en stock et remboursé
+const voidSale = async (connection, saleId, { refundMethod = null, refundReference = null, reason = null }, { userId = null } = {}) => {
+  const sale = await lockSale(connection, saleId);
+
+  if (sale.status !== 'completed') {
+    throw new ServiceError('Seule une vente finalisée peut être annulée');
+  }
+
+  if (!moment(sale.created_at).isSame(moment(), 'day')) {
+    throw new ServiceError('Seule une vente du jour peut être annulée, utilisez un retour');
+  }
+
+  const lines = sale.items
+    .filter((item) => item.quantity > item.quantity_returned)
+    .map((item) => {
+      const quantity = item.quantity - item.quantity_returned;
+      return { item, quantity, refund_amount: computeLineRefund(sale, item, quantity) };
+    });
+
+  let result = { returnId: null, refund_amount: 0, net_amount: 0 };
+  if (lines.length > 0 && sale.refunded_amount < parseFloat(sale.total_amount) - EPSILON) {
+    result = await recordReturn(connection, sale, lines, {
+      returnType: 'void',
+      refundMethod,
+      refundReference,
+      reason,
+      userId
+    });
+  }
+
+  await connection.execute(
+    "UPDATE sales SET status = 'voided', voided_at = ?, voided_by = ? WHERE id = ?",
+    [new Date(), userId, saleId]
+  );
+
+  return { ...result, status: 'voided' };
+};
+
+module.exports = {
+  getBackorderPolicy,
+  priceSale,
+  createSale,
+  returnSaleItems,
+  voidSale
+};
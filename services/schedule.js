@@ -0,0 +1,280 @@
+const moment = require('moment');
+const { query } = require('../config/database');
+const { ServiceError } = require('./errors');
+
+// Types de dépendance : la première partie porte sur la tâche prérequise, la seconde sur la tâche dépendante
+const DEPENDENCY_TYPES = ['finish_to_start', 'start_to_start', 'finish_to_finish', 'start_to_finish'];
+
+// Heures de travail par jour pour convertir l'estimation d'une tâche en durée (jours calendaires, au moins un jour)
+const HOURS_PER_DAY = 8;
+
+const getTaskDuration = (task) => Math.max(1, Math.ceil((parseFloat(task.estimated_hours) || 0) / HOURS_PER_DAY));
+
+// Vérifier qu'une tâche (prerequisiteId) ne dépend pas déjà, directement ou non, de la tâche taskId
+const wouldCreateCycle = (dependencies, taskId, prerequisiteId) => {
+  const predecessors = new Map();
+  for (const dependency of dependencies) {
+    predecessors.set(dependency.task_id, [...(predecessors.get(dependency.task_id) || []), dependency.depends_on_task_id]);
+  }
+
+  const visited = new Set();
+  const stack = [prerequisiteId];
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (current === taskId) {
+      return true;
+    }
+    if (!visited.has(current)) {
+      visited.add(current);
+      stack.push(...(predecessors.get(current) || []));
+    }
+  }
+
+  return false;
+};
+
+// Ajouter une dépendance entre deux tâches d'un même projet, en refusant les cycles
+const addTaskDependency = async (connection, projectId, taskId, {
+  dependsOnTaskId, type = 'finish_to_start', lagDays = 0
+}, { userId = null } = {}) => {
+  const successorId = Number(taskId);
+  const prerequisiteId = Number(dependsOnTaskId);
+
+  if (successorId === prerequisiteId) {
+    throw new ServiceError('Une tâche ne peut pas dépendre d\'elle-même');
+  }
+
+  // Verrouiller le projet pour sérialiser les modifications de son graphe de dépendances
+  const [projects] = await connection.execute('SELECT id FROM projects WHERE id = ? FOR UPDATE', [projectId]);
+  if (projects.length === 0) {
+    throw new ServiceError('Projet non trouvé', 404);
+  }
+
+  const [tasks] = await connection.query(
+    'SELECT id FROM project_tasks WHERE project_id = ? AND id IN (?)',
+    [projectId, [successorId, prerequisiteId]]
+  );
+  if (tasks.length !== 2) {
+    throw new ServiceError('Les deux tâches doivent appartenir au projet', 404);
+  }
+
+  const [dependencies] = await connection.execute(
+    `SELECT d.task_id, d.depends_on_task_id
+     FROM task_dependencies d
+     JOIN project_tasks pt ON d.task_id = pt.id
+     WHERE pt.project_id = ?`,
+    [projectId]
+  );
+
+  if (dependencies.some((dependency) => dependency.task_id === successorId && dependency.depends_on_task_id === prerequisiteId)) {
+    throw new ServiceError('Cette dépendance existe déjà');
+  }
+
+  if (wouldCreateCycle(dependencies, successorId, prerequisiteId)) {
+    throw new ServiceError('Cette dépendance créerait un cycle entre les tâches');
+  }
+
+  const [result] = await connection.execute(
+    'INSERT INTO task_dependencies (task_id, depends_on_task_id, type, lag_days, created_by) VALUES (?, ?, ?, ?, ?)',
+    [successorId, prerequisiteId, type, lagDays, userId]
+  );
+
+  return { dependencyId: result.insertId, task_id: successorId, depends_on_task_id: prerequisiteId, type, lag_days: lagDays };
+};
+
+// Ordonner les tâches pour que chaque tâche suive ses prérequis (tri topologique)
+const sortTasks = (tasks, dependencies) => {
+  const remaining = new Map(tasks.map((task) => [task.id, 0]));
+  for (const dependency of dependencies) {
+    remaining.set(dependency.task_id, remaining.get(dependency.task_id) + 1);
+  }
+
+  const ready = tasks.filter((task) => remaining.get(task.id) === 0).map((task) => task.id);
+  const order = [];
+  while (ready.length > 0) {
+    const taskId = ready.shift();
+    order.push(taskId);
+    for (const dependency of dependencies.filter((candidate) => candidate.depends_on_task_id === taskId)) {
+      remaining.set(dependency.task_id, remaining.get(dependency.task_id) - 1);
+      if (remaining.get(dependency.task_id) === 0) {
+        ready.push(dependency.task_id);
+      }
+    }
+  }
+
+  if (order.length !== tasks.length) {
+    throw new ServiceError('Les dépendances du projet forment un cycle');
+  }
+
+  return order;
+};
+
+// Passe arrière : fin au plus tard de chaque tâche pour une fin de projet donnée (en jours depuis le début)
+const computeLateFinish = (order, nodes, dependencies, projectFinish) => {
+  const lateFinish = new Map();
+
+  for (const taskId of [...order].reverse()) {
+    const node = nodes.get(taskId);
+    let finish = projectFinish;
+
+    for (const dependency of dependencies.filter((candidate) => candidate.depends_on_task_id === taskId)) {
+      const successor = nodes.get(dependency.task_id);
+      const successorLateFinish = lateFinish.get(dependency.task_id);
+      const successorLateStart = successorLateFinish - successor.duration;
+      const lag = dependency.lag_days;
+
+      const limit = {
+        finish_to_start: successorLateStart - lag,
+        start_to_start: successorLateStart - lag + node.duration,
+        finish_to_finish: successorLateFinish - lag,
+        start_to_finish: successorLateFinish - lag + node.duration
+      }[dependency.type];
+
+      finish = Math.min(finish, limit);
+    }
+
+    lateFinish.set(taskId, finish);
+  }
+
+  return lateFinish;
+};
+
+// Planning d'un projet par la méthode du chemin critique
+// Les durées viennent de l'estimation des tâches ; les tâches annulées sont exclues
+// Dates en jours calendaires à partir du début du projet (à défaut aujourd'hui), fins incluses
+const computeProjectSchedule = async (projectId) => {
+  const projects = await query('SELECT id, name, start_date, end_date, status FROM projects WHERE id = ?', [projectId]);
+  if (projects.length === 0) {
+    throw new ServiceError('Projet non trouvé', 404);
+  }
+  const project = projects[0];
+
+  const tasks = await query(`
+    SELECT pt.id, pt.parent_task_id, pt.title, pt.status, pt.priority, pt.assigned_to, pt.due_date,
+           pt.estimated_hours, pt.actual_hours, u.first_name as assigned_first_name, u.last_name as assigned_last_name
+    FROM project_tasks pt
+    LEFT JOIN users u ON pt.assigned_to = u.id
+    WHERE pt.project_id = ? AND pt.status != 'cancelled'
+    ORDER BY pt.id
+  `, [projectId]);
+
+  const taskIds = new Set(tasks.map((task) => task.id));
+  const dependencies = (await query(`
+    SELECT d.id, d.task_id, d.depends_on_task_id, d.type, d.lag_days
+    FROM task_dependencies d
+    JOIN project_tasks pt ON d.task_id = pt.id
+    WHERE pt.project_id = ?
+  `, [projectId])).filter((dependency) => taskIds.has(dependency.task_id) && taskIds.has(dependency.depends_on_task_id));
+
+  const order = sortTasks(tasks, dependencies);
+  const nodes = new Map(tasks.map((task) => [task.id, { task, duration: getTaskDuration(task) }]));
+
+  // Passe avant : début au plus tôt de chaque tâche
+  const earlyStart = new Map();
+  for (const taskId of order) {
+    const node = nodes.get(taskId);
+    let start = 0;
+
+    for (const dependency of dependencies.filter((candidate) => candidate.task_id === taskId)) {
+      const predecessor = nodes.get(dependency.depends_on_task_id);
+      const predecessorStart = earlyStart.get(dependency.depends_on_task_id);
+      const predecessorFinish = predecessorStart + predecessor.duration;
+      const lag = dependency.lag_days;
+
+      const limit = {
+        finish_to_start: predecessorFinish + lag,
+        start_to_start: predecessorStart + lag,
+        finish_to_finish: predecessorFinish + lag - node.duration,
+        start_to_finish: predecessorStart + lag - node.duration
+      }[dependency.type];
+
+      start = Math.max(start, limit);
+    }
+
+    earlyStart.set(taskId, start);
+  }
+
+  const computedFinish = Math.max(0, ...order.map((taskId) => earlyStart.get(taskId) + nodes.get(taskId).duration));
+  const lateFinish = computeLateFinish(order, nodes, dependencies, computedFinish);
+
+  const startDate = moment(project.start_date || undefined).startOf('day');
+  const deadline = project.end_date ? moment(project.end_date).diff(startDate, 'days') + 1 : null;
+  const deadlineLateFinish = deadline !== null ? computeLateFinish(order, nodes, dependencies, deadline) : null;
+
+  const toDate = (offset) => startDate.clone().add(offset, 'days').format('YYYY-MM-DD');
+
+  const scheduled = order.map((taskId) => {
+    const { task, duration } = nodes.get(taskId);
+    const es = earlyStart.get(taskId);
+    const ef = es + duration;
+    const lf = lateFinish.get(taskId);
+    const slack = lf - ef;
+
+    return {
+      id: task.id,
+      parent_task_id: task.parent_task_id,
+      title: task.title,
+      status: task.status,
+      priority: task.priority,
+      assigned_to: task.assigned_to,
+      assigned_name: task.assigned_to ? `${task.assigned_first_name} ${task.assigned_last_name}` : null,
+      estimated_hours: task.estimated_hours !== null ? parseFloat(task.estimated_hours) : null,
+      duration_days: duration,
+      progress: task.status === 'done' ? 100 : 0,
+      earliest_start: toDate(es),
+      earliest_finish: toDate(ef - 1),
+      latest_start: toDate(lf - duration),
+      latest_finish: toDate(lf - 1),
+      slack_days: slack,
+      is_critical: slack === 0,
+      due_date: task.due_date ? moment(task.due_date).format('YYYY-MM-DD') : null,
+      misses_due_date: task.due_date ? moment(toDate(ef - 1)).isAfter(moment(task.due_date), 'day') : false,
+      threatens_end_date: deadlineLateFinish !== null ? ef > deadlineLateFinish.get(taskId) : false,
+      dependencies: dependencies
+        .filter((dependency) => dependency.task_id === task.id)
+        .map((dependency) => ({
+          id: dependency.id,
+          depends_on_task_id: dependency.depends_on_task_id,
+          type: dependency.type,
+          lag_days: dependency.lag_days
+        }))
+    };
+  });
+
+  // Chemin critique : tâches sans marge, dans l'ordre de leur début au plus tôt
+  const criticalPath = scheduled
+    .filter((task) => task.is_critical)
+    .sort((a, b) => a.earliest_start.localeCompare(b.earliest_start) || a.id - b.id)
+    .map((task) => task.id);
+
+  return {
+    project: {
+      id: project.id,
+      name: project.name,
+      status: project.status,
+      start_date: startDate.format('YYYY-MM-DD'),
+      end_date: project.end_date ? moment(project.end_date).format('YYYY-MM-DD') : null,
+      computed_end_date: computedFinish > 0 ? toDate(computedFinish - 1) : startDate.format('YYYY-MM-DD'),
+      duration_days: computedFinish,
+      overruns_end_date: deadline !== null && computedFinish > deadline
+    },
+    tasks: scheduled,
+    links: dependencies.map((dependency) => ({
+      id: dependency.id,
+      source: dependency.depends_on_task_id,
+      target: dependency.task_id,
+      type: dependency.type,
+      lag_days: dependency.lag_days
+    })),
+    critical_path: criticalPath,
+    threatened_tasks: scheduled.filter((task) => task.threatens_end_date).map((task) => task.id)
+  };
+};
+
+module.exports = {
+  DEPENDENCY_TYPES,
+  wouldCreateCycle,
+  sortTasks,
+  addTaskDependency,
+  computeProjectSchedule
+};
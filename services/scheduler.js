@@ -0,0 +1,55 @@
+const { runBilling } = require('./billing');
+const { runDunning } = require('./dunning');
+
+// Tâches périodiques exécutées par le serveur (ENABLE_SCHEDULER=true)
+const jobs = [
+  { name: 'facturation des abonnements', run: () => runBilling() },
+  { name: 'relances des factures en retard', run: () => runDunning() }
+];
+
+let timer = null;
+let running = false;
+
+const runJobs = async () => {
+  // Ne pas chevaucher deux passages si le précédent n'est pas terminé
+  if (running) {
+    return;
+  }
+  running = true;
+
+  for (const job of jobs) {
+    try {
+      await job.run();
+    } catch (error) {
+      console.error(`Erreur lors de la tâche planifiée (${job.name}):`, error);
+    }
+  }
+
+  running = false;
+};
+
+const startScheduler = () => {
+  if (timer || process.env.ENABLE_SCHEDULER !== 'true') {
+    return false;
+  }
+
+  const intervalMinutes = parseInt(process.env.SCHEDULER_INTERVAL_MINUTES || 60);
+  timer = setInterval(runJobs, intervalMinutes * 60 * 1000);
+  runJobs();
+
+  console.log(`⏰ Tâches planifiées actives (toutes les ${intervalMinutes} min)`);
+  return true;
+};
+
+const stopScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  startScheduler,
+  stopScheduler,
+  runJobs
+};
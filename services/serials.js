@@ -0,0 +1,352 @@
+const { adjustStock, resolveWarehouseId } = require('./stock');
+const { ServiceError } = require('./errors');
+
+// Statuts d'une unité sérialisée ; seules les unités in_stock font partie du stock
+const UNIT_STATUSES = ['in_stock', 'sold', 'assigned', 'in_repair', 'retired', 'loaned'];
+
+// Changements de statut possibles hors vente et retour de vente
+// Une unité prêtée à un employé ne revient en stock que par le retour du prêt
+const MANUAL_TRANSITIONS = {
+  in_stock: ['assigned', 'in_repair', 'retired'],
+  assigned: ['in_stock', 'in_repair', 'retired'],
+  in_repair: ['in_stock', 'retired'],
+  sold: [],
+  retired: [],
+  loaned: []
+};
+
+// Nettoyer une liste de numéros de série et refuser les doublons
+const normalizeSerials = (serialNumbers = []) => {
+  const serials = serialNumbers.map((serial) => String(serial).trim()).filter((serial) => serial !== '');
+  const duplicates = serials.filter((serial, index) => serials.indexOf(serial) !== index);
+  if (duplicates.length > 0) {
+    throw new ServiceError(`Numéro(s) de série en double: ${[...new Set(duplicates)].join(', ')}`);
+  }
+  return serials;
+};
+
+// Vérifier qu'une ligne d'un produit sérialisé porte un numéro de série par unité
+const checkSerialCount = (product, serialNumbers, quantity) => {
+  const serials = normalizeSerials(serialNumbers || []);
+  if (serials.length !== quantity) {
+    throw new ServiceError(`${product.name} est suivi par numéro de série : ${quantity} numéro(s) attendu(s), ${serials.length} fourni(s)`);
+  }
+  return serials;
+};
+
+// Ajouter une entrée à l'historique d'une unité
+const recordUnitEvent = async (connection, unitId, {
+  eventType, fromStatus = null, toStatus = null, warehouseId = null,
+  referenceType = null, referenceId = null, notes = null, userId = null
+}) => {
+  await connection.execute(
+    `INSERT INTO equipment_unit_events (unit_id, event_type, from_status, to_status, warehouse_id,
+                                       reference_type, reference_id, notes, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [unitId, eventType, fromStatus, toStatus, warehouseId, referenceType, referenceId, notes, userId]
+  );
+};
+
+// Verrouiller des unités d'un produit par numéro de série et vérifier leur statut (et leur dépôt)
+const lockUnits = async (connection, productId, serialNumbers, { status, warehouseId = null }) => {
+  const [units] = await connection.query(
+    `SELECT id, serial_number, status, warehouse_id, transfer_id, sale_item_id
+     FROM equipment_units WHERE product_id = ? AND serial_number IN (?) ORDER BY id FOR UPDATE`,
+    [productId, serialNumbers]
+  );
+
+  const missing = serialNumbers.filter((serial) => !units.some((unit) => unit.serial_number === serial));
+  if (missing.length > 0) {
+    throw new ServiceError(`Numéro(s) de série inconnu(s) pour ce produit: ${missing.join(', ')}`, 404);
+  }
+
+  const unavailable = units.filter((unit) => unit.status !== status || unit.transfer_id !== null ||
+    (warehouseId && unit.warehouse_id !== warehouseId));
+  if (unavailable.length > 0) {
+    throw new ServiceError(`Unité(s) non disponible(s): ${unavailable.map((unit) => unit.serial_number).join(', ')}`);
+  }
+
+  return units;
+};
+
+// Créer les unités reçues d'un lot d'achat
+const receiveUnits = async (connection, { productId, serialNumbers, warehouseId, unitCost, receiptId, userId = null }) => {
+  const [existing] = await connection.query(
+    'SELECT serial_number FROM equipment_units WHERE serial_number IN (?)',
+    [serialNumbers]
+  );
+  if (existing.length > 0) {
+    throw new ServiceError(`Numéro(s) de série déjà enregistré(s): ${existing.map((unit) => unit.serial_number).join(', ')}`);
+  }
+
+  for (const serialNumber of serialNumbers) {
+    const [result] = await connection.execute(
+      `INSERT INTO equipment_units (product_id, serial_number, warehouse_id, unit_cost, purchase_receipt_id)
+       VALUES (?, ?, ?, ?, ?)`,
+      [productId, serialNumber, warehouseId, unitCost, receiptId]
+    );
+
+    await recordUnitEvent(connection, result.insertId, {
+      eventType: 'received',
+      toStatus: 'in_stock',
+      warehouseId,
+      referenceType: 'purchase_receipt',
+      referenceId: receiptId,
+      userId
+    });
+  }
+};
+
+// Marquer comme vendues les unités choisies sur une ligne de vente
+const sellUnits = async (connection, { productId, serialNumbers, warehouseId, saleId, saleItemId, userId = null }) => {
+  const units = await lockUnits(connection, productId, serialNumbers, { status: 'in_stock', warehouseId });
+
+  for (const unit of units) {
+    await connection.execute(
+      "UPDATE equipment_units SET status = 'sold', sale_id = ?, sale_item_id = ? WHERE id = ?",
+      [saleId, saleItemId, unit.id]
+    );
+
+    await recordUnitEvent(connection, unit.id, {
+      eventType: 'sold',
+      fromStatus: 'in_stock',
+      toStatus: 'sold',
+      warehouseId,
+      referenceType: 'sale',
+      referenceId: saleId,
+      userId
+    });
+  }
+};
+
+// Remettre en stock des unités vendues sur une ligne (toutes celles encore vendues si aucun numéro n'est donné)
+const returnSoldUnits = async (connection, { saleItemId, serialNumbers = null, warehouseId, returnId, eventType = 'returned', userId = null }) => {
+  const [units] = await connection.query(
+    `SELECT id, serial_number FROM equipment_units
+     WHERE sale_item_id = ? AND status = 'sold'${serialNumbers ? ' AND serial_number IN (?)' : ''}
+     ORDER BY id FOR UPDATE`,
+    serialNumbers ? [saleItemId, serialNumbers] : [saleItemId]
+  );
+
+  if (serialNumbers) {
+    const missing = serialNumbers.filter((serial) => !units.some((unit) => unit.serial_number === serial));
+    if (missing.length > 0) {
+      throw new ServiceError(`Numéro(s) de série non vendu(s) sur cette ligne: ${missing.join(', ')}`);
+    }
+  }
+
+  for (const unit of units) {
+    await connection.execute(
+      "UPDATE equipment_units SET status = 'in_stock', warehouse_id = ?, sale_id = NULL, sale_item_id = NULL WHERE id = ?",
+      [warehouseId, unit.id]
+    );
+
+    await recordUnitEvent(connection, unit.id, {
+      eventType,
+      fromStatus: 'sold',
+      toStatus: 'in_stock',
+      warehouseId,
+      referenceType: eventType === 'voided' ? 'sale_void' : 'sale_return',
+      referenceId: returnId,
+      userId
+    });
+  }
+};
+
+// Expédier des unités dans un transfert : elles restent rattachées au dépôt d'origine jusqu'à la réception
+const shipUnits = async (connection, { productId, serialNumbers, warehouseId, transferId, userId = null }) => {
+  const units = await lockUnits(connection, productId, serialNumbers, { status: 'in_stock', warehouseId });
+
+  for (const unit of units) {
+    await connection.execute('UPDATE equipment_units SET transfer_id = ? WHERE id = ?', [transferId, unit.id]);
+
+    await recordUnitEvent(connection, unit.id, {
+      eventType: 'transfer_shipped',
+      fromStatus: 'in_stock',
+      toStatus: 'in_stock',
+      warehouseId,
+      referenceType: 'stock_transfer',
+      referenceId: transferId,
+      userId
+    });
+  }
+};
+
+// Déposer les unités d'un transfert dans un dépôt (destination à la réception, origine à l'annulation)
+const landTransferUnits = async (connection, { transferId, warehouseId, eventType, userId = null }) => {
+  const [units] = await connection.execute(
+    'SELECT id FROM equipment_units WHERE transfer_id = ? ORDER BY id FOR UPDATE',
+    [transferId]
+  );
+
+  for (const unit of units) {
+    await connection.execute(
+      'UPDATE equipment_units SET warehouse_id = ?, transfer_id = NULL WHERE id = ?',
+      [warehouseId, unit.id]
+    );
+
+    await recordUnitEvent(connection, unit.id, {
+      eventType,
+      fromStatus: 'in_stock',
+      toStatus: 'in_stock',
+      warehouseId,
+      referenceType: 'stock_transfer',
+      referenceId: transferId,
+      userId
+    });
+  }
+};
+
+// Prêter une unité en stock à un employé : elle quitte son dépôt jusqu'au retour du prêt
+const lendUnit = async (connection, { productId, serialNumber, warehouseId, loanId, userId = null }) => {
+  const [unit] = await lockUnits(connection, productId, [serialNumber], { status: 'in_stock', warehouseId });
+
+  await connection.execute("UPDATE equipment_units SET status = 'loaned' WHERE id = ?", [unit.id]);
+
+  await recordUnitEvent(connection, unit.id, {
+    eventType: 'loaned',
+    fromStatus: 'in_stock',
+    toStatus: 'loaned',
+    warehouseId,
+    referenceType: 'equipment_loan',
+    referenceId: loanId,
+    userId
+  });
+
+  return unit.id;
+};
+
+// Remettre en stock une unité prêtée, dans le dépôt où elle est rendue
+const returnLoanedUnit = async (connection, { unitId, warehouseId, loanId, notes = null, userId = null }) => {
+  await connection.execute(
+    "UPDATE equipment_units SET status = 'in_stock', warehouse_id = ? WHERE id = ?",
+    [warehouseId, unitId]
+  );
+
+  await recordUnitEvent(connection, unitId, {
+    eventType: 'loan_returned',
+    fromStatus: 'loaned',
+    toStatus: 'in_stock',
+    warehouseId,
+    referenceType: 'equipment_loan',
+    referenceId: loanId,
+    notes,
+    userId
+  });
+};
+
+// Changer le statut d'une unité (affectation, réparation, mise au rebut, retour en stock)
+// Une unité qui quitte le stock ou y revient est passée en ajustement de stock dans son dépôt
+const changeUnitStatus = async (connection, serialNumber, {
+  status, subscriptionId = null, clientId = null, warehouseId = null, notes = null
+}, { userId = null } = {}) => {
+  const [units] = await connection.execute(
+    `SELECT id, product_id, serial_number, status, warehouse_id, transfer_id, unit_cost, client_id, subscription_id
+     FROM equipment_units WHERE serial_number = ? FOR UPDATE`,
+    [serialNumber]
+  );
+
+  if (units.length === 0) {
+    throw new ServiceError('Numéro de série non trouvé', 404);
+  }
+
+  const unit = units[0];
+  if (!MANUAL_TRANSITIONS[unit.status].includes(status)) {
+    throw new ServiceError(`Passage impossible du statut ${unit.status} au statut ${status}`);
+  }
+
+  if (unit.transfer_id !== null) {
+    throw new ServiceError('L\'unité est en cours de transfert entre dépôts');
+  }
+
+  let targetClientId = unit.client_id;
+  let targetSubscriptionId = unit.subscription_id;
+  if (status === 'assigned') {
+    if (subscriptionId) {
+      const [subscriptions] = await connection.execute('SELECT id, client_id FROM subscriptions WHERE id = ?', [subscriptionId]);
+      if (subscriptions.length === 0) {
+        throw new ServiceError('Abonnement non trouvé', 404);
+      }
+      targetSubscriptionId = subscriptions[0].id;
+      targetClientId = subscriptions[0].client_id;
+    } else if (clientId) {
+      const [clients] = await connection.execute('SELECT id FROM clients WHERE id = ?', [clientId]);
+      if (clients.length === 0) {
+        throw new ServiceError('Client non trouvé', 404);
+      }
+      targetSubscriptionId = null;
+      targetClientId = clients[0].id;
+    } else {
+      throw new ServiceError('Une unité affectée doit l\'être à un abonnement ou à un client');
+    }
+  } else if (status === 'in_stock') {
+    targetClientId = null;
+    targetSubscriptionId = null;
+  }
+
+  let targetWarehouseId = unit.warehouse_id;
+  if (unit.status === 'in_stock') {
+    await adjustStock(connection, {
+      productId: unit.product_id,
+      warehouseId: unit.warehouse_id,
+      quantity: -1,
+      reasonCode: `unit_${status}`,
+      referenceType: 'equipment_unit',
+      referenceId: unit.id,
+      notes: `Unité ${unit.serial_number}`,
+      userId
+    });
+  } else if (status === 'in_stock') {
+    targetWarehouseId = await resolveWarehouseId(connection, warehouseId || unit.warehouse_id);
+    await adjustStock(connection, {
+      productId: unit.product_id,
+      warehouseId: targetWarehouseId,
+      quantity: 1,
+      unitCost: unit.unit_cost !== null ? parseFloat(unit.unit_cost) : null,
+      reasonCode: 'unit_returned',
+      referenceType: 'equipment_unit',
+      referenceId: unit.id,
+      notes: `Unité ${unit.serial_number}`,
+      userId
+    });
+  }
+
+  await connection.execute(
+    'UPDATE equipment_units SET status = ?, warehouse_id = ?, client_id = ?, subscription_id = ? WHERE id = ?',
+    [status, targetWarehouseId, targetClientId, targetSubscriptionId, unit.id]
+  );
+
+  await recordUnitEvent(connection, unit.id, {
+    eventType: status === 'assigned' ? 'assigned' : `status_${status}`,
+    fromStatus: unit.status,
+    toStatus: status,
+    warehouseId: targetWarehouseId,
+    referenceType: targetSubscriptionId ? 'subscription' : (targetClientId ? 'client' : null),
+    referenceId: targetSubscriptionId || targetClientId,
+    notes,
+    userId
+  });
+
+  return {
+    unitId: unit.id,
+    serial_number: unit.serial_number,
+    status,
+    warehouse_id: targetWarehouseId,
+    client_id: targetClientId,
+    subscription_id: targetSubscriptionId
+  };
+};
+
+module.exports = {
+  UNIT_STATUSES,
+  checkSerialCount,
+  recordUnitEvent,
+  receiveUnits,
+  sellUnits,
+  returnSoldUnits,
+  shipUnits,
+  landTransferUnits,
+  lendUnit,
+  returnLoanedUnit,
+  changeUnitStatus
+};
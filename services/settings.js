@@ -0,0 +1,50 @@
+const { query } = require('../config/database');
+
+// Paramètres de l'entreprise et valeurs par défaut
+const DEFAULT_COMPANY_SETTINGS = {
+  company_name: 'CY Systems',
+  company_address: '',
+  company_city: '',
+  company_country: '',
+  company_phone: '',
+  company_email: '',
+  company_website: '',
+  company_tax_number: '',
+  logo_path: '',
+  invoice_footer: '',
+  currency: 'USD',
+  inventory_costing_method: 'fifo'
+};
+
+// Récupérer les paramètres de l'entreprise, complétés par les valeurs par défaut
+const getCompanySettings = async () => {
+  const rows = await query('SELECT setting_key, setting_value FROM company_settings');
+
+  const settings = { ...DEFAULT_COMPANY_SETTINGS };
+  for (const row of rows) {
+    settings[row.setting_key] = row.setting_value;
+  }
+
+  return settings;
+};
+
+// Enregistrer les paramètres fournis (les clés inconnues sont ignorées)
+const updateCompanySettings = async (values) => {
+  const keys = Object.keys(values).filter((key) => key in DEFAULT_COMPANY_SETTINGS);
+
+  for (const key of keys) {
+    await query(
+      `INSERT INTO company_settings (setting_key, setting_value) VALUES (?, ?)
+       ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value)`,
+      [key, values[key] === null || values[key] === undefined ? null : String(values[key])]
+    );
+  }
+
+  return keys;
+};
+
+module.exports = {
+  DEFAULT_COMPANY_SETTINGS,
+  getCompanySettings,
+  updateCompanySettings
+};
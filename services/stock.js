@@ -0,0 +1,159 @@
+const { roundAmount } = require('./money');
+const { ServiceError } = require('./errors');
+const { getCostingMethod, addCostLayer, consumeCostLayers, getCurrentUnitCost } = require('./costing');
+
+// Sens de variation du stock total du produit et du stock du dépôt pour chaque type de mouvement
+// Un ajustement porte une quantité signée (positive si du stock est trouvé, négative s'il manque)
+// Un transfert ne change que le stock des dépôts : la marchandise en transit reste dans le stock total
+// Un prêt à un employé sort le matériel du dépôt, mais il reste la propriété de l'entreprise et dans le stock total
+const STOCK_DIRECTIONS = {
+  in: { total: 1, warehouse: 1 },
+  out: { total: -1, warehouse: -1 },
+  return: { total: 1, warehouse: 1 },
+  adjustment: { total: 1, warehouse: 1 },
+  transfer_out: { total: 0, warehouse: -1 },
+  transfer_in: { total: 0, warehouse: 1 },
+  loan: { total: 0, warehouse: -1 },
+  loan_return: { total: 0, warehouse: 1 }
+};
+
+// Motifs d'ajustement de stock
+const ADJUSTMENT_REASONS = ['count_variance', 'damaged', 'lost', 'theft', 'found', 'expired', 'data_error'];
+
+// Dépôt utilisé quand aucun dépôt n'est précisé
+const getDefaultWarehouseId = async (connection) => {
+  const [warehouses] = await connection.execute(
+    'SELECT id FROM warehouses WHERE is_default = TRUE AND is_active = TRUE ORDER BY id LIMIT 1'
+  );
+
+  if (warehouses.length === 0) {
+    throw new ServiceError('Aucun dépôt par défaut n\'est configuré');
+  }
+
+  return warehouses[0].id;
+};
+
+// Vérifier qu'un dépôt existe et est actif, ou renvoyer le dépôt par défaut
+const resolveWarehouseId = async (connection, warehouseId = null) => {
+  if (!warehouseId) {
+    return getDefaultWarehouseId(connection);
+  }
+
+  const [warehouses] = await connection.execute(
+    'SELECT id FROM warehouses WHERE id = ? AND is_active = TRUE',
+    [warehouseId]
+  );
+
+  if (warehouses.length === 0) {
+    throw new ServiceError('Dépôt non trouvé ou inactif', 404);
+  }
+
+  return warehouses[0].id;
+};
+
+// Verrouiller et renvoyer le stock de produits dans un dépôt (Map produit -> quantité)
+const lockWarehouseStock = async (connection, warehouseId, productIds) => {
+  const [rows] = await connection.query(
+    'SELECT product_id, quantity FROM product_stocks WHERE warehouse_id = ? AND product_id IN (?) ORDER BY product_id FOR UPDATE',
+    [warehouseId, productIds]
+  );
+
+  const stock = new Map(productIds.map((productId) => [Number(productId), 0]));
+  for (const row of rows) {
+    stock.set(row.product_id, row.quantity);
+  }
+
+  return stock;
+};
+
+// Enregistrer un mouvement de stock et mettre à jour le stock du produit et celui du dépôt
+// À appeler dans une transaction ; quantity est positive, sauf pour un ajustement
+// totalCost (coût réel des unités, ex. coût des ventes) prime sur quantity * unitCost
+const recordStockMovement = async (connection, {
+  productId, warehouseId = null, type, quantity, unitCost = null, totalCost = null, referenceType = null,
+  referenceId = null, reasonCode = null, notes = null, userId = null
+}) => {
+  const direction = STOCK_DIRECTIONS[type];
+  if (!direction) {
+    throw new Error(`Type de mouvement de stock inconnu: ${type}`);
+  }
+
+  const targetWarehouseId = warehouseId || await getDefaultWarehouseId(connection);
+
+  if (direction.total !== 0) {
+    await connection.execute(
+      'UPDATE products SET current_stock = current_stock + ? WHERE id = ?',
+      [direction.total * quantity, productId]
+    );
+  }
+
+  await connection.execute(
+    `INSERT INTO product_stocks (product_id, warehouse_id, quantity) VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE quantity = quantity + VALUES(quantity)`,
+    [productId, targetWarehouseId, direction.warehouse * quantity]
+  );
+
+  const [result] = await connection.execute(
+    `INSERT INTO stock_movements (product_id, warehouse_id, movement_type, quantity, unit_cost,
+                                 total_cost, reference_type, reference_id, reason_code, notes, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [productId, targetWarehouseId, type, quantity, unitCost,
+     totalCost !== null ? roundAmount(totalCost) : (unitCost === null ? null : roundAmount(quantity * unitCost)),
+     referenceType, referenceId, reasonCode, notes, userId]
+  );
+
+  return result.insertId;
+};
+
+// Ajuster le stock d'un produit d'une quantité signée et renvoyer la valeur (signée) de l'écart
+// Un manque consomme les couches de coût, un surplus crée une couche au coût indiqué, à défaut au coût courant
+const adjustStock = async (connection, {
+  productId, warehouseId = null, quantity, unitCost: knownUnitCost = null, reasonCode,
+  referenceType = null, referenceId = null, notes = null, userId = null
+}) => {
+  let value;
+  let unitCost;
+
+  if (quantity < 0) {
+    value = -(await consumeCostLayers(connection, productId, -quantity, await getCostingMethod()));
+    unitCost = value / quantity;
+  } else {
+    unitCost = knownUnitCost !== null ? knownUnitCost : await getCurrentUnitCost(connection, productId);
+    value = roundAmount(quantity * unitCost);
+  }
+
+  await recordStockMovement(connection, {
+    productId,
+    warehouseId,
+    type: 'adjustment',
+    quantity,
+    unitCost: roundAmount(unitCost),
+    totalCost: value,
+    referenceType,
+    referenceId,
+    reasonCode,
+    notes,
+    userId
+  });
+
+  if (quantity > 0) {
+    await addCostLayer(connection, {
+      productId,
+      quantity,
+      unitCost,
+      sourceType: referenceType || 'adjustment',
+      sourceId: referenceId
+    });
+  }
+
+  return value;
+};
+
+module.exports = {
+  ADJUSTMENT_REASONS,
+  getDefaultWarehouseId,
+  resolveWarehouseId,
+  lockWarehouseStock,
+  recordStockMovement,
+  adjustStock
+};
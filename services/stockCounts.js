@@ -0,0 +1,239 @@
+const { adjustStock, resolveWarehouseId, lockWarehouseStock } = require('./stock');
+const { roundAmount } = require('./money');
+const { ServiceError } = require('./errors');
+
+// Verrouiller une session d'inventaire et vérifier son statut ; à appeler dans une transaction
+const lockSession = async (connection, sessionId, allowedStatuses) => {
+  const [sessions] = await connection.execute(
+    'SELECT id, warehouse_id, category_id, status FROM stock_count_sessions WHERE id = ? FOR UPDATE',
+    [sessionId]
+  );
+
+  if (sessions.length === 0) {
+    throw new ServiceError('Inventaire non trouvé', 404);
+  }
+
+  if (!allowedStatuses.includes(sessions[0].status)) {
+    throw new ServiceError(`Action impossible sur un inventaire au statut ${sessions[0].status}`);
+  }
+
+  return sessions[0];
+};
+
+// Ouvrir une session de comptage dans un dépôt pour une catégorie (ou tout le catalogue)
+// Le stock n'est suivi que par dépôt : une session couvre tout le stock du dépôt pour ses produits
+// Les quantités attendues sont figées à l'ouverture pour information
+const openCountSession = async (connection, { warehouseId = null, categoryId = null, notes = null }, { userId = null } = {}) => {
+  const targetWarehouseId = await resolveWarehouseId(connection, warehouseId);
+
+  if (categoryId) {
+    const [categories] = await connection.execute('SELECT id FROM product_categories WHERE id = ?', [categoryId]);
+    if (categories.length === 0) {
+      throw new ServiceError('Catégorie non trouvée', 404);
+    }
+  }
+
+  // Verrouiller le dépôt pour que deux ouvertures simultanées ne passent pas toutes deux la vérification
+  await connection.execute('SELECT id FROM warehouses WHERE id = ? FOR UPDATE', [targetWarehouseId]);
+
+  // Deux sessions en cours ne peuvent pas ajuster les mêmes produits d'un dépôt :
+  // une session sur tout le catalogue recouvre toutes les catégories
+  const [openSessions] = await connection.execute(
+    `SELECT id FROM stock_count_sessions
+     WHERE status IN ('open', 'submitted') AND warehouse_id = ?
+       AND (category_id IS NULL OR ? IS NULL OR category_id = ?)`,
+    [targetWarehouseId, categoryId, categoryId]
+  );
+  if (openSessions.length > 0) {
+    throw new ServiceError('Un inventaire est déjà en cours pour ce périmètre');
+  }
+
+  const [result] = await connection.execute(
+    'INSERT INTO stock_count_sessions (warehouse_id, category_id, notes, opened_by) VALUES (?, ?, ?, ?)',
+    [targetWarehouseId, categoryId, notes, userId]
+  );
+  const sessionId = result.insertId;
+
+  const [lines] = await connection.execute(
+    `INSERT INTO stock_count_lines (session_id, product_id, expected_quantity)
+     SELECT ?, p.id, COALESCE(ps.quantity, 0)
+     FROM products p
+     LEFT JOIN product_stocks ps ON ps.product_id = p.id AND ps.warehouse_id = ?
+     WHERE p.is_active = 1${categoryId ? ' AND p.category_id = ?' : ''}`,
+    categoryId ? [sessionId, targetWarehouseId, categoryId] : [sessionId, targetWarehouseId]
+  );
+
+  if (lines.affectedRows === 0) {
+    throw new ServiceError('Aucun produit actif à compter dans ce périmètre');
+  }
+
+  return { sessionId, warehouseId: targetWarehouseId, productCount: lines.affectedRows };
+};
+
+// Enregistrer la quantité comptée d'une ligne ; l'écart est calculé sur le stock du dépôt au moment
+// du comptage afin que les ventes et réceptions intervenues entre-temps ne soient pas comptées deux fois
+const setLineCount = async (connection, session, line, countedQuantity, { reasonCode, notes, userId }) => {
+  const stock = await lockWarehouseStock(connection, session.warehouse_id, [line.product_id]);
+  const systemQuantity = stock.get(line.product_id);
+
+  await connection.execute(
+    `UPDATE stock_count_lines
+     SET counted_quantity = ?, system_quantity = ?, variance_quantity = ?,
+         reason_code = COALESCE(?, reason_code), notes = COALESCE(?, notes), counted_by = ?, counted_at = ?
+     WHERE id = ?`,
+    [countedQuantity, systemQuantity, countedQuantity - systemQuantity,
+     reasonCode || null, notes || null, userId, new Date(), line.id]
+  );
+
+  return {
+    line_id: line.id,
+    product_id: line.product_id,
+    system_quantity: systemQuantity,
+    counted_quantity: countedQuantity,
+    variance_quantity: countedQuantity - systemQuantity
+  };
+};
+
+// Saisir des quantités comptées (elles remplacent un comptage précédent de la même ligne)
+const recordCounts = async (connection, sessionId, items, { userId = null } = {}) => {
+  const session = await lockSession(connection, sessionId, ['open']);
+
+  const results = [];
+  for (const item of items) {
+    const [lines] = await connection.execute(
+      'SELECT id, product_id FROM stock_count_lines WHERE session_id = ? AND product_id = ?',
+      [sessionId, item.product_id]
+    );
+    if (lines.length === 0) {
+      throw new ServiceError(`Le produit ${item.product_id} ne fait pas partie de cet inventaire`);
+    }
+
+    results.push(await setLineCount(connection, session, lines[0], Number(item.counted_quantity), {
+      reasonCode: item.reason_code,
+      notes: item.notes,
+      userId
+    }));
+  }
+
+  return results;
+};
+
+// Enregistrer un scan de code-barres : ajoute la quantité scannée au comptage du produit
+const recordScan = async (connection, sessionId, { barcode, quantity = 1 }, { userId = null } = {}) => {
+  const session = await lockSession(connection, sessionId, ['open']);
+
+  const [lines] = await connection.execute(
+    `SELECT l.id, l.product_id, l.counted_quantity, p.name, p.product_code
+     FROM stock_count_lines l
+     JOIN products p ON l.product_id = p.id
+     WHERE l.session_id = ? AND p.barcode = ?
+     FOR UPDATE`,
+    [sessionId, barcode]
+  );
+  if (lines.length === 0) {
+    throw new ServiceError(`Aucun produit de cet inventaire ne correspond au code-barres ${barcode}`, 404);
+  }
+  if (lines.length > 1) {
+    throw new ServiceError(`Le code-barres ${barcode} correspond à plusieurs produits, saisissez le comptage par produit`);
+  }
+
+  const line = lines[0];
+  const result = await setLineCount(connection, session, line, (line.counted_quantity || 0) + Number(quantity), { userId });
+
+  return { ...result, name: line.name, product_code: line.product_code };
+};
+
+// Clore le comptage et transmettre l'inventaire pour approbation
+const submitCountSession = async (connection, sessionId, { userId = null } = {}) => {
+  await lockSession(connection, sessionId, ['open']);
+
+  const [counted] = await connection.execute(
+    'SELECT COUNT(*) as count FROM stock_count_lines WHERE session_id = ? AND counted_quantity IS NOT NULL',
+    [sessionId]
+  );
+  if (counted[0].count === 0) {
+    throw new ServiceError('Aucun produit n\'a encore été compté');
+  }
+
+  await connection.execute(
+    "UPDATE stock_count_sessions SET status = 'submitted', submitted_by = ?, submitted_at = ? WHERE id = ?",
+    [userId, new Date(), sessionId]
+  );
+
+  return 'submitted';
+};
+
+// Approuver un inventaire : chaque écart compté est passé en ajustement de stock avec son motif
+// Les produits non comptés sont laissés tels quels
+const approveCountSession = async (connection, sessionId, { userId = null } = {}) => {
+  const session = await lockSession(connection, sessionId, ['submitted']);
+
+  const [lines] = await connection.execute(
+    `SELECT id, product_id, variance_quantity, reason_code
+     FROM stock_count_lines
+     WHERE session_id = ? AND counted_quantity IS NOT NULL
+     ORDER BY product_id`,
+    [sessionId]
+  );
+
+  let varianceQuantity = 0;
+  let varianceValue = 0;
+  let adjustedLines = 0;
+  for (const line of lines) {
+    let value = 0;
+    if (line.variance_quantity !== 0) {
+      value = await adjustStock(connection, {
+        productId: line.product_id,
+        warehouseId: session.warehouse_id,
+        quantity: line.variance_quantity,
+        reasonCode: line.reason_code || 'count_variance',
+        referenceType: 'stock_count',
+        referenceId: sessionId,
+        notes: `Inventaire n°${sessionId}`,
+        userId
+      });
+      adjustedLines += 1;
+    }
+
+    await connection.execute('UPDATE stock_count_lines SET variance_value = ? WHERE id = ?', [value, line.id]);
+    varianceQuantity += line.variance_quantity;
+    varianceValue += value;
+  }
+
+  varianceValue = roundAmount(varianceValue);
+  await connection.execute(
+    `UPDATE stock_count_sessions
+     SET status = 'approved', approved_by = ?, approved_at = ?, variance_quantity = ?, variance_value = ?
+     WHERE id = ?`,
+    [userId, new Date(), varianceQuantity, varianceValue, sessionId]
+  );
+
+  return {
+    status: 'approved',
+    counted_lines: lines.length,
+    adjusted_lines: adjustedLines,
+    variance_quantity: varianceQuantity,
+    variance_value: varianceValue
+  };
+};
+
+// Annuler un inventaire non approuvé ; aucun ajustement n'est passé
+const cancelCountSession = async (connection, sessionId) => {
+  await lockSession(connection, sessionId, ['open', 'submitted']);
+
+  await connection.execute(
+    "UPDATE stock_count_sessions SET status = 'cancelled', cancelled_at = ? WHERE id = ?",
+    [new Date(), sessionId]
+  );
+
+  return 'cancelled';
+};
+
+module.exports = {
+  openCountSession,
+  recordCounts,
+  recordScan,
+  submitCountSession,
+  approveCountSession,
+  cancelCountSession
+};
@@ -0,0 +1,248 @@
+const moment = require('moment');
+const { adjustStock, resolveWarehouseId, lockWarehouseStock } = require('./stock');
+const { changeUnitStatus, recordUnitEvent } = require('./serials');
+const { ServiceError } = require('./errors');
+
+// Délai accordé pour récupérer le matériel d'un abonnement annulé
+const HARDWARE_RETURN_DELAY_DAYS = 15;
+
+// Issue d'un retour de matériel : statut de la ligne et statut de l'unité sérialisée
+const RETURN_OUTCOMES = {
+  returned: { equipmentStatus: 'returned', unitStatus: 'in_stock' },
+  damaged: { equipmentStatus: 'returned', unitStatus: 'in_repair' },
+  lost: { equipmentStatus: 'lost', unitStatus: 'retired' }
+};
+
+// Installer du matériel chez le client d'un abonnement : une unité sérialisée (serialNumber)
+// ou une quantité d'un produit non sérialisé ; le matériel sort du stock du dépôt
+const installEquipment = async (connection, subscriptionId, {
+  serialNumber = null, productId = null, quantity = 1, warehouseId = null,
+  installDate = null, depositAmount = 0, notes = null
+}, { userId = null } = {}) => {
+  const [subscriptions] = await connection.execute(
+    'SELECT id, status FROM subscriptions WHERE id = ? FOR UPDATE',
+    [subscriptionId]
+  );
+
+  if (subscriptions.length === 0) {
+    throw new ServiceError('Abonnement non trouvé', 404);
+  }
+
+  if (subscriptions[0].status === 'cancelled' || subscriptions[0].status === 'expired') {
+    throw new ServiceError('Impossible d\'installer du matériel sur un abonnement terminé');
+  }
+
+  const date = installDate || moment().format('YYYY-MM-DD');
+
+  if (serialNumber) {
+    const unit = await changeUnitStatus(connection, serialNumber, {
+      status: 'assigned',
+      subscriptionId,
+      notes
+    }, { userId });
+
+    const [units] = await connection.execute('SELECT product_id FROM equipment_units WHERE id = ?', [unit.unitId]);
+    const [result] = await connection.execute(
+      `INSERT INTO subscription_equipment (subscription_id, product_id, unit_id, quantity, warehouse_id,
+                                          install_date, deposit_amount, notes, created_by)
+       VALUES (?, ?, ?, 1, ?, ?, ?, ?, ?)`,
+      [subscriptionId, units[0].product_id, unit.unitId, unit.warehouse_id, date, depositAmount, notes, userId]
+    );
+
+    return { equipmentId: result.insertId, product_id: units[0].product_id, unit_id: unit.unitId, quantity: 1 };
+  }
+
+  const [products] = await connection.execute(
+    'SELECT id, name, is_serialized FROM products WHERE id = ? FOR UPDATE',
+    [productId]
+  );
+
+  if (products.length === 0) {
+    throw new ServiceError('Produit non trouvé', 404);
+  }
+
+  if (products[0].is_serialized) {
+    throw new ServiceError(`${products[0].name} est suivi par numéro de série : indiquez l'unité installée`);
+  }
+
+  const targetWarehouseId = await resolveWarehouseId(connection, warehouseId);
+  const stock = await lockWarehouseStock(connection, targetWarehouseId, [products[0].id]);
+  if (stock.get(products[0].id) < quantity) {
+    throw new ServiceError(`Stock insuffisant pour ${products[0].name} dans ce dépôt (disponible : ${stock.get(products[0].id)})`);
+  }
+
+  const [result] = await connection.execute(
+    `INSERT INTO subscription_equipment (subscription_id, product_id, quantity, warehouse_id,
+                                        install_date, deposit_amount, notes, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [subscriptionId, products[0].id, quantity, targetWarehouseId, date, depositAmount, notes, userId]
+  );
+
+  await adjustStock(connection, {
+    productId: products[0].id,
+    warehouseId: targetWarehouseId,
+    quantity: -quantity,
+    reasonCode: 'subscription_assigned',
+    referenceType: 'subscription_equipment',
+    referenceId: result.insertId,
+    notes: `Abonnement n°${subscriptionId}`,
+    userId
+  });
+
+  return { equipmentId: result.insertId, product_id: products[0].id, unit_id: null, quantity };
+};
+
+// Enregistrer le retour (ou la perte) d'un matériel installé ; le matériel rendu en bon état revient en stock
+const returnEquipment = async (connection, equipmentId, {
+  outcome = 'returned', warehouseId = null, returnDate = null, notes = null
+}, { userId = null } = {}) => {
+  const returnOutcome = RETURN_OUTCOMES[outcome];
+  if (!returnOutcome) {
+    throw new ServiceError('Issue de retour invalide');
+  }
+
+  const [equipment] = await connection.execute(
+    `SELECT se.id, se.subscription_id, se.product_id, se.unit_id, se.quantity, se.warehouse_id, se.status,
+            u.serial_number
+     FROM subscription_equipment se
+     LEFT JOIN equipment_units u ON se.unit_id = u.id
+     WHERE se.id = ? FOR UPDATE`,
+    [equipmentId]
+  );
+
+  if (equipment.length === 0) {
+    throw new ServiceError('Matériel non trouvé', 404);
+  }
+
+  const item = equipment[0];
+  if (item.status !== 'installed' && item.status !== 'pending_return') {
+    throw new ServiceError('Ce matériel a déjà été restitué');
+  }
+
+  if (item.unit_id) {
+    await changeUnitStatus(connection, item.serial_number, {
+      status: returnOutcome.unitStatus,
+      warehouseId,
+      notes
+    }, { userId });
+
+    // Une unité rendue endommagée n'est plus chez le client
+    if (outcome === 'damaged') {
+      await connection.execute(
+        'UPDATE equipment_units SET client_id = NULL, subscription_id = NULL WHERE id = ?',
+        [item.unit_id]
+      );
+    }
+  } else if (outcome === 'returned') {
+    await adjustStock(connection, {
+      productId: item.product_id,
+      warehouseId: await resolveWarehouseId(connection, warehouseId || item.warehouse_id),
+      quantity: item.quantity,
+      reasonCode: 'subscription_returned',
+      referenceType: 'subscription_equipment',
+      referenceId: item.id,
+      notes: `Abonnement n°${item.subscription_id}`,
+      userId
+    });
+  }
+
+  await connection.execute(
+    'UPDATE subscription_equipment SET status = ?, return_date = ?, notes = COALESCE(?, notes) WHERE id = ?',
+    [returnOutcome.equipmentStatus, returnDate || moment().format('YYYY-MM-DD'), notes, item.id]
+  );
+
+  return { equipmentId: item.id, subscription_id: item.subscription_id, status: returnOutcome.equipmentStatus };
+};
+
+// Ouvrir une tâche de récupération du matériel encore installé chez le client d'un abonnement annulé
+// Renvoie l'identifiant de la tâche, ou null s'il n'y a rien à récupérer
+const openHardwareReturnTask = async (connection, subscriptionId, { userId = null } = {}) => {
+  const [equipment] = await connection.execute(
+    "SELECT id, unit_id FROM subscription_equipment WHERE subscription_id = ? AND status = 'installed' FOR UPDATE",
+    [subscriptionId]
+  );
+
+  if (equipment.length === 0) {
+    return null;
+  }
+
+  const [subscriptions] = await connection.execute('SELECT client_id FROM subscriptions WHERE id = ?', [subscriptionId]);
+  const [result] = await connection.execute(
+    `INSERT INTO hardware_return_tasks (subscription_id, client_id, due_date, created_by)
+     VALUES (?, ?, ?, ?)`,
+    [subscriptionId, subscriptions[0].client_id,
+     moment().add(HARDWARE_RETURN_DELAY_DAYS, 'days').format('YYYY-MM-DD'), userId]
+  );
+
+  await connection.execute(
+    "UPDATE subscription_equipment SET status = 'pending_return' WHERE subscription_id = ? AND status = 'installed'",
+    [subscriptionId]
+  );
+
+  for (const item of equipment.filter((candidate) => candidate.unit_id)) {
+    await recordUnitEvent(connection, item.unit_id, {
+      eventType: 'return_requested',
+      fromStatus: 'assigned',
+      toStatus: 'assigned',
+      referenceType: 'hardware_return_task',
+      referenceId: result.insertId,
+      userId
+    });
+  }
+
+  return result.insertId;
+};
+
+// Clore une tâche de récupération : chaque matériel en attente de retour reçoit son issue
+// Les matériels non mentionnés sont considérés comme rendus en bon état
+const completeHardwareReturnTask = async (connection, taskId, { items = [], warehouseId = null, returnDate = null, notes = null }, { userId = null } = {}) => {
+  const [tasks] = await connection.execute(
+    'SELECT id, subscription_id, status FROM hardware_return_tasks WHERE id = ? FOR UPDATE',
+    [taskId]
+  );
+
+  if (tasks.length === 0) {
+    throw new ServiceError('Tâche de récupération non trouvée', 404);
+  }
+
+  if (tasks[0].status !== 'open') {
+    throw new ServiceError('Cette tâche de récupération est déjà close');
+  }
+
+  const [pending] = await connection.execute(
+    "SELECT id FROM subscription_equipment WHERE subscription_id = ? AND status = 'pending_return' ORDER BY id",
+    [tasks[0].subscription_id]
+  );
+
+  for (const item of items) {
+    if (!pending.some((candidate) => candidate.id === Number(item.equipment_id))) {
+      throw new ServiceError(`Le matériel ${item.equipment_id} n'est pas en attente de retour pour cet abonnement`);
+    }
+  }
+
+  const results = [];
+  for (const equipment of pending) {
+    const item = items.find((candidate) => Number(candidate.equipment_id) === equipment.id) || {};
+    results.push(await returnEquipment(connection, equipment.id, {
+      outcome: item.outcome || 'returned',
+      warehouseId: item.warehouse_id || warehouseId,
+      returnDate,
+      notes: item.notes || null
+    }, { userId }));
+  }
+
+  await connection.execute(
+    "UPDATE hardware_return_tasks SET status = 'completed', completed_by = ?, completed_at = ?, notes = COALESCE(?, notes) WHERE id = ?",
+    [userId, new Date(), notes, taskId]
+  );
+
+  return { status: 'completed', equipment: results };
+};
+
+module.exports = {
+  RETURN_OUTCOMES,
+  installEquipment,
+  returnEquipment,
+  openHardwareReturnTask,
+  completeHardwareReturnTask
+};
@@ -0,0 +1,132 @@
+const { query, transaction } = require('../config/database');
+const { openHardwareReturnTask } = require('./subscriptionEquipment');
+const { ServiceError } = require('./errors');
+
+// Statuts d'abonnement à partir desquels chaque demande est recevable, et statut appliqué à l'approbation
+const REQUEST_TYPES = {
+  suspend: { allowedFrom: ['active'], targetStatus: 'suspended' },
+  cancel: { allowedFrom: ['active', 'suspended'], targetStatus: 'cancelled' }
+};
+
+// Créer une demande de suspension ou d'annulation pour un abonnement du client
+const createSubscriptionRequest = async ({ clientId, subscriptionId, type, reason = null, userId = null }) => {
+  const requestType = REQUEST_TYPES[type];
+  if (!requestType) {
+    throw new ServiceError('Type de demande invalide');
+  }
+
+  return transaction(async (connection) => {
+    const [subscriptions] = await connection.execute(
+      'SELECT id, status FROM subscriptions WHERE id = ? AND client_id = ? FOR UPDATE',
+      [subscriptionId, clientId]
+    );
+
+    if (subscriptions.length === 0) {
+      throw new ServiceError('Abonnement non trouvé', 404);
+    }
+
+    if (!requestType.allowedFrom.includes(subscriptions[0].status)) {
+      throw new ServiceError('Cette demande n\'est pas possible pour le statut actuel de l\'abonnement');
+    }
+
+    const [pending] = await connection.execute(
+      "SELECT id FROM subscription_requests WHERE subscription_id = ? AND status = 'pending'",
+      [subscriptionId]
+    );
+    if (pending.length > 0) {
+      throw new ServiceError('Une demande est déjà en attente pour cet abonnement');
+    }
+
+    const [result] = await connection.execute(
+      `INSERT INTO subscription_requests (subscription_id, client_id, request_type, reason, requested_by)
+       VALUES (?, ?, ?, ?, ?)`,
+      [subscriptionId, clientId, type, reason, userId]
+    );
+
+    return result.insertId;
+  });
+};
+
+// Approuver (applique le nouveau statut) ou refuser une demande en attente
+// Une annulation approuvée ouvre la récupération du matériel installé
+const processSubscriptionRequest = async (requestId, { approve, userId, note = null }) => {
+  return transaction(async (connection) => {
+    const [requests] = await connection.execute(
+      `SELECT sr.id, sr.request_type, sr.status, sr.subscription_id, s.status as subscription_status
+       FROM subscription_requests sr
+       JOIN subscriptions s ON sr.subscription_id = s.id
+       WHERE sr.id = ? FOR UPDATE`,
+      [requestId]
+    );
+
+    if (requests.length === 0) {
+      throw new ServiceError('Demande non trouvée', 404);
+    }
+
+    const request = requests[0];
+    if (request.status !== 'pending') {
+      throw new ServiceError('Cette demande a déjà été traitée');
+    }
+
+    const requestType = REQUEST_TYPES[request.request_type];
+    if (approve) {
+      if (!requestType.allowedFrom.includes(request.subscription_status)) {
+        throw new ServiceError('Le statut actuel de l\'abonnement ne permet plus d\'approuver cette demande');
+      }
+      await connection.execute(
+        'UPDATE subscriptions SET status = ? WHERE id = ?',
+        [requestType.targetStatus, request.subscription_id]
+      );
+
+      if (requestType.targetStatus === 'cancelled') {
+        await openHardwareReturnTask(connection, request.subscription_id, { userId });
+      }
+    }
+
+    const status = approve ? 'approved' : 'rejected';
+    await connection.execute(
+      `UPDATE subscription_requests
+       SET status = ?, processed_by = ?, processed_at = ?, response_note = ?
+       WHERE id = ?`,
+      [status, userId, new Date(), note, requestId]
+    );
+
+    return status;
+  });
+};
+
+// Lister les demandes, éventuellement restreintes à un client ou à un statut
+const listSubscriptionRequests = async ({ clientId = null, status = null } = {}) => {
+  const whereConditions = ['1=1'];
+  const queryParams = [];
+
+  if (clientId) {
+    whereConditions.push('sr.client_id = ?');
+    queryParams.push(clientId);
+  }
+
+  if (status) {
+    whereConditions.push('sr.status = ?');
+    queryParams.push(status);
+  }
+
+  return query(`
+    SELECT
+      sr.id, sr.subscription_id, sr.client_id, sr.request_type, sr.reason, sr.status,
+      sr.response_note, sr.processed_at, sr.created_at,
+      s.plan_name, s.status as subscription_status,
+      c.company_name as client_name
+    FROM subscription_requests sr
+    JOIN subscriptions s ON sr.subscription_id = s.id
+    JOIN clients c ON sr.client_id = c.id
+    WHERE ${whereConditions.join(' AND ')}
+    ORDER BY sr.created_at DESC
+  `, queryParams);
+};
+
+module.exports = {
+  REQUEST_TYPES,
+  createSubscriptionRequest,
+  processSubscriptionRequest,
+  listSubscriptionRequests
+};
@@ -0,0 +1,213 @@
+const { query } = require('../config/database');
+const { sendMail } = require('./mailer');
+const { ServiceError } = require('./errors');
+
+// Statuts d'une tâche et passages autorisés ; cancelled sort la tâche du flux, une tâche terminée peut être rouverte
+const TASK_STATUSES = ['todo', 'in_progress', 'review', 'done', 'blocked', 'cancelled'];
+
+const TASK_TRANSITIONS = {
+  todo: ['in_progress', 'blocked', 'cancelled'],
+  in_progress: ['todo', 'review', 'done', 'blocked', 'cancelled'],
+  review: ['in_progress', 'done', 'blocked'],
+  blocked: ['todo', 'in_progress', 'cancelled'],
+  done: ['in_progress'],
+  cancelled: ['todo']
+};
+
+// Statuts qui ne bloquent pas la clôture de la tâche parente
+const CLOSED_STATUSES = ['done', 'cancelled'];
+
+// Mention d'un utilisateur dans un commentaire : @ suivi de son email (ex. @jean.dupont@exemple.com)
+const MENTION_PATTERN = /@([A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+
+// Verrouiller une tâche d'un projet
+const lockTask = async (connection, projectId, taskId) => {
+  const [tasks] = await connection.execute(
+    'SELECT id, project_id, parent_task_id, title, status, assigned_to FROM project_tasks WHERE id = ? AND project_id = ? FOR UPDATE',
+    [taskId, projectId]
+  );
+
+  if (tasks.length === 0) {
+    throw new ServiceError('Tâche non trouvée', 404);
+  }
+
+  return tasks[0];
+};
+
+// Vérifier qu'une tâche parente appartient au projet et n'est pas elle-même une sous-tâche de la tâche
+const checkParentTask = async (connection, projectId, parentTaskId, taskId = null) => {
+  const [parents] = await connection.execute(
+    'SELECT id, parent_task_id FROM project_tasks WHERE id = ? AND project_id = ?',
+    [parentTaskId, projectId]
+  );
+
+  if (parents.length === 0) {
+    throw new ServiceError('Tâche parente non trouvée dans ce projet', 404);
+  }
+
+  // Remonter la chaîne des parents pour refuser un cycle
+  let ancestor = parents[0];
+  while (taskId && ancestor) {
+    if (ancestor.id === Number(taskId)) {
+      throw new ServiceError('Une tâche ne peut pas être sous-tâche d\'elle-même ou de ses sous-tâches');
+    }
+    if (!ancestor.parent_task_id) {
+      break;
+    }
+    const [next] = await connection.execute(
+      'SELECT id, parent_task_id FROM project_tasks WHERE id = ?',
+      [ancestor.parent_task_id]
+    );
+    ancestor = next[0];
+  }
+};
+
+// Identifiants d'une tâche et de toutes ses sous-tâches, à tous les niveaux
+const getTaskSubtreeIds = async (connection, taskId) => {
+  const ids = [Number(taskId)];
+  let level = [Number(taskId)];
+  while (level.length > 0) {
+    const [children] = await connection.query('SELECT id FROM project_tasks WHERE parent_task_id IN (?)', [level]);
+    level = children.map((child) => child.id);
+    ids.push(...level);
+  }
+  return ids;
+};
+
+// Recalculer la progression d'un projet à partir de ses tâches de dernier niveau non annulées,
+// pondérées par leurs heures estimées ; une tâche sans estimation pèse l'estimation moyenne du projet
+const refreshProjectProgress = async (connection, projectId) => {
+  const [tasks] = await connection.execute(
+    `SELECT pt.status, pt.estimated_hours
+     FROM project_tasks pt
+     WHERE pt.project_id = ? AND pt.status != 'cancelled'
+       AND NOT EXISTS (
+         SELECT 1 FROM project_tasks sub WHERE sub.parent_task_id = pt.id AND sub.status != 'cancelled'
+       )`,
+    [projectId]
+  );
+
+  const estimates = tasks.map((task) => parseFloat(task.estimated_hours) || 0).filter((hours) => hours > 0);
+  const defaultWeight = estimates.length > 0 ? estimates.reduce((sum, hours) => sum + hours, 0) / estimates.length : 1;
+
+  let total = 0;
+  let done = 0;
+  for (const task of tasks) {
+    const weight = parseFloat(task.estimated_hours) || defaultWeight;
+    total += weight;
+    if (task.status === 'done') {
+      done += weight;
+    }
+  }
+
+  const progress = total > 0 ? Math.round((100 * done) / total) : 0;
+  await connection.execute('UPDATE projects SET progress = ? WHERE id = ?', [progress, projectId]);
+
+  return progress;
+};
+
+// Changer le statut d'une tâche selon le flux ; une tâche ne se termine pas avant ses sous-tâches
+const changeTaskStatus = async (connection, projectId, taskId, { status, blockedReason = null }) => {
+  const task = await lockTask(connection, projectId, taskId);
+
+  if (!TASK_TRANSITIONS[task.status].includes(status)) {
+    throw new ServiceError(`Passage impossible du statut ${task.status} au statut ${status}`);
+  }
+
+  if (status === 'done') {
+    const [openSubtasks] = await connection.query(
+      'SELECT COUNT(*) as count FROM project_tasks WHERE parent_task_id = ? AND status NOT IN (?)',
+      [task.id, CLOSED_STATUSES]
+    );
+    if (openSubtasks[0].count > 0) {
+      throw new ServiceError('La tâche a des sous-tâches non terminées');
+    }
+  }
+
+  if (status === 'blocked' && !blockedReason) {
+    throw new ServiceError('La raison du blocage est requise');
+  }
+
+  await connection.execute(
+    'UPDATE project_tasks SET status = ?, blocked_reason = ?, completed_at = ? WHERE id = ?',
+    [status, status === 'blocked' ? blockedReason : null, status === 'done' ? new Date() : null, task.id]
+  );
+
+  const projectProgress = await refreshProjectProgress(connection, projectId);
+
+  return { taskId: task.id, previous_status: task.status, status, project_progress: projectProgress };
+};
+
+// Utilisateurs actifs mentionnés dans un texte
+const findMentionedUsers = async (connection, text) => {
+  const emails = [...new Set([...text.matchAll(MENTION_PATTERN)].map((match) => match[1].toLowerCase()))];
+  if (emails.length === 0) {
+    return [];
+  }
+
+  const [users] = await connection.query(
+    "SELECT id, email, first_name FROM users WHERE LOWER(email) IN (?) AND is_active = TRUE AND role != 'client'",
+    [emails]
+  );
+  return users;
+};
+
+// Ajouter un commentaire à une tâche et enregistrer les utilisateurs mentionnés
+const addTaskComment = async (connection, projectId, taskId, { body }, { userId }) => {
+  const task = await lockTask(connection, projectId, taskId);
+
+  const [result] = await connection.execute(
+    'INSERT INTO task_comments (task_id, user_id, body) VALUES (?, ?, ?)',
+    [task.id, userId, body]
+  );
+
+  const mentioned = (await findMentionedUsers(connection, body)).filter((user) => user.id !== userId);
+  for (const user of mentioned) {
+    await connection.execute(
+      'INSERT INTO task_comment_mentions (comment_id, user_id) VALUES (?, ?)',
+      [result.insertId, user.id]
+    );
+  }
+
+  return { commentId: result.insertId, task, mentioned };
+};
+
+// Prévenir par email les utilisateurs mentionnés ; les erreurs d'envoi sont seulement journalisées
+const notifyMentions = async ({ task, mentioned, authorId, body }) => {
+  if (mentioned.length === 0) {
+    return;
+  }
+
+  const authors = await query('SELECT first_name, last_name FROM users WHERE id = ?', [authorId]);
+  const authorName = authors.length > 0 ? `${authors[0].first_name} ${authors[0].last_name}` : 'Un utilisateur';
+
+  for (const user of mentioned) {
+    try {
+      await sendMail({
+        to: user.email,
+        subject: `Vous avez été mentionné sur la tâche « ${task.title} »`,
+        text: [
+          `Bonjour ${user.first_name},`,
+          '',
+          `${authorName} vous a mentionné dans un commentaire sur la tâche « ${task.title} » :`,
+          '',
+          body
+        ].join('\n')
+      });
+    } catch (error) {
+      console.error('Erreur lors de l\'envoi de la notification de mention:', error.message);
+    }
+  }
+};
+
+module.exports = {
+  TASK_STATUSES,
+  TASK_TRANSITIONS,
+  lockTask,
+  checkParentTask,
+  getTaskSubtreeIds,
+  refreshProjectProgress,
+  changeTaskStatus,
+  addTaskComment,
+  notifyMentions
+};
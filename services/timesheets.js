@@ -0,0 +1,262 @@
+const moment = require('moment');
+const { roundAmount } = require('./money');
+const { ServiceError } = require('./errors');
+
+// Nombre maximal d'heures saisissables sur une journée
+const MAX_DAILY_HOURS = 24;
+
+// Statuts dans lesquels la saisie de la semaine est verrouillée
+const LOCKED_STATUSES = ['submitted', 'approved'];
+
+// Lundi de la semaine d'une date (AAAA-MM-JJ)
+const getWeekStart = (date) => moment(date || undefined).startOf('isoWeek').format('YYYY-MM-DD');
+
+// Verrouiller la feuille de temps d'un employé pour une semaine, en la créant en brouillon si besoin
+const lockTimesheet = async (connection, userId, date) => {
+  const weekStart = getWeekStart(date);
+
+  await connection.execute(
+    'INSERT IGNORE INTO timesheets (user_id, week_start) VALUES (?, ?)',
+    [userId, weekStart]
+  );
+
+  const [timesheets] = await connection.execute(
+    'SELECT id, user_id, week_start, status FROM timesheets WHERE user_id = ? AND week_start = ? FOR UPDATE',
+    [userId, weekStart]
+  );
+
+  return { ...timesheets[0], week_start: weekStart };
+};
+
+// Refuser une modification de temps sur une semaine soumise ou approuvée
+const assertEditable = (timesheet) => {
+  if (LOCKED_STATUSES.includes(timesheet.status)) {
+    throw new ServiceError(
+      timesheet.status === 'approved'
+        ? 'La feuille de temps de cette semaine est approuvée : les temps ne sont plus modifiables'
+        : 'La feuille de temps de cette semaine est soumise : les temps ne sont plus modifiables'
+    );
+  }
+};
+
+// Recalculer le total d'heures d'une feuille de temps
+const refreshTimesheetTotal = async (connection, timesheetId) => {
+  await connection.execute(
+    `UPDATE timesheets
+     SET total_hours = (SELECT COALESCE(SUM(hours_worked), 0) FROM time_entries WHERE timesheet_id = ?)
+     WHERE id = ?`,
+    [timesheetId, timesheetId]
+  );
+};
+
+// Vérifier le projet, la tâche et le plafond journalier d'une saisie de temps
+const checkTimeEntry = async (connection, userId, { projectId, taskId, date, hoursWorked }, excludedEntryId = null) => {
+  const [projects] = await connection.execute('SELECT id, status FROM projects WHERE id = ?', [projectId]);
+  if (projects.length === 0) {
+    throw new ServiceError('Projet non trouvé', 404);
+  }
+
+  if (projects[0].status === 'cancelled') {
+    throw new ServiceError('Impossible de saisir du temps sur un projet annulé');
+  }
+
+  if (taskId) {
+    const [tasks] = await connection.execute(
+      'SELECT id FROM project_tasks WHERE id = ? AND project_id = ?',
+      [taskId, projectId]
+    );
+    if (tasks.length === 0) {
+      throw new ServiceError('Tâche non trouvée dans ce projet', 404);
+    }
+  }
+
+  const [days] = await connection.execute(
+    'SELECT COALESCE(SUM(hours_worked), 0) as hours FROM time_entries WHERE user_id = ? AND date = ? AND id != ?',
+    [userId, date, excludedEntryId || 0]
+  );
+  if (parseFloat(days[0].hours) + hoursWorked > MAX_DAILY_HOURS) {
+    throw new ServiceError(`Le total des temps du ${date} dépasse ${MAX_DAILY_HOURS} heures`);
+  }
+};
+
+// Saisir un temps de travail pour soi-même
+const createTimeEntry = async (connection, userId, { projectId, taskId = null, date, hoursWorked, description = null }) => {
+  const timesheet = await lockTimesheet(connection, userId, date);
+  assertEditable(timesheet);
+
+  await checkTimeEntry(connection, userId, { projectId, taskId, date, hoursWorked });
+
+  const [result] = await connection.execute(
+    `INSERT INTO time_entries (user_id, timesheet_id, project_id, task_id, date, hours_worked, description)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [userId, timesheet.id, projectId, taskId, date, roundAmount(hoursWorked), description]
+  );
+
+  await refreshTimesheetTotal(connection, timesheet.id);
+
+  return { entryId: result.insertId, timesheet_id: timesheet.id, week_start: timesheet.week_start };
+};
+
+// Verrouiller une saisie de temps de l'employé et la feuille de temps de sa semaine
+const lockOwnEntry = async (connection, userId, entryId) => {
+  const [entries] = await connection.execute(
+    'SELECT id, user_id, project_id, task_id, date, hours_worked, description FROM time_entries WHERE id = ? FOR UPDATE',
+    [entryId]
+  );
+
+  if (entries.length === 0 || entries[0].user_id !== userId) {
+    throw new ServiceError('Temps de travail non trouvé', 404);
+  }
+
+  const timesheet = await lockTimesheet(connection, userId, entries[0].date);
+  assertEditable(timesheet);
+
+  return { entry: entries[0], timesheet };
+};
+
+// Modifier une saisie de temps ; un changement de date peut la faire passer sur une autre semaine
+const updateTimeEntry = async (connection, userId, entryId, changes) => {
+  const { entry, timesheet } = await lockOwnEntry(connection, userId, entryId);
+
+  const updated = {
+    projectId: changes.projectId !== undefined ? changes.projectId : entry.project_id,
+    taskId: changes.taskId !== undefined ? changes.taskId : entry.task_id,
+    date: changes.date !== undefined ? changes.date : moment(entry.date).format('YYYY-MM-DD'),
+    hoursWorked: changes.hoursWorked !== undefined ? changes.hoursWorked : parseFloat(entry.hours_worked),
+    description: changes.description !== undefined ? changes.description : entry.description
+  };
+
+  const targetTimesheet = await lockTimesheet(connection, userId, updated.date);
+  assertEditable(targetTimesheet);
+
+  await checkTimeEntry(connection, userId, updated, entry.id);
+
+  await connection.execute(
+    `UPDATE time_entries
+     SET timesheet_id = ?, project_id = ?, task_id = ?, date = ?, hours_worked = ?, description = ?
+     WHERE id = ?`,
+    [targetTimesheet.id, updated.projectId, updated.taskId, updated.date,
+     roundAmount(updated.hoursWorked), updated.description, entry.id]
+  );
+
+  await refreshTimesheetTotal(connection, timesheet.id);
+  if (targetTimesheet.id !== timesheet.id) {
+    await refreshTimesheetTotal(connection, targetTimesheet.id);
+  }
+
+  return { entryId: entry.id, timesheet_id: targetTimesheet.id, week_start: targetTimesheet.week_start };
+};
+
+// Supprimer une saisie de temps
+const deleteTimeEntry = async (connection, userId, entryId) => {
+  const { entry, timesheet } = await lockOwnEntry(connection, userId, entryId);
+
+  await connection.execute('DELETE FROM time_entries WHERE id = ?', [entry.id]);
+  await refreshTimesheetTotal(connection, timesheet.id);
+};
+
+// Soumettre sa feuille de temps d'une semaine à l'approbation
+const submitTimesheet = async (connection, userId, date) => {
+  const timesheet = await lockTimesheet(connection, userId, date);
+  assertEditable(timesheet);
+
+  const [entries] = await connection.execute(
+    'SELECT COUNT(*) as count FROM time_entries WHERE timesheet_id = ?',
+    [timesheet.id]
+  );
+  if (entries[0].count === 0) {
+    throw new ServiceError('Aucun temps saisi sur cette semaine');
+  }
+
+  await connection.execute(
+    "UPDATE timesheets SET status = 'submitted', submitted_at = ? WHERE id = ?",
+    [new Date(), timesheet.id]
+  );
+
+  return { timesheetId: timesheet.id, week_start: timesheet.week_start, status: 'submitted' };
+};
+
+// Reporter les heures approuvées sur les tâches et les projets touchés par une feuille de temps
+const rollUpApprovedHours = async (connection, timesheetId) => {
+  const [entries] = await connection.execute(
+    'SELECT DISTINCT project_id, task_id FROM time_entries WHERE timesheet_id = ?',
+    [timesheetId]
+  );
+
+  const taskIds = [...new Set(entries.map((entry) => entry.task_id).filter((taskId) => taskId))];
+  const projectIds = [...new Set(entries.map((entry) => entry.project_id))];
+
+  for (const taskId of taskIds) {
+    await connection.execute(
+      `UPDATE project_tasks SET actual_hours = (
+         SELECT COALESCE(SUM(te.hours_worked), 0)
+         FROM time_entries te
+         JOIN timesheets t ON te.timesheet_id = t.id
+         WHERE te.task_id = ? AND t.status = 'approved'
+       ) WHERE id = ?`,
+      [taskId, taskId]
+    );
+  }
+
+  for (const projectId of projectIds) {
+    await connection.execute(
+      `UPDATE projects SET actual_hours = (
+         SELECT COALESCE(SUM(te.hours_worked), 0)
+         FROM time_entries te
+         JOIN timesheets t ON te.timesheet_id = t.id
+         WHERE te.project_id = ? AND t.status = 'approved'
+       ) WHERE id = ?`,
+      [projectId, projectId]
+    );
+  }
+};
+
+// Approuver ou rejeter une feuille de temps soumise ; une feuille approuvée est verrouillée
+// et ses heures sont reportées sur les tâches et projets, une feuille rejetée redevient modifiable
+const reviewTimesheet = async (connection, timesheetId, { decision, comment = null }, { userId }) => {
+  const [timesheets] = await connection.execute(
+    'SELECT id, user_id, week_start, status FROM timesheets WHERE id = ? FOR UPDATE',
+    [timesheetId]
+  );
+
+  if (timesheets.length === 0) {
+    throw new ServiceError('Feuille de temps non trouvée', 404);
+  }
+
+  const timesheet = timesheets[0];
+  if (timesheet.status !== 'submitted') {
+    throw new ServiceError('Seule une feuille de temps soumise peut être approuvée ou rejetée');
+  }
+
+  if (timesheet.user_id === userId) {
+    throw new ServiceError('Vous ne pouvez pas valider votre propre feuille de temps', 403);
+  }
+
+  await connection.execute(
+    'UPDATE timesheets SET status = ?, reviewed_by = ?, reviewed_at = ?, review_comment = ? WHERE id = ?',
+    [decision, userId, new Date(), comment, timesheet.id]
+  );
+
+  if (decision === 'approved') {
+    // Figer le coût horaire de l'employé sur les temps approuvés pour le suivi financier des projets
+    await connection.execute(
+      `UPDATE time_entries te
+       JOIN users u ON te.user_id = u.id
+       SET te.cost_rate = u.hourly_cost_rate
+       WHERE te.timesheet_id = ?`,
+      [timesheet.id]
+    );
+    await rollUpApprovedHours(connection, timesheet.id);
+  }
+
+  return { timesheetId: timesheet.id, week_start: moment(timesheet.week_start).format('YYYY-MM-DD'), status: decision };
+};
+
+module.exports = {
+  getWeekStart,
+  createTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry,
+  submitTimesheet,
+  reviewTimesheet
+};
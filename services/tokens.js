@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const moment = require('moment');
+const { v4: uuidv4 } = require('uuid');
+const { query, transaction } = require('../config/database');
+const { ServiceError } = require('./errors');
+
+const getRefreshTokenDays = () => parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS || 30);
+
+// Seul le hash SHA-256 du jeton de rafraîchissement est conservé en base
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Jeton d'accès JWT de courte durée
+const signAccessToken = (user) => {
+  return jwt.sign(
+    { userId: user.id, email: user.email, role: user.role },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
+  );
+};
+
+// Créer un jeton de rafraîchissement dans une famille (nouvelle famille à la connexion)
+const createRefreshToken = async (connection, userId, { familyId = uuidv4(), userAgent = null, ipAddress = null } = {}) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  const expiresAt = moment().add(getRefreshTokenDays(), 'days').toDate();
+
+  const [result] = await connection.execute(
+    `INSERT INTO refresh_tokens (user_id, family_id, token_hash, expires_at, user_agent, ip_address)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [userId, familyId, hashToken(token), expiresAt,
+     userAgent ? String(userAgent).substring(0, 255) : null, ipAddress]
+  );
+
+  return { id: result.insertId, token, familyId, expiresAt };
+};
+
+// Émettre un couple jeton d'accès / jeton de rafraîchissement à la connexion
+const issueTokens = async (user, meta = {}) => {
+  const refresh = await transaction((connection) => createRefreshToken(connection, user.id, meta));
+
+  return {
+    accessToken: signAccessToken(user),
+    refreshToken: refresh.token,
+    refreshTokenExpiresAt: refresh.expiresAt
+  };
+};
+
+const revokeFamily = async (connection, familyId) => {
+  await connection.execute(
+    'UPDATE refresh_tokens SET revoked_at = ? WHERE family_id = ? AND revoked_at IS NULL',
+    [new Date(), familyId]
+  );
+};
+
+// Échanger un jeton de rafraîchissement contre un nouveau couple de jetons
+// Un jeton déjà utilisé (réutilisation) révoque toute sa famille
+const rotateRefreshToken = async (token, meta = {}) => {
+  const result = await transaction(async (connection) => {
+    const [tokens] = await connection.execute(
+      `SELECT rt.id, rt.user_id, rt.family_id, rt.expires_at, rt.revoked_at,
+              u.email, u.role, u.is_active
+       FROM refresh_tokens rt
+       JOIN users u ON rt.user_id = u.id
+       WHERE rt.token_hash = ? FOR UPDATE`,
+      [hashToken(token)]
+    );
+
+    if (tokens.length === 0) {
+      throw new ServiceError('Jeton de rafraîchissement invalide', 401);
+    }
+
+    const current = tokens[0];
+
+    if (current.revoked_at) {
+      await revokeFamily(connection, current.family_id);
+      return { reused: true };
+    }
+
+    if (moment(current.expires_at).isBefore(moment())) {
+      throw new ServiceError('Jeton de rafraîchissement expiré', 401);
+    }
+
+    if (!current.is_active) {
+      await revokeFamily(connection, current.family_id);
+      return { inactive: true };
+    }
+
+    const next = await createRefreshToken(connection, current.user_id, {
+      ...meta,
+      familyId: current.family_id
+    });
+
+    await connection.execute(
+      'UPDATE refresh_tokens SET revoked_at = ?, replaced_by = ? WHERE id = ?',
+      [new Date(), next.id, current.id]
+    );
+
+    return {
+      user: { id: current.user_id, email: current.email, role: current.role },
+      refresh: next
+    };
+  });
+
+  // Les révocations doivent être validées avant de refuser la requête
+  if (result.reused) {
+    throw new ServiceError('Jeton de rafraîchissement déjà utilisé, session révoquée', 401);
+  }
+  if (result.inactive) {
+    throw new ServiceError('Utilisateur invalide ou inactif', 401);
+  }
+
+  return {
+    accessToken: signAccessToken(result.user),
+    refreshToken: result.refresh.token,
+    refreshTokenExpiresAt: result.refresh.expiresAt
+  };
+};
+
+// Révoquer la famille d'un jeton de rafraîchissement appartenant à l'utilisateur
+const revokeRefreshToken = async (token, userId) => {
+  return transaction(async (connection) => {
+    const [tokens] = await connection.execute(
+      'SELECT family_id FROM refresh_tokens WHERE token_hash = ? AND user_id = ?',
+      [hashToken(token), userId]
+    );
+
+    if (tokens.length === 0) {
+      return false;
+    }
+
+    await revokeFamily(connection, tokens[0].family_id);
+    return true;
+  });
+};
+
+// Révoquer toutes les sessions d'un utilisateur
+const revokeUserTokens = async (userId) => {
+  await query(
+    'UPDATE refresh_tokens SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL',
+    [new Date(), userId]
+  );
+};
+
+// Invalider les jetons déjà émis après un changement de mot de passe ou une désactivation
+// reason = 'password' ou 'deactivation'
+// La date est tronquée à la seconde, comme le champ iat des jetons : MySQL arrondirait sinon
+// les millisecondes d'une colonne DATETIME, éventuellement à la seconde inférieure
+const invalidateUserSessions = async (userId, reason) => {
+  const column = reason === 'password' ? 'password_changed_at' : 'deactivated_at';
+
+  await query(`UPDATE users SET ${column} = ? WHERE id = ?`, [moment().startOf('second').toDate(), userId]);
+  await revokeUserTokens(userId);
+};
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserTokens,
+  invalidateUserSessions
+};
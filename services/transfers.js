@@ -0,0 +1,202 @@
+const { recordStockMovement, resolveWarehouseId, lockWarehouseStock } = require('./stock');
+const { checkSerialCount, shipUnits, landTransferUnits } = require('./serials');
+const { ServiceError } = require('./errors');
+
+// Générer le prochain numéro de transfert (TRFAAAA0001) en verrouillant le dernier transfert
+const generateTransferNumber = async (connection) => {
+  const year = new Date().getFullYear();
+  const [lastTransfer] = await connection.execute(
+    'SELECT transfer_number FROM stock_transfers WHERE transfer_number LIKE ? ORDER BY transfer_number DESC LIMIT 1 FOR UPDATE',
+    [`TRF${year}%`]
+  );
+
+  let nextNumber = 1;
+  if (lastTransfer.length > 0) {
+    const lastNumber = parseInt(lastTransfer[0].transfer_number.replace(`TRF${year}`, '')) || 0;
+    nextNumber = lastNumber + 1;
+  }
+
+  return `TRF${year}${String(nextNumber).padStart(4, '0')}`;
+};
+
+// Verrouiller un transfert et vérifier qu'il est encore en transit
+const lockShippedTransfer = async (connection, transferId) => {
+  const [transfers] = await connection.execute(
+    'SELECT id, transfer_number, from_warehouse_id, to_warehouse_id, status FROM stock_transfers WHERE id = ? FOR UPDATE',
+    [transferId]
+  );
+
+  if (transfers.length === 0) {
+    throw new ServiceError('Transfert non trouvé', 404);
+  }
+
+  if (transfers[0].status !== 'shipped') {
+    throw new ServiceError(`Action impossible sur un transfert au statut ${transfers[0].status}`);
+  }
+
+  const [items] = await connection.execute(
+    'SELECT product_id, quantity FROM stock_transfer_items WHERE transfer_id = ? ORDER BY product_id',
+    [transferId]
+  );
+
+  return { ...transfers[0], items };
+};
+
+// Expédier un transfert : la marchandise sort du dépôt d'origine et reste en transit jusqu'à sa réception
+// Pour un produit sérialisé, chaque ligne désigne les unités expédiées (serial_numbers)
+const createTransfer = async (connection, { fromWarehouseId, toWarehouseId, items, notes = null }, { userId = null } = {}) => {
+  const fromId = await resolveWarehouseId(connection, fromWarehouseId);
+  const toId = await resolveWarehouseId(connection, toWarehouseId);
+
+  if (fromId === toId) {
+    throw new ServiceError('Les dépôts d\'origine et de destination doivent être différents');
+  }
+
+  // Regrouper les lignes d'un même produit
+  const quantities = new Map();
+  const serialNumbers = new Map();
+  for (const item of items) {
+    const productId = Number(item.product_id);
+    quantities.set(productId, (quantities.get(productId) || 0) + Number(item.quantity));
+    serialNumbers.set(productId, [...(serialNumbers.get(productId) || []), ...(item.serial_numbers || [])]);
+  }
+  const productIds = [...quantities.keys()].sort((a, b) => a - b);
+
+  const [products] = await connection.query(
+    'SELECT id, name, is_serialized FROM products WHERE id IN (?)',
+    [productIds]
+  );
+  const missing = productIds.filter((productId) => !products.some((product) => product.id === productId));
+  if (missing.length > 0) {
+    throw new ServiceError(`Produit(s) introuvable(s): ${missing.join(', ')}`, 404);
+  }
+
+  const stock = await lockWarehouseStock(connection, fromId, productIds);
+  for (const productId of productIds) {
+    if (stock.get(productId) < quantities.get(productId)) {
+      const product = products.find((candidate) => candidate.id === productId);
+      throw new ServiceError(`Stock insuffisant pour ${product.name} dans le dépôt d'origine (disponible : ${stock.get(productId)})`);
+    }
+  }
+
+  const serials = new Map();
+  for (const product of products) {
+    if (product.is_serialized) {
+      serials.set(product.id, checkSerialCount(product, serialNumbers.get(product.id), quantities.get(product.id)));
+    }
+  }
+
+  const transferNumber = await generateTransferNumber(connection);
+  const [result] = await connection.execute(
+    `INSERT INTO stock_transfers (transfer_number, from_warehouse_id, to_warehouse_id, notes, shipped_by, shipped_at)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [transferNumber, fromId, toId, notes, userId, new Date()]
+  );
+  const transferId = result.insertId;
+
+  for (const productId of productIds) {
+    await connection.execute(
+      'INSERT INTO stock_transfer_items (transfer_id, product_id, quantity) VALUES (?, ?, ?)',
+      [transferId, productId, quantities.get(productId)]
+    );
+
+    await recordStockMovement(connection, {
+      productId,
+      warehouseId: fromId,
+      type: 'transfer_out',
+      quantity: quantities.get(productId),
+      referenceType: 'stock_transfer',
+      referenceId: transferId,
+      notes: `Transfert ${transferNumber}`,
+      userId
+    });
+
+    if (serials.has(productId)) {
+      await shipUnits(connection, {
+        productId,
+        serialNumbers: serials.get(productId),
+        warehouseId: fromId,
+        transferId,
+        userId
+      });
+    }
+  }
+
+  return {
+    transferId,
+    transferNumber,
+    from_warehouse_id: fromId,
+    to_warehouse_id: toId,
+    status: 'shipped'
+  };
+};
+
+// Réceptionner un transfert : la marchandise entre dans le stock du dépôt de destination
+const receiveTransfer = async (connection, transferId, { userId = null } = {}) => {
+  const transfer = await lockShippedTransfer(connection, transferId);
+
+  for (const item of transfer.items) {
+    await recordStockMovement(connection, {
+      productId: item.product_id,
+      warehouseId: transfer.to_warehouse_id,
+      type: 'transfer_in',
+      quantity: item.quantity,
+      referenceType: 'stock_transfer',
+      referenceId: transfer.id,
+      notes: `Transfert ${transfer.transfer_number}`,
+      userId
+    });
+  }
+
+  await landTransferUnits(connection, {
+    transferId: transfer.id,
+    warehouseId: transfer.to_warehouse_id,
+    eventType: 'transfer_received',
+    userId
+  });
+
+  await connection.execute(
+    "UPDATE stock_transfers SET status = 'received', received_by = ?, received_at = ? WHERE id = ?",
+    [userId, new Date(), transfer.id]
+  );
+
+  return 'received';
+};
+
+// Annuler un transfert en transit : la marchandise revient dans le stock du dépôt d'origine
+const cancelTransfer = async (connection, transferId, { userId = null } = {}) => {
+  const transfer = await lockShippedTransfer(connection, transferId);
+
+  for (const item of transfer.items) {
+    await recordStockMovement(connection, {
+      productId: item.product_id,
+      warehouseId: transfer.from_warehouse_id,
+      type: 'transfer_in',
+      quantity: item.quantity,
+      referenceType: 'stock_transfer',
+      referenceId: transfer.id,
+      notes: `Annulation du transfert ${transfer.transfer_number}`,
+      userId
+    });
+  }
+
+  await landTransferUnits(connection, {
+    transferId: transfer.id,
+    warehouseId: transfer.from_warehouse_id,
+    eventType: 'transfer_cancelled',
+    userId
+  });
+
+  await connection.execute(
+    "UPDATE stock_transfers SET status = 'cancelled', cancelled_at = ? WHERE id = ?",
+    [new Date(), transfer.id]
+  );
+
+  return 'cancelled';
+};
+
+module.exports = {
+  createTransfer,
+  receiveTransfer,
+  cancelTransfer
+};
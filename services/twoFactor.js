@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { query, transaction } = require('../config/database');
+const { generateSecret, verifyCode, buildProvisioningUri } = require('./totp');
+const { hashToken } = require('./tokens');
+const { ServiceError } = require('./errors');
+
+// Rôles pour lesquels la double authentification peut être rendue obligatoire
+const TWO_FACTOR_ROLES = ['admin', 'manager'];
+const RECOVERY_CODE_COUNT = 10;
+
+// Politique : TWO_FACTOR_REQUIRED=true impose la 2FA aux admins et managers
+const isTwoFactorRequired = (role) => {
+  return process.env.TWO_FACTOR_REQUIRED === 'true' && TWO_FACTOR_ROLES.includes(role);
+};
+
+// Jeton intermédiaire entre le mot de passe et le code, inutilisable comme jeton d'accès
+const signTwoFactorChallenge = (user) => {
+  return jwt.sign(
+    { userId: user.id, purpose: 'two_factor' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m' }
+  );
+};
+
+const verifyTwoFactorChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    if (decoded.purpose !== 'two_factor') {
+      throw new Error('Jeton inattendu');
+    }
+    return decoded.userId;
+  } catch (error) {
+    throw new ServiceError('Vérification expirée, veuillez vous reconnecter', 401);
+  }
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[\s-]/g, '');
+
+// Remplacer les codes de récupération ; les codes en clair ne sont renvoyés qu'une fois
+const replaceRecoveryCodes = async (connection, userId) => {
+  await connection.execute('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.substring(0, 5)}-${raw.substring(5)}`);
+    await connection.execute(
+      'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+      [userId, hashToken(raw)]
+    );
+  }
+
+  return codes;
+};
+
+// Vérifier un code TOTP (jamais deux fois le même) ou consommer un code de récupération
+const checkSecondFactor = async (connection, user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyCode(user.two_factor_secret, code);
+    if (step === null || (user.two_factor_last_step !== null && step <= user.two_factor_last_step)) {
+      throw new ServiceError('Code de vérification invalide', 401);
+    }
+    await connection.execute('UPDATE users SET two_factor_last_step = ? WHERE id = ?', [step, user.id]);
+    return { method: 'totp' };
+  }
+
+  if (recoveryCode) {
+    const [codes] = await connection.execute(
+      'SELECT id FROM two_factor_recovery_codes WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+      [user.id, hashToken(normalizeRecoveryCode(recoveryCode))]
+    );
+    if (codes.length === 0) {
+      throw new ServiceError('Code de récupération invalide', 401);
+    }
+    await connection.execute('UPDATE two_factor_recovery_codes SET used_at = ? WHERE id = ?', [new Date(), codes[0].id]);
+
+    const [remaining] = await connection.execute(
+      'SELECT COUNT(*) as count FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+      [user.id]
+    );
+    return { method: 'recovery_code', remaining_recovery_codes: remaining[0].count };
+  }
+
+  throw new ServiceError('Code de vérification requis');
+};
+
+const lockTwoFactorUser = async (connection, userId) => {
+  const [users] = await connection.execute(
+    `SELECT id, email, role, is_active, two_factor_secret, two_factor_enabled, two_factor_last_step
+     FROM users WHERE id = ? FOR UPDATE`,
+    [userId]
+  );
+
+  if (users.length === 0) {
+    throw new ServiceError('Utilisateur non trouvé', 404);
+  }
+
+  return users[0];
+};
+
+// Démarrer l'activation : nouveau secret en attente de confirmation
+const startEnrollment = async (userId) => {
+  const users = await query('SELECT email, two_factor_enabled FROM users WHERE id = ?', [userId]);
+  if (users.length === 0) {
+    throw new ServiceError('Utilisateur non trouvé', 404);
+  }
+  if (users[0].two_factor_enabled) {
+    throw new ServiceError('La double authentification est déjà activée');
+  }
+
+  const secret = generateSecret();
+  await query(
+    'UPDATE users SET two_factor_secret = ?, two_factor_last_step = NULL WHERE id = ?',
+    [secret, userId]
+  );
+
+  return {
+    secret,
+    otpauth_url: buildProvisioningUri(secret, users[0].email, process.env.TWO_FACTOR_ISSUER || 'CY Systems')
+  };
+};
+
+// Confirmer l'activation avec un premier code valide ; renvoie les codes de récupération
+const confirmEnrollment = async (userId, code) => {
+  return transaction(async (connection) => {
+    const user = await lockTwoFactorUser(connection, userId);
+
+    if (user.two_factor_enabled) {
+      throw new ServiceError('La double authentification est déjà activée');
+    }
+    if (!user.two_factor_secret) {
+      throw new ServiceError('Aucune activation en cours');
+    }
+
+    await checkSecondFactor(connection, user, { code });
+    await connection.execute(
+      'UPDATE users SET two_factor_enabled = TRUE, two_factor_enabled_at = ? WHERE id = ?',
+      [new Date(), userId]
+    );
+
+    return replaceRecoveryCodes(connection, userId);
+  });
+};
+
+// Deuxième étape de la connexion
+const verifyLogin = async (userId, factors) => {
+  return transaction(async (connection) => {
+    const user = await lockTwoFactorUser(connection, userId);
+
+    if (!user.is_active || !user.two_factor_enabled) {
+      throw new ServiceError('Vérification impossible, veuillez vous reconnecter', 401);
+    }
+
+    const result = await checkSecondFactor(connection, user, factors);
+    return { user, ...result };
+  });
+};
+
+// Générer de nouveaux codes de récupération (les anciens deviennent inutilisables)
+const regenerateRecoveryCodes = async (userId, code) => {
+  return transaction(async (connection) => {
+    const user = await lockTwoFactorUser(connection, userId);
+
+    if (!user.two_factor_enabled) {
+      throw new ServiceError('La double authentification n\'est pas activée');
+    }
+
+    await checkSecondFactor(connection, user, { code });
+    return replaceRecoveryCodes(connection, userId);
+  });
+};
+
+// Désactiver la double authentification (refusé si la politique l'impose pour le rôle)
+const disableTwoFactor = async (userId, code) => {
+  await transaction(async (connection) => {
+    const user = await lockTwoFactorUser(connection, userId);
+
+    if (!user.two_factor_enabled) {
+      throw new ServiceError('La double authentification n\'est pas activée');
+    }
+    if (isTwoFactorRequired(user.role)) {
+      throw new ServiceError('La double authentification est obligatoire pour votre rôle', 403);
+    }
+
+    await checkSecondFactor(connection, user, { code });
+    await connection.execute(
+      `UPDATE users SET two_factor_secret = NULL, two_factor_enabled = FALSE,
+                        two_factor_enabled_at = NULL, two_factor_last_step = NULL
+       WHERE id = ?`,
+      [userId]
+    );
+    await connection.execute('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+  });
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  startEnrollment,
+  confirmEnrollment,
+  verifyLogin,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+};
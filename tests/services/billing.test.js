@@ -0,0 +1,95 @@
+jest.mock('../../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+
+const { query, transaction } = require('../../config/database');
+const { getDuePeriods, runBilling } = require('../../services/billing');
+
+describe('getDuePeriods', () => {
+  const subscription = {
+    billing_cycle: 'monthly',
+    start_date: '2024-01-15',
+    end_date: null,
+    next_billing_date: null,
+    auto_renew: true
+  };
+
+  it('renvoie les périodes échues depuis start_date', () => {
+    expect(getDuePeriods(subscription, '2024-03-15')).toEqual([
+      { start: '2024-01-15', end: '2024-02-14' },
+      { start: '2024-02-15', end: '2024-03-14' },
+      { start: '2024-03-15', end: '2024-04-14' }
+    ]);
+  });
+
+  it('ignore les périodes antérieures à next_billing_date', () => {
+    expect(getDuePeriods({ ...subscription, next_billing_date: '2024-03-15' }, '2024-04-20')).toEqual([
+      { start: '2024-03-15', end: '2024-04-14' },
+      { start: '2024-04-15', end: '2024-05-14' }
+    ]);
+  });
+
+  it('ne renvoie rien avant next_billing_date', () => {
+    expect(getDuePeriods({ ...subscription, next_billing_date: '2024-05-15' }, '2024-05-14')).toEqual([]);
+  });
+
+  it('s\'arrête à la date de fin sans renouvellement automatique', () => {
+    const periods = getDuePeriods({ ...subscription, end_date: '2024-02-20', auto_renew: false }, '2024-06-01');
+    expect(periods.map((period) => period.start)).toEqual(['2024-01-15', '2024-02-15']);
+  });
+
+  it('continue après la date de fin avec renouvellement automatique', () => {
+    const periods = getDuePeriods({ ...subscription, end_date: '2024-02-20' }, '2024-04-01');
+    expect(periods).toHaveLength(3);
+  });
+
+  it('calcule les trimestres depuis start_date sans dérive de fin de mois', () => {
+    const periods = getDuePeriods({ ...subscription, billing_cycle: 'quarterly', start_date: '2024-01-31' }, '2024-08-01');
+    expect(periods).toEqual([
+      { start: '2024-01-31', end: '2024-04-29' },
+      { start: '2024-04-30', end: '2024-07-30' },
+      { start: '2024-07-31', end: '2024-10-30' }
+    ]);
+  });
+
+  it('ignore un cycle inconnu', () => {
+    expect(getDuePeriods({ ...subscription, billing_cycle: 'weekly' }, '2024-06-01')).toEqual([]);
+  });
+});
+
+describe('runBilling', () => {
+  const duplicate = (key) => Object.assign(new Error(`Duplicate entry 'x' for key 'invoices.${key}'`), { code: 'ER_DUP_ENTRY' });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    query.mockReset();
+    transaction.mockReset();
+    query
+      .mockResolvedValueOnce([{
+        id: 1, client_id: 2, plan_name: 'Fibre', price: '50.00', billing_cycle: 'monthly',
+        start_date: '2024-01-01', end_date: null, next_billing_date: null, auto_renew: true
+      }])
+      .mockResolvedValueOnce([]);
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('compte comme déjà facturée une période créée par une exécution concurrente', async () => {
+    transaction.mockRejectedValue(duplicate('uq_invoices_subscription_period'));
+
+    const summary = await runBilling({ date: '2024-01-10' });
+
+    expect(summary.skipped).toBe(1);
+    expect(summary.errors).toEqual([]);
+  });
+
+  it('signale un doublon de numéro de facture comme une erreur', async () => {
+    transaction.mockRejectedValue(duplicate('invoice_number'));
+
+    const summary = await runBilling({ date: '2024-01-10' });
+
+    expect(summary.skipped).toBe(0);
+    expect(summary.errors).toHaveLength(1);
+    expect(summary.errors[0].subscription_id).toBe(1);
+  });
+});
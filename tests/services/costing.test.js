@@ -0,0 +1,126 @@
+jest.mock('../../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+
+const { addCostLayer, consumeCostLayers } = require('../../services/costing');
+
+// Connexion simulée : couches de coût et produit en mémoire, dans l'ordre de réception
+const createConnection = ({ currentStock = 0, costPrice = 0, layers = [] } = {}) => {
+  const state = {
+    layers: layers.map((layer, index) => ({ id: index + 1, quantity_received: layer.quantity_remaining, ...layer }))
+  };
+
+  state.execute = jest.fn(async (sql, params) => {
+    const statement = sql.trim();
+
+    if (statement.startsWith('SELECT current_stock FROM products')) {
+      return [[{ current_stock: currentStock }]];
+    }
+    if (statement.startsWith('SELECT cost_price FROM products')) {
+      return [[{ cost_price: costPrice }]];
+    }
+    if (statement.startsWith('SELECT id, unit_cost, quantity_remaining FROM stock_cost_layers')) {
+      return [state.layers.filter((layer) => layer.quantity_remaining > 0).map((layer) => ({ ...layer }))];
+    }
+    if (statement.startsWith('SELECT unit_cost FROM stock_cost_layers')) {
+      return [state.layers.slice(-1).map((layer) => ({ unit_cost: layer.unit_cost }))];
+    }
+    if (statement.startsWith('INSERT INTO stock_cost_layers')) {
+      const [, sourceType, sourceId, unitCost, quantityReceived, quantityRemaining] = params;
+      state.layers.push({
+        id: state.layers.length + 1,
+        source_type: sourceType,
+        source_id: sourceId,
+        unit_cost: unitCost,
+        quantity_received: quantityReceived,
+        quantity_remaining: quantityRemaining
+      });
+      return [{ insertId: state.layers.length }];
+    }
+    if (statement.startsWith('UPDATE stock_cost_layers SET quantity_remaining')) {
+      const [taken, id] = params;
+      state.layers.find((layer) => layer.id === id).quantity_remaining -= taken;
+      return [{}];
+    }
+    if (statement.startsWith('UPDATE stock_cost_layers SET unit_cost')) {
+      const [unitCost] = params;
+      state.layers.filter((layer) => layer.quantity_remaining > 0).forEach((layer) => { layer.unit_cost = unitCost; });
+      return [{}];
+    }
+
+    throw new Error(`Requête inattendue : ${statement}`);
+  });
+
+  return state;
+};
+
+describe('addCostLayer', () => {
+  it('met en couche toutes les unités reçues quand le stock les couvre', async () => {
+    const connection = createConnection({ currentStock: 10, layers: [{ unit_cost: '8.00', quantity_remaining: 4 }] });
+
+    await addCostLayer(connection, { productId: 1, quantity: 6, unitCost: 12, sourceType: 'purchase_receipt', sourceId: 7 });
+
+    expect(connection.layers[1]).toMatchObject({
+      source_type: 'purchase_receipt',
+      source_id: 7,
+      unit_cost: 12,
+      quantity_received: 6,
+      quantity_remaining: 6
+    });
+  });
+
+  it('ne garde pas en couche les unités déjà vendues à découvert', async () => {
+    // 2 unités vendues à découvert, puis 5 reçues : il en reste 3 en stock
+    const connection = createConnection({ currentStock: 3 });
+
+    await addCostLayer(connection, { productId: 1, quantity: 5, unitCost: 10, sourceType: 'purchase_receipt' });
+
+    expect(connection.layers[0]).toMatchObject({ quantity_received: 5, quantity_remaining: 3, source_id: null });
+  });
+});
+
+describe('consumeCostLayers', () => {
+  const layers = () => [
+    { unit_cost: '10.00', quantity_remaining: 5 },
+    { unit_cost: '20.00', quantity_remaining: 5 }
+  ];
+
+  it('consomme les couches les plus anciennes en FIFO', async () => {
+    const connection = createConnection({ layers: layers() });
+
+    const cost = await consumeCostLayers(connection, 1, 7, 'fifo');
+
+    expect(cost).toBe(90);
+    expect(connection.layers.map((layer) => layer.quantity_remaining)).toEqual([0, 3]);
+    expect(connection.layers[1].unit_cost).toBe('20.00');
+  });
+
+  it('valorise au coût moyen et l\'applique aux unités restantes', async () => {
+    const connection = createConnection({ layers: layers() });
+
+    const cost = await consumeCostLayers(connection, 1, 7, 'weighted_average');
+
+    expect(cost).toBe(105);
+    expect(connection.layers.map((layer) => layer.quantity_remaining)).toEqual([0, 3]);
+    expect(connection.layers[1].unit_cost).toBe(15);
+  });
+
+  it('valorise les unités vendues à découvert au coût moyen des couches', async () => {
+    const connection = createConnection({ layers: [{ unit_cost: '10.00', quantity_remaining: 2 }] });
+
+    const cost = await consumeCostLayers(connection, 1, 5, 'fifo');
+
+    expect(cost).toBe(50);
+    expect(connection.layers[0].quantity_remaining).toBe(0);
+  });
+
+  it('sans stock en couche, reprend le dernier coût d\'entrée', async () => {
+    const connection = createConnection({ layers: [{ unit_cost: '10.00', quantity_remaining: 0 }, { unit_cost: '14.50', quantity_remaining: 0 }] });
+
+    expect(await consumeCostLayers(connection, 1, 2, 'fifo')).toBe(29);
+  });
+
+  it('sans aucune couche, reprend le prix de revient du produit', async () => {
+    const connection = createConnection({ costPrice: '7.25' });
+
+    expect(await consumeCostLayers(connection, 1, 4, 'weighted_average')).toBe(29);
+  });
+});
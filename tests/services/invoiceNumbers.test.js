@@ -0,0 +1,24 @@
+jest.mock('../../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+
+const { query } = require('../../config/database');
+const { generateInvoiceNumber } = require('../../services/invoiceNumbers');
+
+describe('generateInvoiceNumber', () => {
+  beforeEach(() => {
+    query.mockReset();
+  });
+
+  it('numérote dans l\'année de la date d\'émission', async () => {
+    query.mockResolvedValueOnce([{ invoice_number: 'INV-2025-0041' }]);
+
+    expect(await generateInvoiceNumber(null, '2025-12-31')).toBe('INV-2025-0042');
+    expect(query).toHaveBeenCalledWith(expect.any(String), ['INV-2025%']);
+  });
+
+  it('commence à 1 pour une année sans facture et verrouille dans une transaction', async () => {
+    const connection = { execute: jest.fn().mockResolvedValue([[]]) };
+
+    expect(await generateInvoiceNumber(connection, '2026-01-02')).toBe('INV-2026-0001');
+    expect(connection.execute).toHaveBeenCalledWith(expect.stringContaining('FOR UPDATE'), ['INV-2026%']);
+  });
+});
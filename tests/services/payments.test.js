@@ -0,0 +1,194 @@
+const moment = require('moment');
+const { getInvoiceBalance, refreshInvoicePaymentStatus, recordPayment, deletePayment } = require('../../services/payments');
+
+// Connexion factice : une facture, son registre de paiements et les avoirs clients
+const fakeConnection = ({ invoice, payments = [] }) => {
+  const state = {
+    invoice: { id: 1, client_id: 7, invoice_number: 'INV-2024-0001', ...invoice },
+    payments: payments.map((payment, index) => ({ id: index + 1, ...payment })),
+    credits: []
+  };
+
+  const execute = jest.fn(async (sql, params) => {
+    if (sql.startsWith('SELECT id, client_id, invoice_number')) {
+      return [params[0] === state.invoice.id ? [{ ...state.invoice }] : []];
+    }
+    if (sql.includes('as amount_paid FROM payments')) {
+      return [[{ amount_paid: state.payments.reduce((sum, payment) => sum + payment.amount, 0) }]];
+    }
+    if (sql.startsWith('SELECT payment_date, payment_method FROM payments')) {
+      return [state.payments.slice(-1)];
+    }
+    if (sql.startsWith('SELECT id FROM payments')) {
+      return [state.payments.filter((payment) => payment.id === Number(params[0]))];
+    }
+    if (sql.startsWith('UPDATE invoices SET status')) {
+      state.invoice.status = params[0];
+      return [{ affectedRows: 1 }];
+    }
+    if (sql.startsWith('INSERT INTO payments')) {
+      const id = state.payments.length + 1;
+      state.payments.push({ id, amount: params[1], payment_date: params[2], payment_method: params[3] });
+      return [{ insertId: id }];
+    }
+    if (sql.startsWith('INSERT INTO client_credits')) {
+      state.credits.push({ client_id: params[0], invoice_id: params[1], payment_id: params[2], amount: params[3] });
+      return [{ insertId: state.credits.length }];
+    }
+    if (sql.startsWith('DELETE FROM payments')) {
+      state.payments = state.payments.filter((payment) => payment.id !== Number(params[0]));
+      // Suppression en cascade de l'avoir rattaché au paiement
+      state.credits = state.credits.filter((credit) => credit.payment_id !== Number(params[0]));
+      return [{ affectedRows: 1 }];
+    }
+    throw new Error(`Requête inattendue : ${sql}`);
+  });
+
+  return { connection: { execute }, state };
+};
+
+const future = moment().add(30, 'days').format('YYYY-MM-DD');
+const past = moment().subtract(5, 'days').format('YYYY-MM-DD');
+
+describe('getInvoiceBalance', () => {
+  it('calcule le solde dû à partir du registre des paiements', async () => {
+    const { connection } = fakeConnection({
+      invoice: { total_amount: '120.00', status: 'partially_paid', due_date: future },
+      payments: [{ amount: 40.1 }, { amount: 19.9 }]
+    });
+
+    const invoice = await getInvoiceBalance(connection, 1);
+
+    expect(invoice.amount_paid).toBe(60);
+    expect(invoice.balance_due).toBe(60);
+  });
+
+  it('renvoie null pour une facture inconnue', async () => {
+    const { connection } = fakeConnection({ invoice: { total_amount: '10.00', status: 'sent', due_date: future } });
+    expect(await getInvoiceBalance(connection, 99)).toBeNull();
+  });
+});
+
+describe('refreshInvoicePaymentStatus', () => {
+  it('passe en partially_paid tant qu\'un solde subsiste avant l\'échéance', async () => {
+    const { connection, state } = fakeConnection({
+      invoice: { total_amount: '100.00', status: 'sent', due_date: future },
+      payments: [{ amount: 30 }]
+    });
+
+    await refreshInvoicePaymentStatus(connection, 1);
+
+    expect(state.invoice.status).toBe('partially_paid');
+  });
+
+  it('passe en overdue une facture échue, même partiellement payée', async () => {
+    const { connection, state } = fakeConnection({
+      invoice: { total_amount: '100.00', status: 'partially_paid', due_date: past },
+      payments: [{ amount: 30 }]
+    });
+
+    await refreshInvoicePaymentStatus(connection, 1);
+
+    expect(state.invoice.status).toBe('overdue');
+  });
+
+  it('repasse en sent une facture dont l\'échéance a été repoussée', async () => {
+    const { connection, state } = fakeConnection({
+      invoice: { total_amount: '100.00', status: 'overdue', due_date: future }
+    });
+
+    await refreshInvoicePaymentStatus(connection, 1);
+
+    expect(state.invoice.status).toBe('sent');
+  });
+
+  it('passe en paid une facture soldée avec la date et la méthode du dernier paiement', async () => {
+    const { connection, state } = fakeConnection({
+      invoice: { total_amount: '100.00', status: 'overdue', due_date: past },
+      payments: [
+        { amount: 30, payment_date: '2024-03-01', payment_method: 'cash' },
+        { amount: 70, payment_date: '2024-03-10', payment_method: 'transfer' }
+      ]
+    });
+
+    await refreshInvoicePaymentStatus(connection, 1);
+
+    expect(state.invoice.status).toBe('paid');
+    expect(connection.execute).toHaveBeenCalledWith(
+      expect.stringContaining('payment_date = ?, payment_method = ?'),
+      ['paid', '2024-03-10', 'transfer', 1]
+    );
+  });
+
+  it('laisse en l\'état une facture en brouillon sans paiement ou annulée', async () => {
+    for (const status of ['draft', 'cancelled']) {
+      const { connection, state } = fakeConnection({ invoice: { total_amount: '100.00', status, due_date: past } });
+
+      await refreshInvoicePaymentStatus(connection, 1);
+
+      expect(state.invoice.status).toBe(status);
+    }
+  });
+});
+
+describe('recordPayment', () => {
+  it('refuse par défaut un montant supérieur au solde dû', async () => {
+    const { connection, state } = fakeConnection({
+      invoice: { total_amount: '100.00', status: 'sent', due_date: future },
+      payments: [{ amount: 80 }]
+    });
+
+    await expect(recordPayment(connection, 1, { amount: 50 })).rejects.toThrow('Le montant dépasse le solde dû (20.00)');
+    expect(state.payments).toHaveLength(1);
+  });
+
+  it('convertit un trop-perçu en avoir client et solde la facture', async () => {
+    const { connection, state } = fakeConnection({
+      invoice: { total_amount: '100.00', status: 'sent', due_date: future },
+      payments: [{ amount: 80 }]
+    });
+
+    const result = await recordPayment(connection, 1, { amount: 50, payment_date: '2024-03-10' }, { overpayment: 'credit', userId: 3 });
+
+    expect(result).toMatchObject({ applied_amount: 20, credit_amount: 30, status: 'paid', balance_due: 0 });
+    expect(state.payments[1].amount).toBe(20);
+    expect(state.credits).toEqual([{ client_id: 7, invoice_id: 1, payment_id: 2, amount: 30 }]);
+  });
+
+  it('refuse un paiement sur une facture annulée ou déjà payée', async () => {
+    const cancelled = fakeConnection({ invoice: { total_amount: '100.00', status: 'cancelled', due_date: future } });
+    await expect(recordPayment(cancelled.connection, 1, { amount: 10 })).rejects.toThrow('facture annulée');
+
+    const paid = fakeConnection({
+      invoice: { total_amount: '100.00', status: 'paid', due_date: future },
+      payments: [{ amount: 100 }]
+    });
+    await expect(recordPayment(paid.connection, 1, { amount: 10 })).rejects.toThrow('déjà entièrement payée');
+  });
+});
+
+describe('deletePayment', () => {
+  it('supprime le paiement, son avoir et recalcule le statut', async () => {
+    const { connection, state } = fakeConnection({
+      invoice: { total_amount: '100.00', status: 'sent', due_date: future },
+      payments: [{ amount: 40 }]
+    });
+    await recordPayment(connection, 1, { amount: 90 }, { overpayment: 'credit' });
+    expect(state.invoice.status).toBe('paid');
+
+    const invoice = await deletePayment(connection, 1, 2);
+
+    expect(invoice.status).toBe('partially_paid');
+    expect(state.payments).toHaveLength(1);
+    expect(state.credits).toEqual([]);
+  });
+
+  it('refuse un paiement qui n\'appartient pas à la facture', async () => {
+    const { connection } = fakeConnection({
+      invoice: { total_amount: '100.00', status: 'sent', due_date: future },
+      payments: [{ amount: 40 }]
+    });
+
+    await expect(deletePayment(connection, 1, 5)).rejects.toMatchObject({ status: 404 });
+  });
+});
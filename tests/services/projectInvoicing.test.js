@@ -0,0 +1,194 @@
+jest.mock('../../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+
+const { collectTimeEntries, invoiceProject } = require('../../services/projectInvoicing');
+const { checkStatusChange } = require('../../services/invoices');
+
+const entry = (id, taskId, hours, rate, fields = {}) => ({
+  id,
+  task_id: taskId,
+  hours_worked: hours,
+  task_title: taskId ? `Tâche ${taskId}` : null,
+  first_name: 'Jean',
+  last_name: 'Dupont',
+  billing_rate: rate,
+  ...fields
+});
+
+// Connexion simulée : chaque requête reçoit les lignes de la table qu'elle interroge
+const createConnection = (tables) => ({
+  execute: jest.fn(async (sql) => {
+    const table = Object.keys(tables).find((name) => sql.includes(`FROM ${name} `));
+    if (!table) {
+      throw new Error(`Requête inattendue : ${sql}`);
+    }
+    return [tables[table]];
+  })
+});
+
+describe('collectTimeEntries', () => {
+  it('regroupe les temps en une ligne par tâche et par taux', async () => {
+    const connection = createConnection({
+      time_entries: [
+        entry(1, 10, '2.50', '80.00'),
+        entry(2, 10, '1.50', '80.00'),
+        entry(3, 10, '3.00', '100.00', { first_name: 'Marie', last_name: 'Curie' }),
+        entry(4, null, '1.00', '80.00')
+      ]
+    });
+
+    const result = await collectTimeEntries(connection, 5, '2024-03-31');
+
+    expect(result.ids).toEqual([1, 2, 3, 4]);
+    expect(result.lines).toEqual([
+      { description: 'Temps passé - Tâche 10', quantity: 4, unit_price: 80 },
+      { description: 'Temps passé - Tâche 10', quantity: 3, unit_price: 100 },
+      { description: 'Temps passé - Hors tâche', quantity: 1, unit_price: 80 }
+    ]);
+    expect(connection.execute).toHaveBeenCalledWith(expect.stringContaining('billing_start_date'), [5, '2024-03-31']);
+  });
+
+  it('refuse de facturer des temps sans taux, en nommant chaque employé une fois', async () => {
+    const connection = createConnection({
+      time_entries: [
+        entry(1, 10, '2.00', null),
+        entry(2, 11, '1.00', null),
+        entry(3, 11, '1.00', null, { first_name: 'Marie', last_name: 'Curie' }),
+        entry(4, 11, '1.00', '90.00', { first_name: 'Paul', last_name: 'Martin' })
+      ]
+    });
+
+    await expect(collectTimeEntries(connection, 5, '2024-03-31'))
+      .rejects.toThrow('Aucun taux de facturation pour : Jean Dupont, Marie Curie');
+  });
+
+  it('ne renvoie aucune ligne sans temps à facturer', async () => {
+    const connection = createConnection({ time_entries: [] });
+
+    expect(await collectTimeEntries(connection, 5, '2024-03-31')).toEqual({ ids: [], lines: [] });
+  });
+});
+
+describe('invoiceProject', () => {
+  const originalTaxRate = process.env.BILLING_TAX_RATE;
+
+  beforeEach(() => {
+    process.env.BILLING_TAX_RATE = '20';
+  });
+
+  afterEach(() => {
+    if (originalTaxRate === undefined) {
+      delete process.env.BILLING_TAX_RATE;
+    } else {
+      process.env.BILLING_TAX_RATE = originalTaxRate;
+    }
+  });
+
+  it('facture en aperçu les temps et le matériel sorti pour le projet', async () => {
+    const connection = createConnection({
+      projects: [{ id: 5, name: 'Installation', client_id: 3, billing_method: 'time_and_materials' }],
+      time_entries: [entry(1, 10, '1.25', '80.00')],
+      project_materials: [
+        { id: 7, product_id: 2, quantity: 2, unit_price: '15.00', product_name: 'Câble', product_code: 'CAB-1' },
+        { id: 8, product_id: 2, quantity: 3, unit_price: '15.00', product_name: 'Câble', product_code: 'CAB-1' },
+        { id: 9, product_id: 2, quantity: 1, unit_price: '17.50', product_name: 'Câble', product_code: 'CAB-1' }
+      ]
+    });
+
+    const result = await invoiceProject(connection, 5, { issueDate: '2024-04-01', dryRun: true });
+
+    expect(result.lines).toEqual([
+      { description: 'Temps passé - Tâche 10', quantity: 1.25, unit_price: 80, total_price: 100 },
+      { description: 'Câble (CAB-1)', quantity: 5, unit_price: 15, total_price: 75 },
+      { description: 'Câble (CAB-1)', quantity: 1, unit_price: 17.5, total_price: 17.5 }
+    ]);
+    expect(result).toMatchObject({
+      dry_run: true,
+      up_to: '2024-04-01',
+      subtotal: 192.5,
+      tax_amount: 38.5,
+      total_amount: 231,
+      time_entries: 1,
+      materials: 3
+    });
+  });
+
+  it('refuse un projet sans client', async () => {
+    const connection = createConnection({
+      projects: [{ id: 5, name: 'Interne', client_id: null, billing_method: 'time_and_materials' }]
+    });
+
+    await expect(invoiceProject(connection, 5, { dryRun: true }))
+      .rejects.toThrow('Le projet n\'a pas de client à facturer');
+  });
+});
+
+describe('refacturation après annulation', () => {
+  // Projet au forfait dont le jalon 4 figure sur la facture 10
+  const createBillingState = () => {
+    const state = {
+      invoices: new Map([[10, { id: 10, invoice_number: 'INV-2024-0010', status: 'sent' }]]),
+      milestones: [{ id: 4, name: 'Mise en service', amount: '1500.00', due_date: null, invoice_id: 10 }]
+    };
+
+    const isAvailable = (milestone) => !milestone.invoice_id || state.invoices.get(milestone.invoice_id).status === 'cancelled';
+
+    state.connection = {
+      execute: jest.fn(async (sql, params) => {
+        if (sql.includes('FROM projects ')) {
+          return [[{ id: 5, name: 'Installation', client_id: 3, billing_method: 'fixed_price' }]];
+        }
+        if (sql.startsWith('SELECT invoice_number FROM invoices')) {
+          return [[...state.invoices.values()].sort((a, b) => b.id - a.id).slice(0, 1)];
+        }
+        if (sql.includes('INSERT INTO invoices ')) {
+          const id = state.invoices.size + 10;
+          state.invoices.set(id, { id, invoice_number: params[2], status: 'draft' });
+          return [{ insertId: id }];
+        }
+        if (sql.includes('INSERT INTO invoice_items ')) {
+          return [{ insertId: 1 }];
+        }
+        throw new Error(`Requête inattendue : ${sql}`);
+      }),
+      query: jest.fn(async (sql, params) => {
+        if (sql.includes('FROM project_milestones m')) {
+          return [state.milestones
+            .filter((milestone) => params[1].includes(milestone.id))
+            .map((milestone) => ({ ...milestone, available: isAvailable(milestone) ? 1 : 0 }))];
+        }
+        if (sql.startsWith('UPDATE project_milestones SET invoice_id')) {
+          state.milestones
+            .filter((milestone) => params[1].includes(milestone.id))
+            .forEach((milestone) => { milestone.invoice_id = params[0]; });
+          return [{ affectedRows: params[1].length }];
+        }
+        throw new Error(`Requête inattendue : ${sql}`);
+      })
+    };
+
+    return state;
+  };
+
+  it('refacture un jalon dont la facture est annulée et interdit de rouvrir celle-ci', async () => {
+    const state = createBillingState();
+
+    await expect(invoiceProject(state.connection, 5, { issueDate: '2024-05-02', milestoneIds: [4] }))
+      .rejects.toThrow('Jalon déjà facturé : Mise en service');
+
+    state.invoices.get(10).status = 'cancelled';
+    const result = await invoiceProject(state.connection, 5, { issueDate: '2024-05-02', milestoneIds: [4] });
+
+    expect(result).toMatchObject({ invoiceId: 11, invoice_number: 'INV-2024-0011', milestones: [4] });
+    expect(state.milestones[0].invoice_id).toBe(11);
+
+    // Rouvrir la facture annulée facturerait le jalon une seconde fois
+    expect(() => checkStatusChange({ ...state.invoices.get(10), amount_paid: 0 }))
+      .toThrow('Une facture annulée ne peut plus changer de statut');
+  });
+
+  it('laisse le statut d\'une facture sans paiement se demander à la main', () => {
+    expect(() => checkStatusChange({ status: 'draft', amount_paid: 0 })).not.toThrow();
+    expect(() => checkStatusChange({ status: 'overdue', amount_paid: 20 }))
+      .toThrow('Le statut d\'une facture qui a reçu des paiements découle de ses paiements');
+  });
+});
@@ -0,0 +1,309 @@
+jest.mock('../../services/stock', () => ({
+  resolveWarehouseId: jest.fn(),
+  lockWarehouseStock: jest.fn(),
+  recordStockMovement: jest.fn()
+}));
+jest.mock('../../services/costing', () => ({
+  getCostingMethod: jest.fn(),
+  consumeCostLayers: jest.fn(),
+  addCostLayer: jest.fn()
+}));
+jest.mock('../../services/serials', () => ({
+  ...jest.requireActual('../../services/serials'),
+  sellUnits: jest.fn(),
+  returnSoldUnits: jest.fn()
+}));
+
+const moment = require('moment');
+const { resolveWarehouseId, lockWarehouseStock, recordStockMovement } = require('../../services/stock');
+const { getCostingMethod, consumeCostLayers, addCostLayer } = require('../../services/costing');
+const { sellUnits, returnSoldUnits } = require('../../services/serials');
+const { priceSale, createSale, returnSaleItems, voidSale } = require('../../services/sales');
+
+const product = (id, fields = {}) => ({
+  id,
+  name: `Produit ${id}`,
+  product_code: `P${id}`,
+  selling_price: '10.00',
+  is_active: 1,
+  is_serialized: 0,
+  ...fields
+});
+
+// Connexion simulée : produits verrouillés et enregistrement de la vente et de ses lignes
+const createConnection = (products) => {
+  const connection = {
+    query: jest.fn(async (sql) => {
+      if (sql.includes('FROM products WHERE id IN (?)')) {
+        return [products];
+      }
+      throw new Error(`Requête inattendue : ${sql}`);
+    }),
+    execute: jest.fn(async (sql) => {
+      if (sql.includes('INSERT INTO sales ')) {
+        return [{ insertId: 100 }];
+      }
+      if (sql.includes('INSERT INTO sale_items ')) {
+        return [{ insertId: 200 + connection.execute.mock.calls.length }];
+      }
+      throw new Error(`Requête inattendue : ${sql}`);
+    })
+  };
+  return connection;
+};
+
+describe('priceSale', () => {
+  const products = new Map([[1, product(1, { selling_price: '19.99' })], [2, product(2, { selling_price: '5.00' })]]);
+
+  it('calcule les lignes, la remise et la taxe à partir des prix catalogue', () => {
+    const totals = priceSale([
+      { product_id: 1, quantity: 3, unit_price: 0.01, discount_percent: 10 },
+      { product_id: '2', quantity: 2 }
+    ], products, { taxRate: 20, discountAmount: 5 });
+
+    expect(totals.lines).toEqual([
+      { product_id: 1, quantity: 3, unit_price: 19.99, discount_percent: 10, discount_amount: 6, total_price: 53.97 },
+      { product_id: 2, quantity: 2, unit_price: 5, discount_percent: 0, discount_amount: 0, total_price: 10 }
+    ]);
+    expect(totals).toMatchObject({
+      subtotal: 63.97,
+      discount_amount: 5,
+      tax_rate: 20,
+      tax_amount: 11.79,
+      total_amount: 70.76
+    });
+  });
+
+  it('refuse une remise supérieure au sous-total', () => {
+    expect(() => priceSale([{ product_id: 2, quantity: 1 }], products, { discountAmount: 6 }))
+      .toThrow('La remise dépasse le sous-total de la vente (5.00)');
+  });
+});
+
+describe('createSale', () => {
+  const originalPolicy = process.env.SALES_BACKORDER_POLICY;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.SALES_BACKORDER_POLICY;
+    resolveWarehouseId.mockResolvedValue(3);
+    getCostingMethod.mockResolvedValue('fifo');
+    consumeCostLayers.mockImplementation(async (connection, productId, quantity) => quantity * 4);
+  });
+
+  afterAll(() => {
+    if (originalPolicy === undefined) {
+      delete process.env.SALES_BACKORDER_POLICY;
+    } else {
+      process.env.SALES_BACKORDER_POLICY = originalPolicy;
+    }
+  });
+
+  it('enregistre la vente aux prix catalogue et sort le stock du dépôt au coût consommé', async () => {
+    const connection = createConnection([product(1)]);
+    lockWarehouseStock.mockResolvedValue(new Map([[1, 5]]));
+
+    const result = await createSale(connection, 'VNT-0001', {
+      items: [{ product_id: 1, quantity: 2, unit_price: 1 }],
+      tax_rate: 0,
+      payment_method: 'cash'
+    }, { userId: 9 });
+
+    expect(result).toMatchObject({ saleId: 100, warehouse_id: 3, subtotal: 20, total_amount: 20, backorders: [] });
+    expect(lockWarehouseStock).toHaveBeenCalledWith(connection, 3, [1]);
+    expect(recordStockMovement).toHaveBeenCalledWith(connection, expect.objectContaining({
+      productId: 1, warehouseId: 3, type: 'out', quantity: 2, unitCost: 4, totalCost: 8, referenceType: 'sale', referenceId: 100
+    }));
+  });
+
+  it('refuse par défaut une vente au-delà du stock du dépôt, lignes d\'un même produit cumulées', async () => {
+    const connection = createConnection([product(1)]);
+    lockWarehouseStock.mockResolvedValue(new Map([[1, 3]]));
+
+    await expect(createSale(connection, 'VNT-0001', {
+      items: [{ product_id: 1, quantity: 2 }, { product_id: 1, quantity: 2 }],
+      payment_method: 'cash'
+    })).rejects.toThrow('Stock insuffisant pour Produit 1 dans ce dépôt (disponible : 3, demandé : 4)');
+    expect(connection.execute).not.toHaveBeenCalled();
+  });
+
+  it('accepte la vente en rupture avec SALES_BACKORDER_POLICY=allow et signale le reliquat', async () => {
+    process.env.SALES_BACKORDER_POLICY = 'allow';
+    const connection = createConnection([product(1)]);
+    lockWarehouseStock.mockResolvedValue(new Map([[1, 1]]));
+
+    const result = await createSale(connection, 'VNT-0001', {
+      items: [{ product_id: 1, quantity: 3 }],
+      payment_method: 'cash'
+    });
+
+    expect(result.backorders).toEqual([{ product_id: 1, quantity_backordered: 2 }]);
+  });
+
+  it('refuse un produit retiré de la vente', async () => {
+    const connection = createConnection([product(1, { is_active: 0 })]);
+    lockWarehouseStock.mockResolvedValue(new Map([[1, 5]]));
+
+    await expect(createSale(connection, 'VNT-0001', {
+      items: [{ product_id: 1, quantity: 1 }],
+      payment_method: 'cash'
+    })).rejects.toThrow('Le produit Produit 1 n\'est plus en vente');
+  });
+
+  it('exige un numéro de série par unité vendue et sort les unités désignées', async () => {
+    const connection = createConnection([product(1, { is_serialized: 1 })]);
+    lockWarehouseStock.mockResolvedValue(new Map([[1, 5]]));
+
+    await expect(createSale(connection, 'VNT-0001', {
+      items: [{ product_id: 1, quantity: 2, serial_numbers: ['SN-1'] }],
+      payment_method: 'cash'
+    })).rejects.toThrow('2 numéro(s) attendu(s), 1 fourni(s)');
+
+    await createSale(connection, 'VNT-0002', {
+      items: [{ product_id: 1, quantity: 2, serial_numbers: ['SN-1', ' SN-2 '] }],
+      payment_method: 'cash'
+    });
+
+    expect(sellUnits).toHaveBeenCalledWith(connection, expect.objectContaining({
+      productId: 1, serialNumbers: ['SN-1', 'SN-2'], warehouseId: 3, saleId: 100
+    }));
+  });
+});
+
+// Connexion simulée : une vente finalisée, ses lignes et les retours déjà enregistrés
+const createSaleConnection = ({ sale = {}, items, refunded = 0 }) => {
+  const state = {
+    sale: {
+      id: 1, sale_number: 'VNT-0001', warehouse_id: 3, payment_method: 'card', status: 'completed',
+      created_at: new Date(), ...sale
+    },
+    items: items.map((item) => ({ quantity_returned: 0, is_serialized: 0, name: `Produit ${item.product_id}`, ...item })),
+    returns: [],
+    returnItems: []
+  };
+
+  const execute = jest.fn(async (sql, params) => {
+    if (sql.includes('FROM sales WHERE id = ? FOR UPDATE')) {
+      return [[{ ...state.sale }]];
+    }
+    if (sql.includes('FROM sale_items si')) {
+      return [state.items.map((item) => ({ ...item }))];
+    }
+    if (sql.includes('FROM sale_returns WHERE sale_id')) {
+      return [[{ refunded }]];
+    }
+    if (sql.includes('INSERT INTO sale_returns ')) {
+      state.returns.push({ return_type: params[1], refund_amount: params[2], refund_method: params[3] });
+      return [{ insertId: 50 }];
+    }
+    if (sql.includes('INSERT INTO sale_return_items ')) {
+      state.returnItems.push({ sale_item_id: params[1], quantity: params[3], refund_amount: params[4] });
+      return [{ insertId: state.returnItems.length }];
+    }
+    if (sql.startsWith('UPDATE sale_items SET quantity_returned')) {
+      return [{ affectedRows: 1 }];
+    }
+    if (sql.startsWith("UPDATE sales SET status = 'voided'")) {
+      state.sale.status = 'voided';
+      return [{ affectedRows: 1 }];
+    }
+    throw new Error(`Requête inattendue : ${sql}`);
+  });
+
+  return { connection: { execute }, state };
+};
+
+// Vente de 3 x 10 et 1 x 5, remise de 5 et taxe de 20 % : total 36 pour un sous-total de 35
+const saleWithDiscount = {
+  sale: { subtotal: '35.00', total_amount: '36.00' },
+  items: [
+    { id: 11, product_id: 1, quantity: 3, total_price: '30.00', cogs_amount: '12.00' },
+    { id: 12, product_id: 2, quantity: 1, total_price: '5.00', cogs_amount: '2.00' }
+  ]
+};
+
+describe('returnSaleItems', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('rembourse au prorata de la remise et de la taxe et remet en stock au coût de vente', async () => {
+    const { connection, state } = createSaleConnection(saleWithDiscount);
+
+    const result = await returnSaleItems(connection, 1, { items: [{ sale_item_id: 11, quantity: 1 }] }, { userId: 9 });
+
+    expect(result).toEqual({ returnId: 50, refund_amount: 10.29, net_amount: 25.71 });
+    expect(state.returns).toEqual([{ return_type: 'return', refund_amount: 10.29, refund_method: 'card' }]);
+    expect(recordStockMovement).toHaveBeenCalledWith(connection, expect.objectContaining({
+      productId: 1, warehouseId: 3, type: 'return', quantity: 1, unitCost: 4, referenceType: 'sale_return', referenceId: 50
+    }));
+    expect(addCostLayer).toHaveBeenCalledWith(connection, expect.objectContaining({ productId: 1, quantity: 1, unitCost: 4 }));
+  });
+
+  it('solde exactement la vente quand tout est rendu, écarts d\'arrondi compris', async () => {
+    const { connection, state } = createSaleConnection({ ...saleWithDiscount, refunded: 10.29 });
+    state.items[0].quantity_returned = 1;
+
+    const result = await returnSaleItems(connection, 1, {
+      items: [{ sale_item_id: 11, quantity: 2 }, { sale_item_id: 12, quantity: 1 }]
+    });
+
+    expect(result.refund_amount).toBe(25.71);
+    expect(result.net_amount).toBe(0);
+    expect(state.returnItems.reduce((sum, item) => sum + item.refund_amount, 0)).toBeCloseTo(25.71, 2);
+  });
+
+  it('refuse une quantité supérieure à ce qui reste à retourner', async () => {
+    const { connection, state } = createSaleConnection(saleWithDiscount);
+    state.items[0].quantity_returned = 2;
+
+    await expect(returnSaleItems(connection, 1, { items: [{ sale_item_id: 11, quantity: 2 }] }))
+      .rejects.toThrow('Quantité retournée supérieure à la quantité restante (1) pour la ligne 11');
+    expect(state.returns).toEqual([]);
+  });
+
+  it('refuse un retour sur une vente annulée', async () => {
+    const { connection } = createSaleConnection({ ...saleWithDiscount, sale: { ...saleWithDiscount.sale, status: 'voided' } });
+
+    await expect(returnSaleItems(connection, 1, { items: [{ sale_item_id: 11, quantity: 1 }] }))
+      .rejects.toThrow('Seule une vente finalisée peut faire l\'objet d\'un retour');
+  });
+
+  it('remet en stock les unités sérialisées désignées', async () => {
+    const { connection, state } = createSaleConnection(saleWithDiscount);
+    state.items[0].is_serialized = 1;
+
+    await returnSaleItems(connection, 1, { items: [{ sale_item_id: 11, quantity: 1, serial_numbers: ['SN-2'] }] });
+
+    expect(returnSoldUnits).toHaveBeenCalledWith(connection, expect.objectContaining({
+      saleItemId: 11, serialNumbers: ['SN-2'], warehouseId: 3, returnId: 50, eventType: 'returned'
+    }));
+  });
+});
+
+describe('voidSale', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('rembourse le reste de la vente du jour et la passe en voided', async () => {
+    const { connection, state } = createSaleConnection({ ...saleWithDiscount, refunded: 10.29 });
+    state.items[0].quantity_returned = 1;
+
+    const result = await voidSale(connection, 1, { reason: 'Erreur de caisse' });
+
+    expect(result).toEqual({ returnId: 50, refund_amount: 25.71, net_amount: 0, status: 'voided' });
+    expect(state.returns[0].return_type).toBe('void');
+    expect(state.sale.status).toBe('voided');
+  });
+
+  it('refuse d\'annuler une vente d\'un jour précédent', async () => {
+    const { connection, state } = createSaleConnection({
+      ...saleWithDiscount,
+      sale: { ...saleWithDiscount.sale, created_at: moment().subtract(1, 'day').toDate() }
+    });
+
+    await expect(voidSale(connection, 1, {})).rejects.toThrow('Seule une vente du jour peut être annulée, utilisez un retour');
+    expect(state.sale.status).toBe('completed');
+  });
+});
@@ -0,0 +1,128 @@
+jest.mock('../../config/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+
+const { query } = require('../../config/database');
+const { wouldCreateCycle, sortTasks, computeProjectSchedule } = require('../../services/schedule');
+
+const dependency = (taskId, dependsOnTaskId, type = 'finish_to_start', lagDays = 0) => ({
+  id: taskId * 100 + dependsOnTaskId,
+  task_id: taskId,
+  depends_on_task_id: dependsOnTaskId,
+  type,
+  lag_days: lagDays
+});
+
+const task = (id, estimatedHours, fields = {}) => ({
+  id,
+  parent_task_id: null,
+  title: `Tâche ${id}`,
+  status: 'todo',
+  priority: 'medium',
+  assigned_to: null,
+  due_date: null,
+  estimated_hours: estimatedHours,
+  actual_hours: 0,
+  ...fields
+});
+
+// Réponses successives de la base : projet, tâches, dépendances
+const mockProject = (project, tasks, dependencies) => {
+  query
+    .mockResolvedValueOnce([{ id: 1, name: 'Projet', status: 'in_progress', ...project }])
+    .mockResolvedValueOnce(tasks)
+    .mockResolvedValueOnce(dependencies);
+};
+
+describe('wouldCreateCycle', () => {
+  const dependencies = [dependency(2, 1), dependency(3, 2)];
+
+  it('refuse une dépendance inverse directe', () => {
+    expect(wouldCreateCycle(dependencies, 1, 2)).toBe(true);
+  });
+
+  it('refuse une dépendance qui ferme un cycle indirect', () => {
+    expect(wouldCreateCycle(dependencies, 1, 3)).toBe(true);
+  });
+
+  it('accepte une dépendance sans cycle', () => {
+    expect(wouldCreateCycle(dependencies, 3, 1)).toBe(false);
+    expect(wouldCreateCycle(dependencies, 4, 3)).toBe(false);
+  });
+});
+
+describe('sortTasks', () => {
+  it('place chaque tâche après ses prérequis', () => {
+    const order = sortTasks([task(1), task(2), task(3), task(4)], [dependency(1, 3), dependency(3, 4), dependency(2, 1)]);
+
+    expect(order).toEqual([4, 3, 1, 2]);
+  });
+
+  it('refuse un graphe qui contient un cycle', () => {
+    expect(() => sortTasks([task(1), task(2)], [dependency(1, 2), dependency(2, 1)]))
+      .toThrow('Les dépendances du projet forment un cycle');
+  });
+});
+
+describe('computeProjectSchedule', () => {
+  // 1 (2 j) → 2 (1 j) → 4 (1 j) et 1 → 3 (3 j, 1 j de décalage) → 4
+  const tasks = [task(1, 16), task(2, 8), task(3, 24), task(4, 8)];
+  const dependencies = [dependency(2, 1), dependency(3, 1, 'finish_to_start', 1), dependency(4, 2), dependency(4, 3)];
+
+  beforeEach(() => {
+    query.mockReset();
+  });
+
+  it('calcule les dates au plus tôt et au plus tard, les marges et le chemin critique', async () => {
+    mockProject({ start_date: '2024-03-04', end_date: '2024-03-10' }, tasks, dependencies);
+
+    const schedule = await computeProjectSchedule(1);
+    const byId = new Map(schedule.tasks.map((scheduled) => [scheduled.id, scheduled]));
+
+    expect(byId.get(1)).toMatchObject({
+      duration_days: 2, earliest_start: '2024-03-04', earliest_finish: '2024-03-05', slack_days: 0, is_critical: true
+    });
+    expect(byId.get(2)).toMatchObject({
+      earliest_start: '2024-03-06', earliest_finish: '2024-03-06',
+      latest_start: '2024-03-09', latest_finish: '2024-03-09', slack_days: 3, is_critical: false
+    });
+    expect(byId.get(3)).toMatchObject({ earliest_start: '2024-03-07', earliest_finish: '2024-03-09', slack_days: 0 });
+    expect(byId.get(4)).toMatchObject({ earliest_start: '2024-03-10', earliest_finish: '2024-03-10', slack_days: 0 });
+
+    expect(schedule.critical_path).toEqual([1, 3, 4]);
+    expect(schedule.project).toMatchObject({ computed_end_date: '2024-03-10', duration_days: 7, overruns_end_date: false });
+    expect(schedule.threatened_tasks).toEqual([]);
+  });
+
+  it('signale les tâches qui menacent une date de fin trop proche', async () => {
+    mockProject({ start_date: '2024-03-04', end_date: '2024-03-08' }, tasks, dependencies);
+
+    const schedule = await computeProjectSchedule(1);
+
+    expect(schedule.project.overruns_end_date).toBe(true);
+    expect(schedule.threatened_tasks).toEqual([1, 3, 4]);
+  });
+
+  it('applique les dépendances début-début et fin-fin', async () => {
+    // B (1 j) commence 1 j après le début de A (3 j) ; C (2 j) finit avec A
+    mockProject(
+      { start_date: '2024-03-04', end_date: null },
+      [task(1, 24), task(2, 8), task(3, 16)],
+      [dependency(2, 1, 'start_to_start', 1), dependency(3, 1, 'finish_to_finish')]
+    );
+
+    const schedule = await computeProjectSchedule(1);
+    const byId = new Map(schedule.tasks.map((scheduled) => [scheduled.id, scheduled]));
+
+    expect(byId.get(2)).toMatchObject({ earliest_start: '2024-03-05', slack_days: 1 });
+    expect(byId.get(3)).toMatchObject({ earliest_start: '2024-03-05', earliest_finish: '2024-03-06', slack_days: 0 });
+    expect(schedule.critical_path).toEqual([1, 3]);
+  });
+
+  it('ignore les dépendances vers des tâches annulées', async () => {
+    mockProject({ start_date: '2024-03-04', end_date: null }, [task(1, 8)], [dependency(1, 9)]);
+
+    const schedule = await computeProjectSchedule(1);
+
+    expect(schedule.tasks[0]).toMatchObject({ earliest_start: '2024-03-04', dependencies: [] });
+    expect(schedule.links).toEqual([]);
+  });
+});
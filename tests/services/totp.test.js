@@ -0,0 +1,48 @@
+const { generateSecret, generateCode, currentStep, verifyCode, buildProvisioningUri } = require('../../services/totp');
+
+// Secret des vecteurs de test de la RFC 6238 (« 12345678901234567890 » en base32)
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('totp', () => {
+  it('produit les codes des vecteurs de test de la RFC 6238 (6 derniers chiffres)', () => {
+    expect(generateCode(RFC_SECRET, currentStep(59 * 1000))).toBe('287082');
+    expect(generateCode(RFC_SECRET, currentStep(1111111109 * 1000))).toBe('081804');
+    expect(generateCode(RFC_SECRET, currentStep(1234567890 * 1000))).toBe('005924');
+  });
+
+  it('accepte le code courant et renvoie son pas', () => {
+    const time = 1234567890 * 1000;
+    expect(verifyCode(RFC_SECRET, '005924', { time })).toBe(currentStep(time));
+  });
+
+  it('tolère un pas de décalage d\'horloge, pas deux', () => {
+    const time = 1234567890 * 1000;
+    const step = currentStep(time);
+
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { time })).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { time })).toBe(step + 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), { time })).toBeNull();
+  });
+
+  it('ignore les espaces et refuse les codes mal formés', () => {
+    const time = 1234567890 * 1000;
+    expect(verifyCode(RFC_SECRET, '005 924', { time })).toBe(currentStep(time));
+    expect(verifyCode(RFC_SECRET, '12345', { time })).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef', { time })).toBeNull();
+    expect(verifyCode(RFC_SECRET, null, { time })).toBeNull();
+  });
+
+  it('génère un secret base32 de 160 bits utilisable', () => {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+
+    const time = Date.now();
+    expect(verifyCode(secret, generateCode(secret, currentStep(time)), { time })).toBe(currentStep(time));
+  });
+
+  it('construit l\'URI otpauth avec le libellé et l\'émetteur encodés', () => {
+    expect(buildProvisioningUri(RFC_SECRET, 'jean@exemple.com', 'CY Systems')).toBe(
+      `otpauth://totp/CY%20Systems%3Ajean%40exemple.com?secret=${RFC_SECRET}&issuer=CY%20Systems&algorithm=SHA1&digits=6&period=30`
+    );
+  });
+});